@@ -13,12 +13,14 @@ import ReportsAnalytics from './components/SuperAdmin/ReportsAnalytics'
 import SettingsSemester from './components/SuperAdmin/SettingsSemester'
 import SuperAdminCourseManagement from './components/SuperAdmin/SuperAdminCourseManagement'
 import CollegeManagement from './components/SuperAdmin/CollegeManagement'
+import AuditLogs from './components/SuperAdmin/AuditLogs'
 import HODDashboard from './components/HOD/HODDashboard'
 import CourseManagement from './components/HOD/CourseManagement'
 import HODLayout from './components/HOD/HODLayout'
 import FacultyAssignment from './components/HOD/FacultyAssignment'
 import TimetableViewer from './components/HOD/TimetableViewer'
 import FacultyLoadReports from './components/HOD/FacultyLoadReports'
+import TeacherAbsences from './components/HOD/TeacherAbsences'
 // Import TT Incharge components
 import TTInchargeLayout from './components/TTIncharge/TTInchargeLayout'
 import TTInchargeDashboard from './components/TTIncharge/TTInchargeDashboard'
@@ -35,6 +37,8 @@ import { getCurrentUser, checkSession, initializeAuth } from './components/Auth/
 import { auth, onAuthStateChanged } from './firebase/config.js'
 // Import Semester Context
 import { SemesterProvider } from './context/SemesterContext'
+// Import Time Grid Context
+import { TimeGridProvider } from './context/TimeGridContext'
 
 // Create Authentication Context
 export const AuthContext = createContext(null);
@@ -140,71 +144,75 @@ function App() {
   return (
     <AuthContext.Provider value={{ user, setUser, loading, sessionChecked }}>
       <SemesterProvider>
-        <Router>
-          <Routes>
-            <Route path="/login" element={<Login />} />
-            <Route path="/forgot-password" element={<ForgotPassword />} />
-            <Route path="/super-admin-registration" element={<SuperAdminRegistration />} />
+        <TimeGridProvider user={user}>
+          <Router>
+            <Routes>
+              <Route path="/login" element={<Login />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/super-admin-registration" element={<SuperAdminRegistration />} />
 
-            <Route path="/" element={<Navigate to="/login" replace />} />
+              <Route path="/" element={<Navigate to="/login" replace />} />
 
-            {/* HOD Routes with /hod/* path prefix */}
-            <Route 
-              path="/hod/*" 
-              element={
-                <ProtectedRoute allowedRoles={['hod']}>
-                  <HODLayout />
-                </ProtectedRoute>
-              }
-            >
-              <Route path="dashboard" element={<HODDashboard />} />
-              <Route path="courses" element={<CourseManagement />} />
-              <Route path="assign-faculty" element={<FacultyAssignment />} />
-              <Route path="reports" element={<FacultyLoadReports/>} />
-              <Route path="timetable" element={<TimetableViewer />} />
-            </Route>
+              {/* HOD Routes with /hod/* path prefix */}
+              <Route 
+                path="/hod/*" 
+                element={
+                  <ProtectedRoute allowedRoles={['hod']}>
+                    <HODLayout />
+                  </ProtectedRoute>
+                }
+              >
+                <Route path="dashboard" element={<HODDashboard />} />
+                <Route path="courses" element={<CourseManagement />} />
+                <Route path="assign-faculty" element={<FacultyAssignment />} />
+                <Route path="reports" element={<FacultyLoadReports/>} />
+                <Route path="timetable" element={<TimetableViewer />} />
+                <Route path="absences" element={<TeacherAbsences />} />
+              </Route>
 
-            {/* TT Incharge Routes with /tt/* path prefix */}
-            <Route 
-              path="/tt/*" 
-              element={
-                <ProtectedRoute allowedRoles={['tt_incharge']}>
-                  <TTInchargeLayout />
-                </ProtectedRoute>
-              }
-            >
-              <Route path="dashboard" element={<TTInchargeDashboard />} />
-              <Route path="timetable-builder" element={<TimetableBuilder/> } />
-              <Route path="conflicts" element={<Conflicts />} />
-              <Route path="rooms" element={<RoomAvailability />} />
-              <Route path="room-availability" element={<RoomAvailability />} />
-              <Route path="faculty-timetable" element={<FacultyTimetable />} />
-              <Route path="batch-management" element={<BatchManagement />} />
-              <Route path="room-availability-allocation" element={<RoomAvailabilityAllocation />} />
-              <Route path="teacher-code-allocation" element={<TeacherCodeAllocation />} />
-            </Route>
+              {/* TT Incharge Routes with /tt/* path prefix */}
+              <Route 
+                path="/tt/*" 
+                element={
+                  <ProtectedRoute allowedRoles={['tt_incharge']}>
+                    <TTInchargeLayout />
+                  </ProtectedRoute>
+                }
+              >
+                <Route path="dashboard" element={<TTInchargeDashboard />} />
+                <Route path="timetable-builder" element={<TimetableBuilder/> } />
+                <Route path="conflicts" element={<Conflicts />} />
+                <Route path="rooms" element={<RoomAvailability />} />
+                <Route path="room-availability" element={<RoomAvailability />} />
+                <Route path="faculty-timetable" element={<FacultyTimetable />} />
+                <Route path="batch-management" element={<BatchManagement />} />
+                <Route path="room-availability-allocation" element={<RoomAvailabilityAllocation />} />
+                <Route path="teacher-code-allocation" element={<TeacherCodeAllocation />} />
+              </Route>
 
-            {/* SuperAdmin Routes with /admin/* path prefix */}
-            <Route 
-              path="/admin/*" 
-              element={
-                <ProtectedRoute allowedRoles={['superadmin']}>
-                  <SuperAdminLayout />
-                </ProtectedRoute>
-              }
-            >
-              <Route path="dashboard" element={<SuperAdminDashboard />} />
-              <Route path="users" element={<UserManagement />} />
-              <Route path="faculty" element={<TeacherManagement />} />
-              <Route path="courses" element={<SuperAdminCourseManagement />} />
-              <Route path="colleges" element={<CollegeManagement />} />
-              <Route path="departments" element={<DepartmentManagement />} />
-              <Route path="rooms" element={<RoomManagement />} />
-              <Route path="reports" element={<ReportsAnalytics />} />
-              <Route path="settings" element={<SettingsSemester />} />
-            </Route>
-          </Routes>
-        </Router>
+              {/* SuperAdmin Routes with /admin/* path prefix */}
+              <Route 
+                path="/admin/*" 
+                element={
+                  <ProtectedRoute allowedRoles={['superadmin']}>
+                    <SuperAdminLayout />
+                  </ProtectedRoute>
+                }
+              >
+                <Route path="dashboard" element={<SuperAdminDashboard />} />
+                <Route path="users" element={<UserManagement />} />
+                <Route path="faculty" element={<TeacherManagement />} />
+                <Route path="courses" element={<SuperAdminCourseManagement />} />
+                <Route path="colleges" element={<CollegeManagement />} />
+                <Route path="departments" element={<DepartmentManagement />} />
+                <Route path="rooms" element={<RoomManagement />} />
+                <Route path="reports" element={<ReportsAnalytics />} />
+                <Route path="settings" element={<SettingsSemester />} />
+                <Route path="audit-logs" element={<AuditLogs />} />
+              </Route>
+            </Routes>
+          </Router>
+        </TimeGridProvider>
       </SemesterProvider>
     </AuthContext.Provider>
   )
@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useRef, useContext } from 'react';
-import { FiEdit, FiTrash2, FiSearch, FiFilter, FiX, FiBook, FiUser, FiClock, FiCalendar, FiHash, FiUpload, FiInfo, FiDownload } from 'react-icons/fi';
+import { FiEdit, FiTrash2, FiSearch, FiFilter, FiX, FiBook, FiUser, FiClock, FiCalendar, FiHash, FiUpload, FiInfo, FiDownload, FiLayers, FiHome } from 'react-icons/fi';
 import CourseManagementService from './services/CourseManagement';
 import { useRateLimitedUpload } from '../../hooks/useRateLimitedUpload';
 import UploadProgressIndicator from '../common/UploadProgressIndicator';
+import SessionRequirementsEditor from '../common/SessionRequirementsEditor';
 import { useToast } from '../../context/ToastContext';
 import { AuthContext } from '../../App';
 import { useSemester } from '../../context/SemesterContext';
@@ -33,6 +34,11 @@ export default function CourseManagement() {
     semester: selectedSemester || 'Semester 1',
     weeklyHours: '',
     credits: '',
+    electiveGroup: '',
+    sessionRequirements: null,
+    lectureHours: '',
+    tutorialHours: '',
+    practicalHours: '',
     targetDepartment: '' // Will be set when modal opens
   });
   const [isLoading, setIsLoading] = useState(false);
@@ -138,6 +144,11 @@ export default function CourseManagement() {
       semester: 'Semester 1',
       weeklyHours: '',
       credits: '',
+      electiveGroup: '',
+      sessionRequirements: null,
+      lectureHours: '',
+      tutorialHours: '',
+      practicalHours: '',
       targetDepartment: user?.department || ''
     });
     setShowModal(true);
@@ -191,6 +202,11 @@ export default function CourseManagement() {
         semester: latestCourseData.semester || 'Semester 1',
         weeklyHours: latestCourseData.weeklyHours || latestCourseData.credits || '',
         credits: latestCourseData.credits || latestCourseData.weeklyHours || '',
+        electiveGroup: latestCourseData.electiveGroup || '',
+        sessionRequirements: latestCourseData.sessionRequirements || null,
+        lectureHours: latestCourseData.lectureHours || '',
+        tutorialHours: latestCourseData.tutorialHours || '',
+        practicalHours: latestCourseData.practicalHours || '',
         targetDepartment
       });
       setShowModal(true);
@@ -220,6 +236,11 @@ export default function CourseManagement() {
         semester: course.semester || 'Semester 1',
         weeklyHours: course.weeklyHours || course.credits || '',
         credits: course.credits || course.weeklyHours || '',
+        electiveGroup: course.electiveGroup || '',
+        sessionRequirements: course.sessionRequirements || null,
+        lectureHours: course.lectureHours || '',
+        tutorialHours: course.tutorialHours || '',
+        practicalHours: course.practicalHours || '',
         targetDepartment
       });
       setShowModal(true);
@@ -966,6 +987,11 @@ export default function CourseManagement() {
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center gap-2">
                         <span className="text-sm font-medium text-teal-700">{course.code}</span>
+                        {course.electiveGroup && (
+                          <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-violet-100 text-violet-800">
+                            {course.electiveGroup}
+                          </span>
+                        )}
                         {course.isCommon && (
                           <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
                             user?.canEditCommonCourses 
@@ -1228,6 +1254,27 @@ export default function CourseManagement() {
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent text-sm"
                   />
                   <p className="text-xs text-gray-500 mt-2">Enter the total weekly hours/credits for this course</p>
+                  <div className="grid grid-cols-3 gap-2 mt-3">
+                    {[
+                      { name: 'lectureHours', label: 'Lecture (L)' },
+                      { name: 'tutorialHours', label: 'Tutorial (T)' },
+                      { name: 'practicalHours', label: 'Practical (P)' }
+                    ].map(({ name, label }) => (
+                      <div key={name}>
+                        <label className="block text-xs text-gray-500 mb-1">{label}</label>
+                        <input
+                          type="number"
+                          name={name}
+                          value={formData[name]}
+                          onChange={handleChange}
+                          min="0"
+                          placeholder="0"
+                          className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent text-sm"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">Periods per week the timetable builder tracks for each component. Leave empty to count the weekly hours as lectures.</p>
                 </div>
                 
                 {/* Row 2: Semester */}
@@ -1255,6 +1302,42 @@ export default function CourseManagement() {
                   </p>
                 </div>
                 
+                {/* Elective Basket */}
+                <div>
+                  <div className="flex items-center mb-2">
+                    <FiLayers size={16} className="text-teal-600 mr-2" />
+                    <label className="block text-sm font-medium text-gray-700">Elective Basket</label>
+                  </div>
+                  <input
+                    type="text"
+                    name="electiveGroup"
+                    value={formData.electiveGroup}
+                    onChange={handleChange}
+                    list="elective-group-options"
+                    placeholder="e.g. Open Elective I"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent text-sm"
+                  />
+                  <datalist id="elective-group-options">
+                    {[...new Set(courses.map(course => course.electiveGroup).filter(Boolean))].map(group => (
+                      <option key={group} value={group} />
+                    ))}
+                  </datalist>
+                  <p className="text-xs text-gray-500 mt-1">Courses in the same basket are scheduled in one shared slot. Leave empty for a regular course.</p>
+                </div>
+                
+                {/* Room Requirements */}
+                <div className="md:col-span-2">
+                  <div className="flex items-center mb-2">
+                    <FiHome size={16} className="text-teal-600 mr-2" />
+                    <label className="block text-sm font-medium text-gray-700">Room Requirements</label>
+                  </div>
+                  <SessionRequirementsEditor
+                    value={formData.sessionRequirements}
+                    onChange={(sessionRequirements) => setFormData(prev => ({ ...prev, sessionRequirements }))}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">The timetable builder only offers rooms of this type with this equipment for each session type.</p>
+                </div>
+                
                 {/* Faculty Assignment */}
                 <div className="relative">
                   <div className="flex items-center mb-2">
@@ -17,10 +17,13 @@ import {
   calculateHoursFromString,
   getFacultyWithLoadData,
   getFilteredFacultyData,
+  getScheduledPeriods,
   generateReport,
   emailFacultyReport,
   exportReportAs
 } from './services/FacultyLoadReports';
+import { fetchWorkloadPolicies } from '../../services/WorkloadPolicyService';
+import { subscribeToOccupancyIndex } from '../TTIncharge/services/TTBuilder/occupancyIndex.js';
 
 // Main component for Faculty Load Reports
 export default function FacultyLoadReports() {
@@ -31,6 +34,8 @@ export default function FacultyLoadReports() {
   // State for data
   const [faculty, setFaculty] = useState([]);
   const [courses, setCourses] = useState([]);
+  const [timetables, setTimetables] = useState([]);
+  const [workloadPolicies, setWorkloadPolicies] = useState([]);
   
   // State for UI
   const [loading, setLoading] = useState(true);
@@ -97,6 +102,15 @@ export default function FacultyLoadReports() {
     loadCoursesForSemester();
   }, [selectedSemester, departmentId, showError]);
 
+  // Keep the scheduled timetables live so policy checks follow the builder
+  useEffect(() => {
+    return subscribeToOccupancyIndex(index => setTimetables(index.getTimetables()));
+  }, []);
+
+  useEffect(() => {
+    fetchWorkloadPolicies().then(setWorkloadPolicies);
+  }, []);
+
   // Handle row expansion
   const toggleExpandRow = (facultyId) => {
     setExpandedFaculty(prev => ({
@@ -111,7 +125,9 @@ export default function FacultyLoadReports() {
     courses, 
     selectedSemester, 
     showOverloadedOnly, 
-    searchQuery
+    searchQuery,
+    workloadPolicies,
+    getScheduledPeriods(timetables, faculty, selectedSemester)
   );
 
   // Handle generating report
@@ -408,6 +424,14 @@ export default function FacultyLoadReports() {
                           <FiCheckCircle className="mr-1" /> Available
                         </span>
                       )}
+                      {f.policyViolations.length > 0 && (
+                        <span
+                          className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-md text-sm font-medium bg-orange-100 text-orange-800"
+                          title={f.policyViolations.map(violation => violation.message).join('\n')}
+                        >
+                          {f.policyViolations.length} policy {f.policyViolations.length === 1 ? 'issue' : 'issues'}
+                        </span>
+                      )}
                     </td>
                     
                     {/* Actions */}
@@ -442,6 +466,30 @@ export default function FacultyLoadReports() {
                         className="bg-indigo-50"
                       >
                         <td colSpan={5} className="px-6 py-4">
+                          {/* Workload policy check of the scheduled periods */}
+                          <div className="mb-4">
+                            <div className="text-sm text-gray-800 mb-1 font-medium">
+                              Workload Policy: {f.workloadPolicy ? f.workloadPolicy.designation : 'None assigned'}
+                              <span className="ml-2 font-normal text-gray-500">
+                                ({f.scheduledHours} periods scheduled in {selectedSemester} timetables)
+                              </span>
+                            </div>
+                            {f.policyViolations.length > 0 ? (
+                              <ul className="space-y-1">
+                                {f.policyViolations.map((violation, idx) => (
+                                  <li key={idx} className="flex items-center text-sm text-orange-800">
+                                    <FiAlertTriangle className="mr-1 flex-shrink-0" />
+                                    {violation.message}
+                                  </li>
+                                ))}
+                              </ul>
+                            ) : f.workloadPolicy ? (
+                              <div className="flex items-center text-sm text-green-700">
+                                <FiCheckCircle className="mr-1" /> Within all policy limits
+                              </div>
+                            ) : null}
+                          </div>
+
                           <div className="text-sm text-gray-800 mb-2 font-medium">
                             Course Breakdown for {f.name}
                           </div>
@@ -0,0 +1,338 @@
+import React, { useState, useEffect, useContext, useMemo } from 'react';
+import {
+  FiCalendar, FiUserX, FiUserCheck, FiTrash2, FiPlus, FiLoader, FiX, FiClock, FiHome
+} from 'react-icons/fi';
+import { AuthContext } from '../../App';
+import { useToast } from '../../context/ToastContext';
+import { subscribeToPublishedTimetables } from '../TTIncharge/services/TTBuilder/timetableWorkflow.js';
+import { CONFIG } from '../TTIncharge/services/TTBuilder/constants.js';
+import { toDateKey } from '../TTIncharge/services/TTBuilder/dateKeys.js';
+import {
+  getAffectedSessions,
+  getPublishedPeriods,
+  rankSubstitutes
+} from '../TTIncharge/services/TTBuilder/teacherAbsence.js';
+import { fetchWorkloadPolicies } from '../../services/WorkloadPolicyService';
+import {
+  fetchDepartmentTeachers,
+  subscribeToTeacherAbsences,
+  subscribeToSubstitutions,
+  saveTeacherAbsence,
+  deleteTeacherAbsence,
+  saveSubstitution,
+  removeSubstitution
+} from '../../services/TeacherAbsenceService';
+
+const formatDate = (dateKey) => new Date(`${dateKey}T00:00:00`).toLocaleDateString(undefined, {
+  weekday: 'short', day: 'numeric', month: 'short'
+});
+
+const emptyForm = () => ({ teacherId: '', startDate: toDateKey(new Date()), endDate: toDateKey(new Date()), reason: '' });
+
+// Record teacher absences and find cover for the published sessions they miss
+export default function TeacherAbsences() {
+  const { user } = useContext(AuthContext);
+  const { showSuccess, showError } = useToast();
+  const department = user?.department;
+
+  const [teachers, setTeachers] = useState([]);
+  const [absences, setAbsences] = useState([]);
+  const [substitutions, setSubstitutions] = useState([]);
+  const [publishedTimetables, setPublishedTimetables] = useState([]);
+  const [workloadPolicies, setWorkloadPolicies] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [selectedAbsenceId, setSelectedAbsenceId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchDepartmentTeachers(department)
+      .then(setTeachers)
+      .finally(() => setLoading(false));
+  }, [department]);
+
+  useEffect(() => {
+    if (!department) return undefined;
+    return subscribeToTeacherAbsences(department, setAbsences);
+  }, [department]);
+
+  useEffect(() => {
+    if (!department) return undefined;
+    return subscribeToSubstitutions(setSubstitutions, { field: 'department', value: department });
+  }, [department]);
+
+  useEffect(() => subscribeToPublishedTimetables(setPublishedTimetables), []);
+
+  useEffect(() => {
+    fetchWorkloadPolicies().then(setWorkloadPolicies);
+  }, []);
+
+  const selectedAbsence = absences.find(absence => absence.id === selectedAbsenceId) || absences[0] || null;
+
+  const affectedSessions = useMemo(
+    () => selectedAbsence ? getAffectedSessions(publishedTimetables, selectedAbsence) : [],
+    [publishedTimetables, selectedAbsence]
+  );
+
+  const periods = useMemo(() => getPublishedPeriods(publishedTimetables), [publishedTimetables]);
+
+  const suggestions = useMemo(() => Object.fromEntries(affectedSessions.map(affected => [
+    affected.key,
+    rankSubstitutes(affected, teachers, { periods, absences, substitutions, policies: workloadPolicies })
+      .slice(0, CONFIG.MAX_SUBSTITUTE_SUGGESTIONS)
+  ])), [affectedSessions, teachers, periods, absences, substitutions, workloadPolicies]);
+
+  const coverFor = (key) => substitutions.find(substitution => substitution.id === key) || null;
+
+  const handleRecordAbsence = async (e) => {
+    e.preventDefault();
+    const teacher = teachers.find(item => item.id === form.teacherId);
+
+    try {
+      setSaving(true);
+      const saved = await saveTeacherAbsence({
+        ...form,
+        teacherName: teacher?.name || '',
+        department
+      }, user);
+      setSelectedAbsenceId(saved.id);
+      setForm(emptyForm());
+      showSuccess(`Absence of ${saved.teacherName} recorded`);
+    } catch (error) {
+      showError(error.message || 'Failed to record the absence');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteAbsence = async (absence) => {
+    if (!window.confirm(`Delete the absence of ${absence.teacherName} and the cover arranged for it?`)) return;
+
+    try {
+      await deleteTeacherAbsence(absence.id);
+      if (selectedAbsenceId === absence.id) setSelectedAbsenceId(null);
+      showSuccess('Absence deleted');
+    } catch (error) {
+      showError(error.message || 'Failed to delete the absence');
+    }
+  };
+
+  const handleAssign = async (affected, substitute) => {
+    try {
+      await saveSubstitution(affected, substitute, selectedAbsence, user);
+      showSuccess(`${substitute.name} covers ${affected.session.code} on ${formatDate(affected.date)}`);
+    } catch (error) {
+      showError(error.message || 'Failed to record the substitution');
+    }
+  };
+
+  const handleRemoveCover = async (substitution) => {
+    try {
+      await removeSubstitution(substitution.id);
+    } catch (error) {
+      showError(error.message || 'Failed to remove the substitution');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <FiLoader className="animate-spin text-teal-600" size={32} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-screen">
+      <h1 className="text-2xl font-bold text-gray-800 mb-6">Teacher Absences</h1>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Record an absence and list the recorded ones */}
+        <div className="space-y-6">
+          <form onSubmit={handleRecordAbsence} className="bg-white rounded-2xl p-5 shadow-md space-y-3">
+            <h2 className="text-lg font-semibold text-gray-700 flex items-center gap-2">
+              <FiUserX className="text-teal-600" /> Record Absence
+            </h2>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Teacher</label>
+              <select
+                value={form.teacherId}
+                onChange={(e) => setForm(prev => ({ ...prev, teacherId: e.target.value }))}
+                className="w-full px-3 py-2 rounded-lg border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+              >
+                <option value="">Select a teacher</option>
+                {teachers.map(teacher => (
+                  <option key={teacher.id} value={teacher.id}>{teacher.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">From</label>
+                <input
+                  type="date"
+                  value={form.startDate}
+                  onChange={(e) => setForm(prev => ({ ...prev, startDate: e.target.value }))}
+                  className="w-full px-3 py-2 rounded-lg border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">To</label>
+                <input
+                  type="date"
+                  value={form.endDate}
+                  min={form.startDate}
+                  onChange={(e) => setForm(prev => ({ ...prev, endDate: e.target.value }))}
+                  className="w-full px-3 py-2 rounded-lg border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Reason</label>
+              <input
+                type="text"
+                value={form.reason}
+                placeholder="e.g. Medical leave, conference"
+                onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                className="w-full px-3 py-2 rounded-lg border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={saving}
+              className="w-full px-4 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-700 transition flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              {saving ? <FiLoader className="animate-spin" size={16} /> : <FiPlus size={16} />}
+              <span>Record Absence</span>
+            </button>
+          </form>
+
+          <div className="bg-white rounded-2xl p-5 shadow-md">
+            <h2 className="text-lg font-semibold text-gray-700 mb-3 flex items-center gap-2">
+              <FiCalendar className="text-teal-600" /> Absences
+            </h2>
+            {absences.length === 0 ? (
+              <p className="text-sm text-gray-500">No absences recorded.</p>
+            ) : (
+              <ul className="space-y-2">
+                {absences.map(absence => {
+                  const covered = substitutions.filter(substitution => substitution.absenceId === absence.id).length;
+                  return (
+                    <li
+                      key={absence.id}
+                      onClick={() => setSelectedAbsenceId(absence.id)}
+                      className={`p-3 rounded-lg border cursor-pointer ${
+                        selectedAbsence?.id === absence.id ? 'border-teal-500 bg-teal-50' : 'border-gray-200 hover:bg-gray-50'
+                      }`}
+                    >
+                      <div className="flex items-start justify-between gap-2">
+                        <div>
+                          <div className="text-sm font-medium text-gray-800">{absence.teacherName}</div>
+                          <div className="text-xs text-gray-500">
+                            {formatDate(absence.startDate)}{absence.endDate !== absence.startDate && ` – ${formatDate(absence.endDate)}`}
+                            {absence.reason && ` · ${absence.reason}`}
+                          </div>
+                          <div className="text-xs text-teal-700 mt-1">{covered} session{covered !== 1 ? 's' : ''} covered</div>
+                        </div>
+                        <button
+                          onClick={(e) => { e.stopPropagation(); handleDeleteAbsence(absence); }}
+                          className="text-gray-400 hover:text-red-600"
+                          title="Delete absence"
+                        >
+                          <FiTrash2 size={14} />
+                        </button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        {/* Sessions the selected absence leaves uncovered */}
+        <div className="lg:col-span-2 bg-white rounded-2xl p-5 shadow-md">
+          {!selectedAbsence ? (
+            <p className="text-sm text-gray-500">Record an absence to see the sessions that need cover.</p>
+          ) : (
+            <>
+              <h2 className="text-lg font-semibold text-gray-700 mb-1">
+                Sessions of {selectedAbsence.teacherName}
+              </h2>
+              <p className="text-sm text-gray-500 mb-4">
+                From the published timetables, {formatDate(selectedAbsence.startDate)} to {formatDate(selectedAbsence.endDate)}
+              </p>
+
+              {affectedSessions.length === 0 ? (
+                <p className="text-sm text-gray-500">No published sessions fall in this absence.</p>
+              ) : (
+                <ul className="space-y-3">
+                  {affectedSessions.map(affected => {
+                    const cover = coverFor(affected.key);
+                    const options = suggestions[affected.key] || [];
+
+                    return (
+                      <li key={affected.key} className={`border rounded-lg p-3 ${cover ? 'border-green-200 bg-green-50' : 'border-amber-200 bg-amber-50'}`}>
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                          <div>
+                            <div className="text-sm font-semibold text-gray-800">
+                              {affected.session.code}{affected.session.subBatch && ` [${affected.session.subBatch}]`} · {affected.batch}
+                            </div>
+                            <div className="text-xs text-gray-600 flex flex-wrap items-center gap-3">
+                              <span className="flex items-center gap-1"><FiCalendar size={10} /> {formatDate(affected.date)}</span>
+                              <span className="flex items-center gap-1">
+                                <FiClock size={10} /> {affected.slots.length > 1 ? `${affected.slots[0]} (${affected.slots.length} periods)` : affected.slot}
+                              </span>
+                              {(affected.session.roomNumber || affected.session.room) && (
+                                <span className="flex items-center gap-1"><FiHome size={10} /> {affected.session.roomNumber || affected.session.room}</span>
+                              )}
+                            </div>
+                          </div>
+                          {cover && (
+                            <div className="flex items-center gap-2 text-sm text-green-800">
+                              <FiUserCheck /> Covered by <strong>{cover.substituteName}</strong>
+                              <button onClick={() => handleRemoveCover(cover)} className="text-gray-400 hover:text-red-600" title="Remove cover">
+                                <FiX size={14} />
+                              </button>
+                            </div>
+                          )}
+                        </div>
+
+                        {options.length === 0 ? (
+                          !cover && <p className="text-xs text-red-600 mt-2">Nobody in the department is free with spare load for this session.</p>
+                        ) : (
+                          <ul className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-2">
+                            {options.map(({ teacher, reasons }) => (
+                              <li key={teacher.id} className="bg-white border border-gray-100 rounded-md p-2">
+                                <div className="flex items-center justify-between gap-2">
+                                  <span className="text-xs font-medium text-gray-800">{teacher.name}</span>
+                                  <button
+                                    onClick={() => handleAssign(affected, teacher)}
+                                    disabled={cover?.substituteId === teacher.id}
+                                    className="text-xs text-teal-600 hover:text-teal-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+                                  >
+                                    {cover?.substituteId === teacher.id ? 'Assigned' : cover ? 'Switch' : 'Assign'}
+                                  </button>
+                                </div>
+                                <ul className="mt-1 space-y-0.5">
+                                  {reasons.map(reason => (
+                                    <li key={reason} className="text-xs text-gray-500">{reason}</li>
+                                  ))}
+                                </ul>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import { useState, useEffect } from 'react';
+import { FiCheck, FiX, FiUpload, FiMessageSquare, FiClock, FiEye } from 'react-icons/fi';
+import { useToast } from '../../context/ToastContext';
+import {
+  approveTimetable,
+  rejectTimetable,
+  publishApprovedTimetable,
+  addWorkflowComment,
+  fetchWorkflowHistory,
+  canPerformWorkflowAction,
+  TIMETABLE_STATUS,
+  TIMETABLE_STATUS_LABELS,
+  WORKFLOW_ACTIONS
+} from '../TTIncharge/services/TTBuilder/timetableWorkflow.js';
+
+const STATUS_STYLES = {
+  [TIMETABLE_STATUS.DRAFT]: 'bg-gray-100 text-gray-700',
+  [TIMETABLE_STATUS.IN_REVIEW]: 'bg-sky-100 text-sky-700',
+  [TIMETABLE_STATUS.APPROVED]: 'bg-emerald-100 text-emerald-700',
+  [TIMETABLE_STATUS.PUBLISHED]: 'bg-green-100 text-green-700'
+};
+
+const ACTION_LABELS = {
+  [WORKFLOW_ACTIONS.SUBMIT]: 'Submitted for review',
+  [WORKFLOW_ACTIONS.APPROVE]: 'Approved',
+  [WORKFLOW_ACTIONS.REJECT]: 'Rejected',
+  [WORKFLOW_ACTIONS.PUBLISH]: 'Published',
+  [WORKFLOW_ACTIONS.COMMENT]: 'Commented'
+};
+
+/**
+ * Timetable Review Panel
+ * Review queue for the HOD: pick a submitted timetable, comment on it, and
+ * approve, reject or publish it. The selected timetable is shown in the viewer grid.
+ */
+export default function TimetableReviewPanel({ queue, activeReview, onSelect, user }) {
+  const { showError, showSuccess } = useToast();
+  const [comment, setComment] = useState('');
+  const [history, setHistory] = useState([]);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const reviewId = activeReview?.id || null;
+  const reviewStatus = activeReview?.status || null;
+
+  // Reload the history whenever the reviewed timetable or its status changes
+  useEffect(() => {
+    if (!reviewId) {
+      setHistory([]);
+      return;
+    }
+
+    fetchWorkflowHistory(reviewId)
+      .then(setHistory)
+      .catch(error => console.error('Error fetching workflow history:', error));
+  }, [reviewId, reviewStatus]);
+
+  const runAction = async (action, successMessage) => {
+    setIsWorking(true);
+    try {
+      await action(activeReview.id, { user, comment });
+      setComment('');
+      showSuccess(successMessage);
+    } catch (error) {
+      console.error('Error updating timetable review:', error);
+      showError(error.message || 'Failed to update the review');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const can = (action) => Boolean(activeReview) && canPerformWorkflowAction(activeReview.status, action, user);
+
+  return (
+    <div className="bg-white rounded-2xl p-5 shadow-md mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-700 flex items-center gap-2">
+          <FiEye className="text-teal-600" />
+          Review Queue
+        </h2>
+        {activeReview && (
+          <button
+            onClick={() => onSelect(null)}
+            className="text-sm text-teal-600 hover:underline"
+          >
+            Back to published timetables
+          </button>
+        )}
+      </div>
+
+      {queue.length === 0 ? (
+        <p className="text-sm text-gray-500">No timetables are waiting for review.</p>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {queue.map(item => (
+            <button
+              key={item.id}
+              onClick={() => onSelect(item)}
+              className={`px-3 py-2 rounded-lg border text-sm flex items-center gap-2 transition ${
+                activeReview?.id === item.id ? 'border-teal-500 bg-teal-50' : 'border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              <span>{item.semester} - {item.branch} - {item.batch}</span>
+              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[item.status]}`}>
+                {TIMETABLE_STATUS_LABELS[item.status]}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {activeReview && (
+        <div className="mt-4 grid md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Comment</label>
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows="3"
+              placeholder="Required when rejecting"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+            />
+            <div className="flex flex-wrap gap-2 mt-2">
+              {can(WORKFLOW_ACTIONS.APPROVE) && (
+                <button
+                  onClick={() => runAction(approveTimetable, 'Timetable approved')}
+                  disabled={isWorking}
+                  className="px-3 py-2 rounded-lg bg-emerald-600 text-white text-sm hover:bg-emerald-700 disabled:opacity-50 flex items-center gap-1"
+                >
+                  <FiCheck size={14} />
+                  <span>Approve</span>
+                </button>
+              )}
+              {can(WORKFLOW_ACTIONS.REJECT) && (
+                <button
+                  onClick={() => runAction(rejectTimetable, 'Timetable sent back to the TT Incharge')}
+                  disabled={isWorking || !comment.trim()}
+                  className="px-3 py-2 rounded-lg bg-rose-600 text-white text-sm hover:bg-rose-700 disabled:opacity-50 flex items-center gap-1"
+                >
+                  <FiX size={14} />
+                  <span>Reject</span>
+                </button>
+              )}
+              {can(WORKFLOW_ACTIONS.PUBLISH) && (
+                <button
+                  onClick={() => runAction(publishApprovedTimetable, 'Timetable published')}
+                  disabled={isWorking}
+                  className="px-3 py-2 rounded-lg bg-green-600 text-white text-sm hover:bg-green-700 disabled:opacity-50 flex items-center gap-1"
+                >
+                  <FiUpload size={14} />
+                  <span>Publish</span>
+                </button>
+              )}
+              {can(WORKFLOW_ACTIONS.COMMENT) && (
+                <button
+                  onClick={() => runAction(addWorkflowComment, 'Comment added')}
+                  disabled={isWorking || !comment.trim()}
+                  className="px-3 py-2 rounded-lg border border-gray-300 text-gray-700 text-sm hover:bg-gray-100 disabled:opacity-50 flex items-center gap-1"
+                >
+                  <FiMessageSquare size={14} />
+                  <span>Comment</span>
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">History</label>
+            <ul className="space-y-2 max-h-40 overflow-y-auto text-sm">
+              {history.map(event => (
+                <li key={event.id} className="border-l-2 border-teal-300 pl-2">
+                  <div className="text-gray-800">
+                    {ACTION_LABELS[event.action] || event.action} by {event.actor?.name || 'Unknown'}
+                  </div>
+                  <div className="text-xs text-gray-500 flex items-center gap-1">
+                    <FiClock size={10} />
+                    {event.createdAt.toLocaleString()}
+                  </div>
+                  {event.comment && <div className="text-xs text-gray-600 italic mt-0.5">“{event.comment}”</div>}
+                </li>
+              ))}
+              {history.length === 0 && <li className="text-xs text-gray-500">No activity yet.</li>}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,19 +1,40 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useContext } from 'react';
 import { motion } from 'framer-motion';
 import { 
   FiPrinter, FiDownload, FiSearch, FiFilter, FiCalendar, 
   FiGrid, FiUser, FiHome, FiBookOpen, FiChevronLeft, FiChevronRight,
-  FiMaximize2, FiMinimize2, FiInfo
+  FiMaximize2, FiMinimize2, FiInfo, FiUserCheck
 } from 'react-icons/fi';
 import { useSemester } from '../../context/SemesterContext';
+import { useTimeGrid } from '../../hooks/useTimeGrid';
+import { AuthContext } from '../../App';
+import TimetableReviewPanel from './TimetableReviewPanel';
+import {
+  subscribeToReviewQueue,
+  subscribeToPublishedTimetables,
+  TIMETABLE_STATUS
+} from '../TTIncharge/services/TTBuilder/timetableWorkflow.js';
+import { fetchTimetableVersion } from '../TTIncharge/services/TTBuilder/versionHistory.js';
+import { toDateKey, getWeekDates } from '../TTIncharge/services/TTBuilder/dateKeys.js';
+import {
+  getWeekSubstitutions,
+  getPeriodSubstitutions
+} from '../TTIncharge/services/TTBuilder/teacherAbsence.js';
+import {
+  DEFAULT_SEMESTER_WEEKS,
+  hasSemesterDates,
+  getSemesterWeeks,
+  getWeekNumberForDate,
+  formatWeekLabel,
+  getCourseTeachingDays
+} from '../TTIncharge/services/TTBuilder/semesterCalendar.js';
+import { subscribeToSubstitutions } from '../../services/TeacherAbsenceService';
 
 // Import services and constants
 import {
-  timeSlots,
-  weekdays,
   departments,
   semesters,
-  generateTimetableData,
+  toViewerTimetable,
   getFilteredTimetable,
   printTimetable,
   downloadTimetablePDF,
@@ -23,7 +44,9 @@ import {
 
 export default function TimetableViewer() {
   // Semester context
-  const { selectedSemester, availableSemesters } = useSemester();
+  const { selectedSemester, availableSemesters, getSemesterCalendar } = useSemester();
+  const { timeSlots, weekDays: weekdays } = useTimeGrid();
+  const { user } = useContext(AuthContext);
   
   // State variables
   const [viewType, setViewType] = useState('default'); // 'default', 'faculty', 'semester', 'room'
@@ -35,8 +58,77 @@ export default function TimetableViewer() {
   const [isZoomed, setIsZoomed] = useState(false);
   const [currentWeek, setCurrentWeek] = useState(1);
   
-  // Generate timetable data
-  const { timetable, courses, facultyMembers, rooms } = generateTimetableData();
+  // Published timetables and the HOD review queue
+  const [publishedTimetables, setPublishedTimetables] = useState([]);
+  const [selectedTimetableId, setSelectedTimetableId] = useState('');
+  const [reviewQueue, setReviewQueue] = useState([]);
+  const [reviewId, setReviewId] = useState(null);
+  const [reviewSchedule, setReviewSchedule] = useState(null);
+  
+  // Dated cover arrangements for absent teachers, shown for one week
+  const [substitutions, setSubstitutions] = useState([]);
+  const [coverDate, setCoverDate] = useState(() => toDateKey(new Date()));
+  
+  useEffect(() => subscribeToPublishedTimetables(setPublishedTimetables), []);
+  useEffect(() => subscribeToReviewQueue(setReviewQueue), []);
+  
+  // The timetable under review drops out of the queue once it is published
+  const activeReview = reviewQueue.find(item => item.id === reviewId) || null;
+  const reviewVersionId = activeReview
+    ? (activeReview.status === TIMETABLE_STATUS.APPROVED ? activeReview.approvedVersionId : activeReview.reviewVersionId)
+    : null;
+  
+  // Load the submitted (or approved) snapshot, never the live draft
+  useEffect(() => {
+    setReviewSchedule(null);
+    if (!reviewId || !reviewVersionId) return;
+    
+    let cancelled = false;
+    fetchTimetableVersion(reviewId, reviewVersionId)
+      .then(version => { if (!cancelled) setReviewSchedule(version?.schedule || {}); })
+      .catch(error => console.error('Error fetching the submitted version:', error));
+    return () => { cancelled = true; };
+  }, [reviewId, reviewVersionId]);
+  
+  // Read-only view shows published schedules only
+  const selectedPublished = publishedTimetables.find(item => item.id === selectedTimetableId) || publishedTimetables[0] || null;
+  const shownTimetable = activeReview || selectedPublished;
+  const shownSchedule = (activeReview ? reviewSchedule : selectedPublished?.publishedSchedule) || {};
+  const { timetable, courses, facultyMembers, rooms } = toViewerTimetable(
+    shownSchedule,
+    shownTimetable?.semester || ''
+  );
+  
+  // Real weeks of the semester when it has dates; otherwise numbered weeks only
+  const calendar = getSemesterCalendar(shownTimetable?.semester || selectedSemester);
+  const semesterWeeks = getSemesterWeeks(calendar);
+  const maxWeeks = semesterWeeks.length || DEFAULT_SEMESTER_WEEKS;
+  const calendarWeek = semesterWeeks[currentWeek - 1] || null;
+  const todayWeek = getWeekNumberForDate(calendar, toDateKey(new Date()));
+  
+  // Open on the week we are in
+  useEffect(() => {
+    setCurrentWeek(todayWeek || 1);
+  }, [todayWeek]);
+  
+  // Days of the week on show that hold no classes (holidays, exams, break, outside the semester)
+  const weekClosures = Object.fromEntries((calendarWeek?.days || [])
+    .filter(({ inSemester, closure }) => closure || !inSemester)
+    .map(({ day, closure }) => [day, closure || { type: 'outside', label: 'Outside the semester' }]));
+  const courseTeachingDays = hasSemesterDates(calendar) ? getCourseTeachingDays(calendar, shownSchedule) : null;
+  
+  // Substitutions override the published timetable on their date only
+  const publishedId = activeReview ? null : selectedPublished?.id;
+  useEffect(() => {
+    setSubstitutions([]);
+    if (!publishedId) return undefined;
+    return subscribeToSubstitutions(setSubstitutions, { field: 'timetableId', value: publishedId });
+  }, [publishedId]);
+  // The dated week on show: the semester week when the calendar has dates, else the picked date's week
+  const weekDateKey = calendarWeek ? calendarWeek.startDate : coverDate;
+  const weekDates = getWeekDates(weekDateKey);
+  const weekSubstitutions = publishedId ? getWeekSubstitutions(substitutions, weekDateKey) : [];
+  const formatShortDate = (dateKey) => new Date(`${dateKey}T00:00:00`).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
 
   // Get filtered timetable data
   const filters = {
@@ -62,11 +154,18 @@ export default function TimetableViewer() {
   
   // Week navigation
   const handlePreviousWeek = () => {
-    setCurrentWeek(navigateWeek(currentWeek, 'previous'));
+    setCurrentWeek(navigateWeek(currentWeek, 'previous', maxWeeks));
   };
   
   const handleNextWeek = () => {
-    setCurrentWeek(navigateWeek(currentWeek, 'next'));
+    setCurrentWeek(navigateWeek(currentWeek, 'next', maxWeeks));
+  };
+  
+  const handleJumpToDate = (dateKey) => {
+    if (!dateKey) return;
+    setCoverDate(dateKey);
+    const week = getWeekNumberForDate(calendar, dateKey);
+    if (week) setCurrentWeek(week);
   };
 
   // Reference for the timetable grid
@@ -84,6 +183,13 @@ export default function TimetableViewer() {
     <div className="p-6 relative bg-gray-50 min-h-screen">
       <h1 className="text-2xl font-bold text-gray-800 mb-6">Timetable Viewer</h1>
       
+      <TimetableReviewPanel
+        queue={reviewQueue}
+        activeReview={activeReview}
+        onSelect={(item) => setReviewId(item?.id || null)}
+        user={user}
+      />
+      
       {/* View Toggles and Filters */}
       <div className="bg-white rounded-2xl p-5 shadow-md mb-6">
         <div className="flex flex-col md:flex-row gap-4 justify-between items-center">
@@ -138,6 +244,24 @@ export default function TimetableViewer() {
 
         {/* Filters */}
         <div className="mt-4 flex flex-wrap gap-3">
+          {/* Published timetable selector */}
+          {!activeReview && (
+            <div className="w-full sm:w-auto">
+              <label className="block text-xs font-medium text-gray-500 mb-1 ml-1">Timetable</label>
+              <select
+                value={selectedPublished?.id || ''}
+                onChange={(e) => setSelectedTimetableId(e.target.value)}
+                disabled={publishedTimetables.length === 0}
+                className="w-full pl-4 pr-8 py-2 rounded-full border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+              >
+                {publishedTimetables.length === 0 && <option value="">No published timetables</option>}
+                {publishedTimetables.map((item) => (
+                  <option key={item.id} value={item.id}>{item.semester} - {item.branch} - {item.batch} ({item.type})</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Department Filter */}
           <div className="w-full sm:w-auto">
             <label className="block text-xs font-medium text-gray-500 mb-1 ml-1">Department</label>
@@ -228,23 +352,34 @@ export default function TimetableViewer() {
           
           <div className="flex items-center bg-gray-100 px-3 py-1 rounded-full">
             <FiCalendar className="text-teal-600 mr-2" />
-            <span className="font-medium">Week {currentWeek}</span>
+            <span className="font-medium">{calendarWeek ? formatWeekLabel(calendarWeek) : `Week ${currentWeek}`}</span>
+            {calendarWeek && (
+              <span className="ml-2 text-xs text-gray-500">
+                {calendarWeek.teachingDays} teaching day{calendarWeek.teachingDays !== 1 ? 's' : ''}
+              </span>
+            )}
           </div>
           
           <button
             onClick={handleNextWeek}
             className="p-2 rounded-full hover:bg-gray-100 transition-all"
-            disabled={currentWeek === 16}
+            disabled={currentWeek >= maxWeeks}
           >
-            <FiChevronRight className={currentWeek === 16 ? "text-gray-300" : "text-gray-600"} />
+            <FiChevronRight className={currentWeek >= maxWeeks ? "text-gray-300" : "text-gray-600"} />
           </button>
           
-          {/* Week calendar - mini-calendar dropdown would go here in a real implementation */}
-          <div className="relative">
-            <button className="ml-2 px-2 py-1 text-sm text-teal-600 hover:underline">
-              Jump to week
-            </button>
-          </div>
+          {/* Jump to the week of a date; its cover arrangements and holidays are marked on the grid */}
+          <label className="ml-2 flex items-center gap-2 text-sm text-teal-600" title="Show the week of this date">
+            Jump to date
+            <input
+              type="date"
+              value={weekDateKey}
+              min={calendar.startDate || undefined}
+              max={calendar.endDate || undefined}
+              onChange={(e) => handleJumpToDate(e.target.value)}
+              className="px-2 py-1 rounded-lg border border-gray-300 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-teal-500"
+            />
+          </label>
         </div>
         
         {/* CTA Buttons */}
@@ -279,6 +414,29 @@ export default function TimetableViewer() {
         </div>
       </div>
       
+      {/* What the grid is showing */}
+      <div className="mb-3 text-sm text-gray-600">
+        {activeReview ? (
+          <span>
+            Reviewing the {activeReview.status === TIMETABLE_STATUS.APPROVED ? 'approved' : 'submitted'} version of <strong>{activeReview.id}</strong>
+            {!reviewSchedule && ' (loading...)'}
+          </span>
+        ) : selectedPublished ? (
+          <span>
+            Published timetable <strong>{selectedPublished.id}</strong>
+            {selectedPublished.publishedAt && ` · published ${selectedPublished.publishedAt.toLocaleString()}`}
+            {selectedPublished.publishedBy?.name && ` by ${selectedPublished.publishedBy.name}`}
+            {weekSubstitutions.length > 0 && (
+              <span className="ml-2 text-amber-700">
+                · {weekSubstitutions.length} session{weekSubstitutions.length !== 1 ? 's' : ''} covered by substitutes this week
+              </span>
+            )}
+          </span>
+        ) : (
+          <span>No timetable has been published yet.</span>
+        )}
+      </div>
+
       {/* Main Timetable Grid */}
       <div 
         ref={timetableRef}
@@ -290,7 +448,15 @@ export default function TimetableViewer() {
               <tr>
                 <th className="py-4 px-2 border-b border-r border-gray-200 text-left">Time / Day</th>
                 {Object.keys(filteredTimetable).map(day => (
-                  <th key={day} className="py-4 px-2 border-b border-gray-200 text-center">{day}</th>
+                  <th key={day} className="py-4 px-2 border-b border-gray-200 text-center">
+                    {day}
+                    {weekDates[day] && <div className="text-xs font-normal text-gray-500">{formatShortDate(weekDates[day])}</div>}
+                    {weekClosures[day] && (
+                      <div className="mt-1 inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-rose-100 text-rose-700">
+                        {weekClosures[day].label}
+                      </div>
+                    )}
+                  </th>
                 ))}
               </tr>
             </thead>
@@ -302,11 +468,21 @@ export default function TimetableViewer() {
                   </td>
                   {Object.keys(filteredTimetable).map(day => {
                     const cellData = filteredTimetable[day][slot];
+                    
+                    // Later periods of a multi-period session are covered by its first cell
+                    if (cellData?.isContinuation && filteredTimetable[day][cellData.spanStart]) {
+                      return null;
+                    }
+                    const rowSpan = cellData && !cellData.isContinuation ? cellData.span || 1 : 1;
+                    const covers = cellData ? getPeriodSubstitutions(weekSubstitutions, day, slot) : [];
+                    const closure = weekClosures[day];
+                    
                     return (
-                      <td key={`${day}-${slot}`} className="border border-gray-100 p-1">
+                      <td key={`${day}-${slot}`} rowSpan={rowSpan} className={`border border-gray-100 p-1 ${closure ? 'bg-rose-50' : ''}`}>
                         {cellData ? (
                           <motion.div 
-                            className={`h-24 p-2 rounded-lg ${cellData.colorClass} border cursor-pointer overflow-hidden relative group transition-all hover:shadow-md`}
+                            className={`${rowSpan > 1 ? 'h-full' : 'h-24'} p-2 rounded-lg ${cellData.colorClass} border cursor-pointer overflow-hidden relative group transition-all hover:shadow-md ${closure ? 'opacity-40' : ''}`}
+                            style={rowSpan > 1 ? { minHeight: `${rowSpan * 6.5 - 0.5}rem` } : undefined}
                             whileHover={{ scale: 1.02 }}
                           >
                             <div className="text-sm font-semibold">{cellData.code}</div>
@@ -319,6 +495,12 @@ export default function TimetableViewer() {
                               <FiHome size={10} className="mr-1" />
                               {cellData.room}
                             </div>
+                            {covers.map(cover => (
+                              <div key={cover.id} className="mt-1 text-xs flex items-center px-1 rounded bg-amber-100 text-amber-800 truncate">
+                                <FiUserCheck size={10} className="mr-1 flex-shrink-0" />
+                                {cover.substituteName}{cover.subBatch && ` [${cover.subBatch}]`}
+                              </div>
+                            ))}
                             
                             {/* Tooltip/pop-up on hover */}
                             <div className="absolute inset-0 bg-white p-3 rounded-lg shadow-xl scale-90 opacity-0 group-hover:opacity-100 group-hover:scale-100 transition-all z-20">
@@ -336,10 +518,19 @@ export default function TimetableViewer() {
                                 <FiCalendar size={12} className="mr-1" />
                                 {cellData.semester}
                               </div>
+                              {closure && (
+                                <div className="text-xs mt-1 text-rose-700">No class this week: {closure.label}</div>
+                              )}
+                              {covers.map(cover => (
+                                <div key={cover.id} className="text-xs mt-1 flex items-center text-amber-800">
+                                  <FiUserCheck size={12} className="mr-1" />
+                                  {formatShortDate(cover.date)}: {cover.substituteName} covers {cover.courseCode} for {cover.teacherName}
+                                </div>
+                              ))}
                             </div>
                           </motion.div>
                         ) : (
-                          <div className="h-24 rounded-lg border border-dashed border-gray-300 bg-gray-50"></div>
+                          <div className={`h-24 rounded-lg border border-dashed ${closure ? 'border-rose-200 bg-rose-50' : 'border-gray-300 bg-gray-50'}`}></div>
                         )}
                       </td>
                     );
@@ -365,6 +556,28 @@ export default function TimetableViewer() {
             </div>
           ))}
         </div>
+        
+        {/* Classes each course actually gets, from the semester calendar */}
+        {courseTeachingDays && Object.keys(courseTeachingDays).length > 0 && (
+          <div className="mt-4 border-t pt-4">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">
+              Teaching days this semester ({formatShortDate(calendar.startDate)} – {formatShortDate(calendar.endDate)}, holidays, exams and break excluded)
+            </h3>
+            <ul className="space-y-1">
+              {Object.entries(courseTeachingDays).map(([code, { days, totalPeriods }]) => (
+                <li key={code} className="text-sm text-gray-700 flex flex-wrap gap-x-3">
+                  <span className="font-medium w-24">{code}</span>
+                  {Object.entries(days).map(([day, { periods, teachingDays }]) => (
+                    <span key={day} className="text-gray-600">
+                      {day.slice(0, 3)}: {teachingDays} day{teachingDays !== 1 ? 's' : ''}{periods > 1 && ` × ${periods} periods`}
+                    </span>
+                  ))}
+                  <span className="text-teal-700">= {totalPeriods} period{totalPeriods !== 1 ? 's' : ''}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
       
       {/* Print stylesheet - only applied when printing */}
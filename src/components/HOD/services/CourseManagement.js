@@ -17,6 +17,8 @@ import {
   arrayRemove
 } from '../../../firebase/config.js';
 import { logActivity } from './HODDashboard';
+import { normalizeSessionRequirements } from '../../TTIncharge/services/TTBuilder/roomRequirements';
+import { getContactHours, formatContactHours } from '../../TTIncharge/services/TTBuilder/contactHours';
 // Import semester service functions
 import { 
   getCurrentSemesterPeriod,
@@ -150,9 +152,15 @@ export const fetchSingleCourse = async (courseId) => {
       facultyList: facultyList, // All assigned faculty
       semester: courseData.semester || '',
       weeklyHours: finalWeeklyHours,
+      electiveGroup: courseData.electiveGroup || '',
+      sessionRequirements: courseData.sessionRequirements || null,
       department: courseData.department || '',
       isCommon: isCommon,
       isCommonCourse: courseData.isCommonCourse || false, // SuperAdmin flag
+      // Include the individual hour fields
+      lectureHours: courseData.lectureHours || 0,
+      tutorialHours: courseData.tutorialHours || 0,
+      practicalHours: courseData.practicalHours || 0,
       // Include other important fields
       credits: courseData.credits || 0,
       type: courseData.type || 'Core',
@@ -313,110 +321,30 @@ export const filterCourses = (courses, searchTerm, selectedSemester, selectedFac
 };
 
 /**
- * DEPRECATED: No longer parsing weekly hours - using credits directly
- * Kept for backward compatibility but returns empty values
+ * Split a course's weekly hours into lecture, tutorial and practical hours
+ * Reads explicit L/T/P fields first, then '3L+1T+2P', '3-1-2' or a plain number of lectures
+ * @param {string|number} weeklyHours - Weekly hours as stored on the course
+ * @param {Object} courseData - Optional course carrying lectureHours/tutorialHours/practicalHours
+ * @returns {Object} { lectureHours, tutorialHours, practicalHours } as strings for the form
  */
 export const parseWeeklyHours = (weeklyHours, courseData = null) => {
-  // Return empty values - no longer using this parsing
-  return { lectureHours: '0', tutorialHours: '0', practicalHours: '0' };
-  
-  /* OLD IMPLEMENTATION - COMMENTED OUT
-  
-  // If course data is provided and has individual hour fields, use them directly
-  if (courseData && (courseData.lectureHours !== undefined || courseData.tutorialHours !== undefined || courseData.practicalHours !== undefined)) {
-    
-    const result = {
-      lectureHours: courseData.lectureHours !== undefined && courseData.lectureHours !== null ? courseData.lectureHours.toString() : '0',
-      tutorialHours: courseData.tutorialHours !== undefined && courseData.tutorialHours !== null ? courseData.tutorialHours.toString() : '0',
-      practicalHours: courseData.practicalHours !== undefined && courseData.practicalHours !== null ? courseData.practicalHours.toString() : '0'
-    };
-    return result;
-  }
-  
-  // Handle null or undefined values
-  if (!weeklyHours && weeklyHours !== 0) {
-    return {
-      lectureHours: '0',
-      tutorialHours: '0',
-      practicalHours: '0'
-    };
-  }
-  
-  try {
-    
-    // Handle number format - assume it's total lecture hours
-    if (typeof weeklyHours === 'number') {
-      const result = {
-        lectureHours: weeklyHours.toString(),
-        tutorialHours: '0',
-        practicalHours: '0'
-      };
-      return result;
-    }
-    
-    // Convert to string for further processing
-    const weeklyHoursStr = weeklyHours.toString();
-    
-    // Try format with L-T-P suffixes with + separators (e.g., "3L+1T+2P")
-    let lectureMatch = weeklyHoursStr.match(/(\d+)L/);
-    let tutorialMatch = weeklyHoursStr.match(/(\d+)T/);
-    let practicalMatch = weeklyHoursStr.match(/(\d+)P/);
-    
-    if (lectureMatch || tutorialMatch || practicalMatch) {
-      const result = {
-        lectureHours: lectureMatch ? lectureMatch[1] : '0',
-        tutorialHours: tutorialMatch ? tutorialMatch[1] : '0',
-        practicalHours: practicalMatch ? practicalMatch[1] : '0'
-      };
-      return result;
-    }
-    
-    // Try format without suffixes with dash separators (e.g., "3-1-2")
-    const dashSeparated = weeklyHoursStr.split('-');
-    if (dashSeparated.length >= 3) {
-      const result = {
-        lectureHours: dashSeparated[0] || '0',
-        tutorialHours: dashSeparated[1] || '0',
-        practicalHours: dashSeparated[2] || '0'
-      };
-      return result;
-    }
-    
-    // If it's a single number string, treat as lecture hours
-    const singleNumber = parseInt(weeklyHoursStr);
-    if (!isNaN(singleNumber)) {
-      const result = {
-        lectureHours: singleNumber.toString(),
-        tutorialHours: '0',
-        practicalHours: '0'
-      };
-      return result;
-    }
-    
-    // If no recognized format, return defaults
-    return {
-      lectureHours: '0',
-      tutorialHours: '0',
-      practicalHours: '0'
-    };
-    
-  } catch (error) {
-    return {
-      lectureHours: '0',
-      tutorialHours: '0',
-      practicalHours: '0'
-    };
-  }
-  END OF OLD IMPLEMENTATION */
+  const hours = getContactHours({ ...(courseData || {}), weeklyHours, credits: null });
+  return {
+    lectureHours: hours.lecture.toString(),
+    tutorialHours: hours.tutorial.toString(),
+    practicalHours: hours.practical.toString()
+  };
 };
 
 /**
- * DEPRECATED: No longer formatting weekly hours - using credits directly
+ * Write lecture, tutorial and practical hours as a weekly hours string
+ * @param {string|number} lectureHours - Lecture hours
+ * @param {string|number} tutorialHours - Tutorial hours
+ * @param {string|number} practicalHours - Practical hours
+ * @returns {string} e.g. '3L+1T+2P' ('' when all are zero)
  */
-export const formatWeeklyHours = (lectureHours, tutorialHours, practicalHours) => {
-  // No longer formatting - return empty string
-  return '';
-};
+export const formatWeeklyHours = (lectureHours, tutorialHours, practicalHours) =>
+  formatContactHours({ lecture: lectureHours, tutorial: tutorialHours, practical: practicalHours });
 
 /**
  * Add a new course to Firebase with support for multiple faculty assignments
@@ -464,6 +392,11 @@ export const addCourse = async (courses, formData, faculty, departmentId, user =
       facultyList: facultyIds, // All assigned faculty
       semester: formData.semester,
       weeklyHours: parseFloat(formData.weeklyHours) || 0,
+      electiveGroup: (formData.electiveGroup || '').trim() || null,
+      sessionRequirements: normalizeSessionRequirements(formData.sessionRequirements),
+      lectureHours: parseInt(formData.lectureHours, 10) || null,
+      tutorialHours: parseInt(formData.tutorialHours, 10) || null,
+      practicalHours: parseInt(formData.practicalHours, 10) || null,
       department: departmentId,
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
@@ -584,6 +517,11 @@ export const updateCourse = async (courses, courseId, formData, faculty, departm
       facultyList: newFacultyIds, // All assigned faculty
       semester: formData.semester,
       weeklyHours: parseFloat(formData.weeklyHours) || 0,
+      electiveGroup: (formData.electiveGroup || '').trim() || null,
+      sessionRequirements: normalizeSessionRequirements(formData.sessionRequirements),
+      lectureHours: parseInt(formData.lectureHours, 10) || null,
+      tutorialHours: parseInt(formData.tutorialHours, 10) || null,
+      practicalHours: parseInt(formData.practicalHours, 10) || null,
       updatedAt: serverTimestamp(),
       // Additional fields
       credits: parseFloat(formData.credits || formData.weeklyHours) || 0
@@ -640,6 +578,11 @@ export const updateCourse = async (courses, courseId, formData, faculty, departm
       facultyList: facultyList, // All assigned faculty
       semester: formData.semester,
       weeklyHours: parseFloat(formData.weeklyHours) || 0,
+      electiveGroup: (formData.electiveGroup || '').trim(),
+      sessionRequirements: normalizeSessionRequirements(formData.sessionRequirements),
+      lectureHours: parseInt(formData.lectureHours, 10) || null,
+      tutorialHours: parseInt(formData.tutorialHours, 10) || null,
+      practicalHours: parseInt(formData.practicalHours, 10) || null,
       credits: parseFloat(formData.credits || formData.weeklyHours) || 0
     };
     
@@ -1365,16 +1308,7 @@ export const fetchCoursesEnhanced = async (departmentName) => {
       // Format weekly hours
       let finalWeeklyHours = courseData.weeklyHours;
       if (!finalWeeklyHours || finalWeeklyHours === '0' || finalWeeklyHours === 0) {
-        const lectureHours = courseData.lectureHours || 0;
-        const tutorialHours = courseData.tutorialHours || 0;
-        const practicalHours = courseData.practicalHours || 0;
-        finalWeeklyHours = `${lectureHours}L`;
-        if (tutorialHours > 0) finalWeeklyHours += `+${tutorialHours}T`;
-        if (practicalHours > 0) finalWeeklyHours += `+${practicalHours}P`;
-        
-        if (finalWeeklyHours === '0L') {
-          finalWeeklyHours = String(finalWeeklyHours || '0-0-0');
-        }
+        finalWeeklyHours = formatWeeklyHours(courseData.lectureHours, courseData.tutorialHours, courseData.practicalHours) || '0-0-0';
       }
       
       // Determine if this is a common course (either new system or legacy)
@@ -1397,6 +1331,8 @@ export const fetchCoursesEnhanced = async (departmentName) => {
         facultyList: facultyList, // All assigned faculty
         semester: courseData.semester || '',
         weeklyHours: finalWeeklyHours,
+        electiveGroup: courseData.electiveGroup || '',
+        sessionRequirements: courseData.sessionRequirements || null,
         department: courseData.department || '',
         isCommon: isCommon,
         isCommonCourse: courseData.isCommonCourse || false, // SuperAdmin flag
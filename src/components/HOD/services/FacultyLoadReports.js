@@ -22,6 +22,13 @@ import {
   getActiveSemester 
 } from '../../../services/SemesterService.js';
 
+// Import workload policy checks shared with the timetable builder
+import {
+  getTeacherWorkloadPolicy,
+  getTeacherPeriods,
+  evaluateWorkload
+} from '../../TTIncharge/services/TTBuilder/workloadPolicy.js';
+
 // Collection references
 const FACULTY_COLLECTION = 'teachers';
 const COURSES_COLLECTION = 'courses';
@@ -100,6 +107,8 @@ export const fetchFaculty = async (departmentId) => {
         status: data.status || 'available',
         loadHours: data.loadHours || 0,
         maxHours: data.maxHours || 18,
+        designation: data.designation || '',
+        workloadPolicyId: data.workloadPolicyId || null,
         expertise: data.expertise || [],
         assignedCourses: assignedCourses // Now semester-aware object
       };
@@ -201,8 +210,24 @@ export const calculateHoursFromString = (hoursString) => {
   return typeof hoursString === 'number' ? hoursString : parseInt(hoursString) || 0;
 };
 
-// Calculate the faculty load data with course information
-export const getFacultyWithLoadData = (faculty, courses, selectedSemester) => {
+/**
+ * Periods each faculty member is scheduled for in the semester's timetables
+ * @param {Array} timetables - Timetable records ({ semester, schedule })
+ * @param {Array} faculty - Faculty list
+ * @param {string} selectedSemester - Selected semester
+ * @returns {Object} Faculty ID -> { day, slot } periods
+ */
+export const getScheduledPeriods = (timetables, faculty, selectedSemester) => {
+  const semesterTimetables = timetables.filter(timetable => timetable.semester === selectedSemester);
+  return Object.fromEntries(faculty.map(f => [
+    f.id,
+    semesterTimetables.flatMap(timetable => getTeacherPeriods(timetable.schedule, f.id))
+  ]));
+};
+
+// Calculate the faculty load data with course information;
+// scheduled periods are checked against each member's workload policy
+export const getFacultyWithLoadData = (faculty, courses, selectedSemester, workloadPolicies = [], scheduledPeriods = {}) => {
   // Filter courses based on selected semester (with trim to handle whitespace)
   const semesterCourses = courses.filter(course => 
     course.semester && course.semester.trim() === selectedSemester.trim()
@@ -285,8 +310,13 @@ export const getFacultyWithLoadData = (faculty, courses, selectedSemester) => {
     const semesterLoadHours = facultyCourses.reduce((total, course) => 
       total + calculateHoursFromString(course.weeklyHours), 0);
     
+    // The workload policy's weekly limit replaces the stored maximum
+    const workloadPolicy = getTeacherWorkloadPolicy(f, workloadPolicies);
+    const maxHours = workloadPolicy?.maxHoursPerWeek || f.maxHours;
+    const workload = evaluateWorkload(scheduledPeriods[f.id] || [], workloadPolicy);
+    
     // Determine faculty status based on load
-    const loadPercentage = (semesterLoadHours / f.maxHours) * 100;
+    const loadPercentage = (semesterLoadHours / maxHours) * 100;
     let status = 'available';
     if (loadPercentage > 90) {
       status = 'overloaded';
@@ -296,10 +326,14 @@ export const getFacultyWithLoadData = (faculty, courses, selectedSemester) => {
     
     return {
       ...f,
+      maxHours,
       semesterLoadHours,
       loadPercentage,
       status,
-      facultyCourses
+      facultyCourses,
+      workloadPolicy,
+      scheduledHours: workload.totalHours,
+      policyViolations: workload.violations
     };
   });
   
@@ -307,8 +341,8 @@ export const getFacultyWithLoadData = (faculty, courses, selectedSemester) => {
 };
 
 // Get filtered faculty data
-export const getFilteredFacultyData = (faculty, courses, selectedSemester, showOverloadedOnly, searchQuery) => {
-  const enhancedData = getFacultyWithLoadData(faculty, courses, selectedSemester);
+export const getFilteredFacultyData = (faculty, courses, selectedSemester, showOverloadedOnly, searchQuery, workloadPolicies = [], scheduledPeriods = {}) => {
+  const enhancedData = getFacultyWithLoadData(faculty, courses, selectedSemester, workloadPolicies, scheduledPeriods);
   
   let filtered = enhancedData;
   
@@ -356,7 +390,8 @@ export const generateReport = async (departmentId, selectedSemester, filteredFac
         loadPercentage: f.loadPercentage,
         status: f.status,
         semesterLoadHours: f.semesterLoadHours,
-        maxHours: f.maxHours
+        maxHours: f.maxHours,
+        policyViolations: f.policyViolations.map(violation => violation.message)
       }))
     };
     
@@ -39,12 +39,15 @@ export const useHODLayout = (user, setUser) => {
       setActiveSidebarItem('Reports');
     } else if (path.includes('/hod/timetable')) {
       setActiveSidebarItem('Timetable');
+    } else if (path.includes('/hod/absences')) {
+      setActiveSidebarItem('Absences');
     }
   }, [location]);
   
   const sidebarItems = [
     { label: 'Courses', icon: FiBook, iconSize: 18, path: '/hod/courses' },
     { label: 'Assign-Course', icon: FiUsers, iconSize: 18, path: '/hod/assign-faculty' },
+    { label: 'Absences', icon: FiCalendar, iconSize: 18, path: '/hod/absences' },
   ];
 
   const handleNavigation = (path, label) => {
@@ -20,14 +20,10 @@ import {
   getActiveSemester 
 } from '../../../services/SemesterService.js';
 
-// Constant time slots and weekdays
-export const timeSlots = [
-  '08:00 - 09:00', '09:00 - 10:00', '10:00 - 11:00', '11:00 - 12:00',
-  '12:00 - 13:00', '13:00 - 14:00', '14:00 - 15:00', '15:00 - 16:00',
-  '16:00 - 17:00', '17:00 - 18:00'
-];
-
-export const weekdays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+// Periods and working days come from the institution time grid
+import { getTimeSlots, getWeekDays } from '../../TTIncharge/services/TTBuilder/timeGrid.js';
+import { getCellSessions } from '../../TTIncharge/services/TTBuilder/timetableOperations.js';
+import { DEFAULT_SEMESTER_WEEKS } from '../../TTIncharge/services/TTBuilder/semesterCalendar.js';
 
 // Add departments export to fix the error
 export const departments = ['Electrical Engineering', 'Mechanical Engineering', 'Civil Engineering', 'Footwear Engineering', 'Agricultural Engineering'];
@@ -203,10 +199,10 @@ export const fetchTimetableData = async (departmentId, semesterId) => {
     // Construct timetable with course, faculty and room info
     const timetable = {};
     
-    weekdays.forEach(day => {
+    getWeekDays().forEach(day => {
       timetable[day] = {};
       
-      timeSlots.forEach(slot => {
+      getTimeSlots().forEach(slot => {
         const slotKey = `${day}:${slot}`;
         const slotData = slots[slotKey];
         
@@ -222,7 +218,10 @@ export const fetchTimetableData = async (departmentId, semesterId) => {
             room: roomName,
             semester: course.semester,
             courseId: slotData.courseId,
-            colorClass: colorMap[slotData.courseId]
+            colorClass: colorMap[slotData.courseId],
+            span: slotData.span || 1,
+            spanStart: slotData.spanStart || slot,
+            isContinuation: Boolean(slotData.isContinuation)
           };
         } else {
           timetable[day][slot] = null; // Empty slot
@@ -298,9 +297,9 @@ export const generateTimetableData = () => {
   const rooms = [...new Set(courses.map(course => course.room))];
 
   const timetable = {};
-  weekdays.forEach(day => {
+  getWeekDays().forEach(day => {
     timetable[day] = {};
-    timeSlots.forEach(slot => {
+    getTimeSlots().forEach(slot => {
       // 70% chance of having a class in this slot
       if (Math.random() < 0.7) {
         const course = courses[Math.floor(Math.random() * courses.length)];
@@ -317,6 +316,72 @@ export const generateTimetableData = () => {
   return { timetable, courses, facultyMembers, rooms };
 };
 
+/**
+ * Convert a builder schedule (published or under review) to the viewer's cell format
+ * Parallel sub-batch sessions share one cell, each labelled with its group.
+ * @param {Object} schedule - Builder schedule (day -> slot -> cell)
+ * @param {string} semester - Semester the timetable belongs to
+ * @returns {Object} { timetable, courses, facultyMembers, rooms } in the same shape as generateTimetableData
+ */
+export const toViewerTimetable = (schedule = {}, semester = '') => {
+  const courseColors = getCourseColors();
+  const colorMap = {};
+  const coursesMap = {};
+  const timetable = {};
+  
+  const withGroup = (session, value) => session.subBatch ? `${value} [${session.subBatch}]` : value;
+  const getTeacher = (session) => session.teacherName || session.teacher || '';
+  const getRoom = (session) => session.roomNumber || session.roomName || session.room || '';
+  
+  getWeekDays().forEach(day => {
+    timetable[day] = {};
+    
+    getTimeSlots().forEach(slot => {
+      const sessions = getCellSessions(schedule?.[day]?.[slot]).filter(session => session.code);
+      if (sessions.length === 0) {
+        timetable[day][slot] = null;
+        return;
+      }
+      
+      sessions.forEach(session => {
+        if (!colorMap[session.code]) {
+          colorMap[session.code] = courseColors[Object.keys(colorMap).length % courseColors.length];
+        }
+        coursesMap[session.code] = coursesMap[session.code] || {
+          code: session.code,
+          name: session.name || session.title || '',
+          faculty: getTeacher(session) || 'Unassigned',
+          semester
+        };
+      });
+      
+      const [first] = sessions;
+      const isParallel = sessions.length > 1;
+      timetable[day][slot] = {
+        code: sessions.map(session => withGroup(session, session.code)).join(' / '),
+        name: sessions.map(session => session.name || session.title || '').join(' / '),
+        faculty: [...new Set(sessions.map(getTeacher).filter(Boolean))].join(', ') || 'No Faculty',
+        room: [...new Set(sessions.map(getRoom).filter(Boolean))].join(', ') || 'No Room',
+        semester,
+        courseId: first.code,
+        colorClass: colorMap[first.code],
+        // Parallel cells are never merged across periods
+        span: isParallel ? 1 : first.span || 1,
+        spanStart: isParallel ? slot : first.spanStart || slot,
+        isContinuation: !isParallel && Boolean(first.isContinuation)
+      };
+    });
+  });
+  
+  const courses = Object.values(coursesMap);
+  const facultyMembers = [...new Set(courses.map(course => course.faculty))].filter(name => name !== 'Unassigned');
+  const rooms = [...new Set(Object.values(timetable).flatMap(day => 
+    Object.values(day).filter(Boolean).flatMap(cell => cell.room.split(', '))
+  ))].filter(room => room !== 'No Room');
+  
+  return { timetable, courses, facultyMembers, rooms };
+};
+
 // Filter timetable data based on current filters
 export const getFilteredTimetable = (timetable, filters) => {
   const { 
@@ -438,10 +503,8 @@ export const shareTimetable = async (departmentId, selectedSemester) => {
   }
 };
 
-export const navigateWeek = (currentWeek, direction) => {
-  // Assume there are 16 weeks in a semester
-  const maxWeeks = 16;
-  
+// Move one week back or forward; semesters without dates assume DEFAULT_SEMESTER_WEEKS
+export const navigateWeek = (currentWeek, direction, maxWeeks = DEFAULT_SEMESTER_WEEKS) => {
   if (direction === 'previous' && currentWeek > 1) {
     return currentWeek - 1;
   } else if (direction === 'next' && currentWeek < maxWeeks) {
@@ -0,0 +1,304 @@
+import { useState, useEffect, useCallback } from 'react';
+import { FiActivity, FiSearch, FiDownload, FiRefreshCw, FiUser, FiChevronDown, FiChevronUp } from 'react-icons/fi';
+import { auditLogger } from '../TTIncharge/services/TTBuilder/auditLogger';
+import { describeScheduleCell } from '../TTIncharge/services/TTBuilder/scheduleDiff';
+
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', type: 'text/csv' },
+  { value: 'json', label: 'JSON', type: 'application/json' },
+  { value: 'txt', label: 'Text', type: 'text/plain' }
+];
+
+const EMPTY_CRITERIA = { searchText: '', action: '', user: '', timetableId: '', startDate: '', endDate: '' };
+
+// End dates are inclusive: filter up to the end of the chosen day
+const toSearchCriteria = (criteria) => ({
+  ...criteria,
+  endDate: criteria.endDate ? `${criteria.endDate}T23:59:59.999` : ''
+});
+
+// Flatten a { day: { slot: cell } } payload into rows for the detail view
+const toCellRows = (before, after) => {
+  const rows = [];
+  Object.keys({ ...(before || {}), ...(after || {}) }).forEach(day => {
+    Object.keys({ ...(before?.[day] || {}), ...(after?.[day] || {}) }).forEach(slot => {
+      rows.push({ day, slot, before: before?.[day]?.[slot] ?? null, after: after?.[day]?.[slot] ?? null });
+    });
+  });
+  return rows;
+};
+
+const topEntries = (counts = {}, count = 5) =>
+  Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, count);
+
+export default function AuditLogs() {
+  const [criteria, setCriteria] = useState(EMPTY_CRITERIA);
+  const [appliedCriteria, setAppliedCriteria] = useState(EMPTY_CRITERIA);
+  const [logs, setLogs] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [exportFormat, setExportFormat] = useState('csv');
+
+  const loadLogs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const search = toSearchCriteria(appliedCriteria);
+      const matching = await auditLogger.searchLogs(search);
+      setLogs(matching);
+      setStats(await auditLogger.getStatistics(search, matching));
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedCriteria]);
+
+  useEffect(() => {
+    loadLogs();
+  }, [loadLogs]);
+
+  const updateCriteria = (field, value) => {
+    setCriteria(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setAppliedCriteria(criteria);
+  };
+
+  const handleReset = () => {
+    setCriteria(EMPTY_CRITERIA);
+    setAppliedCriteria(EMPTY_CRITERIA);
+  };
+
+  const handleExport = async () => {
+    const format = EXPORT_FORMATS.find(option => option.value === exportFormat);
+    setExporting(true);
+    try {
+      const content = await auditLogger.exportLogs(format.value, toSearchCriteria(appliedCriteria));
+      const url = URL.createObjectURL(new Blob([content], { type: format.type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-logs-${new Date().toISOString().slice(0, 10)}.${format.value}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+            <FiActivity className="text-indigo-600" />
+            Audit Logs
+          </h1>
+          <p className="text-sm text-gray-500">Timetable actions recorded on the server, newest first</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={exportFormat}
+            onChange={e => setExportFormat(e.target.value)}
+            className="px-2 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            {EXPORT_FORMATS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleExport}
+            disabled={exporting || logs.length === 0}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            <FiDownload />
+            {exporting ? 'Exporting...' : 'Export'}
+          </button>
+          <button
+            onClick={loadLogs}
+            className="p-2 border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50"
+            title="Reload"
+          >
+            <FiRefreshCw className={loading ? 'animate-spin' : ''} />
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <form onSubmit={handleSearch} className="bg-white rounded-xl shadow-sm p-4 grid grid-cols-1 md:grid-cols-6 gap-3">
+        <div className="md:col-span-2 relative">
+          <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={criteria.searchText}
+            onChange={e => updateCriteria('searchText', e.target.value)}
+            placeholder="Search details, courses, rooms..."
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <select
+          value={criteria.action}
+          onChange={e => updateCriteria('action', e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="">All actions</option>
+          {Object.keys(stats?.actionTypes || {}).sort().map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={criteria.user}
+          onChange={e => updateCriteria('user', e.target.value)}
+          placeholder="User email or name"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <input
+          type="text"
+          value={criteria.timetableId}
+          onChange={e => updateCriteria('timetableId', e.target.value)}
+          placeholder="Timetable ID"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <div className="flex gap-2">
+          <button type="submit" className="flex-1 px-3 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700">
+            Apply
+          </button>
+          <button type="button" onClick={handleReset} className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-600 hover:bg-gray-50">
+            Reset
+          </button>
+        </div>
+        <label className="text-xs text-gray-500 md:col-span-3 flex items-center gap-2">
+          From
+          <input
+            type="date"
+            value={criteria.startDate}
+            onChange={e => updateCriteria('startDate', e.target.value)}
+            className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+          />
+        </label>
+        <label className="text-xs text-gray-500 md:col-span-3 flex items-center gap-2">
+          To
+          <input
+            type="date"
+            value={criteria.endDate}
+            onChange={e => updateCriteria('endDate', e.target.value)}
+            className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+          />
+        </label>
+      </form>
+
+      {/* Statistics */}
+      {stats && !stats.error && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-white rounded-xl shadow-sm p-4">
+            <div className="text-sm text-gray-500">Matching entries</div>
+            <div className="text-3xl font-bold text-gray-800">{stats.totalLogs}</div>
+            {stats.dateRange && (
+              <div className="text-xs text-gray-400 mt-1">
+                {new Date(stats.dateRange.earliest).toLocaleString()} – {new Date(stats.dateRange.latest).toLocaleString()}
+              </div>
+            )}
+          </div>
+          <div className="bg-white rounded-xl shadow-sm p-4">
+            <div className="text-sm text-gray-500 mb-2">Top actions</div>
+            {topEntries(stats.actionTypes).map(([action, count]) => (
+              <div key={action} className="flex justify-between text-sm text-gray-700">
+                <span>{action}</span>
+                <span className="font-medium">{count}</span>
+              </div>
+            ))}
+          </div>
+          <div className="bg-white rounded-xl shadow-sm p-4">
+            <div className="text-sm text-gray-500 mb-2">Most active users</div>
+            {topEntries(stats.userActions).map(([userLabel, count]) => (
+              <div key={userLabel} className="flex justify-between text-sm text-gray-700">
+                <span className="flex items-center gap-1"><FiUser size={12} />{userLabel}</span>
+                <span className="font-medium">{count}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Log entries */}
+      <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left font-medium text-gray-500">Time</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500">Action</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500">User</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500">Timetable</th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {loading ? (
+              <tr>
+                <td colSpan={5} className="px-4 py-8 text-center text-gray-500">Loading audit logs...</td>
+              </tr>
+            ) : logs.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-4 py-8 text-center text-gray-500">No audit entries match these filters</td>
+              </tr>
+            ) : logs.map(log => {
+              const expanded = expandedId === log.id;
+              const cellRows = expanded ? toCellRows(log.before, log.after) : [];
+              return (
+                <tr key={log.id} className="align-top">
+                  <td className="px-4 py-3 text-gray-600 whitespace-nowrap">{new Date(log.timestamp).toLocaleString()}</td>
+                  <td className="px-4 py-3">
+                    <span className="px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 text-xs">{log.action}</span>
+                    {expanded && (
+                      <div className="mt-3 space-y-2">
+                        <pre className="bg-gray-50 rounded-lg p-2 text-xs text-gray-700 whitespace-pre-wrap">
+                          {JSON.stringify(log.details, null, 2)}
+                        </pre>
+                        {cellRows.length > 0 && (
+                          <table className="text-xs border border-gray-200 rounded-lg">
+                            <thead className="bg-gray-50">
+                              <tr>
+                                <th className="px-2 py-1 text-left text-gray-500">Cell</th>
+                                <th className="px-2 py-1 text-left text-gray-500">Before</th>
+                                <th className="px-2 py-1 text-left text-gray-500">After</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {cellRows.map(row => (
+                                <tr key={`${row.day}|${row.slot}`} className="border-t border-gray-100">
+                                  <td className="px-2 py-1 text-gray-700 whitespace-nowrap">{row.day} {row.slot}</td>
+                                  <td className="px-2 py-1 text-red-700">{describeScheduleCell(row.before)}</td>
+                                  <td className="px-2 py-1 text-green-700">{describeScheduleCell(row.after)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">
+                    {log.user?.name || 'Unknown'}
+                    {log.user?.email && <div className="text-xs text-gray-400">{log.user.email}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">{log.timetableId || '—'}</td>
+                  <td className="px-4 py-3 text-right">
+                    <button
+                      onClick={() => setExpandedId(expanded ? null : log.id)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title={expanded ? 'Hide details' : 'Show details'}
+                    >
+                      {expanded ? <FiChevronUp /> : <FiChevronDown />}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -19,6 +19,8 @@ import { FiPlus, FiEdit, FiTrash2, FiSearch, FiX, FiHome, FiUsers, FiMonitor, Fi
 import { useRateLimitedUpload } from '../../hooks/useRateLimitedUpload';
 import UploadProgressIndicator from '../common/UploadProgressIndicator';
 import { useToast } from '../../context/ToastContext';
+import { useTimeGrid } from '../../hooks/useTimeGrid';
+import { sortTimeSlots } from '../TTIncharge/services/TTBuilder/timeSlotParser';
 import { 
   getAllRooms, 
   createRoom, 
@@ -38,30 +40,6 @@ import CollegeDropdown from '../common/CollegeDropdown';
 const ITEMS_PER_PAGE_OPTIONS = [10, 25, 50, 100];
 const DEFAULT_ITEMS_PER_PAGE = 25;
 
-// Time slots for room allocation
-const timeSlots = [
-  { id: '8:00-9:00', label: '8:00 - 9:00 AM' },
-  { id: '9:00-10:00', label: '9:00 - 10:00 AM' },
-  { id: '10:00-11:00', label: '10:00 - 11:00 AM' },
-  { id: '11:00-12:00', label: '11:00 AM - 12:00 PM' },
-  { id: '12:00-13:00', label: '12:00 - 1:00 PM' },
-  { id: '13:00-14:00', label: '1:00 - 2:00 PM' },
-  { id: '14:00-15:00', label: '2:00 - 3:00 PM' },
-  { id: '15:00-16:00', label: '3:00 - 4:00 PM' },
-  { id: '16:00-17:00', label: '4:00 - 5:00 PM' },
-  { id: '17:00-18:00', label: '5:00 - 6:00 PM' }
-];
-
-// Days of the week for scheduling
-const daysOfWeek = [
-  { id: 'monday', label: 'Monday' },
-  { id: 'tuesday', label: 'Tuesday' },
-  { id: 'wednesday', label: 'Wednesday' },
-  { id: 'thursday', label: 'Thursday' },
-  { id: 'friday', label: 'Friday' },
-  { id: 'saturday', label: 'Saturday' }
-];
-
 // Feature options with icons
 const featureOptions = serviceFeatureOptions.map(feature => {
   let icon;
@@ -90,6 +68,11 @@ export default function RoomManagement() {
   // Toast notifications
   const { showSuccess, showError, showWarning, showInfo } = useToast();
   
+  // Periods and working days for room allocation come from the institution time grid
+  const { timeSlots: gridSlots, weekDays } = useTimeGrid();
+  const timeSlots = gridSlots.map(slot => ({ id: slot, label: slot }));
+  const daysOfWeek = weekDays.map(day => ({ id: day.toLowerCase(), label: day }));
+  
   // State variables
   const [rooms, setRooms] = useState([]);
   const [filteredRooms, setFilteredRooms] = useState([]);
@@ -251,7 +234,7 @@ export default function RoomManagement() {
         updatedTimings = dayTimings.filter(slot => slot !== timeSlotId);
       } else {
         // Add time slot if not selected
-        updatedTimings = [...dayTimings, timeSlotId].sort();
+        updatedTimings = sortTimeSlots([...dayTimings, timeSlotId]);
       }
       
       return {
@@ -0,0 +1,187 @@
+import { useState } from 'react';
+import { FiPlus, FiTrash2, FiCalendar, FiSave, FiX } from 'react-icons/fi';
+import { updateSemesterCalendar } from './services/SettingsSemester';
+import {
+  normalizeSemesterCalendar,
+  validateSemesterCalendar,
+  hasSemesterDates,
+  getSemesterWeeks,
+  countTeachingDays
+} from '../TTIncharge/services/TTBuilder/semesterCalendar.js';
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-lg text-sm';
+
+// Convert a stored calendar into editable form state (empty strings for missing dates)
+const toFormState = (calendar) => {
+  const normalized = normalizeSemesterCalendar(calendar);
+  return {
+    startDate: normalized.startDate || '',
+    endDate: normalized.endDate || '',
+    holidays: normalized.holidays,
+    examBlocks: normalized.examBlocks,
+    midSemesterBreak: normalized.midSemesterBreak || { startDate: '', endDate: '' }
+  };
+};
+
+// Edit a semester's start and end dates, holidays, exam blocks and mid-semester break
+export default function SemesterCalendarEditor({ semester, onSaved, onClose }) {
+  const [calendar, setCalendar] = useState(() => toFormState(semester.calendar));
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const errors = validateSemesterCalendar(calendar);
+  const preview = errors.length === 0 ? normalizeSemesterCalendar(calendar) : null;
+  const weeks = preview ? getSemesterWeeks(preview) : [];
+  const teachingDays = preview && hasSemesterDates(preview) ? countTeachingDays(preview) : null;
+
+  const updateField = (field, value) => setCalendar(prev => ({ ...prev, [field]: value }));
+
+  const updateListItem = (list, index, changes) => {
+    setCalendar(prev => ({
+      ...prev,
+      [list]: prev[list].map((item, i) => i === index ? { ...item, ...changes } : item)
+    }));
+  };
+
+  const addListItem = (list, item) => setCalendar(prev => ({ ...prev, [list]: [...prev[list], item] }));
+
+  const removeListItem = (list, index) => {
+    setCalendar(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setSaveError(null);
+      const saved = await updateSemesterCalendar(semester.id, calendar);
+      onSaved(saved);
+    } catch (error) {
+      console.error('Error saving semester calendar:', error);
+      setSaveError(error.message || 'Failed to save the calendar');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 p-4 border border-blue-200 rounded-lg bg-blue-50/40">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-md font-medium text-gray-700 flex items-center">
+          <FiCalendar className="mr-2" /> Calendar of {semester.name}
+        </h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close">
+          <FiX size={18} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Semester dates</label>
+          <div className="flex items-center gap-2">
+            <input type="date" value={calendar.startDate} onChange={(e) => updateField('startDate', e.target.value)} className={inputClass} />
+            <span className="text-gray-400">to</span>
+            <input type="date" value={calendar.endDate} min={calendar.startDate} onChange={(e) => updateField('endDate', e.target.value)} className={inputClass} />
+          </div>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Mid-semester break</label>
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={calendar.midSemesterBreak.startDate}
+              onChange={(e) => updateField('midSemesterBreak', { ...calendar.midSemesterBreak, startDate: e.target.value })}
+              className={inputClass}
+            />
+            <span className="text-gray-400">to</span>
+            <input
+              type="date"
+              value={calendar.midSemesterBreak.endDate}
+              min={calendar.midSemesterBreak.startDate}
+              onChange={(e) => updateField('midSemesterBreak', { ...calendar.midSemesterBreak, endDate: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Holidays</label>
+          {calendar.holidays.map((holiday, index) => (
+            <div key={index} className="flex items-center gap-2 mb-1">
+              <input type="date" value={holiday.date} onChange={(e) => updateListItem('holidays', index, { date: e.target.value })} className={inputClass} />
+              <input
+                type="text"
+                value={holiday.name}
+                placeholder="e.g. Diwali"
+                onChange={(e) => updateListItem('holidays', index, { name: e.target.value })}
+                className={`${inputClass} flex-1`}
+              />
+              <button onClick={() => removeListItem('holidays', index)} className="text-gray-400 hover:text-red-600" title="Remove holiday">
+                <FiTrash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <button onClick={() => addListItem('holidays', { date: '', name: '' })} className="text-sm text-blue-600 hover:text-blue-800 flex items-center">
+            <FiPlus className="mr-1" /> Add Holiday
+          </button>
+        </div>
+
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Exam blocks</label>
+          {calendar.examBlocks.map((block, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2 mb-1">
+              <input
+                type="text"
+                value={block.name}
+                placeholder="e.g. Mid-semester exams"
+                onChange={(e) => updateListItem('examBlocks', index, { name: e.target.value })}
+                className={`${inputClass} w-40`}
+              />
+              <input type="date" value={block.startDate} onChange={(e) => updateListItem('examBlocks', index, { startDate: e.target.value })} className={inputClass} />
+              <input type="date" value={block.endDate} min={block.startDate} onChange={(e) => updateListItem('examBlocks', index, { endDate: e.target.value })} className={inputClass} />
+              <button onClick={() => removeListItem('examBlocks', index)} className="text-gray-400 hover:text-red-600" title="Remove exam block">
+                <FiTrash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <button onClick={() => addListItem('examBlocks', { name: '', startDate: '', endDate: '' })} className="text-sm text-blue-600 hover:text-blue-800 flex items-center">
+            <FiPlus className="mr-1" /> Add Exam Block
+          </button>
+        </div>
+      </div>
+
+      {errors.length > 0 && (
+        <div className="mt-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">
+          <ul className="list-disc pl-5 space-y-1">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {teachingDays && (
+        <div className="mt-4 p-3 bg-white rounded-lg text-sm text-gray-600">
+          <p className="font-medium text-gray-700 mb-1">{weeks.length} weeks · teaching days per weekday</p>
+          <div className="flex flex-wrap gap-3">
+            {Object.entries(teachingDays).map(([day, count]) => (
+              <span key={day}>{day.slice(0, 3)}: <strong>{count}</strong></span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {saveError && <p className="mt-3 text-sm text-red-600">{saveError}</p>}
+
+      <div className="mt-4 flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving || errors.length > 0}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <FiSave size={16} />
+          <span className="text-sm">{saving ? 'Saving...' : 'Save Calendar'}</span>
+        </button>
+      </div>
+    </div>
+  );
+}
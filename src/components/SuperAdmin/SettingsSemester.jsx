@@ -1,6 +1,9 @@
 import { useState, useEffect } from 'react';
 import { FiPlus, FiTrash2, FiCheck, FiX, FiEdit2, FiCalendar, FiAlertCircle, FiSave, FiInfo, FiRefreshCw } from 'react-icons/fi';
 import { useSemester } from '../../context/SemesterContext';
+import TimeGridSettings from './TimeGridSettings';
+import WorkloadPolicySettings from './WorkloadPolicySettings';
+import SemesterCalendarEditor from './SemesterCalendarEditor';
 import { 
   fetchSemesters, 
   addSemester, 
@@ -20,6 +23,7 @@ import {
   parseSemesterString,
   formatSemesterName
 } from '../../services/SemesterService';
+import { hasSemesterDates } from '../TTIncharge/services/TTBuilder/semesterCalendar.js';
 
 export default function SettingsSemester() {
   const { refreshSemesters } = useSemester(); // Hook to refresh semester context
@@ -32,6 +36,7 @@ export default function SettingsSemester() {
   const [savingChanges, setSavingChanges] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
   const [showSemesterGuide, setShowSemesterGuide] = useState(false);
+  const [calendarSemesterId, setCalendarSemesterId] = useState(null);
   
   // Get the current period and available semester numbers
   const currentPeriod = getCurrentSemesterPeriod();
@@ -233,6 +238,27 @@ export default function SettingsSemester() {
     }
   };
 
+  // Handle a saved semester calendar
+  const handleCalendarSaved = async (calendar) => {
+    setSemesters(prev => prev.map(sem => sem.id === calendarSemesterId ? { ...sem, calendar } : sem));
+    setCalendarSemesterId(null);
+    setSuccessMessage('Semester calendar saved');
+    
+    // Refresh semester context so viewers pick up the new dates
+    await refreshContextAfterChange();
+    
+    setTimeout(() => setSuccessMessage(''), 3000);
+  };
+
+  // Short description of a semester's calendar for the table
+  const describeCalendar = (calendar) => {
+    if (!hasSemesterDates(calendar)) return 'No dates set';
+    const format = (dateKey) => new Date(`${dateKey}T00:00:00`).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    const holidays = calendar.holidays.length;
+    const exams = calendar.examBlocks.length;
+    return `${format(calendar.startDate)} – ${format(calendar.endDate)} · ${holidays} holiday${holidays !== 1 ? 's' : ''} · ${exams} exam block${exams !== 1 ? 's' : ''}${calendar.midSemesterBreak ? ' · break' : ''}`;
+  };
+
   // Check if a semester number is already in the list
   const isSemesterInList = (semesterNumber) => {
     return semesters.some(sem => sem.name === `Semester ${semesterNumber}`);
@@ -407,6 +433,7 @@ export default function SettingsSemester() {
                   <th className="py-3 px-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Semester Name</th>
                   <th className="py-3 px-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
                   <th className="py-3 px-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                  <th className="py-3 px-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Calendar</th>
                   <th className="py-3 px-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
                 </tr>
               </thead>
@@ -450,6 +477,9 @@ export default function SettingsSemester() {
                           </span>
                         </div>
                       </td>
+                      <td className="py-3 px-4 text-sm text-gray-600">
+                        {describeCalendar(semester.calendar)}
+                      </td>
                       <td className="py-3 px-4">
                         <div className="flex items-center space-x-2">
                           {editingSemester?.id === semester.id ? (
@@ -479,6 +509,14 @@ export default function SettingsSemester() {
                                   <span className="text-sm">Inactive</span>
                                 </span>
                               )}
+                              <button
+                                onClick={() => setCalendarSemesterId(semester.id)}
+                                className="p-1 text-blue-600 hover:text-blue-800 transition"
+                                disabled={savingChanges}
+                                title="Edit dates, holidays and exams"
+                              >
+                                <FiCalendar size={18} />
+                              </button>
                               <button
                                 onClick={() => handleStartEdit(semester)}
                                 className="p-1 text-amber-600 hover:text-amber-800 transition"
@@ -505,6 +543,16 @@ export default function SettingsSemester() {
           </div>
         )}
         
+        {/* Calendar of the chosen semester */}
+        {semesters.find(sem => sem.id === calendarSemesterId) && (
+          <SemesterCalendarEditor
+            key={calendarSemesterId}
+            semester={semesters.find(sem => sem.id === calendarSemesterId)}
+            onSaved={handleCalendarSaved}
+            onClose={() => setCalendarSemesterId(null)}
+          />
+        )}
+        
         {/* Help Text */}
         <div className="mt-6 p-4 bg-blue-50 rounded-lg">
           <h3 className="text-sm font-semibold text-blue-700 mb-1">About Semester Management</h3>
@@ -517,9 +565,16 @@ export default function SettingsSemester() {
             <li>Active semesters are available across the entire platform</li>
             <li>You cannot delete currently active semesters</li>
             <li>Deactivate semesters individually if needed before deletion</li>
+            <li>Set each semester's dates, holidays, exam blocks and mid-semester break from the calendar icon; timetable viewers use them for week dates and teaching-day counts</li>
           </ul>
         </div>
       </div>
+
+      {/* Time Grid */}
+      <TimeGridSettings />
+
+      {/* Workload Policies */}
+      <WorkloadPolicySettings />
     </div>
   );
 }
@@ -3,6 +3,7 @@ import { FiEdit, FiTrash2, FiSearch, FiFilter, FiX, FiBook, FiUser, FiClock, FiC
 import SuperAdminCourseManagementService, { processSuperAdminCourseImport } from './services/SuperAdminCourseManagement';
 import { useRateLimitedUpload } from '../../hooks/useRateLimitedUpload';
 import UploadProgressIndicator from '../common/UploadProgressIndicator';
+import SessionRequirementsEditor from '../common/SessionRequirementsEditor';
 import { useToast } from '../../context/ToastContext';
 import { AuthContext } from '../../App';
 
@@ -140,6 +141,8 @@ export default function SuperAdminCourseManagement() {
       weeklyHours: course.weeklyHours || course.credits || 3,
       credits: course.credits || 0,
       type: course.type || 'Core',
+      electiveGroup: course.electiveGroup || '',
+      sessionRequirements: course.sessionRequirements || null,
       description: course.description || '',
       isCommonCourse: course.isCommonCourse || false
     });
@@ -1462,6 +1465,31 @@ export default function SuperAdminCourseManagement() {
                   </select>
                 </div>
 
+                {/* Elective Basket */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Elective Basket
+                  </label>
+                  <input
+                    type="text"
+                    value={editFormData.electiveGroup}
+                    onChange={(e) => setEditFormData({ ...editFormData, electiveGroup: e.target.value })}
+                    placeholder="Leave empty for a regular course"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                {/* Room Requirements */}
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Room Requirements
+                  </label>
+                  <SessionRequirementsEditor
+                    value={editFormData.sessionRequirements}
+                    onChange={(sessionRequirements) => setEditFormData({ ...editFormData, sessionRequirements })}
+                  />
+                </div>
+
                 {/* Description */}
                 <div className="col-span-2">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
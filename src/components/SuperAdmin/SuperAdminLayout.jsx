@@ -1,6 +1,6 @@
 import { Outlet, useLocation, useNavigate } from 'react-router-dom';
 import { useState, useEffect } from 'react';
-import { FiMenu, FiBell, FiSearch, FiUser, FiUsers, FiGrid, FiLayers, FiHome, FiFileText, FiSettings, FiBookOpen, FiLogOut, FiChevronDown, FiChevronUp, FiBook } from 'react-icons/fi';
+import { FiMenu, FiBell, FiSearch, FiUser, FiUsers, FiGrid, FiLayers, FiHome, FiFileText, FiSettings, FiBookOpen, FiLogOut, FiChevronDown, FiChevronUp, FiBook, FiActivity } from 'react-icons/fi';
 import { BsBuilding } from 'react-icons/bs';
 import { auth, signOut, onAuthStateChanged } from '../../firebase/config';
 import { doc, getDoc } from 'firebase/firestore';
@@ -16,6 +16,7 @@ const navItems = [
   { label: 'Departments', icon: <FiLayers />, path: '/admin/departments' },
   { label: 'Rooms', icon: <FiHome />, path: '/admin/rooms' },
   { label: 'Settings', icon: <FiSettings />, path: '/admin/settings' },
+  { label: 'Audit Logs', icon: <FiActivity />, path: '/admin/audit-logs' },
 ];
 
 export default function SuperAdminLayout() {
@@ -4,10 +4,15 @@ import TeacherManagementService from './services/TeacherManagement';
 import { useRateLimitedUpload } from '../../hooks/useRateLimitedUpload';
 import UploadProgressIndicator from '../common/UploadProgressIndicator';
 import { useToast } from '../../context/ToastContext';
+import { useTimeGrid } from '../../hooks/useTimeGrid';
+import { EMPTY_TEACHER_AVAILABILITY, AVAILABILITY_STATUS, getAvailabilityKey } from '../TTIncharge/services/TTBuilder/teacherAvailability';
+import { getTeacherWorkloadPolicy } from '../TTIncharge/services/TTBuilder/workloadPolicy';
+import { fetchWorkloadPolicies } from '../../services/WorkloadPolicyService';
 
 export default function TeacherManagement() {
   // Toast notifications
   const { showSuccess, showError, showWarning, showInfo } = useToast();
+  const { timeSlots, weekDays } = useTimeGrid();
   
   const [teachers, setTeachers] = useState([]);
   const [filteredTeachers, setFilteredTeachers] = useState([]);
@@ -24,12 +29,16 @@ export default function TeacherManagement() {
     expertise: [],
     qualification: '',
     experience: 0,
-    active: true
+    active: true,
+    availability: EMPTY_TEACHER_AVAILABILITY,
+    designation: '',
+    workloadPolicyId: ''
   });
   const [showPassword, setShowPassword] = useState(false);
   const [editingId, setEditingId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [showInfoTooltip, setShowInfoTooltip] = useState(false);
+  const [workloadPolicies, setWorkloadPolicies] = useState([]);
   const fileInputRef = useRef(null);
   const tooltipRef = useRef(null);
 
@@ -69,6 +78,11 @@ export default function TeacherManagement() {
     fetchTeachers();
   }, []);
 
+  // Workload policies offered for designation and policy selection
+  useEffect(() => {
+    fetchWorkloadPolicies().then(setWorkloadPolicies);
+  }, []);
+
   // Initialize filtered teachers when teachers data changes
   useEffect(() => {
     setFilteredTeachers(teachers);
@@ -298,7 +312,10 @@ export default function TeacherManagement() {
         expertise: teacher.expertise || [],
         qualification: teacher.qualification || '',
         experience: teacher.experience || 0,
-        active: teacher.active
+        active: teacher.active,
+        availability: teacher.availability || EMPTY_TEACHER_AVAILABILITY,
+        designation: teacher.designation || '',
+        workloadPolicyId: teacher.workloadPolicyId || ''
       });
       setEditingId(teacher.id);
     } else {
@@ -310,7 +327,10 @@ export default function TeacherManagement() {
         expertise: [],
         qualification: '',
         experience: 0,
-        active: true
+        active: true,
+        availability: EMPTY_TEACHER_AVAILABILITY,
+        designation: '',
+        workloadPolicyId: ''
       });
       setEditingId(null);
     }
@@ -345,6 +365,45 @@ export default function TeacherManagement() {
     }
   };
 
+  // Whether a period is marked unavailable or preferred in the form
+  const getAvailabilityMark = (day, slot) => {
+    const key = getAvailabilityKey(day, slot);
+    if (formData.availability.unavailableSlots.includes(key)) return AVAILABILITY_STATUS.UNAVAILABLE;
+    if (formData.availability.preferredSlots.includes(key)) return AVAILABILITY_STATUS.PREFERRED;
+    return null;
+  };
+
+  // Cycle a period through ordinary -> unavailable -> preferred
+  const handleAvailabilitySlotToggle = (day, slot) => {
+    const key = getAvailabilityKey(day, slot);
+    const { unavailableSlots, preferredSlots } = formData.availability;
+    const status = getAvailabilityMark(day, slot);
+    
+    setFormData({
+      ...formData,
+      availability: {
+        ...formData.availability,
+        unavailableSlots: status === AVAILABILITY_STATUS.UNAVAILABLE
+          ? unavailableSlots.filter(item => item !== key)
+          : status === null ? [...unavailableSlots, key] : unavailableSlots,
+        preferredSlots: status === AVAILABILITY_STATUS.UNAVAILABLE
+          ? [...preferredSlots, key]
+          : preferredSlots.filter(item => item !== key)
+      }
+    });
+  };
+
+  const handleAvailabilityChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      availability: {
+        ...formData.availability,
+        [name]: value === '' ? null : name === 'maxDaysPerWeek' ? parseInt(value, 10) : value
+      }
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
@@ -1209,6 +1268,54 @@ export default function TeacherManagement() {
                       Years of Experience
                     </label>
                   </div>
+
+                  {/* Designation Input */}
+                  <div className="relative">
+                    <input
+                      name="designation"
+                      id="designation"
+                      list="designation-options"
+                      value={formData.designation}
+                      onChange={handleChange}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-full focus:ring-2 focus:ring-purple-400 focus:outline-none peer pt-6"
+                      placeholder=" "
+                    />
+                    <datalist id="designation-options">
+                      {workloadPolicies.map(policy => (
+                        <option key={policy.id} value={policy.designation} />
+                      ))}
+                    </datalist>
+                    <label 
+                      htmlFor="designation"
+                      className="absolute left-4 top-3 text-gray-500 text-sm transition-all peer-focus:top-1 peer-focus:text-xs peer-focus:text-purple-500 peer-placeholder-shown:top-3 peer-placeholder-shown:text-base peer-not-placeholder-shown:top-1 peer-not-placeholder-shown:text-xs"
+                    >
+                      Designation
+                    </label>
+                  </div>
+
+                  {/* Workload Policy Dropdown */}
+                  <div className="relative">
+                    <select
+                      name="workloadPolicyId"
+                      id="workloadPolicyId"
+                      value={formData.workloadPolicyId}
+                      onChange={handleChange}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-full focus:ring-2 focus:ring-purple-400 focus:outline-none appearance-none pt-6"
+                    >
+                      <option value="">
+                        By designation ({getTeacherWorkloadPolicy({ designation: formData.designation }, workloadPolicies)?.designation || 'none'})
+                      </option>
+                      {workloadPolicies.map(policy => (
+                        <option key={policy.id} value={policy.id}>{policy.designation}</option>
+                      ))}
+                    </select>
+                    <label 
+                      htmlFor="workloadPolicyId"
+                      className="absolute left-4 top-1 text-xs text-purple-500"
+                    >
+                      Workload Policy
+                    </label>
+                  </div>
                 </div>
               
                 {/* Areas of Expertise */}
@@ -1235,6 +1342,81 @@ export default function TeacherManagement() {
                 </div>
               </div>
 
+              {/* Availability Section */}
+              <div className="bg-teal-50 p-4 rounded-xl mb-4">
+                <h3 className="text-lg font-medium text-teal-800 mb-1">Availability</h3>
+                <p className="text-xs text-gray-600 mb-3">
+                  Click a period to mark it unavailable (red, never scheduled) and again to mark it preferred (green).
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="text-xs border-collapse">
+                    <thead>
+                      <tr>
+                        <th className="px-1 py-1" />
+                        {weekDays.map(day => (
+                          <th key={day} className="px-1 py-1 font-medium text-gray-600">{day.slice(0, 3)}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {timeSlots.map(slot => (
+                        <tr key={slot}>
+                          <td className="pr-2 py-0.5 text-gray-500 whitespace-nowrap">{slot}</td>
+                          {weekDays.map(day => {
+                            const status = getAvailabilityMark(day, slot);
+                            return (
+                              <td key={day} className="px-0.5 py-0.5">
+                                <button
+                                  type="button"
+                                  onClick={() => handleAvailabilitySlotToggle(day, slot)}
+                                  title={`${day} ${slot}`}
+                                  className={`w-10 h-5 rounded border ${
+                                    status === AVAILABILITY_STATUS.UNAVAILABLE
+                                      ? 'bg-red-200 border-red-300'
+                                      : status === AVAILABILITY_STATUS.PREFERRED
+                                        ? 'bg-green-200 border-green-300'
+                                        : 'bg-white border-gray-200 hover:bg-gray-50'
+                                  }`}
+                                />
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                  <label className="text-sm text-gray-700">
+                    Max teaching days per week
+                    <input
+                      name="maxDaysPerWeek"
+                      type="number"
+                      min="1"
+                      max={weekDays.length}
+                      value={formData.availability.maxDaysPerWeek ?? ''}
+                      onChange={handleAvailabilityChange}
+                      placeholder="No limit"
+                      className="mt-1 w-full px-4 py-2 border border-gray-300 rounded-full focus:ring-2 focus:ring-teal-400 focus:outline-none"
+                    />
+                  </label>
+                  <label className="text-sm text-gray-700">
+                    Preferred day off
+                    <select
+                      name="preferredDayOff"
+                      value={formData.availability.preferredDayOff || ''}
+                      onChange={handleAvailabilityChange}
+                      className="mt-1 w-full px-4 py-2 border border-gray-300 rounded-full focus:ring-2 focus:ring-teal-400 focus:outline-none"
+                    >
+                      <option value="">None</option>
+                      {weekDays.map(day => (
+                        <option key={day} value={day}>{day}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              </div>
+
               {/* Active Status Toggle */}
               <div className="flex items-center justify-between p-4 border border-gray-200 rounded-full">
                 <span className="text-sm font-medium text-gray-700">Teacher Status</span>
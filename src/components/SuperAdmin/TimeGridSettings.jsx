@@ -0,0 +1,422 @@
+import { useState, useEffect } from 'react';
+import { FiPlus, FiTrash2, FiClock, FiSave, FiRefreshCw, FiAlertCircle, FiCheck } from 'react-icons/fi';
+import CollegeDropdown from '../common/CollegeDropdown';
+import { useTimeGrid } from '../../hooks/useTimeGrid';
+import {
+  fetchTimeGrid,
+  fetchTimeGridDefinition,
+  fetchDepartmentOptions,
+  resolveTimeGridScope,
+  saveTimeGrid,
+  deleteTimeGrid
+} from '../../services/TimeGridService';
+import {
+  normalizeTimeGrid,
+  validateTimeGrid,
+  formatPeriodLabel,
+  toMinutes
+} from '../TTIncharge/services/TTBuilder/timeGrid';
+import { allWeekDays, CONFIG } from '../TTIncharge/services/TTBuilder/constants';
+
+// Convert a normalised grid into editable form state
+const toFormState = (grid) => ({
+  periods: grid.periods.map(({ start, end }) => ({ start, end })),
+  breaks: grid.breaks.map(gap => ({ ...gap })),
+  workingDays: [...grid.workingDays],
+  halfDays: { ...grid.halfDays }
+});
+
+// Add minutes to an "HH:MM" time, clamped to the same day
+const addMinutes = (time, minutes) => {
+  const total = Math.min(toMinutes(time) + minutes, 23 * 60 + 59);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Settings scope for the selected college or department
+const getScope = (scopeType, collegeId, departmentId) => {
+  if (scopeType === 'college') return { collegeId };
+  if (scopeType === 'department') return { departmentId };
+  return {};
+};
+
+const isScopeReady = (scopeType, collegeId, departmentId) => {
+  if (scopeType === 'college') return Boolean(collegeId);
+  if (scopeType === 'department') return Boolean(departmentId);
+  return true;
+};
+
+export default function TimeGridSettings() {
+  const { refreshTimeGrid } = useTimeGrid();
+  const [scopeType, setScopeType] = useState('default'); // 'default', 'college', 'department'
+  const [collegeId, setCollegeId] = useState('');
+  const [departmentId, setDepartmentId] = useState('');
+  const [departments, setDepartments] = useState([]);
+  const [form, setForm] = useState(null);
+  const [hasOwnGrid, setHasOwnGrid] = useState(false);
+  const [inheritedFrom, setInheritedFrom] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const scope = getScope(scopeType, collegeId, departmentId);
+  const scopeReady = isScopeReady(scopeType, collegeId, departmentId);
+  const errors = form ? validateTimeGrid(form) : [];
+
+  // Load department options once
+  useEffect(() => {
+    fetchDepartmentOptions().then(setDepartments);
+  }, []);
+
+  // Load the grid of the selected scope, or the grid it currently inherits
+  useEffect(() => {
+    if (!isScopeReady(scopeType, collegeId, departmentId)) {
+      setForm(null);
+      return;
+    }
+
+    const loadScopeGrid = async () => {
+      try {
+        setLoading(true);
+        const definition = await fetchTimeGridDefinition(getScope(scopeType, collegeId, departmentId));
+
+        if (definition) {
+          setForm(toFormState(normalizeTimeGrid(definition)));
+          setHasOwnGrid(true);
+          setInheritedFrom('');
+        } else {
+          // A department inherits from its college, a college from the institution default
+          const parentScope = scopeType === 'department'
+            ? { collegeId: (await resolveTimeGridScope({ department: departmentId })).collegeId }
+            : {};
+          const { source, ...inherited } = await fetchTimeGrid(parentScope);
+          setForm(toFormState(inherited));
+          setHasOwnGrid(false);
+          setInheritedFrom(source);
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadScopeGrid();
+  }, [scopeType, collegeId, departmentId, reloadKey]);
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text });
+    setTimeout(() => setMessage(null), 3000);
+  };
+
+  const updatePeriod = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      periods: prev.periods.map((period, i) => i === index ? { ...period, [field]: value } : period)
+    }));
+  };
+
+  const addPeriod = () => {
+    setForm(prev => {
+      const last = prev.periods[prev.periods.length - 1];
+      const start = last ? last.end : '08:00';
+      return {
+        ...prev,
+        periods: [...prev.periods, { start, end: addMinutes(start, CONFIG.TIME_SLOT_DURATION) }]
+      };
+    });
+  };
+
+  const removePeriod = (index) => {
+    setForm(prev => ({ ...prev, periods: prev.periods.filter((_, i) => i !== index) }));
+  };
+
+  const updateBreak = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      breaks: prev.breaks.map((gap, i) => i === index ? { ...gap, [field]: value } : gap)
+    }));
+  };
+
+  const addBreak = () => {
+    setForm(prev => ({ ...prev, breaks: [...prev.breaks, { label: 'Break', start: '', end: '' }] }));
+  };
+
+  const removeBreak = (index) => {
+    setForm(prev => ({ ...prev, breaks: prev.breaks.filter((_, i) => i !== index) }));
+  };
+
+  const toggleWorkingDay = (day) => {
+    setForm(prev => {
+      const workingDays = prev.workingDays.includes(day)
+        ? prev.workingDays.filter(d => d !== day)
+        : allWeekDays.filter(d => d === day || prev.workingDays.includes(d));
+      const halfDays = { ...prev.halfDays };
+      if (!workingDays.includes(day)) delete halfDays[day];
+      return { ...prev, workingDays, halfDays };
+    });
+  };
+
+  const updateHalfDay = (day, endTime) => {
+    setForm(prev => {
+      const halfDays = { ...prev.halfDays };
+      if (endTime) {
+        halfDays[day] = endTime;
+      } else {
+        delete halfDays[day];
+      }
+      return { ...prev, halfDays };
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await saveTimeGrid(form, scope);
+      setHasOwnGrid(true);
+      setInheritedFrom('');
+      await refreshTimeGrid();
+      showMessage('success', 'Time grid saved');
+    } catch (error) {
+      console.error('Error saving time grid:', error);
+      showMessage('error', error.message || 'Failed to save time grid');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleResetToInherited = async () => {
+    try {
+      setSaving(true);
+      await deleteTimeGrid(scope);
+      await refreshTimeGrid();
+      setReloadKey(prev => prev + 1);
+      showMessage('success', 'This scope now inherits its time grid');
+    } catch (error) {
+      console.error('Error resetting time grid:', error);
+      showMessage('error', 'Failed to reset time grid');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inheritedLabel = {
+    department: 'a department grid',
+    college: 'the college grid',
+    default: 'the institution default',
+    builtin: 'the built-in default'
+  }[inheritedFrom];
+
+  return (
+    <div className="mt-8 bg-white p-5 rounded-lg shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-medium text-gray-700 flex items-center">
+          <FiClock className="mr-2" /> Time Grid
+        </h2>
+        <p className="text-xs text-gray-500">
+          Periods, breaks and working days used by the timetable builder, viewers and exports
+        </p>
+      </div>
+
+      {/* Scope selection */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+        <select
+          value={scopeType}
+          onChange={(e) => {
+            setScopeType(e.target.value);
+            setCollegeId('');
+            setDepartmentId('');
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="default">Institution default</option>
+          <option value="college">College / Faculty</option>
+          <option value="department">Department</option>
+        </select>
+
+        {scopeType === 'college' && (
+          <CollegeDropdown value={collegeId} onChange={(value) => setCollegeId(value)} />
+        )}
+
+        {scopeType === 'department' && (
+          <select
+            value={departmentId}
+            onChange={(e) => setDepartmentId(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Select Department</option>
+            {departments.map(department => (
+              <option key={department.id} value={department.id}>{department.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg flex items-center ${
+          message.type === 'success' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
+        }`}>
+          {message.type === 'success' ? <FiCheck className="mr-2" /> : <FiAlertCircle className="mr-2" />}
+          {message.text}
+        </div>
+      )}
+
+      {!scopeReady ? (
+        <p className="text-sm text-gray-500">Select a {scopeType === 'college' ? 'college' : 'department'} to edit its grid.</p>
+      ) : loading || !form ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500 mx-auto"></div>
+          <p className="mt-3 text-gray-600">Loading time grid...</p>
+        </div>
+      ) : (
+        <>
+          {!hasOwnGrid && inheritedLabel && (
+            <div className="mb-4 p-3 bg-blue-50 text-blue-700 rounded-lg text-sm">
+              This scope currently uses {inheritedLabel}. Saving creates its own grid.
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Periods */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-semibold text-gray-700">Periods</h3>
+                <button onClick={addPeriod} className="text-sm text-blue-600 hover:text-blue-800 flex items-center">
+                  <FiPlus className="mr-1" /> Add Period
+                </button>
+              </div>
+              <div className="space-y-2">
+                {form.periods.map((period, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <span className="w-6 text-xs text-gray-500">{index + 1}</span>
+                    <input
+                      type="time"
+                      value={period.start}
+                      onChange={(e) => updatePeriod(index, 'start', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                    />
+                    <span className="text-gray-400">to</span>
+                    <input
+                      type="time"
+                      value={period.end}
+                      onChange={(e) => updatePeriod(index, 'end', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                    />
+                    <span className="text-xs text-gray-500 w-24">
+                      {!isNaN(toMinutes(period.start)) && !isNaN(toMinutes(period.end)) ? formatPeriodLabel(period) : ''}
+                    </span>
+                    <button onClick={() => removePeriod(index)} className="text-gray-400 hover:text-red-600" title="Remove period">
+                      <FiTrash2 size={14} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="space-y-6">
+              {/* Breaks */}
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-sm font-semibold text-gray-700">Breaks</h3>
+                  <button onClick={addBreak} className="text-sm text-blue-600 hover:text-blue-800 flex items-center">
+                    <FiPlus className="mr-1" /> Add Break
+                  </button>
+                </div>
+                <div className="space-y-2">
+                  {form.breaks.length === 0 && <p className="text-xs text-gray-500">No breaks configured</p>}
+                  {form.breaks.map((gap, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={gap.label}
+                        onChange={(e) => updateBreak(index, 'label', e.target.value)}
+                        className="w-28 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                      />
+                      <input
+                        type="time"
+                        value={gap.start}
+                        onChange={(e) => updateBreak(index, 'start', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                      />
+                      <span className="text-gray-400">to</span>
+                      <input
+                        type="time"
+                        value={gap.end}
+                        onChange={(e) => updateBreak(index, 'end', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                      />
+                      <button onClick={() => removeBreak(index)} className="text-gray-400 hover:text-red-600" title="Remove break">
+                        <FiTrash2 size={14} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Working days and half-days */}
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Working Days</h3>
+                <div className="space-y-2">
+                  {allWeekDays.map(day => {
+                    const isWorking = form.workingDays.includes(day);
+                    return (
+                      <div key={day} className="flex items-center gap-3">
+                        <label className="flex items-center w-32 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={isWorking}
+                            onChange={() => toggleWorkingDay(day)}
+                            className="mr-2"
+                          />
+                          {day}
+                        </label>
+                        {isWorking && (
+                          <label className="flex items-center text-xs text-gray-500">
+                            Half-day, ends at
+                            <input
+                              type="time"
+                              value={form.halfDays[day] || ''}
+                              onChange={(e) => updateHalfDay(day, e.target.value)}
+                              className="ml-2 px-2 py-1 border border-gray-300 rounded-lg text-xs"
+                            />
+                          </label>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {errors.length > 0 && (
+            <div className="mt-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">
+              <ul className="list-disc pl-5 space-y-1">
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            </div>
+          )}
+
+          <div className="mt-6 flex justify-end gap-2">
+            {hasOwnGrid && scopeType !== 'default' && (
+              <button
+                onClick={handleResetToInherited}
+                disabled={saving}
+                className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                <FiRefreshCw size={16} />
+                <span className="text-sm">Use Inherited Grid</span>
+              </button>
+            )}
+            <button
+              onClick={handleSave}
+              disabled={saving || errors.length > 0}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <FiSave size={16} />
+              <span className="text-sm">{saving ? 'Saving...' : 'Save Time Grid'}</span>
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
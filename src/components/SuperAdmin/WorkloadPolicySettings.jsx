@@ -0,0 +1,164 @@
+import { useState, useEffect } from 'react';
+import { FiPlus, FiTrash2, FiBriefcase, FiSave, FiAlertCircle, FiCheck } from 'react-icons/fi';
+import {
+  fetchWorkloadPolicies,
+  validateWorkloadPolicies,
+  saveWorkloadPolicies
+} from '../../services/WorkloadPolicyService';
+
+const LIMIT_FIELDS = [
+  { field: 'maxHoursPerWeek', label: 'Max hours / week' },
+  { field: 'maxHoursPerDay', label: 'Max hours / day' },
+  { field: 'maxConsecutivePeriods', label: 'Max periods in a row' },
+  { field: 'minGapMinutes', label: 'Min gap between blocks (min)' }
+];
+
+// Convert normalised policies into editable form state (limits as strings)
+const toFormState = (policies) => policies.map(policy => ({
+  ...policy,
+  ...Object.fromEntries(LIMIT_FIELDS.map(({ field }) => [field, policy[field] ?? '']))
+}));
+
+export default function WorkloadPolicySettings() {
+  const [policies, setPolicies] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const errors = policies ? validateWorkloadPolicies(policies) : [];
+
+  useEffect(() => {
+    fetchWorkloadPolicies().then(loaded => setPolicies(toFormState(loaded)));
+  }, []);
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text });
+    setTimeout(() => setMessage(null), 3000);
+  };
+
+  const updatePolicy = (index, field, value) => {
+    setPolicies(prev => prev.map((policy, i) => i === index ? { ...policy, [field]: value } : policy));
+  };
+
+  const addPolicy = () => {
+    setPolicies(prev => [...prev, toFormState([{ designation: '' }])[0]]);
+  };
+
+  const removePolicy = (index) => {
+    setPolicies(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      // Existing policies keep their ID when renamed, so teachers assigned to them stay assigned
+      const saved = await saveWorkloadPolicies(policies);
+      setPolicies(toFormState(saved));
+      showMessage('success', 'Workload policies saved');
+    } catch (error) {
+      console.error('Error saving workload policies:', error);
+      showMessage('error', error.message || 'Failed to save workload policies');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white p-5 rounded-lg shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-medium text-gray-700 flex items-center">
+          <FiBriefcase className="mr-2" /> Workload Policies
+        </h2>
+        <p className="text-xs text-gray-500">
+          Teaching load limits by designation, checked in the timetable builder and faculty load reports
+        </p>
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg flex items-center ${
+          message.type === 'success' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
+        }`}>
+          {message.type === 'success' ? <FiCheck className="mr-2" /> : <FiAlertCircle className="mr-2" />}
+          {message.text}
+        </div>
+      )}
+
+      {!policies ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500 mx-auto"></div>
+          <p className="mt-3 text-gray-600">Loading workload policies...</p>
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500">
+                  <th className="py-2 pr-2 font-medium">Designation</th>
+                  {LIMIT_FIELDS.map(({ field, label }) => (
+                    <th key={field} className="py-2 pr-2 font-medium">{label}</th>
+                  ))}
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {policies.map((policy, index) => (
+                  <tr key={policy.id || `new-${index}`}>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="text"
+                        value={policy.designation}
+                        onChange={(e) => updatePolicy(index, 'designation', e.target.value)}
+                        placeholder="e.g. Professor"
+                        className="w-48 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                      />
+                    </td>
+                    {LIMIT_FIELDS.map(({ field }) => (
+                      <td key={field} className="py-1 pr-2">
+                        <input
+                          type="number"
+                          min="0"
+                          value={policy[field]}
+                          onChange={(e) => updatePolicy(index, field, e.target.value)}
+                          placeholder="No limit"
+                          className="w-28 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                        />
+                      </td>
+                    ))}
+                    <td className="py-1">
+                      <button onClick={() => removePolicy(index)} className="text-gray-400 hover:text-red-600" title="Remove policy">
+                        <FiTrash2 size={14} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <button onClick={addPolicy} className="mt-2 text-sm text-blue-600 hover:text-blue-800 flex items-center">
+            <FiPlus className="mr-1" /> Add Policy
+          </button>
+
+          {errors.length > 0 && (
+            <div className="mt-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">
+              <ul className="list-disc pl-5 space-y-1">
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            </div>
+          )}
+
+          <div className="mt-6 flex justify-end">
+            <button
+              onClick={handleSave}
+              disabled={saving || errors.length > 0}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <FiSave size={16} />
+              <span className="text-sm">{saving ? 'Saving...' : 'Save Workload Policies'}</span>
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
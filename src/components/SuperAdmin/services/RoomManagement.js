@@ -14,6 +14,8 @@ import {
   generateId
 } from '../../../firebase/config';
 import { getCollegeColorClass, getActiveColleges } from '../../../services/CollegeService';
+import { getTimeSlots } from '../../TTIncharge/services/TTBuilder/timeGrid';
+import { normalizeTimeSlot } from '../../TTIncharge/services/TTBuilder/timeSlotParser';
 
 // Collection name
 const ROOMS_COLLECTION = 'rooms';
@@ -77,7 +79,10 @@ export const featureOptions = [
   { id: 'Computers', name: 'Computer System' },
   { id: 'AC', name: 'Air Conditioning' },
   { id: 'Wi-Fi', name: 'Wi-Fi' },
-  { id: 'Audio System', name: 'Audio System' }
+  { id: 'Audio System', name: 'Audio System' },
+  { id: 'Oscilloscopes', name: 'Oscilloscopes' },
+  { id: 'Electronics Equipment', name: 'Electronics Equipment' },
+  { id: 'Machinery', name: 'Machinery' }
 ];
 
 /**
@@ -151,6 +156,10 @@ export const filterRooms = (rooms, filters = {}) => {
  * @returns {Object} Example dataset
  */
 export const getExampleJSONDataset = () => {
+  // Free timings use the period labels of the institution time grid
+  const timeSlots = getTimeSlots();
+  const pickSlots = (...indexes) => indexes.map(index => timeSlots[index]).filter(Boolean);
+
   return {
     "rooms": [
       {
@@ -160,12 +169,12 @@ export const getExampleJSONDataset = () => {
         "faculty": "Faculty of Engineering",
         "allowOtherFaculties": true,
         "freeTimings": {
-          "monday": ["8:00-9:00", "14:00-15:00", "15:00-16:00"],
-          "tuesday": ["9:00-10:00", "15:00-16:00", "16:00-17:00"],
-          "wednesday": ["10:00-11:00", "11:00-12:00"],
-          "thursday": ["8:00-9:00", "16:00-17:00"],
-          "friday": ["13:00-14:00", "14:00-15:00"],
-          "saturday": ["8:00-9:00", "9:00-10:00", "10:00-11:00"]
+          "monday": pickSlots(0, 6, 7),
+          "tuesday": pickSlots(1, 7, 8),
+          "wednesday": pickSlots(2, 3),
+          "thursday": pickSlots(0, 8),
+          "friday": pickSlots(5, 6),
+          "saturday": pickSlots(0, 1, 2)
         }
       },
       {
@@ -190,12 +199,12 @@ export const getExampleJSONDataset = () => {
         "faculty": "Electrical Engineering",
         "allowOtherFaculties": true,
         "freeTimings": {
-          "monday": ["12:00-13:00", "13:00-14:00"],
-          "tuesday": ["8:00-9:00", "11:00-12:00", "17:00-18:00"],
-          "wednesday": ["9:00-10:00", "15:00-16:00"],
-          "thursday": ["10:00-11:00", "12:00-13:00", "14:00-15:00"],
-          "friday": ["8:00-9:00", "16:00-17:00"],
-          "saturday": ["8:00-9:00", "9:00-10:00", "10:00-11:00", "11:00-12:00"]
+          "monday": pickSlots(4, 5),
+          "tuesday": pickSlots(0, 3, 9),
+          "wednesday": pickSlots(1, 7),
+          "thursday": pickSlots(2, 4, 6),
+          "friday": pickSlots(0, 8),
+          "saturday": pickSlots(0, 1, 2, 3)
         }
       },
       {
@@ -205,11 +214,11 @@ export const getExampleJSONDataset = () => {
         "faculty": "Civil Engineering",
         "allowOtherFaculties": true,
         "freeTimings": {
-          "monday": ["16:00-17:00", "17:00-18:00"],
-          "tuesday": ["13:00-14:00", "14:00-15:00"],
-          "wednesday": ["12:00-13:00", "16:00-17:00"],
-          "thursday": ["15:00-16:00"],
-          "friday": ["11:00-12:00", "12:00-13:00"],
+          "monday": pickSlots(8, 9),
+          "tuesday": pickSlots(5, 6),
+          "wednesday": pickSlots(4, 8),
+          "thursday": pickSlots(7),
+          "friday": pickSlots(3, 4),
           "saturday": []
         }
       },
@@ -643,7 +652,7 @@ export const deleteRoom = async (id) => {
  * Get available rooms for a specific time slot and day
  * @param {Array} rooms - Array of all rooms
  * @param {string} day - Day of the week (monday, tuesday, etc.)
- * @param {string} timeSlot - Time slot ID (e.g., '9:00-10:00')
+ * @param {string} timeSlot - Time slot (any supported format, e.g. '9:00-10:00')
  * @param {string} requesterFaculty - Faculty requesting the room
  * @returns {Array} Available rooms for the specified time
  */
@@ -655,10 +664,12 @@ export const getAvailableRooms = (rooms, day, timeSlot, requesterFaculty) => {
     }
     
     // For other faculties, check if room allows other faculties and has free timing
+    // (stored timings may use a legacy slot format, so compare normalised slots)
+    const requestedSlot = normalizeTimeSlot(timeSlot);
     return room.allowOtherFaculties && 
            room.freeTimings && 
            room.freeTimings[day] && 
-           room.freeTimings[day].includes(timeSlot);
+           room.freeTimings[day].some(freeSlot => freeSlot === timeSlot || normalizeTimeSlot(freeSlot) === requestedSlot);
   });
 };
 
@@ -22,6 +22,12 @@ import {
   parseSemesterString 
 } from '../../../services/SemesterService.js';
 
+// Import calendar helpers shared with the timetable viewers
+import {
+  normalizeSemesterCalendar,
+  validateSemesterCalendar
+} from '../../TTIncharge/services/TTBuilder/semesterCalendar.js';
+
 // Collection references
 const SEMESTERS_COLLECTION = 'semesters';
 const SETTINGS_COLLECTION = 'settings';
@@ -44,6 +50,7 @@ export const fetchSemesters = async () => {
       id: doc.id,
       name: doc.data().name || '',
       status: doc.data().status || 'inactive',
+      calendar: normalizeSemesterCalendar(doc.data().calendar),
       createdAt: doc.data().createdAt?.toDate() || new Date(),
     }));
   } catch (error) {
@@ -75,6 +82,7 @@ export const addSemester = async (name) => {
       id: docRef.id,
       name: name.trim(),
       status: 'inactive',
+      calendar: normalizeSemesterCalendar(null),
       createdAt: new Date(),
     };
   } catch (error) {
@@ -104,6 +112,31 @@ export const updateSemester = async (semesterId, newName) => {
   }
 };
 
+/**
+ * Save the dates of a semester: start and end, holidays, exam blocks and the mid-semester break
+ * @param {string} semesterId - Semester ID
+ * @param {Object} calendar - Calendar as edited
+ * @returns {Promise<Object>} Normalised saved calendar
+ */
+export const updateSemesterCalendar = async (semesterId, calendar) => {
+  const errors = validateSemesterCalendar(calendar);
+  if (errors.length > 0) {
+    throw new Error(errors.join('. '));
+  }
+
+  try {
+    const normalized = normalizeSemesterCalendar(calendar);
+    await updateDoc(doc(db, SEMESTERS_COLLECTION, semesterId), {
+      calendar: normalized,
+      updatedAt: serverTimestamp(),
+    });
+    return normalized;
+  } catch (error) {
+    console.error('Error updating semester calendar:', error);
+    throw error;
+  }
+};
+
 /**
  * Delete a semester from Firebase
  * @param {string} semesterId - Semester ID
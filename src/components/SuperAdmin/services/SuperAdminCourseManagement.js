@@ -17,6 +17,7 @@ import {
   arrayRemove
 } from '../../../firebase/config.js';
 import SuperAdminDashboardService from './SuperAdminDashboard';
+import { normalizeSessionRequirements } from '../../TTIncharge/services/TTBuilder/roomRequirements';
 // Import semester service functions
 import { 
   getCurrentSemesterPeriod,
@@ -119,6 +120,8 @@ export const fetchAllCourses = async () => {
         isCommonCourse: courseData.isCommonCourse || false, // SuperAdmin flag for common courses
         credits: courseData.credits || 0,
         type: courseData.type || 'Core',
+        electiveGroup: courseData.electiveGroup || '',
+        sessionRequirements: courseData.sessionRequirements || null,
         description: courseData.description || '',
         active: courseData.active !== false
       });
@@ -208,6 +211,8 @@ export const fetchCoursesByDepartment = async (departmentId) => {
         practicalHours: courseData.practicalHours || 0,
         credits: courseData.credits || 0,
         type: courseData.type || 'Core',
+        electiveGroup: courseData.electiveGroup || '',
+        sessionRequirements: courseData.sessionRequirements || null,
         description: courseData.description || '',
         active: courseData.active !== false
       });
@@ -327,6 +332,8 @@ export const fetchCoursesForDepartment = async (departmentId) => {
         practicalHours: courseData.practicalHours || 0,
         credits: courseData.credits || 0,
         type: courseData.type || 'Core',
+        electiveGroup: courseData.electiveGroup || '',
+        sessionRequirements: courseData.sessionRequirements || null,
         description: courseData.description || '',
         active: courseData.active !== false
       });
@@ -808,6 +815,8 @@ export const updateCourse = async (courses, courseId, formData, faculty = [], de
       // Additional fields
       credits: parseFloat(formData.credits || formData.weeklyHours) || 0,
       type: formData.type || 'Core',
+      electiveGroup: (formData.electiveGroup || '').trim() || null,
+      sessionRequirements: normalizeSessionRequirements(formData.sessionRequirements),
       description: formData.description || ''
     };
     
@@ -874,6 +883,8 @@ export const updateCourse = async (courses, courseId, formData, faculty = [], de
       isCommonCourse: formData.isCommonCourse || false,
       credits: parseFloat(formData.credits || formData.weeklyHours) || 0,
       type: formData.type || 'Core',
+      electiveGroup: (formData.electiveGroup || '').trim(),
+      sessionRequirements: normalizeSessionRequirements(formData.sessionRequirements),
       description: formData.description || ''
     };
     
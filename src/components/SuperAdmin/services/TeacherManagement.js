@@ -13,6 +13,7 @@ import {
   orderBy, 
   limit 
 } from '../../../firebase/config.js';
+import { normalizeTeacherAvailability } from '../../TTIncharge/services/TTBuilder/teacherAvailability';
 
 // Collection names
 const TEACHERS_COLLECTION = 'teachers';
@@ -79,6 +80,9 @@ export const fetchTeachers = async () => {
         qualification: data.qualification,
         experience: data.experience || 0,
         active: data.active !== false, // default to true if not specified
+        availability: normalizeTeacherAvailability(data.availability),
+        designation: data.designation || '',
+        workloadPolicyId: data.workloadPolicyId || null,
         userId: data.userId
       };
     });
@@ -119,6 +123,9 @@ export const createTeacher = async (teacherData) => {
       qualification: teacherData.qualification || '',
       experience: parseInt(teacherData.experience) || 0,
       active: teacherData.active !== false,
+      availability: normalizeTeacherAvailability(teacherData.availability),
+      designation: teacherData.designation || '',
+      workloadPolicyId: teacherData.workloadPolicyId || null,
       role: 'Faculty',
       maxHours: 40, // Default max teaching hours per week
       status: 'available',
@@ -172,6 +179,9 @@ export const updateTeacher = async (teacherData) => {
       qualification: teacherData.qualification || '',
       experience: parseInt(teacherData.experience) || 0,
       active: teacherData.active !== false,
+      availability: normalizeTeacherAvailability(teacherData.availability),
+      designation: teacherData.designation || '',
+      workloadPolicyId: teacherData.workloadPolicyId || null,
       updatedAt: new Date().toISOString()
     };
     
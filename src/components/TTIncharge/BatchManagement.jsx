@@ -9,7 +9,8 @@ import {
   FiX,
   FiCheck,
   FiAlertCircle,
-  FiRefreshCw
+  FiRefreshCw,
+  FiSliders
 } from 'react-icons/fi';
 import { useSemester } from '../../context/SemesterContext';
 import { 
@@ -19,8 +20,17 @@ import {
   deleteBatch, 
   getBatches,
   subscribeToBatches,
-  syncAllBatches
+  syncAllBatches,
+  updateBatchDayShapeRules
 } from './services/BatchManagement';
+import { normalizeDayShapeRules } from './services/TTBuilder/dayShapeRules';
+
+const DAY_SHAPE_LIMIT_FIELDS = [
+  { field: 'maxPeriodsPerDay', label: 'Max periods per day' },
+  { field: 'maxIdlePeriods', label: 'Max idle periods' },
+  { field: 'maxSameCoursePeriodsPerDay', label: 'Max lectures of one course per day' },
+  { field: 'lunchMinutes', label: 'Lunch minutes' }
+];
 
 export default function BatchManagement() {
   // Semester context
@@ -31,6 +41,8 @@ export default function BatchManagement() {
   const [newBatchName, setNewBatchName] = useState('');
   const [editingBatch, setEditingBatch] = useState(null);
   const [editBatchName, setEditBatchName] = useState('');
+  const [rulesBatch, setRulesBatch] = useState(null);
+  const [rulesForm, setRulesForm] = useState(null);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ type: '', text: '' });
   const [isOnline, setIsOnline] = useState(navigator.onLine);
@@ -182,6 +194,47 @@ export default function BatchManagement() {
     setEditBatchName('');
   };
 
+  const startEditingRules = (batch) => {
+    const rules = normalizeDayShapeRules(batch.dayShapeRules);
+    setRulesBatch(batch.id);
+    // Limits that are off show as empty fields
+    setRulesForm(Object.fromEntries(Object.entries(rules).map(([field, value]) => [field, value ?? ''])));
+  };
+
+  const cancelEditingRules = () => {
+    setRulesBatch(null);
+    setRulesForm(null);
+  };
+
+  const handleRulesChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setRulesForm({
+      ...rulesForm,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  const handleSaveRules = async (batchId) => {
+    setLoading(true);
+    try {
+      const updatedBatch = await updateBatchDayShapeRules(batchId, {
+        ...rulesForm,
+        // An empty field turns that limit off
+        ...Object.fromEntries(DAY_SHAPE_LIMIT_FIELDS.map(({ field }) => [field, rulesForm[field] === '' ? null : rulesForm[field]]))
+      });
+      setBatches(batches.map(batch => 
+        batch.id === batchId ? updatedBatch : batch
+      ));
+      cancelEditingRules();
+      showMessage('success', 'Day rules updated successfully');
+    } catch (error) {
+      console.error('Error updating day rules:', error);
+      showMessage('error', 'Failed to update day rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div className="space-y-6 max-w-6xl mx-auto">
       <div className="flex items-center justify-between mb-6">
@@ -344,7 +397,72 @@ export default function BatchManagement() {
                   exit={{ opacity: 0, scale: 0.9 }}
                   className="p-4 border border-gray-200 rounded-lg hover:shadow-md transition"
                 >
-                  {editingBatch === batch.id ? (
+                  {rulesBatch === batch.id ? (
+                    <div className="space-y-2">
+                      <h3 className="font-semibold text-gray-800">{batch.name} day rules</h3>
+                      {DAY_SHAPE_LIMIT_FIELDS.map(({ field, label }) => (
+                        <label key={field} className="flex items-center justify-between gap-2 text-sm text-gray-700">
+                          {label}
+                          <input
+                            type="number"
+                            min="0"
+                            name={field}
+                            value={rulesForm[field]}
+                            onChange={handleRulesChange}
+                            placeholder="Off"
+                            className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          />
+                        </label>
+                      ))}
+                      <div className="flex items-center justify-between gap-2 text-sm text-gray-700">
+                        Lunch window
+                        <div className="flex items-center gap-1">
+                          <input
+                            type="time"
+                            name="lunchWindowStart"
+                            value={rulesForm.lunchWindowStart}
+                            onChange={handleRulesChange}
+                            className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          />
+                          <span>-</span>
+                          <input
+                            type="time"
+                            name="lunchWindowEnd"
+                            value={rulesForm.lunchWindowEnd}
+                            onChange={handleRulesChange}
+                            className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          />
+                        </div>
+                      </div>
+                      <label className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          name="noLabInLastPeriod"
+                          checked={rulesForm.noLabInLastPeriod}
+                          onChange={handleRulesChange}
+                          className="h-4 w-4 text-purple-600 rounded border-gray-300"
+                        />
+                        No labs in the last period
+                      </label>
+                      <div className="flex gap-2 pt-1">
+                        <button
+                          onClick={() => handleSaveRules(batch.id)}
+                          disabled={loading}
+                          className="flex-1 px-3 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition flex items-center justify-center gap-1"
+                        >
+                          <FiSave size={16} />
+                          Save
+                        </button>
+                        <button
+                          onClick={cancelEditingRules}
+                          className="flex-1 px-3 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition flex items-center justify-center gap-1"
+                        >
+                          <FiX size={16} />
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : editingBatch === batch.id ? (
                     <div className="space-y-3">
                       <input
                         type="text"
@@ -376,6 +494,13 @@ export default function BatchManagement() {
                       <div className="flex items-center justify-between mb-3">
                         <h3 className="font-semibold text-gray-800">{batch.name}</h3>
                         <div className="flex gap-1">
+                          <button
+                            onClick={() => startEditingRules(batch)}
+                            className="p-1 text-purple-600 hover:bg-purple-100 rounded"
+                            title="Edit day rules"
+                          >
+                            <FiSliders size={16} />
+                          </button>
                           <button
                             onClick={() => startEditing(batch)}
                             className="p-1 text-blue-600 hover:bg-blue-100 rounded"
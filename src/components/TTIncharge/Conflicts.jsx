@@ -1,8 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useContext, useMemo, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   FiAlertTriangle,
-  FiCheck,
   FiChevronDown,
   FiChevronUp,
   FiClock,
@@ -14,54 +13,119 @@ import {
   FiCheckCircle,
   FiRefreshCw,
   FiGitMerge,
-  FiShield
+  FiZap
 } from 'react-icons/fi';
+import { db, collection, getDocs } from '../../firebase/config';
+import { useSemester } from '../../context/SemesterContext';
+import { useToast } from '../../context/ToastContext';
+import { AuthContext } from '../../App';
+import { subscribeToOccupancyIndex } from './services/TTBuilder/occupancyIndex.js';
+import { fetchRooms } from './services/TTBuilder/firestoreService.js';
+import { TIMETABLE_STATUS_LABELS } from './services/TTBuilder/timetableWorkflow.js';
 
-// Import services and data from the service file
+// Import services from the service file
 import {
-  roomConflictsData,
-  facultyConflictsData,
-  overlappingCoursesData,
-  availableRooms,
-  availableFaculty,
-  availableTimeSlots,
-  markAsResolved,
-  changeRoom,
-  swapTime,
-  reassignFaculty,
+  CLASH_TYPES,
+  findTimetableClashes,
+  getAcknowledgedClashes,
+  acknowledgeClashes,
+  fetchBatchSizes,
+  getClashFixes,
+  applyClashFix,
   autoResolveConflicts,
   calculateSummary,
-  markAllAsResolved
+  countResolvedToday
 } from './services/Conflicts';
 
+const CLASH_TABS = [
+  { type: CLASH_TYPES.FACULTY, label: 'Faculty Conflicts', icon: <FiUser size={16} />, emptyTitle: 'No Faculty Conflicts', emptyText: 'All faculty schedules are conflict-free!' },
+  { type: CLASH_TYPES.ROOM, label: 'Room Conflicts', icon: <FiHome size={16} />, emptyTitle: 'No Room Conflicts', emptyText: 'All rooms are properly scheduled without overlaps!' },
+  { type: CLASH_TYPES.BATCH, label: 'Overlapping Courses', icon: <FiGitMerge size={16} />, emptyTitle: 'No Overlapping Courses', emptyText: 'No batch has two classes at the same time!' }
+];
+
+const formatPeriods = (day, slots) =>
+  `${day}, ${slots[0]}${slots.length > 1 ? ` – ${slots[slots.length - 1]}` : ''}`;
+
+const getClashTitle = (clash) => {
+  switch (clash.type) {
+    case CLASH_TYPES.ROOM:
+      return <>Room <span className="font-semibold text-red-600">{clash.resource.label}</span> Conflict</>;
+    case CLASH_TYPES.FACULTY:
+      return <><span className="font-semibold text-red-600">{clash.resource.label}</span> Conflict</>;
+    default:
+      return <>Overlapping Courses - Batch <span className="font-semibold text-red-600">{clash.resource.label}</span></>;
+  }
+};
+
 export default function Conflicts() {
+  const { selectedSemester } = useSemester();
+  const { showError, showSuccess, showInfo } = useToast();
+  const { user } = useContext(AuthContext);
+
   // State for active tab
-  const [activeTab, setActiveTab] = useState('faculty');
-  
-  // State for conflicts data
-  const [roomConflicts, setRoomConflicts] = useState(roomConflictsData);
-  const [facultyConflicts, setFacultyConflicts] = useState(facultyConflictsData);
-  const [overlappingCourses, setOverlappingCourses] = useState(overlappingCoursesData);
-  
-  // State for expanded card
+  const [activeTab, setActiveTab] = useState(CLASH_TYPES.FACULTY);
+
+  // Live timetables from the shared occupancy index, and rooms for fixes
+  const [timetables, setTimetables] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [rooms, setRooms] = useState([]);
+  const [batchSizes, setBatchSizes] = useState({});
+
+  // Clashes marked as resolved without changing a timetable
+  const [acknowledged, setAcknowledged] = useState(getAcknowledgedClashes);
+  const [resolvedToday, setResolvedToday] = useState(0);
+
+  // State for expanded card and the fixes ranked for each session
   const [expandedCards, setExpandedCards] = useState({});
-  
-  // State for summary data
-  const [summary, setSummary] = useState({
-    total: 0,
-    critical: 0,
-    minor: 0,
-    resolvedToday: 0
-  });
-  
+  const [fixes, setFixes] = useState({});
+  const [applyingFix, setApplyingFix] = useState(null);
+
   // Auto resolution in progress state
   const [autoResolving, setAutoResolving] = useState(false);
-  
-  // Calculate summary on component mount and when conflicts change
+
+  useEffect(() => {
+    return subscribeToOccupancyIndex(index => {
+      setTimetables(index.getTimetables());
+      setLoading(false);
+    });
+  }, []);
+
+  useEffect(() => {
+    fetchRooms(db, collection, getDocs).then(setRooms);
+  }, []);
+
+  const refreshResolvedToday = useCallback(() => {
+    countResolvedToday().then(setResolvedToday).catch(error => console.error('Error counting resolutions:', error));
+  }, []);
+
+  useEffect(() => {
+    refreshResolvedToday();
+  }, [refreshResolvedToday]);
+
+  const semesterTimetables = useMemo(
+    () => timetables.filter(timetable => timetable.semester === selectedSemester),
+    [timetables, selectedSemester]
+  );
+  const clashes = useMemo(() => findTimetableClashes(semesterTimetables), [semesterTimetables]);
+
+  // Batch strengths keep fixes out of rooms too small for the class; read again only when the batches change
+  const batchRefs = JSON.stringify(semesterTimetables.map(({ id, branch, semester, batch }) => ({ id, branch, semester, batch })));
+  useEffect(() => {
+    let cancelled = false;
+    fetchBatchSizes(JSON.parse(batchRefs))
+      .then(sizes => { if (!cancelled) setBatchSizes(sizes); })
+      .catch(error => console.error('Error loading batch sizes:', error));
+    return () => { cancelled = true; };
+  }, [batchRefs]);
+  const openClashes = clashes.filter(clash => !acknowledged.includes(clash.id));
+
+  const summary = calculateSummary(openClashes, resolvedToday);
+
+  // Fixes were ranked against the timetables at the time; drop them when anything changes
   useEffect(() => {
-    setSummary(calculateSummary(roomConflicts, facultyConflicts, overlappingCourses));
-  }, [roomConflicts, facultyConflicts, overlappingCourses]);
-  
+    setFixes({});
+  }, [timetables]);
+
   // Toggle expanded card
   const toggleExpand = (id) => {
     setExpandedCards(prev => ({
@@ -69,501 +133,175 @@ export default function Conflicts() {
       [id]: !prev[id]
     }));
   };
-  
-  // Mark conflict as resolved
-  const handleMarkAsResolved = (id, type) => {
-    switch (type) {
-      case 'room':
-        setRoomConflicts(prev => markAsResolved(prev, id));
-        break;
-      case 'faculty':
-        setFacultyConflicts(prev => markAsResolved(prev, id));
-        break;
-      case 'overlapping':
-        setOverlappingCourses(prev => markAsResolved(prev, id));
-        break;
-      default:
-        break;
-    }
+
+  // Mark a clash as resolved as it is (e.g. an intended combined class)
+  const handleMarkAsResolved = (id) => {
+    setAcknowledged(acknowledgeClashes([id]));
   };
-  
-  // Change room for a conflict
-  const handleChangeRoom = (id, type, courseIndex, newRoom) => {
-    switch (type) {
-      case 'room':
-        setRoomConflicts(prev => changeRoom(prev, id, courseIndex, newRoom));
-        break;
-      case 'overlapping':
-        setOverlappingCourses(prev => changeRoom(prev, id, courseIndex, newRoom));
-        break;
-      default:
-        break;
-    }
+
+  // Rank the fixes for one session of a clash
+  const handleShowFixes = (session) => {
+    setFixes(prev => {
+      if (prev[session.key]) {
+        const { [session.key]: _hidden, ...rest } = prev;
+        return rest;
+      }
+      return { ...prev, [session.key]: getClashFixes(session, rooms, batchSizes) };
+    });
   };
-  
-  // Swap time for a conflict
-  const handleSwapTime = (id, type, courseIndex, newTime) => {
-    switch (type) {
-      case 'room':
-        setRoomConflicts(prev => swapTime(prev, id, courseIndex, newTime));
-        break;
-      case 'faculty':
-        setFacultyConflicts(prev => swapTime(prev, id, courseIndex, newTime));
-        break;
-      case 'overlapping':
-        setOverlappingCourses(prev => swapTime(prev, id, courseIndex, newTime));
-        break;
-      default:
-        break;
+
+  // Write a fix back to the timetable it changes
+  const handleApplyFix = async (session, suggestion) => {
+    setApplyingFix(suggestion.id);
+    try {
+      const { needsRepublish } = await applyClashFix(session, suggestion, user);
+      showSuccess(`${session.code}: ${suggestion.title}`);
+      if (needsRepublish) {
+        showInfo(`${session.label} is published: submit it for review and publish it again so students see the fix`);
+      }
+      refreshResolvedToday();
+    } catch (error) {
+      console.error('Error applying fix:', error);
+      showError(error.message || 'Failed to apply the fix');
+    } finally {
+      setApplyingFix(null);
     }
   };
-  
-  // Reassign faculty for a conflict
-  const handleReassignFaculty = (id, courseIndex, newFaculty) => {
-    setFacultyConflicts(prev => reassignFaculty(prev, id, courseIndex, newFaculty));
-  };
-  
-  // Auto resolve all conflicts
-  const handleAutoResolve = () => {
+
+  // Auto resolve all conflicts with their best-ranked fixes
+  const handleAutoResolve = async () => {
     setAutoResolving(true);
-    
-    // Simulate auto-resolution with a delay to show progress
-    setTimeout(() => {
-      const result = autoResolveConflicts(roomConflicts, facultyConflicts, overlappingCourses);
-      setRoomConflicts(result.roomConflicts);
-      setFacultyConflicts(result.facultyConflicts);
-      setOverlappingCourses(result.overlappingCourses);
+    try {
+      const result = await autoResolveConflicts(selectedSemester, rooms, user, acknowledged);
+      if (result.failed.length > 0) {
+        showInfo(`${result.resolved} conflict${result.resolved !== 1 ? 's' : ''} resolved; ${result.failed.length} need manual review`);
+      } else {
+        showSuccess(`${result.resolved} conflict${result.resolved !== 1 ? 's' : ''} resolved`);
+      }
+      if (result.republish.length > 0) {
+        showInfo(`Submit for review and publish again so students see the fixes: ${result.republish.join(', ')}`);
+      }
+      refreshResolvedToday();
+    } catch (error) {
+      console.error('Error auto resolving conflicts:', error);
+      showError('Auto resolve failed. Please try again.');
+    } finally {
       setAutoResolving(false);
-    }, 1500);
+    }
+  };
+
+  // Open every unresolved card for review
+  const handleReviewManually = () => {
+    setExpandedCards(Object.fromEntries(openClashes.map(clash => [clash.id, true])));
   };
-  
+
   // Handle marking all conflicts as resolved
   const handleMarkAllAsResolved = () => {
-    const result = markAllAsResolved(roomConflicts, facultyConflicts, overlappingCourses);
-    setRoomConflicts(result.roomConflicts);
-    setFacultyConflicts(result.facultyConflicts);
-    setOverlappingCourses(result.overlappingCourses);
+    if (!window.confirm(`Mark all ${openClashes.length} conflicts as resolved without changing any timetable?`)) return;
+    setAcknowledged(acknowledgeClashes(openClashes.map(clash => clash.id)));
   };
-  
-  // Render conflict card for room conflicts
-  const renderRoomConflictCard = (conflict) => {
-    const isExpanded = expandedCards[conflict.id] || false;
-    
+
+  // Render one session taking part in a clash, with its ranked fixes
+  const renderClashSession = (clash, session, index) => {
+    const sessionFixes = fixes[session.key];
+
     return (
-      <motion.div
-        layout
-        key={conflict.id}
-        className={`border rounded-xl overflow-hidden shadow-sm transition-colors ${
-          conflict.resolved ? 'bg-green-50 border-green-200' : 
-          conflict.isCritical ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'
-        }`}
-        initial={{ opacity: 0, y: 20 }}
-        animate={{ opacity: 1, y: 0 }}
-        transition={{ duration: 0.3 }}
-      >
-        <div 
-          className="p-4 cursor-pointer flex justify-between items-center"
-          onClick={() => toggleExpand(conflict.id)}
-        >
-          <div className="flex items-center space-x-3">
-            {conflict.resolved ? (
-              <div className="flex-shrink-0 w-8 h-8 rounded-full bg-green-100 flex items-center justify-center">
-                <FiCheckCircle className="text-green-600" size={18} />
-              </div>
-            ) : conflict.isCritical ? (
-              <div className="flex-shrink-0 w-8 h-8 rounded-full bg-red-100 flex items-center justify-center">
-                <FiAlertTriangle className="text-red-600" size={18} />
-              </div>
-            ) : (
-              <div className="flex-shrink-0 w-8 h-8 rounded-full bg-amber-100 flex items-center justify-center">
-                <FiAlertTriangle className="text-amber-600" size={18} />
-              </div>
-            )}
-            
-            <div>
-              <h3 className="font-medium">
-                Room <span className="font-semibold text-red-600">{conflict.course1.room}</span> Conflict
-              </h3>
-              <p className="text-sm text-gray-600">
-                {conflict.course1.time}
-              </p>
-            </div>
+      <div key={session.key} className="p-3 bg-white rounded-lg border">
+        <div className="flex justify-between">
+          <span className="text-xs text-gray-500">Course {index + 1}</span>
+          <span className="text-xs font-semibold">{session.code}{session.subBatch ? ` · ${session.subBatch}` : ''}</span>
+        </div>
+        <h4 className="font-semibold mt-1">{session.name}</h4>
+
+        <div className="mt-2 space-y-1 text-sm">
+          <div className="flex items-center gap-2">
+            <FiUser className={clash.type === CLASH_TYPES.FACULTY ? 'text-red-500' : 'text-gray-400'} size={14} />
+            <span className={clash.type === CLASH_TYPES.FACULTY ? 'text-red-600 font-medium' : ''}>{session.teacherName || 'No teacher'}</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <FiClock className={clash.type === CLASH_TYPES.BATCH ? 'text-red-500' : 'text-gray-400'} size={14} />
+            <span className={clash.type === CLASH_TYPES.BATCH ? 'text-red-600 font-medium' : ''}>{session.day}, {session.slot}</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <FiHome className={clash.type === CLASH_TYPES.ROOM ? 'text-red-500' : 'text-gray-400'} size={14} />
+            <span className={clash.type === CLASH_TYPES.ROOM ? 'text-red-600 font-medium' : ''}>{session.roomName || session.roomId || 'No room'}</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <FiLayers className="text-gray-400" size={14} />
+            <span>{session.label}</span>
+            <span className="text-xs px-1.5 py-0.5 rounded-full bg-gray-100 text-gray-600">{TIMETABLE_STATUS_LABELS[session.status]}</span>
           </div>
-          
-          {isExpanded ? (
-            <FiChevronUp className="text-gray-600" />
-          ) : (
-            <FiChevronDown className="text-gray-600" />
-          )}
         </div>
-        
-        <AnimatePresence>
-          {isExpanded && (
-            <motion.div
-              initial={{ height: 0, opacity: 0 }}
-              animate={{ height: 'auto', opacity: 1 }}
-              exit={{ height: 0, opacity: 0 }}
-              transition={{ duration: 0.3 }}
+
+        {!acknowledged.includes(clash.id) && (
+          <div className="mt-3">
+            <button
+              onClick={() => handleShowFixes(session)}
+              className="text-xs font-medium text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
             >
-              <div className="px-4 pb-4 space-y-4">
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  <div className="p-3 bg-white rounded-lg border">
-                    <div className="flex justify-between">
-                      <span className="text-xs text-gray-500">Course 1</span>
-                      <span className="text-xs font-semibold">{conflict.course1.id}</span>
-                    </div>
-                    <h4 className="font-semibold mt-1">{conflict.course1.name}</h4>
-                    
-                    <div className="mt-2 space-y-1 text-sm">
-                      <div className="flex items-center gap-2">
-                        <FiUser className="text-gray-400" size={14} />
-                        <span>{conflict.course1.faculty.name}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiClock className="text-gray-400" size={14} />
-                        <span>{conflict.course1.time}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiHome className="text-red-500" size={14} />
-                        <span className="text-red-600 font-medium">{conflict.course1.room}</span>
-                      </div>
-                    </div>
-                  </div>
-                  
-                  <div className="p-3 bg-white rounded-lg border">
-                    <div className="flex justify-between">
-                      <span className="text-xs text-gray-500">Course 2</span>
-                      <span className="text-xs font-semibold">{conflict.course2.id}</span>
-                    </div>
-                    <h4 className="font-semibold mt-1">{conflict.course2.name}</h4>
-                    
-                    <div className="mt-2 space-y-1 text-sm">
-                      <div className="flex items-center gap-2">
-                        <FiUser className="text-gray-400" size={14} />
-                        <span>{conflict.course2.faculty.name}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiClock className="text-gray-400" size={14} />
-                        <span>{conflict.course2.time}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiHome className="text-red-500" size={14} />
-                        <span className="text-red-600 font-medium">{conflict.course2.room}</span>
+              <FiZap size={12} />
+              {sessionFixes ? 'Hide fixes' : `Suggest fixes for ${session.code}`}
+            </button>
+
+            {sessionFixes && (
+              sessionFixes.length === 0 ? (
+                <p className="mt-1 text-xs text-gray-500">No free room or period clears this clash. Open the timetable in the builder to rearrange it.</p>
+              ) : (
+                <div className="mt-2 space-y-1">
+                  {sessionFixes.map((suggestion, rank) => (
+                    <div key={suggestion.id} className="p-2 rounded-md border border-gray-200 text-xs">
+                      <div className="flex justify-between items-center gap-2">
+                        <span className="font-medium text-gray-700">{rank + 1}. {suggestion.title}</span>
+                        <button
+                          onClick={() => handleApplyFix(session, suggestion)}
+                          disabled={applyingFix !== null}
+                          className="px-2 py-1 bg-indigo-600 text-white font-medium rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                          {applyingFix === suggestion.id ? 'Applying...' : 'Apply'}
+                        </button>
                       </div>
+                      <p className="text-gray-500 mt-0.5">{suggestion.description}</p>
+                      {suggestion.reasons.length > 0 && (
+                        <p className="text-gray-400">{suggestion.reasons.join(' · ')}</p>
+                      )}
                     </div>
-                  </div>
+                  ))}
                 </div>
-                
-                {!conflict.resolved && (
-                  <div className="space-y-3">
-                    <h4 className="font-medium text-sm text-gray-700">Quick Fix Options</h4>
-                    
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                      <div>
-                        <label className="block text-xs font-medium text-gray-700 mb-1">
-                          Change Room for {conflict.course2.id}
-                        </label>
-                        <div className="flex space-x-2">
-                          <select 
-                            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 text-sm"
-                            defaultValue=""
-                          >
-                            <option value="" disabled>Select Room</option>
-                            {availableRooms.filter(r => r !== conflict.course1.room).map(room => (
-                              <option key={room} value={room}>{room}</option>
-                            ))}
-                          </select>
-                          <button
-                            onClick={() => handleChangeRoom(
-                              conflict.id, 
-                              'room', 
-                              2, 
-                              document.querySelector('select').value
-                            )}
-                            className="px-3 py-2 bg-indigo-600 text-white text-xs font-medium rounded-md hover:bg-indigo-700"
-                          >
-                            Apply
-                          </button>
-                        </div>
-                      </div>
-                      
-                      <div>
-                        <label className="block text-xs font-medium text-gray-700 mb-1">
-                          Swap Time for {conflict.course2.id}
-                        </label>
-                        <div className="flex space-x-2">
-                          <select 
-                            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 text-sm"
-                            defaultValue=""
-                          >
-                            <option value="" disabled>Select Time</option>
-                            {availableTimeSlots.filter(t => t !== conflict.course1.time).map(time => (
-                              <option key={time} value={time}>{time}</option>
-                            ))}
-                          </select>
-                          <button
-                            onClick={() => handleSwapTime(
-                              conflict.id, 
-                              'room', 
-                              2, 
-                              document.querySelectorAll('select')[1].value
-                            )}
-                            className="px-3 py-2 bg-indigo-600 text-white text-xs font-medium rounded-md hover:bg-indigo-700"
-                          >
-                            Apply
-                          </button>
-                        </div>
-                      </div>
-                    </div>
-                    
-                    <div className="pt-2">
-                      <button
-                        onClick={() => handleMarkAsResolved(conflict.id, 'room')}
-                        className="w-full py-2 bg-green-600 hover:bg-green-700 text-white rounded-md flex items-center justify-center gap-2 text-sm font-medium"
-                      >
-                        <FiCheckCircle size={16} />
-                        Mark as Resolved
-                      </button>
-                    </div>
-                  </div>
-                )}
-                
-                {conflict.resolved && (
-                  <div className="bg-green-100 p-3 rounded-md flex items-center gap-2 text-green-800">
-                    <FiCheckCircle className="text-green-600" />
-                    <span className="text-sm">Resolved on {new Date(conflict.resolvedDate).toLocaleDateString()}</span>
-                  </div>
-                )}
-              </div>
-            </motion.div>
-          )}
-        </AnimatePresence>
-      </motion.div>
-    );
-  };
-  
-  // Render conflict card for faculty conflicts
-  const renderFacultyConflictCard = (conflict) => {
-    const isExpanded = expandedCards[conflict.id] || false;
-    
-    return (
-      <motion.div
-        layout
-        key={conflict.id}
-        className={`border rounded-xl overflow-hidden shadow-sm transition-colors ${
-          conflict.resolved ? 'bg-green-50 border-green-200' : 
-          conflict.isCritical ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'
-        }`}
-        initial={{ opacity: 0, y: 20 }}
-        animate={{ opacity: 1, y: 0 }}
-        transition={{ duration: 0.3 }}
-      >
-        <div 
-          className="p-4 cursor-pointer flex justify-between items-center"
-          onClick={() => toggleExpand(conflict.id)}
-        >
-          <div className="flex items-center space-x-3">
-            {conflict.resolved ? (
-              <div className="flex-shrink-0 w-8 h-8 rounded-full bg-green-100 flex items-center justify-center">
-                <FiCheckCircle className="text-green-600" size={18} />
-              </div>
-            ) : conflict.isCritical ? (
-              <div className="flex-shrink-0 w-8 h-8 rounded-full bg-red-100 flex items-center justify-center">
-                <FiAlertTriangle className="text-red-600" size={18} />
-              </div>
-            ) : (
-              <div className="flex-shrink-0 w-8 h-8 rounded-full bg-amber-100 flex items-center justify-center">
-                <FiAlertTriangle className="text-amber-600" size={18} />
-              </div>
+              )
             )}
-            
-            <div>
-              <h3 className="font-medium">
-                <span className="font-semibold text-red-600">{conflict.faculty.name}</span> Conflict
-              </h3>
-              <p className="text-sm text-gray-600">
-                {conflict.course1.time}
-              </p>
-            </div>
           </div>
-          
-          {isExpanded ? (
-            <FiChevronUp className="text-gray-600" />
-          ) : (
-            <FiChevronDown className="text-gray-600" />
-          )}
-        </div>
-        
-        <AnimatePresence>
-          {isExpanded && (
-            <motion.div
-              initial={{ height: 0, opacity: 0 }}
-              animate={{ height: 'auto', opacity: 1 }}
-              exit={{ height: 0, opacity: 0 }}
-              transition={{ duration: 0.3 }}
-            >
-              <div className="px-4 pb-4 space-y-4">
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  <div className="p-3 bg-white rounded-lg border">
-                    <div className="flex justify-between">
-                      <span className="text-xs text-gray-500">Course 1</span>
-                      <span className="text-xs font-semibold">{conflict.course1.id}</span>
-                    </div>
-                    <h4 className="font-semibold mt-1">{conflict.course1.name}</h4>
-                    
-                    <div className="mt-2 space-y-1 text-sm">
-                      <div className="flex items-center gap-2">
-                        <FiUser className="text-red-500" size={14} />
-                        <span className="text-red-600 font-medium">{conflict.faculty.name}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiClock className="text-gray-400" size={14} />
-                        <span>{conflict.course1.time}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiHome className="text-gray-400" size={14} />
-                        <span>{conflict.course1.room}</span>
-                      </div>
-                    </div>
-                  </div>
-                  
-                  <div className="p-3 bg-white rounded-lg border">
-                    <div className="flex justify-between">
-                      <span className="text-xs text-gray-500">Course 2</span>
-                      <span className="text-xs font-semibold">{conflict.course2.id}</span>
-                    </div>
-                    <h4 className="font-semibold mt-1">{conflict.course2.name}</h4>
-                    
-                    <div className="mt-2 space-y-1 text-sm">
-                      <div className="flex items-center gap-2">
-                        <FiUser className="text-red-500" size={14} />
-                        <span className="text-red-600 font-medium">{conflict.faculty.name}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiClock className="text-gray-400" size={14} />
-                        <span>{conflict.course2.time}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiHome className="text-gray-400" size={14} />
-                        <span>{conflict.course2.room}</span>
-                      </div>
-                    </div>
-                  </div>
-                </div>
-                
-                {!conflict.resolved && (
-                  <div className="space-y-3">
-                    <h4 className="font-medium text-sm text-gray-700">Quick Fix Options</h4>
-                    
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                      <div>
-                        <label className="block text-xs font-medium text-gray-700 mb-1">
-                          Reassign Faculty for {conflict.course2.id}
-                        </label>
-                        <div className="flex space-x-2">
-                          <select 
-                            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 text-sm"
-                            defaultValue=""
-                          >
-                            <option value="" disabled>Select Faculty</option>
-                            {availableFaculty.filter(f => f.id !== conflict.faculty.id).map(faculty => (
-                              <option key={faculty.id} value={faculty.id}>{faculty.name}</option>
-                            ))}
-                          </select>
-                          <button
-                            onClick={() => handleReassignFaculty(
-                              conflict.id, 
-                              2, 
-                              availableFaculty.find(f => f.id === parseInt(document.querySelectorAll('select')[0].value))
-                            )}
-                            className="px-3 py-2 bg-indigo-600 text-white text-xs font-medium rounded-md hover:bg-indigo-700"
-                          >
-                            Apply
-                          </button>
-                        </div>
-                      </div>
-                      
-                      <div>
-                        <label className="block text-xs font-medium text-gray-700 mb-1">
-                          Swap Time for {conflict.course2.id}
-                        </label>
-                        <div className="flex space-x-2">
-                          <select 
-                            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 text-sm"
-                            defaultValue=""
-                          >
-                            <option value="" disabled>Select Time</option>
-                            {availableTimeSlots.filter(t => t !== conflict.course1.time).map(time => (
-                              <option key={time} value={time}>{time}</option>
-                            ))}
-                          </select>
-                          <button
-                            onClick={() => handleSwapTime(
-                              conflict.id, 
-                              'faculty', 
-                              2, 
-                              document.querySelectorAll('select')[1].value
-                            )}
-                            className="px-3 py-2 bg-indigo-600 text-white text-xs font-medium rounded-md hover:bg-indigo-700"
-                          >
-                            Apply
-                          </button>
-                        </div>
-                      </div>
-                    </div>
-                    
-                    <div className="pt-2">
-                      <button
-                        onClick={() => handleMarkAsResolved(conflict.id, 'faculty')}
-                        className="w-full py-2 bg-green-600 hover:bg-green-700 text-white rounded-md flex items-center justify-center gap-2 text-sm font-medium"
-                      >
-                        <FiCheckCircle size={16} />
-                        Mark as Resolved
-                      </button>
-                    </div>
-                  </div>
-                )}
-                
-                {conflict.resolved && (
-                  <div className="bg-green-100 p-3 rounded-md flex items-center gap-2 text-green-800">
-                    <FiCheckCircle className="text-green-600" />
-                    <span className="text-sm">Resolved on {new Date(conflict.resolvedDate).toLocaleDateString()}</span>
-                  </div>
-                )}
-              </div>
-            </motion.div>
-          )}
-        </AnimatePresence>
-      </motion.div>
+        )}
+      </div>
     );
   };
-  
-  // Render conflict card for overlapping courses
-  const renderOverlappingCourseCard = (conflict) => {
-    const isExpanded = expandedCards[conflict.id] || false;
-    
+
+  // Render conflict card
+  const renderClashCard = (clash) => {
+    const isExpanded = expandedCards[clash.id] || false;
+    const resolved = acknowledged.includes(clash.id);
+
     return (
       <motion.div
         layout
-        key={conflict.id}
+        key={clash.id}
         className={`border rounded-xl overflow-hidden shadow-sm transition-colors ${
-          conflict.resolved ? 'bg-green-50 border-green-200' : 
-          conflict.isCritical ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'
+          resolved ? 'bg-green-50 border-green-200' :
+          clash.isCritical ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'
         }`}
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         transition={{ duration: 0.3 }}
       >
-        <div 
+        <div
           className="p-4 cursor-pointer flex justify-between items-center"
-          onClick={() => toggleExpand(conflict.id)}
+          onClick={() => toggleExpand(clash.id)}
         >
           <div className="flex items-center space-x-3">
-            {conflict.resolved ? (
+            {resolved ? (
               <div className="flex-shrink-0 w-8 h-8 rounded-full bg-green-100 flex items-center justify-center">
                 <FiCheckCircle className="text-green-600" size={18} />
               </div>
-            ) : conflict.isCritical ? (
+            ) : clash.isCritical ? (
               <div className="flex-shrink-0 w-8 h-8 rounded-full bg-red-100 flex items-center justify-center">
                 <FiAlertTriangle className="text-red-600" size={18} />
               </div>
@@ -572,24 +310,23 @@ export default function Conflicts() {
                 <FiAlertTriangle className="text-amber-600" size={18} />
               </div>
             )}
-            
+
             <div>
-              <h3 className="font-medium">
-                Overlapping Courses - Semester <span className="font-semibold text-red-600">{conflict.course1.semester}</span>
-              </h3>
+              <h3 className="font-medium">{getClashTitle(clash)}</h3>
               <p className="text-sm text-gray-600">
-                {conflict.course1.time}
+                {formatPeriods(clash.day, clash.slots)}
+                {clash.isCritical && !resolved && ' · students see this in a published timetable; fixes need review and publishing again'}
               </p>
             </div>
           </div>
-          
+
           {isExpanded ? (
             <FiChevronUp className="text-gray-600" />
           ) : (
             <FiChevronDown className="text-gray-600" />
           )}
         </div>
-        
+
         <AnimatePresence>
           {isExpanded && (
             <motion.div
@@ -600,139 +337,23 @@ export default function Conflicts() {
             >
               <div className="px-4 pb-4 space-y-4">
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  <div className="p-3 bg-white rounded-lg border">
-                    <div className="flex justify-between">
-                      <span className="text-xs text-gray-500">Course 1</span>
-                      <span className="text-xs font-semibold">{conflict.course1.id}</span>
-                    </div>
-                    <h4 className="font-semibold mt-1">{conflict.course1.name}</h4>
-                    
-                    <div className="mt-2 space-y-1 text-sm">
-                      <div className="flex items-center gap-2">
-                        <FiUser className="text-gray-400" size={14} />
-                        <span>{conflict.course1.faculty.name}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiClock className="text-red-500" size={14} />
-                        <span className="text-red-600 font-medium">{conflict.course1.time}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiHome className="text-gray-400" size={14} />
-                        <span>{conflict.course1.room}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiLayers className="text-gray-400" size={14} />
-                        <span>{conflict.course1.program} - Sem {conflict.course1.semester}</span>
-                      </div>
-                    </div>
-                  </div>
-                  
-                  <div className="p-3 bg-white rounded-lg border">
-                    <div className="flex justify-between">
-                      <span className="text-xs text-gray-500">Course 2</span>
-                      <span className="text-xs font-semibold">{conflict.course2.id}</span>
-                    </div>
-                    <h4 className="font-semibold mt-1">{conflict.course2.name}</h4>
-                    
-                    <div className="mt-2 space-y-1 text-sm">
-                      <div className="flex items-center gap-2">
-                        <FiUser className="text-gray-400" size={14} />
-                        <span>{conflict.course2.faculty.name}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiClock className="text-red-500" size={14} />
-                        <span className="text-red-600 font-medium">{conflict.course2.time}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiHome className="text-gray-400" size={14} />
-                        <span>{conflict.course2.room}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <FiLayers className="text-gray-400" size={14} />
-                        <span>{conflict.course2.program} - Sem {conflict.course2.semester}</span>
-                      </div>
-                    </div>
-                  </div>
+                  {clash.sessions.map((session, index) => renderClashSession(clash, session, index))}
                 </div>
-                
-                {!conflict.resolved && (
-                  <div className="space-y-3">
-                    <h4 className="font-medium text-sm text-gray-700">Quick Fix Options</h4>
-                    
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                      <div>
-                        <label className="block text-xs font-medium text-gray-700 mb-1">
-                          Change Room for {conflict.course2.id}
-                        </label>
-                        <div className="flex space-x-2">
-                          <select 
-                            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 text-sm"
-                            defaultValue=""
-                          >
-                            <option value="" disabled>Select Room</option>
-                            {availableRooms.filter(r => r !== conflict.course1.room).map(room => (
-                              <option key={room} value={room}>{room}</option>
-                            ))}
-                          </select>
-                          <button
-                            onClick={() => handleChangeRoom(
-                              conflict.id, 
-                              'overlapping', 
-                              2, 
-                              document.querySelectorAll('select')[0].value
-                            )}
-                            className="px-3 py-2 bg-indigo-600 text-white text-xs font-medium rounded-md hover:bg-indigo-700"
-                          >
-                            Apply
-                          </button>
-                        </div>
-                      </div>
-                      
-                      <div>
-                        <label className="block text-xs font-medium text-gray-700 mb-1">
-                          Swap Time for {conflict.course2.id}
-                        </label>
-                        <div className="flex space-x-2">
-                          <select 
-                            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 text-sm"
-                            defaultValue=""
-                          >
-                            <option value="" disabled>Select Time</option>
-                            {availableTimeSlots.filter(t => t !== conflict.course1.time).map(time => (
-                              <option key={time} value={time}>{time}</option>
-                            ))}
-                          </select>
-                          <button
-                            onClick={() => handleSwapTime(
-                              conflict.id, 
-                              'overlapping', 
-                              2, 
-                              document.querySelectorAll('select')[1].value
-                            )}
-                            className="px-3 py-2 bg-indigo-600 text-white text-xs font-medium rounded-md hover:bg-indigo-700"
-                          >
-                            Apply
-                          </button>
-                        </div>
-                      </div>
-                    </div>
-                    
-                    <div className="pt-2">
-                      <button
-                        onClick={() => handleMarkAsResolved(conflict.id, 'overlapping')}
-                        className="w-full py-2 bg-green-600 hover:bg-green-700 text-white rounded-md flex items-center justify-center gap-2 text-sm font-medium"
-                      >
-                        <FiCheckCircle size={16} />
-                        Mark as Resolved
-                      </button>
-                    </div>
-                  </div>
-                )}
-                
-                {conflict.resolved && (
+
+                {resolved ? (
                   <div className="bg-green-100 p-3 rounded-md flex items-center gap-2 text-green-800">
                     <FiCheckCircle className="text-green-600" />
-                    <span className="text-sm">Resolved on {new Date(conflict.resolvedDate).toLocaleDateString()}</span>
+                    <span className="text-sm">Marked as resolved; it shows up again if these sessions change</span>
+                  </div>
+                ) : (
+                  <div className="pt-2">
+                    <button
+                      onClick={() => handleMarkAsResolved(clash.id)}
+                      className="w-full py-2 bg-green-600 hover:bg-green-700 text-white rounded-md flex items-center justify-center gap-2 text-sm font-medium"
+                    >
+                      <FiCheckCircle size={16} />
+                      Mark as Resolved
+                    </button>
                   </div>
                 )}
               </div>
@@ -742,12 +363,18 @@ export default function Conflicts() {
       </motion.div>
     );
   };
-  
+
+  const activeTabInfo = CLASH_TABS.find(tab => tab.type === activeTab);
+  const tabClashes = clashes.filter(clash => clash.type === activeTab);
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
-        <h1 className="text-2xl font-bold text-gray-800">Conflict Detection & Resolution</h1>
-        
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Conflict Detection & Resolution</h1>
+          <p className="text-sm text-gray-500">All timetables of {selectedSemester || 'the selected semester'}, updated live</p>
+        </div>
+
         <div className="flex items-center gap-2">
           <button
             onClick={() => window.history.back()}
@@ -757,18 +384,18 @@ export default function Conflicts() {
           </button>
         </div>
       </div>
-      
+
       {/* Summary Card */}
       <div className="bg-white rounded-xl shadow-md p-5">
         <div className="flex flex-wrap justify-between items-center mb-4">
           <h2 className="text-lg font-semibold text-gray-800">Conflict Summary</h2>
-          
+
           <div className="flex space-x-4">
             <button
               onClick={handleAutoResolve}
               disabled={autoResolving || summary.total === 0}
               className={`px-4 py-2 rounded-lg ${
-                autoResolving ? 'bg-gray-200 cursor-wait' : 
+                autoResolving ? 'bg-gray-200 cursor-wait' :
                 summary.total === 0 ? 'bg-gray-200 cursor-not-allowed text-gray-500' :
                 'bg-amber-100 text-amber-800 hover:bg-amber-200'
               } flex items-center gap-2 transition-colors`}
@@ -785,24 +412,27 @@ export default function Conflicts() {
                 </>
               )}
             </button>
-            
-            <button 
-              className="px-4 py-2 rounded-lg bg-blue-100 text-blue-800 hover:bg-blue-200 flex items-center gap-2 transition-colors"
+
+            <button
+              onClick={handleReviewManually}
+              disabled={summary.total === 0}
+              className="px-4 py-2 rounded-lg bg-blue-100 text-blue-800 hover:bg-blue-200 disabled:opacity-50 flex items-center gap-2 transition-colors"
             >
               <FiSearch />
               🔍 Review Manually
             </button>
-            
-            <button 
-              className="px-4 py-2 rounded-lg bg-green-100 text-green-800 hover:bg-green-200 flex items-center gap-2 transition-colors"
+
+            <button
+              className="px-4 py-2 rounded-lg bg-green-100 text-green-800 hover:bg-green-200 disabled:opacity-50 flex items-center gap-2 transition-colors"
               onClick={handleMarkAllAsResolved}
+              disabled={summary.total === 0}
             >
               <FiCheckCircle />
               ✅ Mark All as Resolved
             </button>
           </div>
         </div>
-        
+
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
             <div className="flex flex-col">
@@ -813,7 +443,7 @@ export default function Conflicts() {
               </div>
             </div>
           </div>
-          
+
           <div className="p-4 bg-red-50 rounded-lg border border-red-200">
             <div className="flex flex-col">
               <span className="text-xs font-medium text-red-500">CRITICAL CONFLICTS</span>
@@ -823,7 +453,7 @@ export default function Conflicts() {
               </div>
             </div>
           </div>
-          
+
           <div className="p-4 bg-amber-50 rounded-lg border border-amber-200">
             <div className="flex flex-col">
               <span className="text-xs font-medium text-amber-500">MINOR CONFLICTS</span>
@@ -833,7 +463,7 @@ export default function Conflicts() {
               </div>
             </div>
           </div>
-          
+
           <div className="p-4 bg-green-50 rounded-lg border border-green-200">
             <div className="flex flex-col">
               <span className="text-xs font-medium text-green-500">RESOLVED TODAY</span>
@@ -845,106 +475,58 @@ export default function Conflicts() {
           </div>
         </div>
       </div>
-      
+
       {/* Tabs Navigation */}
       <div className="bg-white rounded-xl shadow-md overflow-hidden">
         <div className="border-b">
           <nav className="flex">
-            <button 
-              onClick={() => setActiveTab('faculty')}
-              className={`px-5 py-4 text-sm font-medium border-b-2 ${
-                activeTab === 'faculty' ? 
-                'border-indigo-600 text-indigo-600' : 
-                'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-              } flex items-center gap-2`}
-            >
-              <FiUser size={16} />
-              Faculty Conflicts
-            </button>
-            
-            <button 
-              onClick={() => setActiveTab('room')}
-              className={`px-5 py-4 text-sm font-medium border-b-2 ${
-                activeTab === 'room' ? 
-                'border-indigo-600 text-indigo-600' : 
-                'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-              } flex items-center gap-2`}
-            >
-              <FiHome size={16} />
-              Room Conflicts
-            </button>
-            
-            <button 
-              onClick={() => setActiveTab('overlapping')}
-              className={`px-5 py-4 text-sm font-medium border-b-2 ${
-                activeTab === 'overlapping' ? 
-                'border-indigo-600 text-indigo-600' : 
-                'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-              } flex items-center gap-2`}
-            >
-              <FiGitMerge size={16} />
-              Overlapping Courses
-            </button>
+            {CLASH_TABS.map(tab => {
+              const openCount = openClashes.filter(clash => clash.type === tab.type).length;
+              return (
+                <button
+                  key={tab.type}
+                  onClick={() => setActiveTab(tab.type)}
+                  className={`px-5 py-4 text-sm font-medium border-b-2 ${
+                    activeTab === tab.type ?
+                    'border-indigo-600 text-indigo-600' :
+                    'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  } flex items-center gap-2`}
+                >
+                  {tab.icon}
+                  {tab.label}
+                  {openCount > 0 && (
+                    <span className="px-1.5 py-0.5 rounded-full bg-red-100 text-red-700 text-xs">{openCount}</span>
+                  )}
+                </button>
+              );
+            })}
           </nav>
         </div>
-        
+
         {/* Tab Content */}
         <div className="p-6">
-          {activeTab === 'faculty' && (
-            <AnimatePresence>
-              <div className="space-y-4">
-                {facultyConflicts.length === 0 ? (
-                  <div className="text-center py-10">
-                    <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-green-100 mb-4">
-                      <FiCheckCircle className="text-green-600" size={28} />
-                    </div>
-                    <h3 className="text-lg font-medium text-gray-900">No Faculty Conflicts</h3>
-                    <p className="mt-2 text-sm text-gray-500">All faculty schedules are conflict-free!</p>
-                  </div>
-                ) : (
-                  facultyConflicts.map(conflict => renderFacultyConflictCard(conflict))
-                )}
-              </div>
-            </AnimatePresence>
-          )}
-          
-          {activeTab === 'room' && (
-            <AnimatePresence>
-              <div className="space-y-4">
-                {roomConflicts.length === 0 ? (
-                  <div className="text-center py-10">
-                    <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-green-100 mb-4">
-                      <FiCheckCircle className="text-green-600" size={28} />
-                    </div>
-                    <h3 className="text-lg font-medium text-gray-900">No Room Conflicts</h3>
-                    <p className="mt-2 text-sm text-gray-500">All rooms are properly scheduled without overlaps!</p>
-                  </div>
-                ) : (
-                  roomConflicts.map(conflict => renderRoomConflictCard(conflict))
-                )}
-              </div>
-            </AnimatePresence>
-          )}
-          
-          {activeTab === 'overlapping' && (
-            <AnimatePresence>
-              <div className="space-y-4">
-                {overlappingCourses.length === 0 ? (
-                  <div className="text-center py-10">
-                    <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-green-100 mb-4">
-                      <FiCheckCircle className="text-green-600" size={28} />
-                    </div>
-                    <h3 className="text-lg font-medium text-gray-900">No Overlapping Courses</h3>
-                    <p className="mt-2 text-sm text-gray-500">All courses are scheduled without overlaps for each semester!</p>
+          <AnimatePresence>
+            <div className="space-y-4">
+              {loading ? (
+                <div className="text-center py-10 text-gray-500 flex items-center justify-center gap-2">
+                  <FiRefreshCw className="animate-spin" />
+                  Scanning timetables...
+                </div>
+              ) : tabClashes.length === 0 ? (
+                <div className="text-center py-10">
+                  <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-green-100 mb-4">
+                    <FiCheckCircle className="text-green-600" size={28} />
                   </div>
-                ) : (
-                  overlappingCourses.map(conflict => renderOverlappingCourseCard(conflict))
-                )}
-              </div>
-            </AnimatePresence>
-          )}
+                  <h3 className="text-lg font-medium text-gray-900">{activeTabInfo.emptyTitle}</h3>
+                  <p className="mt-2 text-sm text-gray-500">{activeTabInfo.emptyText}</p>
+                </div>
+              ) : (
+                tabClashes.map(clash => renderClashCard(clash))
+              )}
+            </div>
+          </AnimatePresence>
         </div>
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
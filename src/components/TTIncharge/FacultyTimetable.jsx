@@ -3,20 +3,24 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { 
   FiUser, FiFilter, FiSearch, FiX, FiClock, FiGrid, FiHome,
   FiCalendar, FiMail, FiEdit, FiChevronDown, FiChevronUp, FiBook,
-  FiCheckCircle, FiAlertOctagon
+  FiCheckCircle, FiAlertOctagon, FiUserCheck, FiUserX
 } from 'react-icons/fi';
 
 // Import business logic from service file
 import {
   prepareFacultyData,
   getStatusColorClass,
-  timeSlots,
-  weekDays,
   fetchFacultyTimetableFromDB,
   fetchFacultyListFromDB // <-- new import
 } from './services/FacultyTimetable';
+import { useTimeGrid } from '../../hooks/useTimeGrid';
+import { subscribeToSubstitutions } from '../../services/TeacherAbsenceService';
+import { toDateKey } from './services/TTBuilder/dateKeys.js';
 
 export default function FacultyTimetable() {
+  // Periods and working days from the institution time grid
+  const { timeSlots, weekDays } = useTimeGrid();
+  
   // State for faculty data with timetable information
   const [facultyList, setFacultyList] = useState([]); // <-- new state
   const [enhancedFacultyData, setEnhancedFacultyData] = useState([]);
@@ -37,6 +41,13 @@ export default function FacultyTimetable() {
   
   // State for faculty timetable grids
   const [facultyTimetables, setFacultyTimetables] = useState({});
+  
+  // Dated cover arrangements from today on (absent teachers and their substitutes)
+  const [substitutions, setSubstitutions] = useState([]);
+  const today = toDateKey(new Date());
+  const getUpcomingCovers = (facultyId) => substitutions.filter(substitution =>
+    substitution.date >= today && (substitution.teacherId === facultyId || substitution.substituteId === facultyId)
+  );
 
   // Get unique departments from faculty data
   const departments = [...new Set(facultyList.map(faculty => faculty.department))];
@@ -67,6 +78,8 @@ export default function FacultyTimetable() {
     return () => unsubscribes.forEach(unsub => unsub());
   }, [facultyList]);
   
+  useEffect(() => subscribeToSubstitutions(setSubstitutions), []);
+  
   // Handle sending timetable to faculty
   const handleSendTimetable = (faculty) => {
     setSuccessMessageType('email');
@@ -154,6 +167,31 @@ export default function FacultyTimetable() {
     );
   };
 
+  // Badges for a faculty member on leave or covering for a colleague
+  const renderCoverBadges = (facultyId) => {
+    const covers = getUpcomingCovers(facultyId);
+    const coveredFor = covers.filter(cover => cover.teacherId === facultyId).length;
+    const covering = covers.length - coveredFor;
+    if (covers.length === 0) return null;
+
+    return (
+      <div className="mt-3 flex flex-wrap gap-1">
+        {coveredFor > 0 && (
+          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
+            <FiUserX className="mr-1" size={10} />
+            On leave · {coveredFor} session{coveredFor !== 1 ? 's' : ''} covered
+          </span>
+        )}
+        {covering > 0 && (
+          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-sky-100 text-sky-800">
+            <FiUserCheck className="mr-1" size={10} />
+            Covering {covering} session{covering !== 1 ? 's' : ''}
+          </span>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="space-y-6 max-w-7xl mx-auto">
       <div className="flex flex-wrap items-center justify-between gap-4">
@@ -291,6 +329,9 @@ export default function FacultyTimetable() {
               )}
             </div>
             
+            {/* Upcoming cover arrangements */}
+            {renderCoverBadges(faculty.id)}
+            
             {/* Teaching hours progress bar */}
             <div className="mt-4">
               <div className="flex justify-between items-center mb-1">
@@ -558,6 +599,30 @@ export default function FacultyTimetable() {
                   </table>
                 </div>
                 
+                {/* Cover arrangements on specific dates */}
+                {getUpcomingCovers(selectedFaculty.id).length > 0 && (
+                  <>
+                    <h3 className="font-medium text-lg mb-4">Cover Arrangements</h3>
+                    <ul className="mb-6 space-y-2">
+                      {getUpcomingCovers(selectedFaculty.id).map(cover => (
+                        <li key={cover.id} className="flex flex-wrap items-center gap-2 text-sm px-3 py-2 rounded-lg border border-gray-200">
+                          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                            <FiCalendar size={10} className="mr-1" />
+                            {cover.day}, {cover.date} · {cover.slot}
+                          </span>
+                          <span className="font-medium text-gray-900">{cover.courseCode}{cover.subBatch && ` [${cover.subBatch}]`}</span>
+                          <span className="text-gray-500">{cover.batch}</span>
+                          {cover.teacherId === selectedFaculty.id ? (
+                            <span className="text-amber-700">On leave; covered by {cover.substituteName}</span>
+                          ) : (
+                            <span className="text-sky-700">Covering for {cover.teacherName}</span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+                
                 {/* Weekly Timetable */}
                 <h3 className="font-medium text-lg mb-4">Weekly Schedule</h3>
                 <div className="overflow-x-auto">
@@ -565,7 +630,7 @@ export default function FacultyTimetable() {
                     <thead className="bg-gray-50">
                       <tr>
                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time Slot</th>
-                        {weekDays.slice(0, 5).map(day => (
+                        {weekDays.map(day => (
                           <th key={day} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{day}</th>
                         ))}
                       </tr>
@@ -576,7 +641,7 @@ export default function FacultyTimetable() {
                           <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-900 border-r">
                             {slot}
                           </td>
-                          {weekDays.slice(0, 5).map(day => {
+                          {weekDays.map(day => {
                             const cellData = selectedFaculty.timetableGrid?.[day]?.[slot];
                             return (
                               <td key={`${day}-${slot}`} className="px-4 py-2 whitespace-nowrap text-sm text-gray-500 border-r">
@@ -15,7 +15,7 @@ import {
   FiChevronDown,
   FiX
 } from 'react-icons/fi';
-import { weekDays, timeSlots } from './services/TimetableBuilder';
+import { useTimeGrid } from '../../hooks/useTimeGrid';
 import {
   departments,
   roomTypes,
@@ -28,6 +28,9 @@ import {
 } from './services/RoomAvailability';
 
 export default function RoomAvailability() {
+  // Periods and working days from the institution time grid
+  const { timeSlots, weekDays } = useTimeGrid();
+  
   // States for filters
   const [selectedDepartment, setSelectedDepartment] = useState('');
   const [selectedRoomType, setSelectedRoomType] = useState('');
@@ -7,14 +7,10 @@ import {
   setRoomAllFreeTimings,
   resetRoomFreeTimings
 } from './services/RoomAvailabilityAllocation';
-
-const weekDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-const timeSlots = [
-  '7:00-7:55', '7:55-8:50', '8:50-9:45', '10:30-11:25', '11:25-12:20',
-  '12:20-1:15', '1:15-2:10', '2:10-3:05', '3:05-4:00', '4:00-4:55'
-];
+import { useTimeGrid } from '../../hooks/useTimeGrid';
 
 export default function RoomAvailabilityAllocation() {
+  const { timeSlots, weekDays, getDaySlots, isSlotAvailable } = useTimeGrid();
   const [rooms, setRooms] = useState([]);
   const [selectedRoom, setSelectedRoom] = useState(null);
   const [freeTimings, setFreeTimings] = useState([]);
@@ -78,7 +74,7 @@ export default function RoomAvailabilityAllocation() {
 
   // For select all
   const allSlots = weekDays.reduce((acc, day) => {
-    acc[day] = [...timeSlots];
+    acc[day] = [...getDaySlots(day)];
     return acc;
   }, {});
 
@@ -87,7 +83,7 @@ export default function RoomAvailabilityAllocation() {
     if (!selectedRoom) return;
     let all = true;
     for (let day of weekDays) {
-      for (let slot of timeSlots) {
+      for (let slot of getDaySlots(day)) {
         if (!freeLookup[day] || !freeLookup[day].includes(slot)) {
           all = false;
           break;
@@ -96,7 +92,7 @@ export default function RoomAvailabilityAllocation() {
       if (!all) break;
     }
     setAllChecked(all);
-  }, [freeTimings, selectedRoom]);
+  }, [freeTimings, selectedRoom, weekDays, getDaySlots]);
 
   // Handle cell click
   const handleCellToggle = async (day, slot) => {
@@ -267,14 +263,16 @@ export default function RoomAvailabilityAllocation() {
                     <td className="py-2 px-3 font-mono text-right text-indigo-700 font-semibold whitespace-nowrap">{slot}</td>
                     {weekDays.map(day => {
                       const checked = resetting ? false : (freeLookup[day] && freeLookup[day].includes(slot));
+                      // Periods cut off by a half-day cannot be offered
+                      const disabled = !selectedRoom || resetting || !isSlotAvailable(day, slot);
                       return (
                         <td key={day} className="py-2 px-3 text-center">
                           <input
                             type="checkbox"
                             checked={checked}
-                            disabled={!selectedRoom || resetting}
+                            disabled={disabled}
                             onChange={() => handleCellToggle(day, slot)}
-                            className={`accent-indigo-600 w-6 h-6 border-2 border-indigo-300 rounded-md shadow-sm ${!selectedRoom || resetting ? 'bg-gray-200 cursor-not-allowed' : ''}`}
+                            className={`accent-indigo-600 w-6 h-6 border-2 border-indigo-300 rounded-md shadow-sm ${disabled ? 'bg-gray-200 cursor-not-allowed' : ''}`}
                           />
                         </td>
                       );
@@ -1,20 +1,24 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useContext } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   FiSave, FiUpload, FiTrash2, FiFilter, FiChevronDown,
   FiCheck, FiX, FiAlertTriangle, FiCalendar, FiGrid,
   FiList, FiArrowLeft, FiArrowRight, FiRefreshCw,
-  FiChevronLeft, FiChevronRight, FiPlus, FiEdit2, FiMaximize2, FiMinimize2, FiFolder
+  FiChevronLeft, FiChevronRight, FiPlus, FiEdit2, FiMaximize2, FiMinimize2, FiFolder,
+  FiZap, FiClock, FiSend, FiUsers, FiLock, FiWifiOff
 } from 'react-icons/fi';
-import { db, collection, doc, setDoc, getDoc, getDocs, onSnapshot, query, where } from '../../firebase/config';
+import { db, collection, doc, setDoc, getDoc, getDocs, onSnapshot, query, where, runTransaction, FieldPath } from '../../firebase/config';
 import { useSemester } from '../../context/SemesterContext';
 import { useToast } from '../../context/ToastContext';
+import { useTimeGrid } from '../../hooks/useTimeGrid';
+import { AuthContext } from '../../App';
+import { fetchWorkloadPolicies } from '../../services/WorkloadPolicyService';
 
 // Import services and data
 import { 
-  coursesData, facultyData, roomsData, timeSlots, weekDays,
+  coursesData, facultyData, roomsData,
   initializeEmptyTimetable, checkConflictsProduction, addCourseToTimetable,
-  saveTimetable, publishTimetable, getCourseColorClass, filterCourses,
+  publishTimetable, getCourseColorClass, filterCourses,
   getCompactTimeFormat, getAbbreviatedDay, getCellHeight, 
   getResponsiveClasses, getCompactCourseDisplay, deleteCourse,
   updateTimetableOnDrop, filterConflictsAfterDeletion, filterConflictsAfterMove,
@@ -22,9 +26,27 @@ import {
   // New business logic imports
   fetchTeachersMap, fetchCourses, mapCoursesToBlocks, fetchRooms,
   setupTimetableListener, saveTimetableToFirestore, groupCourseBlocks,
-  tabOperations, historyManager, dragDropOperations, validateCoursePlacement,
+  tabOperations, patchHistory, createEmptyHistory, loadPatchHistory, savePatchHistory, HISTORY_ACTIONS,
+  dragDropOperations, validateCoursePlacement,
   getAllTimetableConflicts, auditLogger, TimetableIndex, conflictResolver,
-  resourceValidator
+  resourceValidator, generateTimetable, getBatchCourses, getCellLayout, getSessionSpan, getSpanSlots,
+  facultyValidator, getTeachingDays, getTeacherSlotStatus, AVAILABILITY_STATUS,
+  getTeacherWorkloadPolicy, getNewWorkloadViolations,
+  normalizeDayShapeRules, evaluateWeekShape, subscribeToDayShapeOverrides, saveDayShapeOverride,
+  SESSION_COMPONENTS, SESSION_COMPONENT_LABELS, hasSessionRequirements, getCompatibleRooms,
+  recommendRooms, setSessionRoom, getRoomlessSessions, assignRoomlessSessions,
+  getContactHours, formatContactHours, getContactHoursProgress,
+  OccupancyIndex, subscribeToOccupancyIndex, ensureOccupancyIndex,
+  isParallelCell, getCellSession, getCellSessions, getSubBatchOptions,
+  getElectiveBaskets, getCellBasketName, getBasketFromCell, getBasketSlots,
+  assignBasketRooms, addBasketToTimetable,
+  subscribeToTimetableWorkflow, submitTimetableForReview, canPerformWorkflowAction,
+  TIMETABLE_STATUS, TIMETABLE_STATUS_LABELS, WORKFLOW_ACTIONS,
+  mergeSchedules, joinTimetablePresence, subscribeToPresence, subscribeToEditLocks,
+  acquireEditLock, releaseEditLock, findBlockingLock, describeEditLock,
+  isRevisionConflict, createSchedulePatch, saveTimetableCells, createTimetableVersion,
+  CONFIG, SAVE_STATUS, enqueuePendingOperation, subscribeToPendingOperations, replayPendingOperations,
+  reportNeedsReview, isOfflineError, describePendingOperation, PENDING_OPERATION_TYPES, getChangedCells
 } from './services/TimetableBuilder';
 
 // Import new conflict detection services
@@ -36,6 +58,12 @@ import {
 
 // Import conflict warning component
 import ConflictWarning from './components/ConflictWarning';
+import VersionHistoryPanel from './components/VersionHistoryPanel';
+import ScheduleMergeDialog from './components/ScheduleMergeDialog';
+import ReconciliationReport from './components/ReconciliationReport';
+import DayShapePanel from './components/DayShapePanel';
+import RoomRecommendationPanel from './components/RoomRecommendationPanel';
+import ContactHoursProgress from './components/ContactHoursProgress';
 
 // Import batch management functions
 import { 
@@ -44,17 +72,25 @@ import {
   subscribeToBatches 
 } from './services/BatchManagement';
 
+// Tab badge and tooltip for each autosave state
+const SAVE_STATUS_BADGES = {
+  [SAVE_STATUS.PENDING]: { badge: <span className="text-yellow-300">*</span>, label: 'Unsaved changes' },
+  [SAVE_STATUS.SAVING]: { badge: <FiRefreshCw size={10} className="animate-spin" />, label: 'Saving…' },
+  [SAVE_STATUS.SAVED]: { badge: <FiCheck size={10} className="opacity-70" />, label: 'All changes saved' },
+  [SAVE_STATUS.OFFLINE]: { badge: <FiWifiOff size={10} />, label: 'Offline: changes are queued and will be saved when you reconnect' },
+  [SAVE_STATUS.ERROR]: { badge: <FiAlertTriangle size={10} />, label: 'Saving failed: changes will be retried after your next edit' }
+};
+
+// Identifies a conflict across re-renders of the conflict list
+const getConflictKey = (conflict) =>
+  `${conflict.type}|${conflict.day}|${conflict.slot}|${conflict.conflictingCourse?.code || ''}`;
+
 export default function TimetableBuilder() {
   // Get current semester from context
   const { selectedSemester: currentSemester, setSelectedSemester: setGlobalSemester, getActiveSemesterNames } = useSemester();
   const { showError, showInfo } = useToast();
-  
-  // Early return if context is not ready
-  if (!setGlobalSemester || !getActiveSemesterNames) {
-    return <div className="h-screen flex items-center justify-center">
-      <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-indigo-500"></div>
-    </div>;
-  }
+  const { timeSlots, weekDays, isSlotAvailable } = useTimeGrid();
+  const { user } = useContext(AuthContext);
   
   // State for screen size detection
   const [isZoomed, setIsZoomed] = useState(false);
@@ -98,9 +134,20 @@ export default function TimetableBuilder() {
   const [draggedCourse, setDraggedCourse] = useState(null);
   const [dragSourceInfo, setDragSourceInfo] = useState(null);
   
-  // History for undo/redo
+  // Sub-batch for newly placed sessions ('' places a whole-batch session)
+  const [selectedSubBatch, setSelectedSubBatch] = useState('');
+  
+  // L/T/P component for newly placed sessions ('' infers it from the session)
+  const [selectedComponent, setSelectedComponent] = useState('');
+  
+  // Course whose room requirements narrow the room picker
+  const [roomFilterCourse, setRoomFilterCourse] = useState(null);
+  
+  // Rooms offered for the last dropped session (stale once the timetable changes)
+  const [roomRecommendation, setRoomRecommendation] = useState(null);
+  
+  // Undo/redo history per timetable ID (shared by tabs showing the same timetable)
   const [historyData, setHistoryData] = useState({});
-  const [historyIndices, setHistoryIndices] = useState({});
 
   // Helper to get current tab's data and configuration
   const currentTabConfig = tabConfigs[activeTabId] || {
@@ -125,8 +172,10 @@ export default function TimetableBuilder() {
   
   const timetableData = timetablesData[activeTabId] || {};
   const conflicts = Array.isArray(conflictsData[activeTabId]) ? conflictsData[activeTabId] : [];
-  const history = historyData[activeTabId] || [];
-  const historyIndex = historyIndices[activeTabId] || -1;
+  const activeTimetableId = selectedSemester && selectedBranch && selectedBatch && selectedType
+    ? generateTimetableId(selectedSemester, selectedBranch, selectedBatch, selectedType)
+    : null;
+  const history = (activeTimetableId && historyData[activeTimetableId]) || createEmptyHistory();
 
   // Get responsive classes
   const responsive = getResponsiveClasses(isMobile);
@@ -182,6 +231,8 @@ export default function TimetableBuilder() {
 
   // State for all teachers (id -> name)
   const [teacherMap, setTeacherMap] = useState({});
+  // Workload policies teachers are checked against
+  const [workloadPolicies, setWorkloadPolicies] = useState([]);
   // State for all fetched courses
   const [allCourses, setAllCourses] = useState([]);
   // State for timetable loading
@@ -192,6 +243,10 @@ export default function TimetableBuilder() {
   const [hoveredSlot, setHoveredSlot] = useState(null);
   const [previewConflicts, setPreviewConflicts] = useState([]);
 
+  // Ranked fixes for the conflict being resolved and the one ghosted on the grid
+  const [resolution, setResolution] = useState(null); // { conflictKey, tabId, timetable, loading, suggestions }
+  const [previewSuggestionId, setPreviewSuggestionId] = useState(null);
+
   // State for conflict detection
   const [currentConflicts, setCurrentConflicts] = useState({
     teacherConflicts: [],
@@ -205,6 +260,7 @@ export default function TimetableBuilder() {
   const [existingTimetables, setExistingTimetables] = useState([]);
   const [loadingTimetables, setLoadingTimetables] = useState(false);
   const [isManuallyLoading, setIsManuallyLoading] = useState({});
+  const [historyTimetable, setHistoryTimetable] = useState(null); // Timetable whose versions are shown in the Browse modal
 
   // State for download/export modal
   const [showDownloadModal, setShowDownloadModal] = useState(false);
@@ -212,35 +268,156 @@ export default function TimetableBuilder() {
   const [downloadFormat, setDownloadFormat] = useState('pdf'); // 'pdf', 'docx', 'excel'
   const [isExporting, setIsExporting] = useState(false);
 
+  // State for automatic timetable generation
+  const [showGenerateModal, setShowGenerateModal] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [generatedResult, setGeneratedResult] = useState(null);
+
+  // Lab groups of the selected batch that can hold parallel sessions
+  const subBatchOptions = getSubBatchOptions(availableBatches.find(b => b.name === selectedBatch) || selectedBatch);
+  const activeSubBatch = subBatchOptions.includes(selectedSubBatch) ? selectedSubBatch : '';
+
+  // Placed sessions do not carry the course's room requirements; look them up by code
+  const withSessionRequirements = (course) => course && !course.isBasket ? {
+    ...course,
+    sessionRequirements: course.sessionRequirements || allCourses.find(c => c.code === course.code)?.sessionRequirements || null
+  } : course;
+
+  // Narrow the room picker to a course, moving off the selected room if it does not fit
+  const focusRoomsOnCourse = (course) => {
+    setRoomFilterCourse(course);
+    const session = withSessionRequirements({ ...course, component: course.component || selectedComponent || undefined });
+    if (!hasSessionRequirements(session.sessionRequirements)) return;
+    const matchingRooms = getCompatibleRooms(rooms, session);
+    if (matchingRooms.length > 0 && !matchingRooms.some(room => room.id === selectedRoom?.id)) {
+      setSelectedRoom(matchingRooms[0]);
+    }
+  };
+
+  // Free rooms for a session in a period, best first
+  const getRoomRecommendations = (schedule, course, day, slot) => {
+    const currentBatch = availableBatches.find(b => b.name === selectedBatch);
+    return recommendRooms(withSessionRequirements(course), day, slot, {
+      timetableData: schedule,
+      rooms,
+      batchSize: currentBatch?.studentCount || currentBatch?.size || 0,
+      departments: [selectedBranch, branches.find(branch => branch.id === selectedBranch)?.name],
+      occupancy: OccupancyIndex,
+      timetableId: activeTimetableId
+    });
+  };
+
+  // Give each member of an elective basket a room no other timetable books in the basket's periods
+  const getBasketAssignments = (basket, day, slot) => {
+    const currentTimetableId = generateTimetableId(selectedSemester, selectedBranch, selectedBatch, selectedType);
+    const basketSlots = getBasketSlots(basket, slot);
+    return assignBasketRooms(basket, rooms, {
+      preferredRoom: selectedRoom,
+      isRoomFree: room => basketSlots.every(basketSlot =>
+        OccupancyIndex.getRoomBookings(room.id || room.number, day, basketSlot, currentTimetableId).length === 0
+      )
+    });
+  };
+
   // Helper function to validate drop before allowing it with comprehensive checks
   const validateDrop = (day, slot, course, room) => {
     if (!course || !room) {
       return { canDrop: false, conflicts: [], warnings: [] };
     }
     
+    // Cells another TT Incharge is editing cannot be dropped onto
+    const lock = findBlockingLock(editLocks, day, slot);
+    if (lock) {
+      const lockConflict = {
+        type: 'edit_lock',
+        severity: 'critical',
+        message: describeEditLock(lock)
+      };
+      return { canDrop: false, conflicts: [lockConflict], warnings: [], allConflicts: [lockConflict] };
+    }
+    
+    // A session being moved should not clash with the periods it is leaving
+    const baseTimetable = dragSourceInfo
+      ? deleteCourse(timetableData, dragSourceInfo.day, dragSourceInfo.slot, dragSourceInfo.subBatch || null)
+      : timetableData;
+    
+    // Elective baskets are checked member by member, each in its own room
+    if (course.isBasket) {
+      const { conflicts: basketConflicts } = addBasketToTimetable(
+        baseTimetable, day, slot, getBasketAssignments(course, day, slot)
+      );
+      const criticalConflicts = basketConflicts.filter(c => c.severity === 'critical');
+      const basketWarnings = basketConflicts.filter(c => c.severity !== 'critical');
+      return {
+        canDrop: criticalConflicts.length === 0,
+        conflicts: criticalConflicts,
+        warnings: basketWarnings,
+        allConflicts: basketConflicts
+      };
+    }
+    
     // Basic conflict validation
-    const validation = validateCoursePlacement(timetableData, day, slot, course, room);
+    const validation = validateCoursePlacement(baseTimetable, day, slot, course, room);
     
     // Get current batch info (you would get this from your batch management system)
     const currentBatchInfo = {
       id: selectedBatch,
-      size: availableBatches.find(b => b.name === selectedBatch)?.size || 30 // Default size
+      size: availableBatches.find(b => b.name === selectedBatch)?.size || 30, // Default size
+      dayShapeRules: availableBatches.find(b => b.name === selectedBatch)?.dayShapeRules,
+      dayShapeOverrides
     };
     
     // Comprehensive resource validation
     const resourceValidation = resourceValidator.validateAllResources(
-      timetableData, day, slot, course, room, currentBatchInfo
+      baseTimetable, day, slot, withSessionRequirements(course), room, currentBatchInfo
+    );
+    
+    // The teacher's stored availability: unavailable periods block, preferences warn
+    const availabilityConflicts = facultyValidator.validateFacultyAvailability(
+      { name: course.teacherName, availability: teacherMap[course.teacherId]?.availability },
+      day,
+      getSpanSlots(slot, getSessionSpan(course)) || [slot],
+      getTeachingDays(baseTimetable, course.teacherId, OccupancyIndex, activeTimetableId)
     );
     
+    // Workload policy limits, counting the teacher's periods in every timetable of this semester;
+    // only violations the drop introduces or worsens are reported
+    const workloadPolicy = getTeacherWorkloadPolicy(teacherMap[course.teacherId], workloadPolicies);
+    const workloadWarnings = [];
+    if (workloadPolicy) {
+      const otherPeriods = OccupancyIndex.getTeacherEntries(course.teacherId, activeTimetableId)
+        .filter(entry => entry.semester === selectedSemester)
+        .map(entry => ({ day: entry.day, slot: entry.timeSlot }));
+      const workloadBefore = facultyValidator.validateFacultyWorkload(
+        baseTimetable, course.teacherId, workloadPolicy, otherPeriods
+      );
+      const workloadAfter = facultyValidator.validateFacultyWorkload(
+        baseTimetable, course.teacherId, workloadPolicy,
+        [...otherPeriods, ...(getSpanSlots(slot, getSessionSpan(course)) || [slot]).map(spanSlot => ({ day, slot: spanSlot }))]
+      );
+      getNewWorkloadViolations(workloadBefore.workload, workloadAfter.workload).forEach(violation => {
+        workloadWarnings.push({
+          type: 'faculty_workload',
+          severity: 'warning',
+          message: `${course.teacherName || 'Teacher'}: ${violation.message}`,
+          day,
+          slot
+        });
+      });
+    }
+    
     // Combine all validations
     const allConflicts = [
       ...validation.criticalConflicts,
-      ...resourceValidation.overall.conflicts
+      ...resourceValidation.overall.conflicts,
+      ...availabilityConflicts.filter(c => c.severity === 'critical')
     ];
     
     const allWarnings = [
       ...validation.warnings,
-      ...resourceValidation.overall.warnings
+      ...resourceValidation.overall.warnings,
+      ...availabilityConflicts.filter(c => c.severity !== 'critical'),
+      ...workloadWarnings
     ];
     
     return {
@@ -254,10 +431,16 @@ export default function TimetableBuilder() {
 
   // Build performance indexes when timetable data changes
   useEffect(() => {
-    if (timetableData && Object.keys(timetableData).length > 0) {
-      TimetableIndex.buildIndexes(timetableData);
+    const schedule = timetablesData[activeTabId];
+    if (schedule && Object.keys(schedule).length > 0) {
+      TimetableIndex.buildIndexes(schedule);
     }
-  }, [timetableData]);
+  }, [timetablesData, activeTabId]);
+
+  // Keep the cross-timetable occupancy index live while the builder is open
+  useEffect(() => {
+    return subscribeToOccupancyIndex();
+  }, []);
 
   // Fetch branches on component mount
   useEffect(() => {
@@ -309,14 +492,34 @@ export default function TimetableBuilder() {
     }
   }, [selectedBranch, selectedSemester, showInfo, showError]);
 
+  // Reference data read from the offline cache ({ teachers, courses, rooms } -> true);
+  // it is fetched again whenever the browser comes back online
+  const [cachedSources, setCachedSources] = useState({});
+  const [referenceDataReload, setReferenceDataReload] = useState(0);
+
+  const trackDataSource = useCallback((name) => ({ fromCache }) => {
+    setCachedSources(prev => (!!prev[name] === fromCache ? prev : { ...prev, [name]: fromCache }));
+  }, []);
+
+  useEffect(() => {
+    const handleOnline = () => setReferenceDataReload(prev => prev + 1);
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, []);
+
   // Fetch all teachers and build a map (id -> name)
   useEffect(() => {
     async function loadTeachers() {
-      const teacherMap = await fetchTeachersMap(db, collection, getDocs);
+      const teacherMap = await fetchTeachersMap(db, collection, getDocs, trackDataSource('teachers'));
       setTeacherMap(teacherMap);
     }
     loadTeachers();
-  }, []);
+  }, [referenceDataReload, trackDataSource]);
+
+  // Fetch the workload policies teachers are checked against while placing
+  useEffect(() => {
+    fetchWorkloadPolicies().then(setWorkloadPolicies);
+  }, [referenceDataReload]);
 
   // Update tab configuration when context semester changes (initialization)
   useEffect(() => {
@@ -335,11 +538,11 @@ export default function TimetableBuilder() {
   // Fetch all courses from Firestore (store raw)
   useEffect(() => {
     async function loadCourses() {
-      const courses = await fetchCourses(db, collection, getDocs, query, where, currentSemester);
+      const courses = await fetchCourses(db, collection, getDocs, query, where, currentSemester, null, trackDataSource('courses'));
       setAllCourses(courses);
     }
     loadCourses();
-  }, [currentSemester]);
+  }, [currentSemester, referenceDataReload, trackDataSource]);
 
   // Map courses to courseBlocks whenever teacherMap or allCourses changes
   useEffect(() => {
@@ -366,16 +569,6 @@ export default function TimetableBuilder() {
       return prev;
     });
     
-    // Initialize history for the first tab only if not already initialized  
-    setHistoryData(prevHistory => {
-      if (!prevHistory[1]) {
-        const result = historyManager.addToHistory([], -1, initialData);
-        setHistoryIndices(prevIndices => ({ ...prevIndices, 1: result.historyIndex }));
-        return { ...prevHistory, 1: result.history };
-      }
-      return prevHistory;
-    });
-    
     // Check screen size
     const checkScreenSize = () => {
       setIsMobile(window.innerWidth < 768);
@@ -396,11 +589,11 @@ export default function TimetableBuilder() {
   // Fetch rooms from Firestore on mount
   useEffect(() => {
     async function loadRooms() {
-      const roomsData = await fetchRooms(db, collection, getDocs);
+      const roomsData = await fetchRooms(db, collection, getDocs, trackDataSource('rooms'));
       setRooms(roomsData);
     }
     loadRooms();
-  }, []);
+  }, [referenceDataReload, trackDataSource]);
 
   // Set initial selected room for tabs when rooms change
   useEffect(() => {
@@ -422,6 +615,16 @@ export default function TimetableBuilder() {
     }
   }, [rooms]);
 
+  // Rooms offered in the picker: those meeting the focused course's requirements, or all when none do
+  const roomFilterSession = roomFilterCourse && withSessionRequirements({
+    ...roomFilterCourse,
+    component: roomFilterCourse.component || selectedComponent || undefined
+  });
+  const compatibleRooms = roomFilterSession && hasSessionRequirements(roomFilterSession.sessionRequirements)
+    ? getCompatibleRooms(rooms, roomFilterSession)
+    : rooms;
+  const pickerRooms = compatibleRooms.length > 0 ? compatibleRooms : rooms;
+
   // Effect to clear selected batch when no batches are available
   useEffect(() => {
     if (selectedBranch && selectedSemester && !batchesLoading && availableBatches.length === 0) {
@@ -458,6 +661,237 @@ export default function TimetableBuilder() {
   // State for managing per-tab Firestore listeners
   const [activeListeners, setActiveListeners] = useState({});
 
+  // Review status of the timetable in the active tab
+  const [workflowState, setWorkflowState] = useState(null);
+
+  useEffect(() => {
+    setWorkflowState(null);
+    if (!isRequiredFieldsSelected()) return undefined;
+
+    return subscribeToTimetableWorkflow(
+      generateTimetableId(selectedSemester, selectedBranch, selectedBatch, selectedType),
+      setWorkflowState
+    );
+  }, [selectedSemester, selectedBranch, selectedBatch, selectedType, isRequiredFieldsSelected]);
+
+  // Day-shape rules the TT Incharge has overridden for this timetable
+  const [dayShapeOverrides, setDayShapeOverrides] = useState([]);
+
+  useEffect(() => {
+    setDayShapeOverrides([]);
+    return subscribeToDayShapeOverrides(activeTimetableId, setDayShapeOverrides);
+  }, [activeTimetableId]);
+
+  const toggleDayShapeOverride = async (rule) => {
+    const overridden = !dayShapeOverrides.includes(rule);
+    try {
+      await saveDayShapeOverride(activeTimetableId, rule, overridden);
+      logTimetableAction('day_shape_override', { rule, overridden, batch: selectedBatch });
+    } catch (error) {
+      showError(error.message || 'Failed to save the override');
+    }
+  };
+
+  // Other sessions viewing this timetable, and the soft locks held on it
+  const [collaborators, setCollaborators] = useState([]);
+  const [editLocks, setEditLocks] = useState([]);
+
+  useEffect(() => {
+    setCollaborators([]);
+    setEditLocks([]);
+    if (!activeTimetableId || !user) return undefined;
+
+    const leave = joinTimetablePresence(activeTimetableId, user);
+    const unsubscribePresence = subscribeToPresence(activeTimetableId, sessions => {
+      setCollaborators(sessions.filter(session => !session.isMine));
+    });
+    const unsubscribeLocks = subscribeToEditLocks(activeTimetableId, setEditLocks);
+
+    return () => {
+      unsubscribePresence();
+      unsubscribeLocks();
+      leave();
+    };
+  }, [activeTimetableId, user]);
+
+  // Latest local schedules, and the last stored schedule and revision each tab was
+  // synced with, so remote snapshots and refused saves can be merged without dropping local edits
+  const timetablesDataRef = useRef(timetablesData);
+  timetablesDataRef.current = timetablesData;
+  const syncedSchedulesRef = useRef({});
+
+  // Three-way merge waiting for the user: { tabId, schedule, remoteCells, conflicts }
+  const [pendingMerge, setPendingMerge] = useState(null);
+  const mergeGenerationRef = useRef(0);
+
+  // Merge a newer stored schedule into a tab; cells both sides changed go to the merge dialog
+  const startScheduleMerge = useCallback((tabId, timetableId, remoteSchedule, revision) => {
+    const synced = syncedSchedulesRef.current[tabId];
+    const base = synced?.timetableId === timetableId ? synced.schedule : initializeEmptyTimetable();
+    const merge = mergeSchedules(base, timetablesDataRef.current[tabId] || {}, remoteSchedule);
+    
+    syncedSchedulesRef.current[tabId] = { timetableId, schedule: remoteSchedule, revision };
+    mergeGenerationRef.current += 1;
+    
+    if (merge.conflicts.length > 0) {
+      setPendingMerge({ tabId, ...merge });
+      return;
+    }
+    setTimetablesData(prev => ({ ...prev, [tabId]: merge.schedule }));
+    setConflictsData(prev => ({ ...prev, [tabId]: getAllTimetableConflicts(merge.schedule) }));
+  }, []);
+
+  const handleMergeResolved = (schedule) => {
+    const { tabId } = pendingMerge;
+    setPendingMerge(null);
+    setTimetablesData(prev => ({ ...prev, [tabId]: schedule }));
+    setConflictsData(prev => ({ ...prev, [tabId]: getAllTimetableConflicts(schedule) }));
+  };
+
+  // Autosave state per tab (SAVE_STATUS value); tabs with unsaved edits count as modified
+  const [saveStatuses, setSaveStatuses] = useState({});
+
+  const setTabSaveStatus = useCallback((tabId, status) => {
+    setSaveStatuses(prev => (prev[tabId] === status ? prev : { ...prev, [tabId]: status }));
+    setTabs(prev => prev.map(tab => (
+      tab.id === tabId && tab.isModified !== (status !== SAVE_STATUS.SAVED)
+        ? { ...tab, isModified: status !== SAVE_STATUS.SAVED }
+        : tab
+    )));
+  }, []);
+
+  // Saves run one at a time, so each checks the revision the previous one wrote
+  const saveChainRef = useRef(Promise.resolve());
+
+  // Schedule each tab's offline queue will leave behind once replayed: tabId -> { timetableId, schedule }
+  const queuedSchedulesRef = useRef(new Map());
+
+  const persistSchedule = useCallback(({ tabId, config, schedule, version = null }) => {
+    const timetableId = generateTimetableId(config.selectedSemester, config.selectedBranch, config.selectedBatch, config.selectedType);
+    const generation = mergeGenerationRef.current;
+    
+    const run = async () => {
+      // A merge started after this save was queued, so its schedule is out of date
+      if (generation !== mergeGenerationRef.current) return null;
+      
+      const synced = syncedSchedulesRef.current[tabId];
+      const base = synced?.timetableId === timetableId ? synced : null;
+      const changes = base ? createSchedulePatch(base.schedule, schedule) : null;
+      if (base && !version && changes.length === 0) {
+        setTabSaveStatus(tabId, SAVE_STATUS.SAVED);
+        return { revision: base.revision };
+      }
+      
+      const timetableTarget = {
+        currentSemester: config.selectedSemester,
+        selectedBranch: config.selectedBranch,
+        selectedBatch: config.selectedBatch,
+        selectedType: config.selectedType
+      };
+      const target = { db, doc, runTransaction, ...timetableTarget };
+      
+      // Offline: queue the cells changed since the tab's last queued save, to be sent in order on reconnect
+      const queueOffline = async () => {
+        const queued = queuedSchedulesRef.current.get(tabId);
+        const from = queued?.timetableId === timetableId ? queued.schedule : (base ? base.schedule : {});
+        const queuedChanges = createSchedulePatch(from, schedule);
+        if (queuedChanges.length > 0 || version) {
+          await enqueuePendingOperation({
+            type: PENDING_OPERATION_TYPES.SAVE_CELLS,
+            timetableId,
+            target: timetableTarget,
+            changes: queuedChanges,
+            baseRevision: base ? base.revision : null,
+            version
+          });
+        }
+        queuedSchedulesRef.current.set(tabId, { timetableId, schedule });
+        setTabSaveStatus(tabId, SAVE_STATUS.OFFLINE);
+        return { revision: base ? base.revision : null, queued: true };
+      };
+      
+      if (!navigator.onLine) return queueOffline();
+      
+      setTabSaveStatus(tabId, SAVE_STATUS.SAVING);
+      try {
+        let result;
+        if (base) {
+          // Only the changed cells are written, so edits elsewhere in the timetable don't collide
+          result = changes.length > 0
+            ? await saveTimetableCells({ ...target, FieldPath, changes, expectedRevision: base.revision })
+            : { revision: base.revision };
+          if (version) {
+            await createTimetableVersion(timetableId, schedule, version);
+          }
+        } else {
+          // Nothing stored has been loaded to diff against yet
+          result = await saveTimetableToFirestore({ ...target, setDoc, scheduleData: schedule, version });
+        }
+        syncedSchedulesRef.current[tabId] = { timetableId, schedule, revision: result?.revision ?? null };
+        setTabSaveStatus(tabId, timetablesDataRef.current[tabId] === schedule ? SAVE_STATUS.SAVED : SAVE_STATUS.PENDING);
+        return result;
+      } catch (error) {
+        if (isRevisionConflict(error)) {
+          setTabSaveStatus(tabId, SAVE_STATUS.PENDING);
+          startScheduleMerge(tabId, timetableId, error.schedule, error.revision);
+        } else if (isOfflineError(error)) {
+          return queueOffline();
+        } else {
+          setTabSaveStatus(tabId, SAVE_STATUS.ERROR);
+        }
+        throw error;
+      }
+    };
+    
+    const result = saveChainRef.current.then(run);
+    saveChainRef.current = result.catch(() => {});
+    return result;
+  }, [startScheduleMerge, setTabSaveStatus]);
+
+  const autosaveTab = useCallback((tabId, config) => {
+    // The tab has since moved to another timetable; its own autosave covers that one
+    const synced = syncedSchedulesRef.current[tabId];
+    if (synced && synced.timetableId !== generateTimetableId(config.selectedSemester, config.selectedBranch, config.selectedBatch, config.selectedType)) {
+      return;
+    }
+    
+    persistSchedule({ tabId, config, schedule: timetablesDataRef.current[tabId] }).catch(error => {
+      if (!isRevisionConflict(error)) showError('Failed to save timetable changes');
+    });
+  }, [persistSchedule, showError]);
+
+  // Offline queue: shown in the toolbar, replayed on load and whenever the browser comes back online
+  const [pendingOperations, setPendingOperations] = useState([]);
+  const [reconciliationReport, setReconciliationReport] = useState(null);
+
+  useEffect(() => subscribeToPendingOperations(setPendingOperations), []);
+
+  useEffect(() => {
+    const replay = () => {
+      if (!navigator.onLine) return;
+      
+      // Run in the save chain so queued writes land before any newer autosave
+      const result = saveChainRef.current.then(() => replayPendingOperations());
+      saveChainRef.current = result.catch(() => {});
+      
+      result.then(report => {
+        if (report.remaining === 0) {
+          [...queuedSchedulesRef.current.keys()].forEach(tabId => setTabSaveStatus(tabId, SAVE_STATUS.SAVED));
+          queuedSchedulesRef.current.clear();
+        }
+        if (reportNeedsReview(report)) {
+          setReconciliationReport(report);
+        } else if (report.applied.length > 0) {
+          showInfo(`Synced ${report.applied.length} change${report.applied.length !== 1 ? 's' : ''} made while offline`);
+        }
+      }).catch(error => console.error('Error replaying offline changes:', error));
+    };
+    
+    replay();
+    window.addEventListener('online', replay);
+    return () => window.removeEventListener('online', replay);
+  }, [setTabSaveStatus, showInfo]);
+
   // Firestore real-time listener for timetable (per tab)
   useEffect(() => {
     // Clean up existing listener for this tab
@@ -478,7 +912,7 @@ export default function TimetableBuilder() {
     const unsubscribe = setupTimetableListener({
       db, doc, onSnapshot,
       currentSemester: selectedSemester, selectedBranch, selectedBatch, selectedType,
-      callback: (scheduleData) => {
+      callback: (scheduleData, { revision }) => {
         // Don't update if we're manually loading data
         if (isManuallyLoading[activeTabId]) {
           console.log('Skipping listener update - manual loading in progress');
@@ -486,18 +920,35 @@ export default function TimetableBuilder() {
           return;
         }
         
+        const timetableId = generateTimetableId(selectedSemester, selectedBranch, selectedBatch, selectedType);
+        const synced = syncedSchedulesRef.current[activeTabId];
+        const localSchedule = timetablesDataRef.current[activeTabId];
+        
+        // Merge remote changes cell by cell into what this tab has, keeping its own edits
+        if (synced && synced.timetableId === timetableId && localSchedule) {
+          const merge = mergeSchedules(synced.schedule, localSchedule, scheduleData);
+          if (merge.remoteCells.length > 0 || merge.conflicts.length > 0) {
+            startScheduleMerge(activeTabId, timetableId, scheduleData, revision);
+          } else {
+            syncedSchedulesRef.current[activeTabId] = { timetableId, schedule: scheduleData, revision };
+          }
+          setTimetableLoading(false);
+          return;
+        }
+        syncedSchedulesRef.current[activeTabId] = { timetableId, schedule: scheduleData, revision };
+        
         setTimetablesData(prev => {
           // Check if we already have data for this tab (from browse/load)
           const existingData = prev[activeTabId];
           const hasExistingData = existingData && Object.keys(existingData).length > 0 && 
             Object.values(existingData).some(dayData => 
-              Object.values(dayData || {}).some(slotData => slotData && slotData.code)
+              Object.values(dayData || {}).some(slotData => getCellSession(slotData)?.code)
             );
           
           // If we have existing data and the new data is empty, don't overwrite
           const hasNewData = scheduleData && Object.keys(scheduleData).length > 0 &&
             Object.values(scheduleData).some(dayData => 
-              Object.values(dayData || {}).some(slotData => slotData && slotData.code)
+              Object.values(dayData || {}).some(slotData => getCellSession(slotData)?.code)
             );
           
           if (hasExistingData && !hasNewData) {
@@ -509,16 +960,6 @@ export default function TimetableBuilder() {
           return { ...prev, [activeTabId]: scheduleData };
         });
         setTimetableLoading(false);
-        
-        // Initialize history for this tab with the loaded data (first time only)
-        setHistoryData(prevHistory => {
-          if (!prevHistory[activeTabId] || prevHistory[activeTabId].length === 0) {
-            const result = historyManager.addToHistory([], -1, scheduleData);
-            setHistoryIndices(prevIndices => ({ ...prevIndices, [activeTabId]: result.historyIndex }));
-            return { ...prevHistory, [activeTabId]: result.history };
-          }
-          return prevHistory;
-        });
       }
     });
     
@@ -530,7 +971,7 @@ export default function TimetableBuilder() {
         unsubscribe();
       }
     };
-  }, [selectedSemester, selectedBranch, selectedBatch, selectedType, activeTabId, isRequiredFieldsSelected]);
+  }, [selectedSemester, selectedBranch, selectedBatch, selectedType, activeTabId, isRequiredFieldsSelected, startScheduleMerge]);
 
   // Cleanup all listeners on component unmount
   useEffect(() => {
@@ -543,25 +984,45 @@ export default function TimetableBuilder() {
     };
   }, []);
 
-  // Write timetable changes to Firestore (only when data changes, not when loading)
+  // Autosave: once edits to the active tab settle for CONFIG.AUTOSAVE_DELAY_MS, save the cells that changed.
+  // Timers are per tab, so switching tabs doesn't drop a save that is still waiting.
+  const autosaveTimersRef = useRef({});
+
   useEffect(() => {
-    const currentSchedule = timetablesData[activeTabId];
-    // Only save if we have data and all required fields are selected
-    if (currentSchedule && isRequiredFieldsSelected() && Object.keys(currentSchedule).length > 0) {
-      // Check if this is not just an empty initialization
+    const tabId = activeTabId;
+    clearTimeout(autosaveTimersRef.current[tabId]);
+    
+    const currentSchedule = timetablesData[tabId];
+    // Hold saves while a merge is waiting for the user
+    if (pendingMerge || !currentSchedule || !isRequiredFieldsSelected()) return;
+    
+    const config = { selectedSemester, selectedBranch, selectedBatch, selectedType };
+    const timetableId = generateTimetableId(selectedSemester, selectedBranch, selectedBatch, selectedType);
+    const synced = syncedSchedulesRef.current[tabId];
+    if (synced?.timetableId === timetableId) {
+      if (createSchedulePatch(synced.schedule, currentSchedule).length > 0) {
+        setTabSaveStatus(tabId, navigator.onLine ? SAVE_STATUS.PENDING : SAVE_STATUS.OFFLINE);
+      }
+    } else {
+      // Not loaded yet: don't write an empty grid over the stored timetable
       const hasActualData = Object.values(currentSchedule).some(dayData => 
-        Object.values(dayData || {}).some(slotData => slotData && slotData.code)
+        Object.values(dayData || {}).some(slotData => getCellSession(slotData)?.code)
       );
-      
-      if (hasActualData) {
-        saveTimetableToFirestore({
-          db, doc, setDoc,
-          currentSemester: selectedSemester, selectedBranch, selectedBatch, selectedType,
-          scheduleData: currentSchedule
-        });
-      }
+      if (!hasActualData) return;
+      setTabSaveStatus(tabId, navigator.onLine ? SAVE_STATUS.PENDING : SAVE_STATUS.OFFLINE);
     }
-  }, [timetablesData, selectedSemester, selectedBranch, selectedBatch, selectedType, activeTabId, isRequiredFieldsSelected]);
+    
+    autosaveTimersRef.current[tabId] = setTimeout(() => {
+      delete autosaveTimersRef.current[tabId];
+      autosaveTab(tabId, config);
+    }, CONFIG.AUTOSAVE_DELAY_MS);
+  }, [timetablesData, selectedSemester, selectedBranch, selectedBatch, selectedType, activeTabId, isRequiredFieldsSelected, pendingMerge, autosaveTab, setTabSaveStatus]);
+
+  // Stop waiting autosaves when the builder closes
+  useEffect(() => {
+    const timers = autosaveTimersRef.current;
+    return () => Object.values(timers).forEach(timer => clearTimeout(timer));
+  }, []);
 
   // Add a new tab
   const addNewTab = () => {
@@ -588,9 +1049,6 @@ export default function TimetableBuilder() {
       [nextTabId]: tabConfig.tabConfig
     }));
     
-    // Initialize history for the new tab
-    addToHistory(nextTabId, initialData);
-    
     // Increment next tab id
     setNextTabId(prevId => prevId + 1);
   };
@@ -610,26 +1068,11 @@ export default function TimetableBuilder() {
       markTabAsModified(activeTabId, false);
       showInfo('Timetable saved successfully');
       
-      // The actual save to Firestore happens automatically through the useEffect
-      // This is just for user feedback and marking the tab as saved
+      // Edits reach Firestore through the autosave effect; an explicit save
+      // additionally stores a version, so this is just user feedback
     }
   };
 
-  // Monitor timetable data changes to mark tabs as modified
-  useEffect(() => {
-    const currentData = timetablesData[activeTabId];
-    if (currentData && Object.keys(currentData).length > 0) {
-      // Check if there's actual course data (not just empty slots)
-      const hasData = Object.values(currentData).some(dayData => 
-        Object.values(dayData || {}).some(slotData => slotData && slotData.code)
-      );
-      
-      if (hasData) {
-        markTabAsModified(activeTabId, true);
-      }
-    }
-  }, [timetablesData, activeTabId]);
-
   const switchTab = (tabId) => {
     setTabs(prevTabs => tabOperations.switchTab(prevTabs, tabId));
     setActiveTabId(tabId);
@@ -690,18 +1133,6 @@ export default function TimetableBuilder() {
       return newData;
     });
     
-    setHistoryData(prev => {
-      const newData = { ...prev };
-      delete newData[tabId];
-      return newData;
-    });
-    
-    setHistoryIndices(prev => {
-      const newData = { ...prev };
-      delete newData[tabId];
-      return newData;
-    });
-    
     setTabConfigs(prev => {
       const newData = { ...prev };
       delete newData[tabId];
@@ -738,75 +1169,190 @@ export default function TimetableBuilder() {
     }
   };
 
-  // Function to add current state to history (memoized)
-  const addToHistory = useCallback((tabId, data) => {
-    setHistoryData(prev => {
-      const tabHistory = prev[tabId] || [];
-      const tabHistoryIndex = historyIndices[tabId] || -1;
-      
-      const result = historyManager.addToHistory(tabHistory, tabHistoryIndex, data);
-      setHistoryIndices(prevIndices => ({ ...prevIndices, [tabId]: result.historyIndex }));
-      
-      return { ...prev, [tabId]: result.history };
+  // Store a timetable's undo history in state and IndexedDB
+  const updateHistory = (timetableId, nextHistory) => {
+    setHistoryData(prev => ({ ...prev, [timetableId]: nextHistory }));
+    savePatchHistory(timetableId, nextHistory).catch(error => {
+      console.error('Error saving undo history:', error);
     });
-  }, [historyIndices]);
+  };
+
+  // Audit an action on the active timetable with the signed-in user and the cells it changed
+  const logTimetableAction = (action, details, before = null, after = null) => {
+    auditLogger.logAction(action, details, {
+      user,
+      timetableId: activeTimetableId,
+      ...(before && after ? getChangedCells(before, after) : {})
+    });
+  };
+
+  // Record an edit as a typed history entry for the given timetable
+  const addToHistory = (timetableId, before, after, actionType, metadata = {}) => {
+    if (!timetableId) return;
+    const current = historyData[timetableId] || createEmptyHistory();
+    const next = patchHistory.record(current, before, after, actionType, metadata);
+    if (next !== current) {
+      updateHistory(timetableId, next);
+    }
+  };
+
+  // Load the stored undo history the first time a timetable is shown
+  const loadedHistoryIdsRef = useRef(new Set());
+  useEffect(() => {
+    if (!activeTimetableId || loadedHistoryIdsRef.current.has(activeTimetableId)) return undefined;
+
+    let cancelled = false;
+    loadPatchHistory(activeTimetableId)
+      .then(stored => {
+        if (cancelled) return;
+        loadedHistoryIdsRef.current.add(activeTimetableId);
+        setHistoryData(prev => {
+          const current = prev[activeTimetableId];
+          if (!current) return { ...prev, [activeTimetableId]: stored || createEmptyHistory() };
+          if (!stored) return prev;
+
+          // Edits made while loading were saved over the stored history; keep both
+          const merged = patchHistory.merge(stored, current);
+          savePatchHistory(activeTimetableId, merged).catch(error => {
+            console.error('Error saving undo history:', error);
+          });
+          return { ...prev, [activeTimetableId]: merged };
+        });
+      })
+      .catch(error => console.error('Error loading undo history:', error));
+
+    return () => { cancelled = true; };
+  }, [activeTimetableId]);
+
+  // Apply an undo/redo step to the active tab
+  const applyHistoryStep = (result) => {
+    if (!result) return;
+
+    if (result.stale) {
+      updateHistory(activeTimetableId, createEmptyHistory());
+      showInfo('The timetable changed since this step was recorded, so its undo history was cleared');
+      return;
+    }
+
+    setTimetablesData(prev => ({ ...prev, [activeTabId]: result.schedule }));
+    setConflictsData(prev => ({ ...prev, [activeTabId]: getAllTimetableConflicts(result.schedule) }));
+    updateHistory(activeTimetableId, result.history);
+  };
 
   // Handle undo
   const handleUndo = () => {
-    const result = historyManager.undo(history, historyIndex);
-    if (result) {
-      setHistoryIndices(prev => ({ ...prev, [activeTabId]: result.historyIndex }));
-      setTimetablesData(prev => ({ 
-        ...prev, 
-        [activeTabId]: result.data
-      }));
-    }
+    applyHistoryStep(patchHistory.undo(history, timetableData));
   };
 
   // Handle redo
   const handleRedo = () => {
-    const result = historyManager.redo(history, historyIndex);
-    if (result) {
-      setHistoryIndices(prev => ({ ...prev, [activeTabId]: result.historyIndex }));
-      setTimetablesData(prev => ({ 
-        ...prev, 
-        [activeTabId]: result.data
-      }));
-    }
+    applyHistoryStep(patchHistory.redo(history, timetableData));
   };
 
+  // Soft lock on the cell a session is being dragged out of, released when the drag ends
+  const dragLockRef = useRef(null);
+
+  const lockDragSource = (day, slot) => {
+    if (!activeTimetableId || !user) return;
+    const lock = { timetableId: activeTimetableId, target: { day, slot } };
+    dragLockRef.current = lock;
+    acquireEditLock(lock.timetableId, lock.target, user)
+      .then(result => {
+        // Another session took the cell first: cancel this drag if it is still going
+        if (result.acquired || dragLockRef.current !== lock) return;
+        dragLockRef.current = null;
+        handleDragEnd();
+        showError(describeEditLock(result.lock));
+      })
+      .catch(error => {
+        console.error('Error locking cell:', error);
+      });
+  };
+
+  useEffect(() => {
+    if (isDragging || !dragLockRef.current) return;
+    const { timetableId, target } = dragLockRef.current;
+    dragLockRef.current = null;
+    releaseEditLock(timetableId, target).catch(error => console.error('Error unlocking cell:', error));
+  }, [isDragging]);
+
+  // Lock the day shown in day view while it is being edited
+  useEffect(() => {
+    if (!activeTimetableId || !user || viewMode !== 'day') return undefined;
+    
+    const target = { day: currentDay };
+    acquireEditLock(activeTimetableId, target, user)
+      .then(result => {
+        if (!result.acquired) {
+          showInfo(`${result.lock.holder?.name || 'Someone'} is editing ${currentDay}; it is read-only until they finish`);
+        }
+      })
+      .catch(error => console.error('Error locking day:', error));
+    
+    return () => {
+      releaseEditLock(activeTimetableId, target).catch(error => console.error('Error unlocking day:', error));
+    };
+  }, [activeTimetableId, user, viewMode, currentDay, showInfo]);
+
   // Handle drag start - from course list or timetable
   const handleDragStart = (e, course, fromTimetable = false, day = null, slot = null) => {
+    const sourceLock = fromTimetable ? findBlockingLock(editLocks, day, slot) : null;
+    if (sourceLock) {
+      e.preventDefault();
+      showError(describeEditLock(sourceLock));
+      return;
+    }
+    
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('text/plain', ''); // Required for some browsers
     
     setIsDragging(true);
-    setDraggedCourse(course);
     
     if (fromTimetable) {
-      setDragSourceInfo({ day, slot });
+      setDraggedCourse(course);
+      setDragSourceInfo({ day, slot, subBatch: course.subBatch || null });
+      lockDragSource(day, slot);
     } else {
+      // New sessions go to the selected sub-batch (or the whole batch) as the selected L/T/P component
+      setDraggedCourse(course.isBasket ? course : {
+        ...course,
+        ...(activeSubBatch ? { subBatch: activeSubBatch } : {}),
+        ...(selectedComponent ? { component: selectedComponent } : {})
+      });
       setDragSourceInfo(null);
     }
+    
+    if (!course.isBasket) {
+      focusRoomsOnCourse(course);
+    }
   };
 
-  // Handle delete course from timetable
-  const handleDeleteCourse = (day, slot, e) => {
+  // Handle delete course from timetable (one sub-batch's session in a parallel cell)
+  const handleDeleteCourse = (day, slot, e, subBatch = null) => {
     e.stopPropagation(); // Prevent drag events from triggering
     
-    const courseToDelete = timetableData[day]?.[slot];
+    const lock = findBlockingLock(editLocks, day, slot);
+    if (lock) {
+      showError(describeEditLock(lock));
+      return;
+    }
+    
+    const courseToDelete = getCellSession(timetableData[day]?.[slot], subBatch);
     
-    const result = dragDropOperations.deleteCourse(timetableData, day, slot, conflicts);
+    const result = dragDropOperations.deleteCourse(timetableData, day, slot, conflicts, subBatch);
     setTimetablesData(prev => ({ ...prev, [activeTabId]: result.timetable }));
     setConflictsData(prev => ({ ...prev, [activeTabId]: result.conflicts }));
     
     // Add to history
-    addToHistory(activeTabId, result.timetable);
+    addToHistory(activeTimetableId, timetableData, result.timetable, HISTORY_ACTIONS.COURSE_REMOVE, {
+      courseCode: courseToDelete?.code, day, slot
+    });
     
     // Log the deletion
-    auditLogger.logAction('course_deleted', {
+    logTimetableAction('course_deleted', {
       course: courseToDelete?.code,
       courseName: courseToDelete?.name,
+      subBatch: courseToDelete?.subBatch || null,
       day,
       slot,
       room: courseToDelete?.room,
@@ -815,7 +1361,108 @@ export default function TimetableBuilder() {
       batch: selectedBatch,
       type: selectedType,
       tabId: activeTabId
-    });
+    }, timetableData, result.timetable);
+  };
+
+  // Record a drop as a placement, or as a move when it came from another cell
+  const recordDropInHistory = (courseCode, day, slot, newTimetable) => {
+    if (dragSourceInfo) {
+      addToHistory(activeTimetableId, timetableData, newTimetable, HISTORY_ACTIONS.COURSE_MOVE, {
+        courseCode,
+        from: `${dragSourceInfo.day} ${dragSourceInfo.slot}`,
+        to: `${day} ${slot}`
+      });
+    } else {
+      addToHistory(activeTimetableId, timetableData, newTimetable, HISTORY_ACTIONS.COURSE_ADD, { courseCode, day, slot });
+    }
+  };
+
+  // Drop a whole elective basket: every member course is checked and placed in its own room
+  const handleBasketDrop = async (day, slot) => {
+    setLoadingConflicts(true);
+    
+    try {
+      const currentTimetableId = generateTimetableId(
+        selectedSemester, selectedBranch, selectedBatch, selectedType
+      );
+      const baseTimetable = dragSourceInfo
+        ? deleteCourse(timetableData, dragSourceInfo.day, dragSourceInfo.slot)
+        : timetableData;
+      const assignments = getBasketAssignments(draggedCourse, day, slot);
+      
+      // Teacher and room bookings in other timetables, for every member course
+      const memberConflicts = await Promise.all(assignments.map(({ course, room }) =>
+        checkAllConflicts(
+          course.teacherId,
+          room?.id || room?.number,
+          day,
+          slot,
+          currentTimetableId,
+          getSessionSpan(course)
+        )
+      ));
+      const databaseConflicts = {
+        teacherConflicts: memberConflicts.flatMap(result => result.teacherConflicts),
+        roomConflicts: memberConflicts.flatMap(result => result.roomConflicts),
+        hasConflicts: memberConflicts.some(result => result.hasConflicts)
+      };
+      setCurrentConflicts(databaseConflicts);
+      
+      if (databaseConflicts.teacherConflicts.length > 0) {
+        showError(`Teacher conflict detected: ${databaseConflicts.teacherConflicts[0].teacherName} is already assigned at this time`);
+      }
+      if (databaseConflicts.roomConflicts.length > 0) {
+        showError(`Room conflict detected: Room ${databaseConflicts.roomConflicts[0].roomId} is already occupied at this time`);
+      }
+      
+      const result = addBasketToTimetable(baseTimetable, day, slot, assignments);
+      const criticalConflicts = result.conflicts.filter(c => c.severity === 'critical');
+      if (criticalConflicts.length > 0) {
+        showError(`Cannot place elective basket ${draggedCourse.name}: ${criticalConflicts[0].message}`);
+        return;
+      }
+      
+      const remainingConflicts = dragSourceInfo
+        ? filterConflictsAfterMove(conflicts, dragSourceInfo.day, dragSourceInfo.slot)
+        : conflicts;
+      const newConflicts = [
+        ...remainingConflicts.filter(c => !(c.day === day && c.slot === slot)),
+        ...result.conflicts
+      ];
+      
+      setTimetablesData(prev => ({ ...prev, [activeTabId]: result.timetable }));
+      setConflictsData(prev => ({ ...prev, [activeTabId]: newConflicts }));
+      recordDropInHistory(draggedCourse.name, day, slot, result.timetable);
+      
+      logTimetableAction('course_placed', {
+        course: draggedCourse.name,
+        courseName: `Elective basket ${draggedCourse.name}`,
+        electiveGroup: draggedCourse.electiveGroup,
+        members: assignments.map(({ course, room }) => `${course.code} (${room?.id || room?.number || 'no room'})`),
+        day,
+        slot,
+        conflicts: newConflicts.length,
+        semester: selectedSemester,
+        branch: selectedBranch,
+        batch: selectedBatch,
+        type: selectedType,
+        tabId: activeTabId,
+        hasTeacherConflicts: databaseConflicts.teacherConflicts.length > 0,
+        hasRoomConflicts: databaseConflicts.roomConflicts.length > 0
+      }, timetableData, result.timetable);
+    } catch (error) {
+      console.error('Error placing elective basket:', error);
+      showError('Error placing elective basket. Please try again.');
+    } finally {
+      setLoadingConflicts(false);
+      
+      // Reset dragging state
+      setIsDragging(false);
+      setDraggedCourse(null);
+      setDragSourceInfo(null);
+      setHoveredSlot(null);
+      setPreviewConflicts([]);
+    }
   };
 
   // Handle drop on a timetable cell with pre-validation
@@ -823,6 +1470,18 @@ export default function TimetableBuilder() {
     e.preventDefault();
     e.stopPropagation();
     
+    const lock = findBlockingLock(editLocks, day, slot);
+    if (lock) {
+      showError(describeEditLock(lock));
+      handleDragEnd();
+      return;
+    }
+    
+    if (draggedCourse?.isBasket) {
+      await handleBasketDrop(day, slot);
+      return;
+    }
+    
     if (draggedCourse) {
       // Check for conflicts in database
       setLoadingConflicts(true);
@@ -837,7 +1496,8 @@ export default function TimetableBuilder() {
           selectedRoom?.id || selectedRoom?.number,
           day,
           slot,
-          currentTimetableId
+          currentTimetableId,
+          getSessionSpan(draggedCourse)
         );
         
         setCurrentConflicts(databaseConflicts);
@@ -858,6 +1518,25 @@ export default function TimetableBuilder() {
         
         // Prevent drop if there are critical conflicts (existing logic)
         if (!validation.canDrop) {
+          // Offer the rooms the session could go in instead, when only the room stands in the way
+          const baseTimetable = dragSourceInfo
+            ? deleteCourse(timetableData, dragSourceInfo.day, dragSourceInfo.slot, dragSourceInfo.subBatch || null)
+            : timetableData;
+          const options = getRoomRecommendations(baseTimetable, draggedCourse, day, slot)
+            .filter(({ room }) => validateDrop(day, slot, draggedCourse, room).canDrop)
+            .slice(0, CONFIG.MAX_ROOM_RECOMMENDATIONS);
+          setRoomRecommendation(options.length > 0 ? {
+            tabId: activeTabId,
+            timetable: timetableData,
+            pending: true,
+            day,
+            slot,
+            code: draggedCourse.code,
+            session: draggedCourse,
+            source: dragSourceInfo,
+            options
+          } : null);
+          
           showError(`Cannot place course: ${validation.conflicts[0]?.message || 'Critical conflict detected'}`);
           
           // Reset dragging state
@@ -884,12 +1563,33 @@ export default function TimetableBuilder() {
         setConflictsData(prev => ({ ...prev, [activeTabId]: result.conflicts }));
         
         // Add to history
-        addToHistory(activeTabId, result.timetable);
+        recordDropInHistory(draggedCourse.code, day, slot, result.timetable);
+        
+        // Offer rooms that suit the session better than the one it was dropped in
+        const ranked = getRoomRecommendations(
+          deleteCourse(result.timetable, day, slot, draggedCourse.subBatch || null), draggedCourse, day, slot
+        );
+        const usedRoomId = selectedRoom?.id || selectedRoom?.number;
+        const usedRoomScore = ranked.find(({ room }) => (room.id || room.number) === usedRoomId)?.score ?? -Infinity;
+        const betterRooms = ranked
+          .filter(({ room, score }) => (room.id || room.number) !== usedRoomId && score > usedRoomScore)
+          .slice(0, CONFIG.MAX_ROOM_RECOMMENDATIONS);
+        setRoomRecommendation(betterRooms.length > 0 ? {
+          tabId: activeTabId,
+          timetable: result.timetable,
+          pending: false,
+          day,
+          slot,
+          code: draggedCourse.code,
+          session: draggedCourse,
+          options: betterRooms
+        } : null);
         
         // Log the action for audit trail
-        auditLogger.logAction('course_placed', {
+        logTimetableAction('course_placed', {
           course: draggedCourse.code,
           courseName: draggedCourse.title || draggedCourse.name,
+          subBatch: draggedCourse.subBatch || null,
           day,
           slot,
           room: selectedRoom?.id,
@@ -902,7 +1602,7 @@ export default function TimetableBuilder() {
           tabId: activeTabId,
           hasTeacherConflicts: databaseConflicts.teacherConflicts.length > 0,
           hasRoomConflicts: databaseConflicts.roomConflicts.length > 0
-        });
+        }, timetableData, result.timetable);
         
         // Reset dragging state
         setIsDragging(false);
@@ -946,49 +1646,459 @@ export default function TimetableBuilder() {
     }
   };
 
-  // Handle drag leave to clear preview
-  const handleDragLeave = (e) => {
-    // Only clear if we're leaving the cell entirely
-    const rect = e.currentTarget.getBoundingClientRect();
-    const x = e.clientX;
-    const y = e.clientY;
+  // Handle drag leave to clear preview
+  const handleDragLeave = (e) => {
+    // Only clear if we're leaving the cell entirely
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = e.clientX;
+    const y = e.clientY;
+    
+    if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) {
+      setHoveredSlot(null);
+      setPreviewConflicts([]);
+    }
+  };
+
+  // Handle drag end
+  const handleDragEnd = () => {
+    setIsDragging(false);
+    setDraggedCourse(null);
+    setDragSourceInfo(null);
+    setHoveredSlot(null);
+    setPreviewConflicts([]);
+  };
+
+  // Badge on a cell another TT Incharge has locked
+  const renderLockBadge = (day, slot) => {
+    const lock = findBlockingLock(editLocks, day, slot);
+    if (!lock) return null;
+    
+    return (
+      <span
+        className="absolute top-0 left-0 z-10 flex items-center gap-0.5 px-1 rounded-br bg-amber-100 text-amber-700 text-[10px]"
+        title={describeEditLock(lock)}
+      >
+        <FiLock size={9} />
+        <span>{lock.holder?.name?.split(' ')[0] || 'Locked'}</span>
+      </span>
+    );
+  };
+
+  // Ghost of the previewed fix: where sessions would land and the cells they would leave
+  const renderResolutionGhost = (day, slot) => {
+    const ghost = previewSuggestion?.preview.find(cell => cell.day === day && cell.slot === slot);
+    if (!ghost) return null;
+    
+    const label = `${ghost.code}${ghost.subBatch ? ` · ${ghost.subBatch}` : ''}`;
+    return ghost.kind === 'place' ? (
+      <div className="absolute inset-0.5 z-20 pointer-events-none rounded-lg border-2 border-dashed border-indigo-400 bg-indigo-50/80 flex flex-col items-center justify-center text-[10px] text-indigo-700">
+        <span className="font-semibold">{label}</span>
+        <span>{ghost.room}</span>
+      </div>
+    ) : (
+      <div className="absolute inset-0.5 z-20 pointer-events-none rounded-lg border-2 border-dashed border-slate-300 bg-white/60 flex items-center justify-center text-[10px] text-slate-500 line-through">
+        {label}
+      </div>
+    );
+  };
+
+  // While a course is dragged, shade the periods its teacher cannot take or would rather not
+  const renderAvailabilityShade = (day, slot) => {
+    if (!isDragging || !draggedCourse || draggedCourse.isBasket) return null;
+    
+    const status = getTeacherSlotStatus(teacherMap[draggedCourse.teacherId]?.availability, day, slot);
+    if (status === AVAILABILITY_STATUS.UNAVAILABLE) {
+      return (
+        <div className="absolute inset-0 z-10 pointer-events-none bg-red-200/50 flex items-end justify-center text-[10px] text-red-700">
+          Unavailable
+        </div>
+      );
+    }
+    if (status === AVAILABILITY_STATUS.DAY_OFF) {
+      return <div className="absolute inset-0 z-10 pointer-events-none bg-amber-100/50" />;
+    }
+    if (status === AVAILABILITY_STATUS.PREFERRED) {
+      return <div className="absolute inset-0 z-10 pointer-events-none bg-green-100/50" />;
+    }
+    return null;
+  };
+
+  // Render the stacked sessions of a parallel sub-batch cell; each one is dragged or removed on its own
+  const renderParallelSessions = (day, slot, cell, hasConflict, widthClass) => {
+    // An elective basket reads as one labelled cell and is moved or removed as a whole
+    const basketName = getCellBasketName(cell);
+    if (basketName) {
+      return (
+        <div
+          className={`${widthClass} mx-auto p-1 rounded-lg bg-violet-50 border border-violet-200 relative group text-left
+                    ${hasConflict ? 'ring-1 ring-red-500' : ''}
+                    ${isTimetableDisabled ? 'cursor-not-allowed opacity-60' : 'cursor-grab'}`}
+          title={`Elective basket ${basketName}`}
+          draggable={!isTimetableDisabled}
+          onDragStart={!isTimetableDisabled ? (e) => handleDragStart(e, getBasketFromCell(cell), true, day, slot) : undefined}
+          onDragEnd={!isTimetableDisabled ? handleDragEnd : undefined}
+        >
+          <button 
+            onClick={(e) => !isTimetableDisabled && handleDeleteCourse(day, slot, e)}
+            className={`absolute top-0 right-0 -mt-1 -mr-1 transition opacity-0 group-hover:opacity-100 bg-white rounded-full w-4 h-4 flex items-center justify-center shadow-sm ${
+              isTimetableDisabled 
+                ? 'text-gray-400 cursor-not-allowed' 
+                : 'text-gray-500 hover:text-red-600'
+            }`}
+            title="Remove elective basket"
+            disabled={isTimetableDisabled}
+          >
+            <FiX size={10} />
+          </button>
+          
+          <div className="flex justify-between items-center">
+            <span className="font-semibold text-xs leading-tight text-violet-800 truncate">{basketName}</span>
+            {hasConflict && <FiAlertTriangle className="text-red-500" size={10} />}
+          </div>
+          {getCellSessions(cell).map(session => (
+            <div key={session.code} className="text-xs leading-tight text-gray-700 truncate" title={`${session.code}: ${session.teacherName || ''}, ${session.roomNumber || session.room || ''}`}>
+              {session.code} · {getCompactCellDisplay(session, isMobile).room}
+            </div>
+          ))}
+        </div>
+      );
+    }
+    
+    return (
+      <div className={`${widthClass} mx-auto space-y-0.5`}>
+        {getCellSessions(cell).map(session => {
+          const compactData = getCompactCellDisplay(session, isMobile);
+          return (
+            <div
+              key={session.subBatch || session.code}
+              className={`p-1 rounded-md ${getCourseColorClass(session)} border relative group text-left
+                        ${hasConflict ? 'ring-1 ring-red-500' : ''}
+                        ${isTimetableDisabled ? 'cursor-not-allowed opacity-60' : 'cursor-grab'}`}
+              title={`${session.subBatch}: ${compactData.teacherFull}, ${compactData.roomFull}`}
+              draggable={!isTimetableDisabled}
+              onDragStart={!isTimetableDisabled ? (e) => handleDragStart(e, session, true, day, slot) : undefined}
+              onDragEnd={!isTimetableDisabled ? handleDragEnd : undefined}
+            >
+              <button 
+                onClick={(e) => !isTimetableDisabled && handleDeleteCourse(day, slot, e, session.subBatch)}
+                className={`absolute top-0 right-0 -mt-1 -mr-1 transition opacity-0 group-hover:opacity-100 bg-white rounded-full w-4 h-4 flex items-center justify-center shadow-sm ${
+                  isTimetableDisabled 
+                    ? 'text-gray-400 cursor-not-allowed' 
+                    : 'text-gray-500 hover:text-red-600'
+                }`}
+                title={`Remove ${session.subBatch} session`}
+                disabled={isTimetableDisabled}
+              >
+                <FiX size={10} />
+              </button>
+            
+              <div className="flex items-center gap-1">
+                <span className="px-1 rounded bg-white/70 text-[10px] font-semibold leading-tight">{session.subBatch}</span>
+                <span className="font-semibold text-xs leading-tight truncate">{compactData.code}</span>
+              </div>
+              <div className="text-xs leading-tight text-gray-600 truncate">{compactData.room}</div>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  // Handle clearing a week
+  const handleClearWeek = () => {
+    const lock = editLocks.find(item => !item.isMine);
+    if (lock) {
+      showError(describeEditLock(lock));
+      return;
+    }
+    
+    // Create a new empty timetable
+    const newTimetable = initializeEmptyTimetable();
+    
+    setTimetablesData(prev => ({ ...prev, [activeTabId]: newTimetable }));
+    setConflictsData(prev => ({ ...prev, [activeTabId]: [] }));
+    
+    // Add to history
+    addToHistory(activeTimetableId, timetableData, newTimetable, HISTORY_ACTIONS.CLEAR_ALL);
+    
+    // Log the action
+    logTimetableAction('week_cleared', {
+      semester: selectedSemester,
+      branch: selectedBranch,
+      batch: selectedBatch,
+      type: selectedType,
+      tabId: activeTabId
+    }, timetableData, newTimetable);
+  };
+
+  // Handle clearing one day (day view)
+  const handleClearDay = (day) => {
+    const lock = findBlockingLock(editLocks, day);
+    if (lock) {
+      showError(describeEditLock(lock));
+      return;
+    }
+    
+    const emptyDay = initializeEmptyTimetable()[day] || {};
+    const newTimetable = { ...timetableData, [day]: emptyDay };
+    
+    setTimetablesData(prev => ({ ...prev, [activeTabId]: newTimetable }));
+    setConflictsData(prev => ({ ...prev, [activeTabId]: conflicts.filter(c => c.day !== day) }));
+    addToHistory(activeTimetableId, timetableData, newTimetable, HISTORY_ACTIONS.CLEAR_DAY, { day });
+    
+    logTimetableAction('day_cleared', {
+      day,
+      semester: selectedSemester,
+      branch: selectedBranch,
+      batch: selectedBatch,
+      type: selectedType,
+      tabId: activeTabId
+    }, timetableData, newTimetable);
+  };
+
+  // Generate a full schedule for the current batch for review
+  const handleGenerateTimetable = async () => {
+    setShowGenerateModal(true);
+    setIsGenerating(true);
+    setGeneratedResult(null);
+    
+    try {
+      await ensureOccupancyIndex();
+      const existingTimetables = OccupancyIndex.getTimetables();
+      const currentBatch = availableBatches.find(b => b.name === selectedBatch);
+      const batchCourses = getBatchCourses(allCourses, {
+        semester: selectedSemester,
+        departments: [selectedBranch, branches.find(branch => branch.id === selectedBranch)?.name]
+      });
+      if (batchCourses.length === 0) {
+        showError(`No ${selectedSemester} courses found for ${selectedBranch}`);
+        setShowGenerateModal(false);
+        return;
+      }
+      
+      const result = generateTimetable({
+        courses: batchCourses,
+        rooms,
+        existingTimetables,
+        teacherMap,
+        excludeTimetableId: generateTimetableId(selectedSemester, selectedBranch, selectedBatch, selectedType),
+        batchSize: currentBatch?.studentCount || 0
+      });
+      
+      setGeneratedResult(result);
+    } catch (error) {
+      console.error('Error generating timetable:', error);
+      showError('Failed to generate timetable. Please try again.');
+      setShowGenerateModal(false);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  // Apply the reviewed schedule to the current tab
+  const handleApplyGeneratedTimetable = () => {
+    if (!generatedResult) return;
+    
+    const newTimetable = generatedResult.schedule;
+    setTimetablesData(prev => ({ ...prev, [activeTabId]: newTimetable }));
+    setConflictsData(prev => ({ ...prev, [activeTabId]: getAllTimetableConflicts(newTimetable) }));
+    addToHistory(activeTimetableId, timetableData, newTimetable, HISTORY_ACTIONS.BULK_OPERATION, {
+      description: 'generated timetable'
+    });
+    
+    logTimetableAction('timetable_generated', {
+      placed: generatedResult.stats.placedSessions,
+      unplaced: generatedResult.stats.unplacedSessions,
+      score: generatedResult.stats.score,
+      semester: selectedSemester,
+      branch: selectedBranch,
+      batch: selectedBatch,
+      type: selectedType,
+      tabId: activeTabId
+    }, timetableData, newTimetable);
+    
+    showInfo(`Generated timetable applied: ${generatedResult.stats.placedSessions} sessions placed`);
+    setShowGenerateModal(false);
+    setGeneratedResult(null);
+  };
+
+  // Rank the fixes for a conflict against this and every other timetable; the best one is previewed
+  const handleShowResolutions = async (conflict) => {
+    const conflictKey = getConflictKey(conflict);
+    if (resolution?.conflictKey === conflictKey) {
+      setResolution(null);
+      setPreviewSuggestionId(null);
+      return;
+    }
+    
+    setResolution({ conflictKey, tabId: activeTabId, timetable: timetableData, loading: true, suggestions: [] });
+    try {
+      await ensureOccupancyIndex();
+    } catch (error) {
+      console.error('Error loading timetables for fixes:', error);
+      setResolution(prev => prev?.conflictKey === conflictKey ? null : prev);
+      showError('Failed to rank fixes. Please try again.');
+      return;
+    }
+    
+    const currentBatch = availableBatches.find(b => b.name === selectedBatch);
+    const suggestions = conflictResolver.generateSuggestions(timetableData, conflict, {
+      rooms,
+      occupancy: OccupancyIndex,
+      timetableId: activeTimetableId,
+      batchSize: currentBatch?.studentCount || currentBatch?.size || 0
+    });
+    
+    setResolution(prev => prev?.conflictKey === conflictKey ? { ...prev, loading: false, suggestions } : prev);
+    setPreviewSuggestionId(suggestions[0]?.id || null);
+  };
+
+  // Apply a ranked fix as one undoable step
+  const handleApplySuggestion = (conflict, suggestion) => {
+    if (isTimetableDisabled) return;
+    
+    const lockedCell = suggestion.preview.find(cell => findBlockingLock(editLocks, cell.day, cell.slot));
+    if (lockedCell) {
+      showError(describeEditLock(findBlockingLock(editLocks, lockedCell.day, lockedCell.slot)));
+      return;
+    }
+    
+    const newTimetable = conflictResolver.applySuggestion(timetableData, suggestion);
+    setResolution(null);
+    setPreviewSuggestionId(null);
+    if (newTimetable === timetableData) {
+      showError('The timetable has changed since these fixes were suggested. Please ask for fixes again.');
+      return;
+    }
+    
+    setTimetablesData(prev => ({ ...prev, [activeTabId]: newTimetable }));
+    setConflictsData(prev => ({ ...prev, [activeTabId]: getAllTimetableConflicts(newTimetable) }));
+    addToHistory(activeTimetableId, timetableData, newTimetable, HISTORY_ACTIONS.BULK_OPERATION, {
+      description: `resolved ${conflict.type} conflict: ${suggestion.title}`
+    });
+    
+    logTimetableAction('conflict_resolved', {
+      conflictType: conflict.type,
+      resolution: suggestion.type,
+      suggestion: suggestion.title,
+      score: suggestion.score,
+      day: conflict.day,
+      slot: conflict.slot
+    }, timetableData, newTimetable);
+    
+    showInfo(`Conflict resolved: ${suggestion.title}`);
+  };
+
+  // Room recommendations for the grid on screen; any edit since then makes them stale
+  const activeRoomRecommendation = roomRecommendation?.tabId === activeTabId && roomRecommendation.timetable === timetableData
+    ? roomRecommendation
+    : null;
+
+  // Take a recommended room: place a blocked session there, or move a dropped session into it
+  const handleUseRecommendedRoom = (room) => {
+    if (isTimetableDisabled || !activeRoomRecommendation) return;
+    
+    const { pending, day, slot, session, source } = activeRoomRecommendation;
+    const lock = findBlockingLock(editLocks, day, slot);
+    if (lock) {
+      showError(describeEditLock(lock));
+      return;
+    }
+    
+    let newTimetable;
+    let newConflicts;
+    if (pending) {
+      const result = dragDropOperations.handleDrop({
+        timetableData, day, slot, draggedCourse: session, selectedRoom: room,
+        dragSourceInfo: source, conflicts
+      });
+      newTimetable = result.timetable;
+      newConflicts = result.conflicts;
+      if (source) {
+        addToHistory(activeTimetableId, timetableData, newTimetable, HISTORY_ACTIONS.COURSE_MOVE, {
+          courseCode: session.code,
+          from: `${source.day} ${source.slot}`,
+          to: `${day} ${slot}`
+        });
+      } else {
+        addToHistory(activeTimetableId, timetableData, newTimetable, HISTORY_ACTIONS.COURSE_ADD, { courseCode: session.code, day, slot });
+      }
+    } else {
+      newTimetable = setSessionRoom(timetableData, day, slot, session, room);
+      newConflicts = getAllTimetableConflicts(newTimetable);
+      addToHistory(activeTimetableId, timetableData, newTimetable, HISTORY_ACTIONS.ROOM_CHANGE, { courseCode: session.code, day, slot });
+    }
+    
+    setTimetablesData(prev => ({ ...prev, [activeTabId]: newTimetable }));
+    setConflictsData(prev => ({ ...prev, [activeTabId]: newConflicts }));
+    setRoomRecommendation(null);
+    
+    logTimetableAction(pending ? 'course_placed' : 'room_changed', {
+      course: session.code,
+      subBatch: session.subBatch || null,
+      day,
+      slot,
+      room: room.id || room.number,
+      recommended: true,
+      semester: selectedSemester,
+      branch: selectedBranch,
+      batch: selectedBatch,
+      type: selectedType,
+      tabId: activeTabId
+    }, timetableData, newTimetable);
+    
+    showInfo(`${session.code} is now in room ${room.number || room.id}`);
+  };
+
+  // Give every room-less session its best free room as one undoable step
+  const handleAssignRooms = () => {
+    if (isTimetableDisabled) return;
     
-    if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) {
-      setHoveredSlot(null);
-      setPreviewConflicts([]);
+    const currentBatch = availableBatches.find(b => b.name === selectedBatch);
+    const { timetable: newTimetable, assigned, unassigned } = assignRoomlessSessions(timetableData, {
+      rooms,
+      batchSize: currentBatch?.studentCount || currentBatch?.size || 0,
+      departments: [selectedBranch, branches.find(branch => branch.id === selectedBranch)?.name],
+      occupancy: OccupancyIndex,
+      timetableId: activeTimetableId
+    }, withSessionRequirements);
+    
+    if (assigned.length === 0) {
+      showError('No free room fits any of the room-less sessions');
+      return;
     }
-  };
-
-  // Handle drag end
-  const handleDragEnd = () => {
-    setIsDragging(false);
-    setDraggedCourse(null);
-    setDragSourceInfo(null);
-    setHoveredSlot(null);
-    setPreviewConflicts([]);
-  };
-
-  // Handle clearing a week
-  const handleClearWeek = () => {
-    // Create a new empty timetable
-    const newTimetable = initializeEmptyTimetable();
     
-    setTimetablesData(prev => ({ ...prev, [activeTabId]: newTimetable }));
-    setConflictsData(prev => ({ ...prev, [activeTabId]: [] }));
+    const lockedAssignment = assigned.find(({ day, slot }) => findBlockingLock(editLocks, day, slot));
+    if (lockedAssignment) {
+      showError(describeEditLock(findBlockingLock(editLocks, lockedAssignment.day, lockedAssignment.slot)));
+      return;
+    }
     
-    // Add to history
-    addToHistory(activeTabId, newTimetable);
+    setTimetablesData(prev => ({ ...prev, [activeTabId]: newTimetable }));
+    setConflictsData(prev => ({ ...prev, [activeTabId]: getAllTimetableConflicts(newTimetable) }));
+    addToHistory(activeTimetableId, timetableData, newTimetable, HISTORY_ACTIONS.BULK_OPERATION, {
+      description: `assigned rooms to ${assigned.length} session${assigned.length !== 1 ? 's' : ''}`
+    });
     
-    // Log the action
-    auditLogger.logAction('week_cleared', {
+    logTimetableAction('rooms_assigned', {
+      assigned: assigned.map(({ day, slot, code, room }) => ({ day, slot, code, room: room.id || room.number })),
+      unassigned,
       semester: selectedSemester,
       branch: selectedBranch,
       batch: selectedBatch,
       type: selectedType,
       tabId: activeTabId
-    });
+    }, timetableData, newTimetable);
+    
+    showInfo(unassigned.length > 0
+      ? `Assigned rooms to ${assigned.length} sessions; no free room for ${unassigned.map(({ code, day, slot }) => `${code} (${day} ${slot})`).join(', ')}`
+      : `Assigned rooms to ${assigned.length} sessions`);
   };
 
+  // Fixes ranked for the grid on screen; any edit since then makes them stale
+  const activeResolution = resolution?.tabId === activeTabId && resolution.timetable === timetableData ? resolution : null;
+  const previewSuggestion = activeResolution?.suggestions.find(suggestion => suggestion.id === previewSuggestionId) || null;
+
   // Handle resolving a conflict
   const handleResolveConflict = (conflictIndex) => {
     setConflictsData(prev => {
@@ -998,14 +2108,102 @@ export default function TimetableBuilder() {
     });
   };
 
-  // Handle save timetable
+  // Handle save timetable: an explicit save also stores an immutable version
   const handleSaveTimetable = async () => {
+    if (!isRequiredFieldsSelected()) return;
+
+    const message = window.prompt('Describe this version (optional):', '');
+    if (message === null) return;
+
     try {
+      const result = await persistSchedule({
+        tabId: activeTabId,
+        config: { selectedSemester, selectedBranch, selectedBatch, selectedType },
+        schedule: timetableData,
+        version: { author: user, message }
+      });
+      if (!result) {
+        showInfo('Changes from someone else were merged in. Review them and save again.');
+        return;
+      }
+      if (result.queued) {
+        showInfo('You are offline. This version is queued and will be saved when you reconnect.');
+        return;
+      }
+      // saveCurrentTab shows the success message
       saveCurrentTab();
-      const result = await saveTimetable(timetableData);
-      // Don't show alert since saveCurrentTab already shows success message
     } catch (error) {
-      showError('Error saving timetable');
+      showError(isRevisionConflict(error)
+        ? 'Someone else saved this timetable. Merge their changes, then save again.'
+        : 'Error saving timetable');
+    }
+  };
+
+  // Submit the current schedule for HOD review
+  const handleSubmitForReview = async () => {
+    if (!isRequiredFieldsSelected()) return;
+
+    const comment = window.prompt('Note for the reviewer (optional):', '');
+    if (comment === null) return;
+
+    try {
+      // Make sure the document holds the latest schedule before it is snapshotted
+      const saved = await persistSchedule({
+        tabId: activeTabId,
+        config: { selectedSemester, selectedBranch, selectedBatch, selectedType },
+        schedule: timetableData
+      });
+      if (!saved) {
+        showInfo('Changes from someone else were merged in. Review them and submit again.');
+        return;
+      }
+      if (saved.queued) {
+        showError('You are offline. Your changes are queued; submit for review once you reconnect.');
+        return;
+      }
+      await submitTimetableForReview(
+        generateTimetableId(selectedSemester, selectedBranch, selectedBatch, selectedType),
+        timetableData,
+        { user, comment }
+      );
+      markTabAsModified(activeTabId, false);
+      showInfo('Timetable submitted for review');
+    } catch (error) {
+      console.error('Error submitting timetable for review:', error);
+      showError(isRevisionConflict(error)
+        ? 'Someone else saved this timetable. Merge their changes, then submit again.'
+        : error.message || 'Failed to submit timetable for review');
+    }
+  };
+
+  // Publish the approved version for read-only viewers
+  const handlePublishApproved = async () => {
+    if (!window.confirm('Publish the approved version of this timetable?')) return;
+
+    const target = { currentSemester: selectedSemester, selectedBranch, selectedBatch, selectedType };
+    const queuePublish = async () => {
+      await enqueuePendingOperation({
+        type: PENDING_OPERATION_TYPES.PUBLISH,
+        timetableId: generateTimetableId(selectedSemester, selectedBranch, selectedBatch, selectedType),
+        target,
+        user
+      });
+      showInfo('You are offline. Publishing is queued and will run when you reconnect.');
+    };
+
+    try {
+      if (!navigator.onLine) {
+        await queuePublish();
+        return;
+      }
+      await publishTimetable({ ...target, user });
+      showInfo('Timetable published');
+    } catch (error) {
+      if (isOfflineError(error)) {
+        await queuePublish().catch(queueError => showError(queueError.message));
+        return;
+      }
+      showError(error.message || 'Failed to publish timetable');
     }
   };
 
@@ -1136,6 +2334,35 @@ export default function TimetableBuilder() {
     }
   };
 
+  // Apply a restored version to the Browse list and to the tab showing it, if any
+  const handleVersionRestored = (timetable, schedule) => {
+    setExistingTimetables(prev => prev.map(item => 
+      item.id === timetable.id ? { ...item, schedule } : item
+    ));
+    setHistoryTimetable(prev => prev && prev.id === timetable.id ? { ...prev, schedule } : prev);
+
+    const openTab = tabs.find(tab => tab.timetableId === timetable.id) ||
+      (activeTimetableId === timetable.id ? tabs.find(tab => tab.id === activeTabId) : null);
+    if (openTab) {
+      setTimetablesData(prev => ({ ...prev, [openTab.id]: schedule }));
+      addToHistory(timetable.id, timetablesData[openTab.id], schedule, HISTORY_ACTIONS.IMPORT_DATA, {
+        description: 'restored version'
+      });
+    }
+
+    auditLogger.logAction('timetable_rolled_back', { timetableId: timetable.id }, {
+      user,
+      timetableId: timetable.id,
+      ...getChangedCells(timetable.schedule || {}, schedule)
+    });
+  };
+
+  // Close the Browse modal, leaving any version history view
+  const closeBrowseModal = () => {
+    setShowBrowseModal(false);
+    setHistoryTimetable(null);
+  };
+
   // Handle load selected timetable
   const handleLoadTimetable = (timetable) => {
     // Check if this timetable is already open in a tab
@@ -1209,11 +2436,6 @@ export default function TimetableBuilder() {
           [nextTabId]: timetable.schedule
         }));
         
-        // Initialize history with the loaded data
-        const result = historyManager.addToHistory([], -1, timetable.schedule);
-        setHistoryData(prev => ({ ...prev, [nextTabId]: result.history }));
-        setHistoryIndices(prev => ({ ...prev, [nextTabId]: result.historyIndex }));
-        
         // Switch to the new tab
         setActiveTabId(nextTabId);
         
@@ -1265,6 +2487,7 @@ export default function TimetableBuilder() {
 
   // Grouped course blocks by course
   const groupedCourseBlocks = groupCourseBlocks(allCourses, teacherMap, courseColors);
+  const electiveBaskets = getElectiveBaskets(groupedCourseBlocks);
 
   // Function to navigate to a conflict and highlight it
   const navigateToConflict = async (conflict) => {
@@ -1346,6 +2569,13 @@ export default function TimetableBuilder() {
     }, 5000);
   };
 
+  // Early return if context is not ready (after every hook, so hook order never changes)
+  if (!setGlobalSemester || !getActiveSemesterNames) {
+    return <div className="h-screen flex items-center justify-center">
+      <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-indigo-500"></div>
+    </div>;
+  }
+
   return (
     <div className={`space-y-4 ${isZoomed ? 'scale-90 origin-top transition-all duration-300' : ''}`}>
       <div className="flex items-center justify-between">
@@ -1353,6 +2583,34 @@ export default function TimetableBuilder() {
         
         {/* Browse, Undo/Redo and Zoom Buttons */}
         <div className="flex items-center gap-2">
+          {pendingOperations.length > 0 && (
+            <div
+              className="flex items-center gap-1 px-2 py-1 rounded-lg bg-amber-50 text-amber-700 text-xs"
+              title={pendingOperations.map(describePendingOperation).join('\n')}
+            >
+              <FiWifiOff size={14} />
+              <span>{pendingOperations.length} queued offline</span>
+            </div>
+          )}
+          {collaborators.length > 0 && (
+            <div
+              className="flex items-center gap-1 px-2 py-1 rounded-lg bg-emerald-50 text-emerald-700 text-xs"
+              title={`Also viewing: ${collaborators.map(session => session.user?.name || 'Unknown').join(', ')}`}
+            >
+              <FiUsers size={14} />
+              <div className="flex -space-x-1">
+                {collaborators.slice(0, 3).map(session => (
+                  <span
+                    key={session.sessionId}
+                    className="w-5 h-5 rounded-full bg-emerald-600 text-white flex items-center justify-center text-[10px] font-medium ring-2 ring-white"
+                  >
+                    {(session.user?.name || '?').charAt(0).toUpperCase()}
+                  </span>
+                ))}
+              </div>
+              {collaborators.length > 3 && <span>+{collaborators.length - 3}</span>}
+            </div>
+          )}
           <button 
             onClick={handleBrowseTimetables}
             className="px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition flex items-center gap-2 text-sm"
@@ -1364,25 +2622,25 @@ export default function TimetableBuilder() {
           <div className="w-px h-6 bg-gray-300 mx-1"></div>
           <button 
             onClick={() => !isTimetableDisabled && handleUndo()} 
-            disabled={historyIndex <= 0 || isTimetableDisabled}
+            disabled={!patchHistory.canUndo(history) || isTimetableDisabled}
             className={`p-1 rounded-lg ${
-              historyIndex <= 0 || isTimetableDisabled 
+              !patchHistory.canUndo(history) || isTimetableDisabled 
                 ? 'text-gray-400 cursor-not-allowed' 
                 : 'text-gray-700 hover:bg-gray-100'
             }`}
-            title="Undo"
+            title={patchHistory.canUndo(history) ? `Undo: ${patchHistory.describe(patchHistory.getUndoEntry(history))}` : 'Undo'}
           >
             <FiArrowLeft size={18} />
           </button>
           <button 
             onClick={() => !isTimetableDisabled && handleRedo()} 
-            disabled={historyIndex >= history.length - 1 || isTimetableDisabled}
+            disabled={!patchHistory.canRedo(history) || isTimetableDisabled}
             className={`p-1 rounded-lg ${
-              historyIndex >= history.length - 1 || isTimetableDisabled 
+              !patchHistory.canRedo(history) || isTimetableDisabled 
                 ? 'text-gray-400 cursor-not-allowed' 
                 : 'text-gray-700 hover:bg-gray-100'
             }`}
-            title="Redo"
+            title={patchHistory.canRedo(history) ? `Redo: ${patchHistory.describe(patchHistory.getRedoEntry(history))}` : 'Redo'}
           >
             <FiArrowRight size={18} />
           </button>
@@ -1396,6 +2654,17 @@ export default function TimetableBuilder() {
         </div>
       </div>
       
+      {/* Offline cache notice */}
+      {Object.keys(cachedSources).some(name => cachedSources[name]) && (
+        <div className="flex items-center gap-2 px-3 py-2 rounded-lg bg-amber-50 border border-amber-200 text-amber-800 text-xs">
+          <FiWifiOff size={14} />
+          <span>
+            Working offline from cached {Object.keys(cachedSources).filter(name => cachedSources[name]).join(', ')} data.
+            It may be out of date and is refreshed when you reconnect; your edits are queued until then.
+          </span>
+        </div>
+      )}
+      
       {/* Filters Row */}
       <div className="bg-white p-3 rounded-xl shadow-sm">
         <div className="flex flex-wrap items-center gap-2">
@@ -1582,11 +2851,47 @@ export default function TimetableBuilder() {
       <div className={`flex ${responsive.gapSize}`}>
         {/* Left Panel: Course Blocks */}
         <div className={`${responsive.courseBlockWidth} flex-shrink-0 bg-white rounded-xl shadow-sm p-3 overflow-y-auto max-h-[calc(100vh-220px)] ${isTimetableDisabled ? 'opacity-60' : ''}`}>
+          {/* Elective baskets are dropped as a whole into one shared slot */}
+          {electiveBaskets.length > 0 && (
+            <div className="mb-3">
+              <h2 className="text-sm font-semibold text-gray-700 mb-2">Elective Baskets</h2>
+              {electiveBaskets.map(basket => (
+                <motion.div
+                  key={basket.id}
+                  className={`p-2 rounded-lg border bg-violet-50 border-violet-200 text-violet-900 transition mb-1 ${
+                    isTimetableDisabled 
+                      ? 'cursor-not-allowed opacity-60' 
+                      : 'cursor-grab hover:shadow-sm'
+                  }`}
+                  draggable={!isTimetableDisabled}
+                  onDragStart={!isTimetableDisabled ? (e) => handleDragStart(e, basket) : undefined}
+                  onDragEnd={!isTimetableDisabled ? handleDragEnd : undefined}
+                  whileHover={!isTimetableDisabled ? { scale: 1.01 } : undefined}
+                >
+                  <div className="flex justify-between items-start mb-1">
+                    <span className="font-semibold text-xs">{basket.name}</span>
+                    <span className="text-xs px-1 py-0.5 rounded-full bg-white/50">{basket.courses.length} courses</span>
+                  </div>
+                  <div className="text-xs text-violet-700 truncate" title={basket.courses.map(course => course.code).join(', ')}>
+                    {basket.courses.map(course => course.code).join(' · ')}
+                  </div>
+                </motion.div>
+              ))}
+            </div>
+          )}
+          
           <h2 className="text-sm font-semibold text-gray-700 mb-2">Course Blocks</h2>
           <div className="space-y-1">
             {groupedCourseBlocks.map(course => (
               <div key={course.code} className="mb-2">
                 <div className="font-semibold text-xs text-gray-700 mb-1">{course.title} ({course.code})</div>
+                <ContactHoursProgress
+                  progress={getContactHoursProgress(
+                    timetableData,
+                    allCourses.find(c => c.code === course.code) || course,
+                    subBatchOptions
+                  )}
+                />
                 {course.blocks.length > 0 ? course.blocks.map(block => (
                   <motion.div
                     key={block.id}
@@ -1598,6 +2903,7 @@ export default function TimetableBuilder() {
                     draggable={!isTimetableDisabled}
                     onDragStart={!isTimetableDisabled ? (e) => handleDragStart(e, { ...course, teacherId: block.teacherId, teacherName: block.teacherName, teacherCode: block.teacherCode }) : undefined}
                     onDragEnd={!isTimetableDisabled ? handleDragEnd : undefined}
+                    onClick={() => focusRoomsOnCourse(course)}
                     whileHover={!isTimetableDisabled ? { scale: 1.01 } : undefined}
                   >
                     <div className="flex justify-between items-start mb-1">
@@ -1611,7 +2917,9 @@ export default function TimetableBuilder() {
                           : (block.teacherCode || block.teacherName) || 'No teacher'
                         }
                       </span>
-                      <span className="font-mono text-xs text-gray-600">{course.weeklyHours}h</span>
+                      <span className="font-mono text-xs text-gray-600">
+                        {formatContactHours(getContactHours(allCourses.find(c => c.code === course.code) || course))}
+                      </span>
                     </div>
                   </motion.div>
                 )) : (
@@ -1703,8 +3011,15 @@ export default function TimetableBuilder() {
                       <>
                         <span className="truncate block flex-1 text-xs">
                           {tab.name}
-                          {tab.isModified && <span className="ml-1 text-yellow-300">*</span>}
                         </span>
+                        {SAVE_STATUS_BADGES[saveStatuses[tab.id]] && (
+                          <span
+                            className="flex-shrink-0 flex items-center"
+                            title={SAVE_STATUS_BADGES[saveStatuses[tab.id]].label}
+                          >
+                            {SAVE_STATUS_BADGES[saveStatuses[tab.id]].badge}
+                          </span>
+                        )}
                         <div className="flex items-center gap-1 flex-shrink-0 ml-1">
                           <button 
                             onClick={(e) => !isTimetableDisabled && startEditingTab(tab.id, e)} 
@@ -1838,6 +3153,10 @@ export default function TimetableBuilder() {
                     {viewMode === 'week' ? (
                       // Week view shows all days
                       weekDays.map(day => {
+                        // Later periods of a multi-period session are covered by its merged cell
+                        const cellLayout = getCellLayout(timetableData, day, slot);
+                        if (cellLayout.hidden) return null;
+                        
                         const courseInSlot = timetableData[day]?.[slot];
                         const hasConflict = conflicts.some(
                           c => c.day === day && c.slot === slot
@@ -1867,13 +3186,19 @@ export default function TimetableBuilder() {
                         }
                         
                         return (
-                          <td key={`${day}-${slot}`} className={`py-1 px-1 border-b border-gray-100 text-center relative ${dropFeedbackClass} ${
+                          <td key={`${day}-${slot}`} rowSpan={cellLayout.rowSpan} className={`py-1 px-1 border-b border-gray-100 text-center relative ${dropFeedbackClass} ${
                             isHighlighted ? 'ring-4 ring-red-500 bg-red-100 animate-pulse' : ''
                           }`}
                               onDragOver={!isTimetableDisabled ? (e) => handleDragOver(e, day, slot) : undefined} 
                               onDragLeave={!isTimetableDisabled ? handleDragLeave : undefined}
                               onDrop={!isTimetableDisabled ? (e) => handleDrop(e, day, slot) : undefined}>
-                            {courseInSlot && courseInSlot.code ? (
+                            {renderLockBadge(day, slot)}
+                            {renderResolutionGhost(day, slot)}
+                            {renderAvailabilityShade(day, slot)}
+                            {isParallelCell(courseInSlot) ? (
+                              // Parallel sub-batch sessions share the period
+                              renderParallelSessions(day, slot, courseInSlot, hasConflict, 'max-w-[100px]')
+                            ) : courseInSlot && courseInSlot.code ? (
                               (() => {
                                 const compactData = getCompactCellDisplay(courseInSlot, isMobile);
                                 return (
@@ -1882,12 +3207,13 @@ export default function TimetableBuilder() {
                                               ${getCellHeight(viewMode)} max-w-[100px] mx-auto group
                                               ${hasConflict ? 'ring-1 ring-red-500 animate-pulse' : ''}
                                               ${isTimetableDisabled ? 'cursor-not-allowed opacity-60' : 'cursor-grab'}`}
+                                    style={cellLayout.rowSpan > 1 ? { minHeight: `${cellLayout.rowSpan * 4 - 0.5}rem` } : undefined}
                                     draggable={!isTimetableDisabled}
                                     onDragStart={!isTimetableDisabled ? (e) => handleDragStart(e, courseInSlot, true, day, slot) : undefined}
                                     onDragEnd={!isTimetableDisabled ? handleDragEnd : undefined}
                                   >
                                     <button 
-                                      onClick={(e) => !isTimetableDisabled && handleDeleteCourse(day, slot, e)}
+                                      onClick={(e) => !isTimetableDisabled && handleDeleteCourse(day, slot, e, courseInSlot.subBatch)}
                                       className={`absolute top-0 right-0 -mt-1 -mr-1 transition opacity-0 group-hover:opacity-100 bg-white rounded-full w-4 h-4 flex items-center justify-center shadow-sm ${
                                         isTimetableDisabled 
                                           ? 'text-gray-400 cursor-not-allowed' 
@@ -1903,7 +3229,9 @@ export default function TimetableBuilder() {
                                     <div className="space-y-0.5">
                                       {/* Course code and conflict indicator */}
                                       <div className="flex justify-between items-center">
-                                        <span className="font-semibold text-xs leading-tight">{compactData.code}</span>
+                                        <span className="font-semibold text-xs leading-tight">
+                                          {compactData.code}{courseInSlot.subBatch ? ` · ${courseInSlot.subBatch}` : ''}
+                                        </span>
                                         {hasConflict && <FiAlertTriangle className="text-red-500" size={10} />}
                                       </div>
                                       
@@ -1916,10 +3244,24 @@ export default function TimetableBuilder() {
                                       <div className="text-xs leading-tight text-gray-600" title={compactData.roomFull}>
                                         {compactData.room}
                                       </div>
+                                      
+                                      {/* Length of multi-period sessions */}
+                                      {cellLayout.rowSpan > 1 && (
+                                        <div className="text-xs leading-tight text-gray-500">{cellLayout.rowSpan} periods</div>
+                                      )}
                                     </div>
                                   </div>
                                 );
                               })()
+                            ) : !isSlotAvailable(day, slot) ? (
+                              // Periods outside the time grid (e.g. after a half-day cut-off) are not droppable
+                              <div
+                                className={`${getCellHeight(viewMode)} w-full max-w-[100px] mx-auto rounded-lg bg-gray-200/70 flex items-center justify-center`}
+                                style={{ minHeight: '40px', minWidth: '80px' }}
+                                title="Not a teaching period"
+                              >
+                                <div className="text-xs text-gray-400">—</div>
+                              </div>
                             ) : (
                               <div
                                 className={`${getCellHeight(viewMode)} w-full max-w-[100px] mx-auto border border-dashed border-gray-200 rounded-lg flex items-center justify-center`}
@@ -1938,16 +3280,24 @@ export default function TimetableBuilder() {
                     ) : (
                       // Day view shows just the selected day
                       (() => {
+                        const cellLayout = getCellLayout(timetableData, currentDay, slot);
+                        if (cellLayout.hidden) return null;
+                        
                         const courseInSlot = timetableData[currentDay]?.[slot];
                         const hasConflict = conflicts.some(
                           c => c.day === currentDay && c.slot === slot
                         );
                         
                         return (
-                          <td className="py-1 px-2 border-b border-gray-100 text-center relative" 
+                          <td rowSpan={cellLayout.rowSpan} className="py-1 px-2 border-b border-gray-100 text-center relative" 
                               onDragOver={!isTimetableDisabled ? handleDragOver : undefined} 
                               onDrop={!isTimetableDisabled ? (e) => handleDrop(e, currentDay, slot) : undefined}>
-                            {courseInSlot ? (
+                            {renderLockBadge(currentDay, slot)}
+                            {renderResolutionGhost(currentDay, slot)}
+                            {renderAvailabilityShade(currentDay, slot)}
+                            {isParallelCell(courseInSlot) ? (
+                              renderParallelSessions(currentDay, slot, courseInSlot, hasConflict, 'max-w-[280px]')
+                            ) : courseInSlot ? (
                               (() => {
                                 const compactData = getCompactCellDisplay(courseInSlot, isMobile);
                                 return (
@@ -1955,12 +3305,13 @@ export default function TimetableBuilder() {
                                     className={`p-2 rounded-lg ${getCourseColorClass(courseInSlot)} border relative max-w-[280px] mx-auto group
                                               ${hasConflict ? 'ring-1 ring-red-500 animate-pulse' : ''}
                                               ${isTimetableDisabled ? 'cursor-not-allowed opacity-60' : 'cursor-grab'}`}
+                                    style={cellLayout.rowSpan > 1 ? { minHeight: `${cellLayout.rowSpan * 4 - 0.5}rem` } : undefined}
                                     draggable={!isTimetableDisabled}
                                     onDragStart={!isTimetableDisabled ? (e) => handleDragStart(e, courseInSlot, true, currentDay, slot) : undefined}
                                     onDragEnd={!isTimetableDisabled ? handleDragEnd : undefined}
                                   >
                                     <button 
-                                      onClick={(e) => !isTimetableDisabled && handleDeleteCourse(currentDay, slot, e)}
+                                      onClick={(e) => !isTimetableDisabled && handleDeleteCourse(currentDay, slot, e, courseInSlot.subBatch)}
                                       className={`absolute top-0 right-0 -mt-1 -mr-1 transition opacity-0 group-hover:opacity-100 bg-white rounded-full w-4 h-4 flex items-center justify-center shadow-sm ${
                                         isTimetableDisabled 
                                           ? 'text-gray-400 cursor-not-allowed' 
@@ -1976,7 +3327,9 @@ export default function TimetableBuilder() {
                                     <div className="space-y-1">
                                       {/* Course code and conflict indicator */}
                                       <div className="flex justify-between items-center">
-                                        <span className="font-semibold text-sm">{compactData.code}</span>
+                                        <span className="font-semibold text-sm">
+                                          {compactData.code}{courseInSlot.subBatch ? ` · ${courseInSlot.subBatch}` : ''}
+                                        </span>
                                         {hasConflict && <FiAlertTriangle className="text-red-500" size={12} />}
                                       </div>
                                       
@@ -1994,10 +3347,21 @@ export default function TimetableBuilder() {
                                           {compactData.room}
                                         </span>
                                       </div>
+                                      
+                                      {cellLayout.rowSpan > 1 && (
+                                        <div className="text-xs text-gray-500">{cellLayout.rowSpan} periods</div>
+                                      )}
                                     </div>
                                   </div>
                                 );
                               })()
+                            ) : !isSlotAvailable(currentDay, slot) ? (
+                              <div
+                                className="h-14 max-w-[280px] mx-auto rounded-lg bg-gray-200/70 flex items-center justify-center"
+                                title="Not a teaching period"
+                              >
+                                <div className="text-xs text-gray-400">Not a teaching period</div>
+                              </div>
                             ) : (
                               <div 
                                 className={`h-14 max-w-[280px] mx-auto border border-dashed rounded-lg flex items-center justify-center ${
@@ -2033,6 +3397,27 @@ export default function TimetableBuilder() {
             onNavigateToConflict={navigateToConflict}
           />
           
+          {/* Day-shape rule violations for this batch */}
+          <DayShapePanel
+            violations={evaluateWeekShape(
+              timetableData,
+              normalizeDayShapeRules(availableBatches.find(b => b.name === selectedBatch)?.dayShapeRules)
+            )}
+            overrides={dayShapeOverrides}
+            onToggleOverride={toggleDayShapeOverride}
+            disabled={isTimetableDisabled || !activeTimetableId}
+          />
+          
+          {/* Better rooms for the last drop, and rooms for sessions that have none */}
+          <RoomRecommendationPanel
+            recommendation={activeRoomRecommendation}
+            roomlessCount={getRoomlessSessions(timetableData).length}
+            onUseRoom={handleUseRecommendedRoom}
+            onDismiss={() => setRoomRecommendation(null)}
+            onAssignAll={handleAssignRooms}
+            disabled={isTimetableDisabled}
+          />
+          
           <div>
             <h2 className="text-sm font-semibold text-gray-700 mb-2">Room Selection</h2>
             <div className="relative">
@@ -2045,12 +3430,62 @@ export default function TimetableBuilder() {
                 }}
                 className="w-full appearance-none pl-3 pr-8 py-1 text-xs border border-gray-300 rounded-lg focus:ring-1 focus:ring-indigo-500 focus:outline-none bg-white"
               >
-                {rooms.map(room => (
+                {/* Keep an incompatible selection visible rather than silently showing another room */}
+                {selectedRoom && !pickerRooms.some(room => room.id === selectedRoom.id) && (
+                  <option value={selectedRoom.id}>{selectedRoom.number || selectedRoom.id} (does not fit)</option>
+                )}
+                {pickerRooms.map(room => (
                   <option key={room.id} value={room.id}>{room.number || room.id}</option>
                 ))}
               </select>
               <FiChevronDown className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-400" size={14} />
             </div>
+            {roomFilterSession && pickerRooms !== rooms && (
+              <div className="mt-1 flex items-center justify-between text-xs text-indigo-700">
+                <span>{pickerRooms.length} of {rooms.length} rooms fit {roomFilterSession.code}</span>
+                <button onClick={() => setRoomFilterCourse(null)} className="hover:text-indigo-900 underline">
+                  Show all
+                </button>
+              </div>
+            )}
+            {roomFilterSession && hasSessionRequirements(roomFilterSession.sessionRequirements) && compatibleRooms.length === 0 && (
+              <div className="mt-1 text-xs text-amber-700">
+                No room meets {roomFilterSession.code}'s requirements; showing all rooms
+              </div>
+            )}
+            
+            {/* Sessions placed for a sub-batch can run in parallel with the other groups */}
+            <h2 className="text-sm font-semibold text-gray-700 mt-3 mb-2">Sub-batch</h2>
+            <div className="relative">
+              <select
+                value={activeSubBatch}
+                onChange={(e) => setSelectedSubBatch(e.target.value)}
+                disabled={subBatchOptions.length === 0}
+                className="w-full appearance-none pl-3 pr-8 py-1 text-xs border border-gray-300 rounded-lg focus:ring-1 focus:ring-indigo-500 focus:outline-none bg-white"
+              >
+                <option value="">Whole batch</option>
+                {subBatchOptions.map(subBatch => (
+                  <option key={subBatch} value={subBatch}>{subBatch}</option>
+                ))}
+              </select>
+              <FiChevronDown className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-400" size={14} />
+            </div>
+            
+            {/* Which of the course's room requirements new sessions are checked against */}
+            <h2 className="text-sm font-semibold text-gray-700 mt-3 mb-2">Session Type</h2>
+            <div className="relative">
+              <select
+                value={selectedComponent}
+                onChange={(e) => setSelectedComponent(e.target.value)}
+                className="w-full appearance-none pl-3 pr-8 py-1 text-xs border border-gray-300 rounded-lg focus:ring-1 focus:ring-indigo-500 focus:outline-none bg-white"
+              >
+                <option value="">Auto (labs are practicals)</option>
+                {Object.values(SESSION_COMPONENTS).map(component => (
+                  <option key={component} value={component}>{SESSION_COMPONENT_LABELS[component]}</option>
+                ))}
+              </select>
+              <FiChevronDown className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-400" size={14} />
+            </div>
             
             <div className="mt-3 p-2 bg-gray-50 rounded-lg">
               <h3 className="font-medium text-xs text-gray-700">{selectedRoom?.number || selectedRoom?.id || 'Room'} Details</h3>
@@ -2119,43 +3554,50 @@ export default function TimetableBuilder() {
                       </div>
                       <p className="text-xs text-red-600 mt-1">{conflict.message}</p>
                       
-                      {/* Conflict Resolution Suggestions */}
-                      {conflict.suggestedActions && conflict.suggestedActions.length > 0 && (
-                        <div className="mt-2">
-                          <p className="text-xs font-medium text-gray-600 mb-1">Suggested Actions:</p>
-                          <div className="space-y-1">
-                            {conflict.suggestedActions.slice(0, 2).map((action, actionIndex) => (
-                              <button
-                                key={actionIndex}
-                                className="block w-full text-left text-xs text-blue-600 hover:text-blue-800 hover:bg-blue-50 p-1 rounded"
-                                onClick={() => {
-                                  // Generate and apply suggestions
-                                  const suggestions = conflictResolver.generateSuggestions(
-                                    timetableData, conflict, rooms, teacherMap
-                                  );
-                                  if (suggestions.length > actionIndex) {
-                                    const newTimetable = conflictResolver.applySuggestion(
-                                      timetableData, suggestions[actionIndex]
-                                    );
-                                    setTimetablesData(prev => ({ ...prev, [activeTabId]: newTimetable }));
-                                    addToHistory(activeTabId, newTimetable);
-                                    
-                                    // Log the resolution
-                                    auditLogger.logAction('conflict_resolved', {
-                                      conflictType: conflict.type,
-                                      resolution: suggestions[actionIndex].type,
-                                      day: conflict.day,
-                                      slot: conflict.slot
-                                    });
-                                  }
-                                }}
-                              >
-                                • {action}
-                              </button>
-                            ))}
-                          </div>
-                        </div>
-                      )}
+                      {/* Ranked fixes, previewed on the grid */}
+                      <div className="mt-2">
+                        <button
+                          onClick={() => handleShowResolutions(conflict)}
+                          disabled={isTimetableDisabled}
+                          className="text-xs text-blue-600 hover:text-blue-800 disabled:text-gray-400 flex items-center gap-1"
+                        >
+                          <FiZap size={10} />
+                          {activeResolution?.conflictKey === getConflictKey(conflict) ? 'Hide fixes' : 'Suggest fixes'}
+                        </button>
+                        {activeResolution?.conflictKey === getConflictKey(conflict) && (
+                          activeResolution.loading ? (
+                            <p className="text-xs text-gray-500 mt-1">Ranking fixes...</p>
+                          ) : activeResolution.suggestions.length === 0 ? (
+                            <p className="text-xs text-gray-500 mt-1">No move or room change clears this conflict</p>
+                          ) : (
+                            <div className="mt-1 space-y-1">
+                              {activeResolution.suggestions.map((suggestion, rank) => (
+                                <div
+                                  key={suggestion.id}
+                                  onMouseEnter={() => setPreviewSuggestionId(suggestion.id)}
+                                  className={`p-1.5 rounded border text-xs ${
+                                    previewSuggestionId === suggestion.id ? 'border-indigo-300 bg-indigo-50' : 'border-gray-200 bg-white'
+                                  }`}
+                                >
+                                  <div className="flex justify-between items-center gap-1">
+                                    <span className="font-medium text-gray-700">{rank + 1}. {suggestion.title}</span>
+                                    <button
+                                      onClick={() => handleApplySuggestion(conflict, suggestion)}
+                                      className="px-1.5 py-0.5 rounded bg-indigo-600 text-white hover:bg-indigo-700"
+                                    >
+                                      Apply
+                                    </button>
+                                  </div>
+                                  <p className="text-gray-500">{suggestion.description}</p>
+                                  {suggestion.reasons.length > 0 && (
+                                    <p className="text-gray-400">{suggestion.reasons.join(' · ')}</p>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          )
+                        )}
+                      </div>
                     </div>
                   </div>
                 ))}
@@ -2168,7 +3610,7 @@ export default function TimetableBuilder() {
       {/* Action Buttons */}
       <div className="flex flex-wrap justify-between gap-2">
         <button 
-          onClick={() => !isTimetableDisabled && handleClearWeek()}
+          onClick={() => !isTimetableDisabled && (viewMode === 'day' ? handleClearDay(currentDay) : handleClearWeek())}
           className={`px-3 py-2 rounded-lg transition flex items-center gap-1 text-xs ${
             isTimetableDisabled 
               ? 'bg-gray-200 text-gray-400 cursor-not-allowed' 
@@ -2177,10 +3619,65 @@ export default function TimetableBuilder() {
           disabled={isTimetableDisabled}
         >
           <FiRefreshCw size={14} />
-          <span>Clear Week</span>
+          <span>{viewMode === 'day' ? `Clear ${currentDay}` : 'Clear Week'}</span>
         </button>
         
         <div className="flex gap-2">
+          {!isTimetableDisabled && (
+            <span
+              className={`px-3 py-2 rounded-lg text-xs font-medium flex items-center ${
+                workflowState?.status === TIMETABLE_STATUS.PUBLISHED ? 'bg-green-100 text-green-700' :
+                workflowState?.status === TIMETABLE_STATUS.APPROVED ? 'bg-emerald-100 text-emerald-700' :
+                workflowState?.status === TIMETABLE_STATUS.IN_REVIEW ? 'bg-sky-100 text-sky-700' :
+                'bg-gray-100 text-gray-600'
+              }`}
+              title={workflowState?.reviewComment ? `HOD: ${workflowState.reviewComment}` : 'Review status'}
+            >
+              {TIMETABLE_STATUS_LABELS[workflowState?.status || TIMETABLE_STATUS.DRAFT]}
+              {workflowState?.reviewComment && ' 💬'}
+            </span>
+          )}
+          
+          {canPerformWorkflowAction(workflowState?.status, WORKFLOW_ACTIONS.PUBLISH, user) ? (
+            <button 
+              onClick={() => !isTimetableDisabled && handlePublishApproved()}
+              className="px-3 py-2 rounded-lg transition flex items-center gap-1 text-xs bg-emerald-600 text-white hover:bg-emerald-700"
+              disabled={isTimetableDisabled}
+              title="Publish the approved version"
+            >
+              <FiCheck size={14} />
+              <span>Publish</span>
+            </button>
+          ) : (
+            <button 
+              onClick={() => !isTimetableDisabled && handleSubmitForReview()}
+              className={`px-3 py-2 rounded-lg transition flex items-center gap-1 text-xs ${
+                isTimetableDisabled || !canPerformWorkflowAction(workflowState?.status, WORKFLOW_ACTIONS.SUBMIT, user)
+                  ? 'bg-gray-400 text-gray-300 cursor-not-allowed' 
+                  : 'bg-sky-600 text-white hover:bg-sky-700'
+              }`}
+              disabled={isTimetableDisabled || !canPerformWorkflowAction(workflowState?.status, WORKFLOW_ACTIONS.SUBMIT, user)}
+              title={workflowState?.status === TIMETABLE_STATUS.IN_REVIEW ? 'Waiting for HOD review' : 'Submit this timetable to the HOD for review'}
+            >
+              <FiSend size={14} />
+              <span>Submit for Review</span>
+            </button>
+          )}
+          
+          <button 
+            onClick={() => !isTimetableDisabled && handleGenerateTimetable()}
+            className={`px-3 py-2 rounded-lg transition flex items-center gap-1 text-xs ${
+              isTimetableDisabled 
+                ? 'bg-gray-400 text-gray-300 cursor-not-allowed' 
+                : 'bg-amber-500 text-white hover:bg-amber-600'
+            }`}
+            disabled={isTimetableDisabled}
+            title="Generate a full schedule for this batch"
+          >
+            <FiZap size={14} />
+            <span>Auto Generate</span>
+          </button>
+          
           <button 
             onClick={() => !isTimetableDisabled && handleSaveTimetable()}
             className={`px-3 py-2 rounded-lg transition flex items-center gap-1 text-xs ${
@@ -2189,6 +3686,7 @@ export default function TimetableBuilder() {
                 : 'bg-indigo-600 text-white hover:bg-indigo-700'
             }`}
             disabled={isTimetableDisabled}
+            title="Changes save automatically; this stores a named version"
           >
             <FiSave size={14} />
             <span>Save</span>
@@ -2210,6 +3708,14 @@ export default function TimetableBuilder() {
       </div>
 
       {/* Browse Timetables Modal - Enhanced Version */}
+      {pendingMerge && (
+        <ScheduleMergeDialog merge={pendingMerge} onResolve={handleMergeResolved} />
+      )}
+
+      {reconciliationReport && (
+        <ReconciliationReport report={reconciliationReport} onClose={() => setReconciliationReport(null)} />
+      )}
+
       {showBrowseModal && (
         <div className="fixed inset-0 bg-black/20 backdrop-blur-sm flex items-center justify-center z-[9999]">
           <div className="bg-white rounded-xl shadow-2xl border border-slate-200 w-full max-w-3xl mx-4 max-h-[80vh] overflow-hidden">
@@ -2217,10 +3723,10 @@ export default function TimetableBuilder() {
             <div className="flex items-center justify-between p-4 border-b border-slate-200 bg-slate-50">
               <h3 className="text-lg font-semibold text-slate-800 flex items-center gap-2">
                 <FiCalendar className="text-indigo-500" />
-                Browse Existing Timetables
+                {historyTimetable ? `Version History: ${historyTimetable.id}` : 'Browse Existing Timetables'}
               </h3>
               <button
-                onClick={() => setShowBrowseModal(false)}
+                onClick={closeBrowseModal}
                 className="p-2 hover:bg-slate-200 rounded-lg transition-colors"
               >
                 <FiX className="text-slate-500" />
@@ -2229,7 +3735,14 @@ export default function TimetableBuilder() {
 
             {/* Modal Content */}
             <div className="p-4 overflow-y-auto max-h-[60vh]">
-              {loadingTimetables ? (
+              {historyTimetable ? (
+                <VersionHistoryPanel
+                  timetable={historyTimetable}
+                  user={user}
+                  onBack={() => setHistoryTimetable(null)}
+                  onRestored={handleVersionRestored}
+                />
+              ) : loadingTimetables ? (
                 <div className="text-center py-8">
                   <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-indigo-500 mx-auto mb-4"></div>
                   <div className="text-xl text-gray-600">Loading timetables...</div>
@@ -2253,10 +3766,10 @@ export default function TimetableBuilder() {
                     const isAlreadyOpen = tabs.some(tab => tab.timetableId === timetable.id);
                     
                     return (
-                      <button
+                      <div
                         key={timetable.id}
                         onClick={() => handleLoadTimetable(timetable)}
-                        className="w-full text-left p-4 border border-slate-200 rounded-lg hover:border-indigo-300 hover:bg-indigo-50 transition-all group"
+                        className="w-full text-left p-4 border border-slate-200 rounded-lg hover:border-indigo-300 hover:bg-indigo-50 transition-all group cursor-pointer"
                       >
                         <div className="flex items-center justify-between">
                           <div className="flex-1">
@@ -2294,6 +3807,17 @@ export default function TimetableBuilder() {
                               )}
                             </div>
                           </div>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setHistoryTimetable(timetable);
+                            }}
+                            className="ml-4 px-3 py-1.5 text-xs rounded-lg border border-slate-300 text-slate-600 hover:bg-white hover:text-indigo-700 flex items-center gap-1"
+                            title="View saved versions"
+                          >
+                            <FiClock size={12} />
+                            <span>History</span>
+                          </button>
                           <div className="ml-4 text-indigo-500 group-hover:text-indigo-700 flex items-center gap-2">
                             {isAlreadyOpen ? (
                               <span className="text-sm font-medium">Switch</span>
@@ -2303,7 +3827,7 @@ export default function TimetableBuilder() {
                             <FiChevronRight />
                           </div>
                         </div>
-                      </button>
+                      </div>
                     );
                   })}
                 </div>
@@ -2316,7 +3840,7 @@ export default function TimetableBuilder() {
                 {existingTimetables.length} timetable{existingTimetables.length !== 1 ? 's' : ''} available
               </span>
               <button
-                onClick={() => setShowBrowseModal(false)}
+                onClick={closeBrowseModal}
                 className="px-4 py-2 text-slate-600 hover:bg-slate-200 rounded-lg transition-colors"
               >
                 Close
@@ -2474,6 +3998,140 @@ export default function TimetableBuilder() {
           </div>
         </div>
       )}
+
+      {/* Auto Generate Review Modal */}
+      {showGenerateModal && (
+        <div className="fixed inset-0 bg-black/30 backdrop-blur-sm flex items-center justify-center z-[9999]">
+          <div className="bg-white rounded-xl shadow-2xl border border-slate-200 w-full max-w-4xl mx-4 max-h-[85vh] overflow-hidden">
+            {/* Modal Header */}
+            <div className="flex items-center justify-between p-4 border-b border-slate-200 bg-gradient-to-r from-amber-500 to-orange-500">
+              <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+                <FiZap className="text-white" />
+                Generated Timetable
+              </h3>
+              <button
+                onClick={() => setShowGenerateModal(false)}
+                className="p-1 hover:bg-white/20 rounded-lg transition-colors"
+                disabled={isGenerating}
+              >
+                <FiX className="text-white" />
+              </button>
+            </div>
+
+            {/* Modal Content */}
+            <div className="p-4 overflow-y-auto max-h-[60vh] space-y-4">
+              {isGenerating || !generatedResult ? (
+                <div className="text-center py-8">
+                  <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-amber-500 mx-auto mb-4"></div>
+                  <div className="text-sm text-gray-600">Solving constraints...</div>
+                </div>
+              ) : (
+                <>
+                  {/* Summary */}
+                  <div className="grid grid-cols-4 gap-3 text-center">
+                    <div className="p-2 bg-green-50 rounded-lg">
+                      <div className="text-lg font-semibold text-green-700">{generatedResult.stats.placedSessions}</div>
+                      <div className="text-xs text-green-600">Placed</div>
+                    </div>
+                    <div className="p-2 bg-red-50 rounded-lg">
+                      <div className="text-lg font-semibold text-red-700">{generatedResult.stats.unplacedSessions}</div>
+                      <div className="text-xs text-red-600">Unplaced</div>
+                    </div>
+                    <div className="p-2 bg-amber-50 rounded-lg">
+                      <div className="text-lg font-semibold text-amber-700">{generatedResult.stats.skippedCourses}</div>
+                      <div className="text-xs text-amber-600">Skipped courses</div>
+                    </div>
+                    <div className="p-2 bg-indigo-50 rounded-lg">
+                      <div className="text-lg font-semibold text-indigo-700">{generatedResult.stats.score}</div>
+                      <div className="text-xs text-indigo-600">Soft score</div>
+                    </div>
+                  </div>
+
+                  {/* Preview grid */}
+                  <div className="overflow-x-auto">
+                    <table className="w-full border-collapse text-xs">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="py-1 px-2 border-b border-gray-200 text-left font-medium">Time</th>
+                          {weekDays.map(day => (
+                            <th key={day} className="py-1 px-2 border-b border-gray-200 text-center font-medium">
+                              {getAbbreviatedDay(day)}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {timeSlots.map(slot => (
+                          <tr key={slot}>
+                            <td className="py-1 px-2 border-b border-gray-100 whitespace-nowrap text-gray-700">{slot}</td>
+                            {weekDays.map(day => {
+                              const cellLayout = getCellLayout(generatedResult.schedule, day, slot);
+                              if (cellLayout.hidden) return null;
+                              
+                              const entry = generatedResult.schedule[day]?.[slot];
+                              return (
+                                <td key={`${day}-${slot}`} rowSpan={cellLayout.rowSpan} className="py-1 px-1 border-b border-gray-100 text-center">
+                                  {entry ? (
+                                    <div className="px-1 py-0.5 rounded bg-indigo-50 text-indigo-800" title={`${entry.title} | ${entry.teacherName || ''} | ${entry.roomNumber || 'No room'}`}>
+                                      <div className="font-semibold">{entry.code}</div>
+                                      <div className="text-[10px] text-gray-600">{entry.roomNumber || '-'}</div>
+                                    </div>
+                                  ) : null}
+                                </td>
+                              );
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {/* Unplaced and skipped */}
+                  {(generatedResult.unplaced.length > 0 || generatedResult.skipped.length > 0) && (
+                    <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-xs space-y-1">
+                      {generatedResult.unplaced.map((item, index) => (
+                        <div key={`unplaced-${index}`} className="text-red-700">
+                          {item.course.code}{item.span > 1 ? ` (${item.span}-period block)` : ''}: {item.reason}
+                        </div>
+                      ))}
+                      {generatedResult.skipped.map((item, index) => (
+                        <div key={`skipped-${index}`} className="text-amber-700">
+                          {item.course.code}: {item.reason}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+
+            {/* Modal Footer */}
+            <div className="p-4 border-t border-slate-200 bg-slate-50 flex justify-end gap-3">
+              <button
+                onClick={() => setShowGenerateModal(false)}
+                disabled={isGenerating}
+                className="px-4 py-2 text-slate-600 hover:bg-slate-200 rounded-lg transition-colors disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleGenerateTimetable}
+                disabled={isGenerating}
+                className="px-4 py-2 text-amber-700 border border-amber-300 hover:bg-amber-50 rounded-lg transition-colors disabled:opacity-50"
+              >
+                Regenerate
+              </button>
+              <button
+                onClick={handleApplyGeneratedTimetable}
+                disabled={isGenerating || !generatedResult || generatedResult.stats.placedSessions === 0}
+                className="px-4 py-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Apply to Grid
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
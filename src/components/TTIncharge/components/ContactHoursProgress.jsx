@@ -0,0 +1,43 @@
+import React from 'react';
+
+const COMPONENTS = [
+  { key: 'lecture', label: 'L', title: 'Lectures' },
+  { key: 'tutorial', label: 'T', title: 'Tutorials (placed with Session Type: Tutorial)' },
+  { key: 'practical', label: 'P', title: 'Practicals (multi-period or sub-batch sessions)' }
+];
+
+/**
+ * Contact Hours Progress
+ * Placed versus required periods of one course in the batch timetable, per L/T/P component
+ */
+const ContactHoursProgress = ({ progress }) => {
+  const components = COMPONENTS.filter(({ key }) => progress[key].required > 0 || progress[key].scheduled > 0);
+
+  if (components.length === 0) {
+    return <div className="text-xs text-gray-400 mb-1">No contact hours defined</div>;
+  }
+
+  return (
+    <div className="space-y-0.5 mb-1">
+      {components.map(({ key, label, title }) => {
+        const { required, scheduled } = progress[key];
+        const percent = required > 0 ? Math.min(100, Math.round((scheduled / required) * 100)) : 100;
+        const barColor = scheduled > required ? 'bg-red-400' : scheduled === required ? 'bg-green-500' : 'bg-amber-400';
+
+        return (
+          <div key={key} className="flex items-center gap-1" title={title}>
+            <span className="w-3 text-xs font-medium text-gray-500">{label}</span>
+            <div className="flex-1 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+              <div className={`h-full ${barColor}`} style={{ width: `${percent}%` }} />
+            </div>
+            <span className={`w-8 text-right font-mono text-xs ${scheduled > required ? 'text-red-600' : 'text-gray-600'}`}>
+              {scheduled}/{required}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ContactHoursProgress;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { FiCalendar, FiSlash, FiRotateCcw } from 'react-icons/fi';
+import { DAY_SHAPE_RULES, DAY_SHAPE_RULE_LABELS } from '../services/TTBuilder/dayShapeRules';
+
+/**
+ * Day Shape Panel
+ * Lists the batch's day-shape rule violations in the right panel, one group per
+ * rule, with a toggle to override (silence) a rule for this timetable
+ */
+const DayShapePanel = ({
+  violations = [],
+  overrides = [],
+  onToggleOverride,
+  disabled = false
+}) => {
+  const rules = Object.values(DAY_SHAPE_RULES).filter(rule =>
+    overrides.includes(rule) || violations.some(violation => violation.rule === rule)
+  );
+
+  if (rules.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-4">
+      <div className="flex items-center gap-2 mb-3">
+        <FiCalendar className="text-amber-600" size={20} />
+        <h3 className="text-sm font-semibold text-amber-800">
+          Day Shape
+        </h3>
+      </div>
+
+      <div className="space-y-2">
+        {rules.map(rule => {
+          const isOverridden = overrides.includes(rule);
+          const ruleViolations = violations.filter(violation => violation.rule === rule);
+
+          return (
+            <div key={rule} className={`rounded-md p-2 border ${
+              isOverridden ? 'bg-gray-50 border-gray-200' : 'bg-amber-100 border-amber-200'
+            }`}>
+              <div className="flex items-center justify-between gap-2">
+                <span className={`text-xs font-medium ${isOverridden ? 'text-gray-500 line-through' : 'text-amber-800'}`}>
+                  {DAY_SHAPE_RULE_LABELS[rule]} ({ruleViolations.length})
+                </span>
+                <button
+                  onClick={() => onToggleOverride(rule)}
+                  disabled={disabled}
+                  className="flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                  title={isOverridden ? 'Check this rule again' : 'Stop warning about this rule for this timetable'}
+                >
+                  {isOverridden ? <><FiRotateCcw size={12} /> Restore</> : <><FiSlash size={12} /> Override</>}
+                </button>
+              </div>
+              {!isOverridden && (
+                <ul className="mt-1 space-y-1">
+                  {ruleViolations.map((violation, index) => (
+                    <li key={index} className="text-xs text-amber-700">{violation.message}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default DayShapePanel;
@@ -0,0 +1,90 @@
+import React from 'react';
+import { FiRefreshCw, FiAlertTriangle, FiCheck, FiX } from 'react-icons/fi';
+import { describeScheduleCell } from '../services/TimetableBuilder';
+
+/**
+ * Reconciliation Report
+ * Shown after offline changes are replayed if some of them could not be applied
+ * as queued: cells the server changed meanwhile, restores that replaced newer
+ * server data and operations the server refused.
+ */
+const ReconciliationReport = ({ report, onClose }) => (
+  <div className="fixed inset-0 bg-black/20 backdrop-blur-sm flex items-center justify-center z-[9999]">
+    <div className="bg-white rounded-xl shadow-2xl border border-slate-200 w-full max-w-3xl mx-4 max-h-[80vh] overflow-hidden">
+      <div className="flex items-center justify-between p-4 border-b border-slate-200 bg-slate-50">
+        <h3 className="text-lg font-semibold text-slate-800 flex items-center gap-2">
+          <FiRefreshCw className="text-indigo-500" />
+          Offline Changes Synced
+        </h3>
+        <button onClick={onClose} className="p-1 rounded-lg text-slate-500 hover:bg-slate-200">
+          <FiX size={18} />
+        </button>
+      </div>
+
+      <div className="p-4 overflow-y-auto max-h-[60vh] space-y-4 text-sm">
+        <p className="flex items-center gap-2 text-slate-700">
+          <FiCheck className="text-green-600" />
+          {report.applied.length} queued change{report.applied.length !== 1 ? 's were' : ' was'} sent to the server.
+          {report.remaining > 0 && ` ${report.remaining} will be sent when the connection is back.`}
+        </p>
+
+        {report.conflicts.length > 0 && (
+          <div>
+            <h4 className="font-medium text-slate-800 mb-1">Changed on the server while you were offline</h4>
+            <p className="text-xs text-slate-500 mb-2">
+              These cells keep the server's version. Edit them again if yours should win.
+            </p>
+            <div className="border border-slate-200 rounded-lg divide-y divide-slate-100">
+              {report.conflicts.map(conflict => (
+                <div key={`${conflict.timetableId}|${conflict.day}|${conflict.slot}`} className="p-2 grid grid-cols-3 gap-2 text-xs">
+                  <span className="text-slate-700">
+                    {conflict.day} {conflict.slot}
+                    <span className="block text-slate-400">{conflict.timetableId}</span>
+                  </span>
+                  <span className="text-indigo-700">Yours: {describeScheduleCell(conflict.queued)}</span>
+                  <span className="text-amber-700">Kept: {describeScheduleCell(conflict.server)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {report.overwritten.length > 0 && (
+          <div>
+            <h4 className="font-medium text-slate-800 mb-1">Restores that replaced newer server changes</h4>
+            <ul className="list-disc list-inside text-xs text-slate-600">
+              {report.overwritten.map((item, index) => (
+                <li key={index}>{item.label}; the replaced schedule is kept in its version history</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {report.failed.length > 0 && (
+          <div>
+            <h4 className="font-medium text-red-700 mb-1 flex items-center gap-1">
+              <FiAlertTriangle size={14} />
+              Refused by the server
+            </h4>
+            <ul className="list-disc list-inside text-xs text-slate-600">
+              {report.failed.map((item, index) => (
+                <li key={index}>{item.label}: {item.message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-end p-4 border-t border-slate-200 bg-slate-50">
+        <button
+          onClick={onClose}
+          className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm hover:bg-indigo-700"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default ReconciliationReport;
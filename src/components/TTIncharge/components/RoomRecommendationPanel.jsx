@@ -0,0 +1,83 @@
+import React from 'react';
+import { FiHome, FiX, FiCheck } from 'react-icons/fi';
+
+/**
+ * Room Recommendation Panel
+ * Offers the best free rooms for a session just dropped (or blocked by its room)
+ * and assigns rooms to every room-less session of the timetable in one step
+ */
+const RoomRecommendationPanel = ({
+  recommendation = null,
+  roomlessCount = 0,
+  onUseRoom,
+  onDismiss,
+  onAssignAll,
+  disabled = false
+}) => {
+  if (!recommendation && roomlessCount === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-sky-50 border border-sky-200 rounded-lg p-4 mb-4">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <div className="flex items-center gap-2">
+          <FiHome className="text-sky-600" size={20} />
+          <h3 className="text-sm font-semibold text-sky-800">
+            Room Recommendations
+          </h3>
+        </div>
+        {recommendation && (
+          <button onClick={onDismiss} className="text-sky-500 hover:text-sky-700" title="Dismiss">
+            <FiX size={14} />
+          </button>
+        )}
+      </div>
+
+      {recommendation && (
+        <div className="mb-3">
+          <p className="text-xs text-sky-700 mb-2">
+            {recommendation.pending
+              ? `${recommendation.code} cannot go in the selected room on ${recommendation.day} at ${recommendation.slot}. Place it in:`
+              : `Better rooms for ${recommendation.code} on ${recommendation.day} at ${recommendation.slot}:`}
+          </p>
+          <ul className="space-y-2">
+            {recommendation.options.map(({ room, reasons }) => (
+              <li key={room.id || room.number} className="bg-white border border-sky-100 rounded-md p-2">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-xs font-medium text-gray-800">
+                    {room.number || room.id}{room.type ? ` · ${room.type}` : ''}
+                  </span>
+                  <button
+                    onClick={() => onUseRoom(room)}
+                    disabled={disabled}
+                    className="flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <FiCheck size={12} /> {recommendation.pending ? 'Place here' : 'Use'}
+                  </button>
+                </div>
+                <ul className="mt-1 space-y-0.5">
+                  {reasons.map(reason => (
+                    <li key={reason} className="text-xs text-gray-500">{reason}</li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {roomlessCount > 0 && (
+        <button
+          onClick={onAssignAll}
+          disabled={disabled}
+          className="w-full text-xs px-3 py-1.5 bg-sky-600 text-white rounded-md hover:bg-sky-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Assign rooms to {roomlessCount} room-less session{roomlessCount !== 1 ? 's' : ''}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default RoomRecommendationPanel;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { FiGitMerge, FiUser, FiUsers, FiRotateCcw } from 'react-icons/fi';
+import { describeScheduleCell } from '../services/TimetableBuilder';
+
+const SIDES = [
+  { key: 'base', label: 'Base', icon: <FiRotateCcw size={12} />, style: 'border-slate-300 bg-slate-50' },
+  { key: 'local', label: 'Mine', icon: <FiUser size={12} />, style: 'border-indigo-300 bg-indigo-50' },
+  { key: 'remote', label: 'Theirs', icon: <FiUsers size={12} />, style: 'border-amber-300 bg-amber-50' }
+];
+
+/**
+ * Schedule Merge Dialog
+ * Shown when a save finds the stored timetable changed since it was loaded.
+ * Cells changed on one side only are already merged; each cell both sides
+ * changed is listed with its base, mine and theirs values to pick from.
+ */
+const ScheduleMergeDialog = ({ merge, onResolve }) => {
+  const [choices, setChoices] = useState({});
+
+  // Default every conflicting cell to the local edit
+  useEffect(() => {
+    setChoices(Object.fromEntries(merge.conflicts.map(conflict => [`${conflict.day}|${conflict.slot}`, 'local'])));
+  }, [merge]);
+
+  const chooseAll = (side) => {
+    setChoices(Object.fromEntries(merge.conflicts.map(conflict => [`${conflict.day}|${conflict.slot}`, side])));
+  };
+
+  const handleApply = () => {
+    const schedule = Object.fromEntries(Object.entries(merge.schedule).map(([day, slots]) => [day, { ...slots }]));
+    merge.conflicts.forEach(conflict => {
+      const side = choices[`${conflict.day}|${conflict.slot}`] || 'local';
+      schedule[conflict.day][conflict.slot] = conflict[side];
+    });
+    onResolve(schedule);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/20 backdrop-blur-sm flex items-center justify-center z-[9999]">
+      <div className="bg-white rounded-xl shadow-2xl border border-slate-200 w-full max-w-4xl mx-4 max-h-[80vh] overflow-hidden">
+        <div className="flex items-center justify-between p-4 border-b border-slate-200 bg-slate-50">
+          <h3 className="text-lg font-semibold text-slate-800 flex items-center gap-2">
+            <FiGitMerge className="text-indigo-500" />
+            Merge Changes
+          </h3>
+          <div className="flex gap-2">
+            <button
+              onClick={() => chooseAll('local')}
+              className="px-3 py-1.5 text-xs rounded-lg border border-indigo-300 text-indigo-700 hover:bg-indigo-50"
+            >
+              Keep all mine
+            </button>
+            <button
+              onClick={() => chooseAll('remote')}
+              className="px-3 py-1.5 text-xs rounded-lg border border-amber-300 text-amber-700 hover:bg-amber-50"
+            >
+              Take all theirs
+            </button>
+          </div>
+        </div>
+
+        <div className="p-4 overflow-y-auto max-h-[55vh] space-y-3">
+          <p className="text-sm text-slate-600">
+            Someone else saved this timetable while you were editing it.
+            {merge.remoteCells.length > 0 && ` ${merge.remoteCells.length} of their cell change${merge.remoteCells.length !== 1 ? 's were' : ' was'} merged automatically.`}
+            {' '}Choose which version to keep for each cell you both changed.
+          </p>
+
+          {merge.conflicts.map(conflict => {
+            const key = `${conflict.day}|${conflict.slot}`;
+            return (
+              <div key={key} className="border border-slate-200 rounded-lg p-3">
+                <div className="text-sm font-medium text-slate-800 mb-2">{conflict.day} {conflict.slot}</div>
+                <div className="grid grid-cols-3 gap-2">
+                  {SIDES.map(({ key: side, label, icon, style }) => (
+                    <label
+                      key={side}
+                      className={`flex items-start gap-2 p-2 rounded-lg border text-xs cursor-pointer ${
+                        choices[key] === side ? style : 'border-slate-200'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name={key}
+                        checked={choices[key] === side}
+                        onChange={() => setChoices(prev => ({ ...prev, [key]: side }))}
+                        className="mt-0.5"
+                      />
+                      <span>
+                        <span className="flex items-center gap-1 font-medium text-slate-700">
+                          {icon}
+                          {label}
+                        </span>
+                        <span className="text-slate-600">{describeScheduleCell(conflict[side])}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex justify-end p-4 border-t border-slate-200 bg-slate-50">
+          <button
+            onClick={handleApply}
+            className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm hover:bg-indigo-700"
+          >
+            Apply Merge
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleMergeDialog;
@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import { FiArrowLeft, FiRotateCcw, FiPlus, FiMinus, FiArrowRight, FiEdit2, FiClock, FiUser } from 'react-icons/fi';
+import {
+  fetchTimetableVersions, rollbackTimetableVersion, diffSchedules, replaceUndefinedWithNull,
+  enqueuePendingOperation, isOfflineError, PENDING_OPERATION_TYPES
+} from '../services/TimetableBuilder';
+import { useToast } from '../../../context/ToastContext';
+
+const ACTION_STYLES = {
+  save: 'bg-indigo-100 text-indigo-700',
+  submit: 'bg-sky-100 text-sky-700',
+  publish: 'bg-green-100 text-green-700',
+  rollback: 'bg-amber-100 text-amber-700'
+};
+
+const getSessionLabel = (session) => {
+  const code = session.code || session.courseCode || '';
+  return session.subBatch ? `${code} [${session.subBatch}]` : code;
+};
+
+/**
+ * Version History Panel
+ * Lists the saved versions of one timetable, compares any two of them (or one
+ * against the current schedule) and restores an old version
+ */
+const VersionHistoryPanel = ({ timetable, user, onBack, onRestored }) => {
+  const { showError, showInfo } = useToast();
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setSelectedIds([]);
+    fetchTimetableVersions(timetable.id)
+      .then(list => { if (!cancelled) setVersions(list); })
+      .catch(error => {
+        console.error('Error fetching timetable versions:', error);
+        if (!cancelled) showError('Failed to load version history');
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [timetable.id, showError]);
+
+  // Keep at most two versions selected; picking a third drops the oldest pick
+  const toggleSelected = (versionId) => {
+    setSelectedIds(prev => prev.includes(versionId)
+      ? prev.filter(id => id !== versionId)
+      : [...prev, versionId].slice(-2));
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore the version from ${version.createdAt.toLocaleString()}? The current schedule is kept as a version first.`)) {
+      return;
+    }
+
+    // Offline: queue the restore and show it locally; it runs when the connection is back
+    const queueRestore = async () => {
+      await enqueuePendingOperation({
+        type: PENDING_OPERATION_TYPES.IMPORT,
+        timetableId: timetable.id,
+        version,
+        user,
+        baseRevision: timetable.revision ?? null
+      });
+      onRestored(timetable, replaceUndefinedWithNull(version.schedule || {}));
+      showInfo('You are offline. The restore is queued and will run when you reconnect.');
+    };
+
+    setRestoringId(version.id);
+    try {
+      if (!navigator.onLine) {
+        await queueRestore();
+        return;
+      }
+      const schedule = await rollbackTimetableVersion(timetable.id, version, { author: user });
+      setVersions(await fetchTimetableVersions(timetable.id));
+      setSelectedIds([]);
+      onRestored(timetable, schedule);
+      showInfo(`Restored version from ${version.createdAt.toLocaleString()}`);
+    } catch (error) {
+      if (isOfflineError(error)) {
+        await queueRestore().catch(queueError => showError(queueError.message));
+        return;
+      }
+      console.error('Error restoring timetable version:', error);
+      showError('Failed to restore this version');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  // Older selection is the base; a single selection is compared with the current schedule
+  const selectedVersions = versions
+    .filter(version => selectedIds.includes(version.id))
+    .sort((a, b) => a.createdAt - b.createdAt);
+  const comparison = selectedVersions.length === 0 ? null : {
+    fromLabel: selectedVersions[0].createdAt.toLocaleString(),
+    toLabel: selectedVersions[1] ? selectedVersions[1].createdAt.toLocaleString() : 'Current',
+    diff: diffSchedules(selectedVersions[0].schedule, selectedVersions[1] ? selectedVersions[1].schedule : timetable.schedule)
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={onBack}
+          className="flex items-center gap-1 text-sm text-slate-600 hover:text-indigo-700"
+        >
+          <FiArrowLeft size={14} />
+          <span>All timetables</span>
+        </button>
+        <span className="text-xs text-slate-500">Select one version to compare with the current schedule, or two to compare them</span>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-indigo-500 mx-auto mb-3"></div>
+          <div className="text-sm text-gray-600">Loading versions...</div>
+        </div>
+      ) : versions.length === 0 ? (
+        <div className="text-center py-8">
+          <FiClock className="text-4xl text-slate-300 mx-auto mb-3" />
+          <h4 className="text-base font-medium text-slate-600 mb-1">No Versions Yet</h4>
+          <p className="text-sm text-slate-500">A version is stored each time this timetable is saved or published.</p>
+        </div>
+      ) : (
+        <div className="grid gap-2">
+          {versions.map(version => (
+            <div
+              key={version.id}
+              className={`flex items-center gap-3 p-3 border rounded-lg transition ${
+                selectedIds.includes(version.id) ? 'border-indigo-400 bg-indigo-50' : 'border-slate-200'
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(version.id)}
+                onChange={() => toggleSelected(version.id)}
+                className="h-4 w-4 text-indigo-600 rounded"
+              />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2 text-sm font-medium text-slate-800">
+                  <span>{version.createdAt.toLocaleString()}</span>
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium capitalize ${ACTION_STYLES[version.action] || ACTION_STYLES.save}`}>
+                    {version.action}
+                  </span>
+                </div>
+                <div className="text-xs text-slate-500 flex items-center gap-2 mt-0.5">
+                  <FiUser size={12} />
+                  <span>{version.author?.name || 'Unknown'}</span>
+                  <span>•</span>
+                  <span>{version.sessionCount ?? 0} sessions</span>
+                  {version.message && (
+                    <>
+                      <span>•</span>
+                      <span className="truncate">{version.message}</span>
+                    </>
+                  )}
+                </div>
+              </div>
+              <button
+                onClick={() => handleRestore(version)}
+                disabled={restoringId !== null}
+                className="flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-amber-500 text-white hover:bg-amber-600 disabled:opacity-50"
+              >
+                <FiRotateCcw size={12} />
+                <span>{restoringId === version.id ? 'Restoring...' : 'Restore'}</span>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {comparison && (
+        <div className="border border-slate-200 rounded-lg p-3 bg-slate-50">
+          <div className="text-sm font-semibold text-slate-800 mb-2">
+            {comparison.fromLabel} → {comparison.toLabel}
+            <span className="ml-2 text-xs font-normal text-slate-500">
+              {comparison.diff.total === 0 ? 'No differences' : `${comparison.diff.total} change${comparison.diff.total !== 1 ? 's' : ''}`}
+            </span>
+          </div>
+          <ul className="space-y-1 text-xs">
+            {comparison.diff.added.map(({ day, slot, session }) => (
+              <li key={`added-${day}-${slot}-${getSessionLabel(session)}`} className="flex items-center gap-2 text-green-700">
+                <FiPlus size={12} />
+                <span>{getSessionLabel(session)} added on {day} {slot}</span>
+              </li>
+            ))}
+            {comparison.diff.removed.map(({ day, slot, session }) => (
+              <li key={`removed-${day}-${slot}-${getSessionLabel(session)}`} className="flex items-center gap-2 text-red-700">
+                <FiMinus size={12} />
+                <span>{getSessionLabel(session)} removed from {day} {slot}</span>
+              </li>
+            ))}
+            {comparison.diff.moved.map(({ session, from, to }) => (
+              <li key={`moved-${from.day}-${from.slot}-${to.day}-${to.slot}-${getSessionLabel(session)}`} className="flex items-center gap-2 text-indigo-700">
+                <FiArrowRight size={12} />
+                <span>{getSessionLabel(session)} moved from {from.day} {from.slot} to {to.day} {to.slot}</span>
+              </li>
+            ))}
+            {comparison.diff.changed.map(({ day, slot, session, changes }) => (
+              <li key={`changed-${day}-${slot}-${getSessionLabel(session)}`} className="flex items-center gap-2 text-amber-700">
+                <FiEdit2 size={12} />
+                <span>
+                  {getSessionLabel(session)} on {day} {slot}: {changes.map(change => `${change.field} ${change.from || '—'} → ${change.to || '—'}`).join(', ')}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VersionHistoryPanel;
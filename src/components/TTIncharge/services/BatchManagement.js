@@ -16,6 +16,7 @@ import {
   generateId 
 } from '../../../firebase/config';
 import { getAllSemesterNumbers } from '../../../services/SemesterService';
+import { normalizeDayShapeRules } from './TTBuilder/dayShapeRules.js';
 
 // Collection name for batches in Firestore
 const BATCHES_COLLECTION = 'batches';
@@ -269,6 +270,65 @@ export const updateBatch = async (batchId, newName) => {
   }
 };
 
+/**
+ * Update the day-shape rules of a batch (Hybrid: Cache + Firestore)
+ * @param {string} batchId - Batch identifier
+ * @param {Object} rules - Day-shape rules as edited
+ * @returns {Promise<Object>} Promise resolving to the updated batch object
+ */
+export const updateBatchDayShapeRules = async (batchId, rules) => {
+  try {
+    // Find the batch across all cached data
+    const allKeys = getAllCacheKeys();
+    let foundBatch = null;
+    let branchId = null;
+    let semester = null;
+    
+    for (const key of allKeys) {
+      const batches = getCachedBatches(...key.split('_').slice(1));
+      const batch = batches.find(b => b.id === batchId);
+      if (batch) {
+        foundBatch = batch;
+        [, branchId, semester] = key.split('_');
+        break;
+      }
+    }
+    
+    if (!foundBatch) {
+      throw new Error('Batch not found');
+    }
+    
+    const dayShapeRules = normalizeDayShapeRules(rules);
+    const updatedBatch = {
+      ...foundBatch,
+      dayShapeRules,
+      updatedAt: new Date().toISOString()
+    };
+    
+    // Update cache immediately (optimistic update)
+    setCachedBatches(branchId, semester, getCachedBatches(branchId, semester).map(batch =>
+      batch.id === batchId ? updatedBatch : batch
+    ));
+    
+    // Update Firestore in background
+    try {
+      await updateDoc(getBatchDocRef(batchId), {
+        dayShapeRules,
+        updatedAt: serverTimestamp()
+      });
+    } catch (firestoreError) {
+      console.error('Error updating in Firestore:', firestoreError);
+      // Note: We keep the cache update even if Firestore fails
+    }
+    
+    return updatedBatch;
+    
+  } catch (error) {
+    console.error('Error updating batch day-shape rules:', error);
+    throw error;
+  }
+};
+
 /**
  * Delete a batch (Hybrid: Cache + Firestore)
  * @param {string} batchId - Batch identifier
@@ -1,367 +1,338 @@
-// Sample room conflict data
-export const roomConflictsData = [
-  {
-    id: 1,
-    course1: { 
-      id: 'CS101', 
-      name: 'Introduction to Computer Science', 
-      faculty: { id: 1, name: 'Dr. Alex Johnson' }, 
-      time: 'Monday, 09:00 - 10:00',
-      room: 'A101'
-    },
-    course2: { 
-      id: 'EE201', 
-      name: 'Circuit Theory', 
-      faculty: { id: 5, name: 'Prof. Maria Garcia' }, 
-      time: 'Monday, 09:00 - 10:00',
-      room: 'A101'
-    },
-    isCritical: true,
-    date: new Date().toISOString(),
-    resolved: false
-  },
-  {
-    id: 2,
-    course1: { 
-      id: 'CS303', 
-      name: 'Database Systems', 
-      faculty: { id: 3, name: 'Prof. Robert Chen' }, 
-      time: 'Tuesday, 11:00 - 12:00',
-      room: 'B201'
-    },
-    course2: { 
-      id: 'CS202', 
-      name: 'Data Structures and Algorithms', 
-      faculty: { id: 2, name: 'Dr. Sarah Miller' }, 
-      time: 'Tuesday, 11:00 - 12:00',
-      room: 'B201'
-    },
-    isCritical: false,
-    date: new Date(Date.now() - 86400000).toISOString(), // yesterday
-    resolved: false
-  },
-  {
-    id: 3,
-    course1: { 
-      id: 'CS405', 
-      name: 'Artificial Intelligence', 
-      faculty: { id: 4, name: 'Dr. Emily Zhang' }, 
-      time: 'Wednesday, 14:00 - 15:00',
-      room: 'C302'
-    },
-    course2: { 
-      id: 'ME101', 
-      name: 'Engineering Mechanics', 
-      faculty: { id: 6, name: 'Dr. John Smith' }, 
-      time: 'Wednesday, 14:00 - 15:00',
-      room: 'C302'
-    },
-    isCritical: true,
-    date: new Date().toISOString(),
-    resolved: false
-  },
-];
-
-// Sample faculty conflict data
-export const facultyConflictsData = [
-  {
-    id: 4,
-    faculty: { id: 2, name: 'Dr. Sarah Miller' },
-    course1: { 
-      id: 'CS202', 
-      name: 'Data Structures and Algorithms', 
-      time: 'Thursday, 09:00 - 10:00',
-      room: 'A105'
-    },
-    course2: { 
-      id: 'CS204', 
-      name: 'Computer Architecture', 
-      time: 'Thursday, 09:00 - 10:00',
-      room: 'B204'
-    },
-    isCritical: true,
-    date: new Date().toISOString(),
-    resolved: false
-  },
-  {
-    id: 5,
-    faculty: { id: 3, name: 'Prof. Robert Chen' },
-    course1: { 
-      id: 'CS303', 
-      name: 'Database Systems', 
-      time: 'Friday, 11:00 - 12:00',
-      room: 'D101'
-    },
-    course2: { 
-      id: 'CS401', 
-      name: 'Advanced Databases', 
-      time: 'Friday, 11:00 - 12:00',
-      room: 'A101'
-    },
-    isCritical: false,
-    date: new Date().toISOString(),
-    resolved: false
-  }
-];
-
-// Sample overlapping courses data
-export const overlappingCoursesData = [
-  {
-    id: 6,
-    course1: { 
-      id: 'CS101', 
-      name: 'Introduction to Computer Science', 
-      semester: 1,
-      program: 'B.Tech CS',
-      time: 'Monday, 14:00 - 15:00',
-      faculty: { id: 1, name: 'Dr. Alex Johnson' },
-      room: 'A101'
-    },
-    course2: { 
-      id: 'CS303', 
-      name: 'Database Systems', 
-      semester: 1,
-      program: 'B.Tech CS',
-      time: 'Monday, 14:00 - 15:00',
-      faculty: { id: 3, name: 'Prof. Robert Chen' },
-      room: 'B201'
-    },
-    isCritical: true,
-    date: new Date().toISOString(),
-    resolved: false
-  },
-  {
-    id: 7,
-    course1: { 
-      id: 'CS202', 
-      name: 'Data Structures and Algorithms', 
-      semester: 2,
-      program: 'B.Tech CS',
-      time: 'Wednesday, 09:00 - 10:00',
-      faculty: { id: 2, name: 'Dr. Sarah Miller' },
-      room: 'A105'
-    },
-    course2: { 
-      id: 'CS204', 
-      name: 'Computer Architecture', 
-      semester: 2,
-      program: 'B.Tech CS',
-      time: 'Wednesday, 09:00 - 10:00',
-      faculty: { id: 4, name: 'Dr. Emily Zhang' },
-      room: 'C302'
-    },
-    isCritical: false,
-    date: new Date(Date.now() - 86400000).toISOString(), // yesterday
-    resolved: false
-  }
-];
-
-// List of available rooms
-export const availableRooms = [
-  'A101', 'A105', 'B201', 'B204', 'C302', 'D101'
-];
-
-// List of available faculty
-export const availableFaculty = [
-  { id: 1, name: 'Dr. Alex Johnson' },
-  { id: 2, name: 'Dr. Sarah Miller' },
-  { id: 3, name: 'Prof. Robert Chen' },
-  { id: 4, name: 'Dr. Emily Zhang' },
-  { id: 5, name: 'Prof. Maria Garcia' },
-  { id: 6, name: 'Dr. John Smith' }
-];
-
-// List of available time slots
-export const availableTimeSlots = [
-  'Monday, 08:00 - 09:00', 
-  'Monday, 09:00 - 10:00',
-  'Monday, 10:00 - 11:00',
-  'Monday, 11:00 - 12:00',
-  'Monday, 14:00 - 15:00',
-  'Tuesday, 09:00 - 10:00',
-  'Tuesday, 10:00 - 11:00',
-  'Tuesday, 11:00 - 12:00',
-  'Tuesday, 14:00 - 15:00',
-  'Wednesday, 09:00 - 10:00',
-  'Wednesday, 10:00 - 11:00',
-  'Wednesday, 14:00 - 15:00',
-  'Thursday, 09:00 - 10:00',
-  'Thursday, 11:00 - 12:00',
-  'Friday, 09:00 - 10:00',
-  'Friday, 11:00 - 12:00',
-];
-
-// Helper function to update a conflict
-const updateConflict = (conflict, id, updates) => {
-  if (conflict.id === id) {
-    return {
-      ...conflict,
-      ...updates,
-      resolved: true,
-      resolvedDate: new Date().toISOString()
-    };
-  }
-  return conflict;
+/**
+ * Conflicts page services
+ * Scans every stored timetable of a semester for room, teacher and batch clashes
+ * and writes fixes back to the affected `timetables` documents.
+ *
+ * Timetables are read from the live cross-timetable occupancy index, so the
+ * page updates as soon as anyone saves. Fixes come from the ranked resolution
+ * engine and are saved cell by cell, like the builder's autosave.
+ */
+
+import { db, doc, runTransaction, FieldPath } from '../../../firebase/config';
+import { OccupancyIndex } from './TTBuilder/occupancyIndex.js';
+import { conflictResolver } from './TTBuilder/conflictDetection.js';
+import { getCellSessions, sessionsShareStudents } from './TTBuilder/timetableOperations.js';
+import { getWeekDays, getTimeSlots } from './TTBuilder/timeGrid.js';
+import { saveTimetableCells } from './TTBuilder/firestoreService.js';
+import { createSchedulePatch } from './TTBuilder/patchHistory.js';
+import { auditLogger, getChangedCells } from './TTBuilder/auditLogger.js';
+import { getTimetableStatus } from './TTBuilder/timetableWorkflow.js';
+import { getBatches } from './BatchManagement';
+
+export const CLASH_TYPES = {
+  ROOM: 'room',
+  FACULTY: 'faculty',
+  BATCH: 'batch'
 };
 
-// Mark conflict as resolved
-export const markAsResolved = (conflicts, id) => {
-  return conflicts.map(conflict => 
-    conflict.id === id ? { 
-      ...conflict, 
-      resolved: true, 
-      resolvedDate: new Date().toISOString() 
-    } : conflict
-  );
+const ACKNOWLEDGED_STORAGE_KEY = 'acknowledgedClashes';
+
+// Describe one scheduled session taking part in a clash
+const toClashSession = (timetable, day, slot, session) => {
+  const startSlot = session.isContinuation && session.spanStart ? session.spanStart : slot;
+  return {
+    key: `${timetable.id}|${day}|${startSlot}|${session.subBatch || ''}`,
+    timetableId: timetable.id,
+    label: `${timetable.semester} - ${timetable.branch} - ${timetable.batch} - ${timetable.type}`,
+    status: getTimetableStatus(timetable),
+    isPublished: Boolean(timetable.isPublished),
+    day,
+    slot: startSlot,
+    code: session.code,
+    name: session.name || session.title || session.courseName,
+    subBatch: session.subBatch || null,
+    teacherId: session.teacherId || session.faculty?.id || null,
+    teacherName: session.teacherName || session.faculty?.name || session.teacher,
+    roomId: session.roomId || session.roomNumber || session.room || null,
+    roomName: session.roomName
+  };
 };
 
-// Change room for a conflict
-export const changeRoom = (conflicts, id, courseIndex, newRoom) => {
-  return conflicts.map(conflict => {
-    if (conflict.id === id) {
-      const updatedConflict = { ...conflict };
-      if (courseIndex === 1) {
-        updatedConflict.course1 = {
-          ...updatedConflict.course1,
-          room: newRoom
-        };
-      } else {
-        updatedConflict.course2 = {
-          ...updatedConflict.course2,
-          room: newRoom
-        };
-      }
-      updatedConflict.resolved = true;
-      updatedConflict.resolvedDate = new Date().toISOString();
-      return updatedConflict;
+// Collect the clashes of one schedule per timetable, keyed by clash ID
+const collectClashes = (timetables, getSchedule) => {
+  const clashes = new Map();
+  const roomBookings = new Map();
+  const teacherBookings = new Map();
+
+  const addClash = (type, resource, day, slot, sessions) => {
+    const unique = [...new Map(sessions.map(session => [session.key, session])).values()];
+    if (unique.length < 2) return;
+
+    const id = `${type}|${resource.id}|${day}|${unique.map(session => session.key).sort().join(',')}`;
+    if (!clashes.has(id)) {
+      clashes.set(id, {
+        id,
+        type,
+        resource,
+        day,
+        slots: [],
+        sessions: unique
+      });
     }
-    return conflict;
+    clashes.get(id).slots.push(slot);
+  };
+
+  const book = (bookings, id, day, slot, session) => {
+    if (!id) return;
+    const key = `${id}|${day}|${slot}`;
+    if (!bookings.has(key)) bookings.set(key, { id, day, slot, sessions: [] });
+    bookings.get(key).sessions.push(session);
+  };
+
+  timetables.forEach(timetable => {
+    const schedule = getSchedule(timetable) || {};
+    Object.keys(schedule).forEach(day => {
+      Object.keys(schedule[day] || {}).forEach(slot => {
+        const cellSessions = getCellSessions(schedule[day][slot]).filter(session => session.code);
+        const entries = cellSessions.map(session => toClashSession(timetable, day, slot, session));
+
+        entries.forEach(entry => {
+          book(roomBookings, entry.roomId, day, slot, entry);
+          book(teacherBookings, entry.teacherId, day, slot, entry);
+        });
+
+        for (let first = 0; first < cellSessions.length; first++) {
+          for (let second = first + 1; second < cellSessions.length; second++) {
+            if (sessionsShareStudents(cellSessions[first], cellSessions[second])) {
+              addClash(CLASH_TYPES.BATCH, { id: timetable.id, label: timetable.batch }, day, slot, [entries[first], entries[second]]);
+            }
+          }
+        }
+      });
+    });
+  });
+
+  roomBookings.forEach(({ id, day, slot, sessions }) => {
+    addClash(CLASH_TYPES.ROOM, { id, label: sessions[0].roomName || id }, day, slot, sessions);
+  });
+  teacherBookings.forEach(({ id, day, slot, sessions }) => {
+    addClash(CLASH_TYPES.FACULTY, { id, label: sessions[0].teacherName || id }, day, slot, sessions);
   });
+
+  return clashes;
 };
 
-// Swap time for a conflict
-export const swapTime = (conflicts, id, courseIndex, newTime) => {
-  return conflicts.map(conflict => {
-    if (conflict.id === id) {
-      const updatedConflict = { ...conflict };
-      if (courseIndex === 1) {
-        updatedConflict.course1 = {
-          ...updatedConflict.course1,
-          time: newTime
-        };
-      } else {
-        updatedConflict.course2 = {
-          ...updatedConflict.course2,
-          time: newTime
-        };
-      }
-      updatedConflict.resolved = true;
-      updatedConflict.resolvedDate = new Date().toISOString();
-      return updatedConflict;
-    }
-    return conflict;
+/**
+ * Find the clashes between the stored timetables
+ * Room and teacher clashes are two sessions in one room, or with one teacher,
+ * in the same period, in any of the timetables. Batch clashes are two sessions
+ * in one cell attended by the same students. A multi-period overlap is one clash.
+ * Clashes are found in the working schedules, where fixes are made. One that is
+ * also in the published schedules students see is critical; fixing it changes
+ * only the working schedule, which then needs review and publishing again.
+ * @param {Array} timetables - Timetable records (OccupancyIndex.getTimetables)
+ * @returns {Array} Clashes { id, type, resource: { id, label }, day, slots, sessions, isCritical }, in week order
+ */
+export const findTimetableClashes = (timetables = []) => {
+  const clashes = collectClashes(timetables, timetable => timetable.schedule);
+  const published = collectClashes(
+    timetables.filter(timetable => timetable.isPublished),
+    timetable => timetable.publishedSchedule
+  );
+
+  const days = getWeekDays();
+  const slots = getTimeSlots();
+  return [...clashes.values()].map(clash => ({ ...clash, isCritical: published.has(clash.id) })).sort((a, b) =>
+    (days.indexOf(a.day) - days.indexOf(b.day)) || (slots.indexOf(a.slots[0]) - slots.indexOf(b.slots[0]))
+  );
+};
+
+/**
+ * Get the clashes marked as resolved without changing a timetable (e.g. a combined class)
+ * @returns {Array} Clash IDs
+ */
+export const getAcknowledgedClashes = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ACKNOWLEDGED_STORAGE_KEY) || '[]');
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Mark clashes as resolved as they are
+ * A clash whose sessions change gets a new ID and shows up again.
+ * @param {Array} clashIds - Clash IDs
+ * @returns {Array} All acknowledged clash IDs
+ */
+export const acknowledgeClashes = (clashIds) => {
+  const acknowledged = [...new Set([...getAcknowledgedClashes(), ...clashIds])];
+  localStorage.setItem(ACKNOWLEDGED_STORAGE_KEY, JSON.stringify(acknowledged));
+  return acknowledged;
+};
+
+/**
+ * Look up how many students each timetable's batch has, for the room capacity check
+ * @param {Array} timetables - Timetable records
+ * @returns {Promise<Object>} { [timetableId]: students } (0 when the batch is unknown)
+ */
+export const fetchBatchSizes = async (timetables = []) => {
+  const groups = new Map();
+  timetables.forEach(timetable => {
+    const key = `${timetable.branch}|${timetable.semester}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(timetable);
   });
+
+  const sizes = {};
+  await Promise.all([...groups.values()].map(async (members) => {
+    const batches = await getBatches(members[0].branch, members[0].semester);
+    members.forEach(timetable => {
+      const batch = batches.find(candidate => candidate.name === timetable.batch);
+      sizes[timetable.id] = batch?.studentCount || batch?.size || 0;
+    });
+  }));
+  return sizes;
 };
 
-// Reassign faculty for a conflict
-export const reassignFaculty = (conflicts, id, courseIndex, newFaculty) => {
-  return conflicts.map(conflict => {
-    if (conflict.id === id) {
-      const updatedConflict = { ...conflict };
-      if (courseIndex === 1) {
-        updatedConflict.course1 = {
-          ...updatedConflict.course1,
-          faculty: newFaculty
-        };
-      } else {
-        updatedConflict.course2 = {
-          ...updatedConflict.course2,
-          faculty: newFaculty
-        };
-      }
-      updatedConflict.resolved = true;
-      updatedConflict.resolvedDate = new Date().toISOString();
-      return updatedConflict;
-    }
-    return conflict;
+/**
+ * Rank the fixes for one session of a clash
+ * A session is moved on its own, so one that cannot be told apart from the
+ * rest of its cell (a whole-batch session sharing it, or two sessions of one
+ * sub-batch) gets none.
+ * @param {Object} session - Session from a clash
+ * @param {Array} rooms - Rooms from fetchRooms
+ * @param {Object} batchSizes - Students per timetable from fetchBatchSizes
+ * @returns {Array} Suggestions from conflictResolver.generateSuggestions
+ */
+export const getClashFixes = (session, rooms = [], batchSizes = {}) => {
+  const timetable = OccupancyIndex.timetables.get(session.timetableId);
+  if (!timetable) return [];
+
+  const cellSessions = getCellSessions(timetable.schedule?.[session.day]?.[session.slot]);
+  const movable = session.subBatch
+    ? cellSessions.filter(other => other.subBatch === session.subBatch).length === 1
+    : cellSessions.length === 1;
+  if (!movable) return [];
+
+  return conflictResolver.generateSuggestions(timetable.schedule, {
+    day: session.day,
+    slot: session.slot,
+    subBatch: session.subBatch
+  }, {
+    rooms,
+    occupancy: OccupancyIndex,
+    timetableId: timetable.id,
+    batchSize: batchSizes[timetable.id] || 0
   });
 };
 
-// Auto resolve all conflicts
-export const autoResolveConflicts = (roomConflicts, facultyConflicts, overlappingCourses) => {
-  // For room conflicts, change rooms
-  const updatedRoomConflicts = roomConflicts.map(conflict => ({
-    ...conflict,
-    course2: {
-      ...conflict.course2,
-      room: availableRooms.find(r => r !== conflict.course1.room && r !== conflict.course2.room) || 'D101'
-    },
-    resolved: true,
-    resolvedDate: new Date().toISOString()
-  }));
-  
-  // For faculty conflicts, swap times
-  const updatedFacultyConflicts = facultyConflicts.map(conflict => ({
-    ...conflict,
-    course2: {
-      ...conflict.course2,
-      time: availableTimeSlots.find(t => t !== conflict.course1.time && t !== conflict.course2.time) || 'Monday, 08:00 - 09:00'
-    },
-    resolved: true,
-    resolvedDate: new Date().toISOString()
-  }));
-  
-  // For overlapping courses, change rooms and times
-  const updatedOverlappingCourses = overlappingCourses.map(conflict => ({
-    ...conflict,
-    course2: {
-      ...conflict.course2,
-      time: availableTimeSlots.find(t => t !== conflict.course1.time && t !== conflict.course2.time) || 'Tuesday, 09:00 - 10:00',
-      room: availableRooms.find(r => r !== conflict.course1.room) || 'A105'
-    },
-    resolved: true,
-    resolvedDate: new Date().toISOString()
-  }));
-  
-  return {
-    roomConflicts: updatedRoomConflicts,
-    facultyConflicts: updatedFacultyConflicts,
-    overlappingCourses: updatedOverlappingCourses
-  };
+/**
+ * Apply a fix to the timetable it moves sessions in and save the changed cells
+ * The occupancy index is updated straight away so the next fix sees this one.
+ * @param {Object} session - Session from a clash
+ * @param {Object} suggestion - Fix from getClashFixes
+ * @param {Object} user - Signed-in user, for the audit log
+ * @returns {Promise<Object>} { timetableId, revision, needsRepublish } where needsRepublish
+ *   means students keep seeing the published schedule until it is reviewed and published again
+ */
+export const applyClashFix = async (session, suggestion, user = null) => {
+  const timetable = OccupancyIndex.timetables.get(session.timetableId);
+  const schedule = timetable && conflictResolver.applySuggestion(timetable.schedule, suggestion);
+  if (!timetable || schedule === timetable.schedule) {
+    throw new Error(`${session.code} is no longer scheduled there; the timetable changed since the fix was suggested`);
+  }
+
+  const { revision } = await saveTimetableCells({
+    db, doc, runTransaction, FieldPath,
+    currentSemester: timetable.semester,
+    selectedBranch: timetable.branch,
+    selectedBatch: timetable.batch,
+    selectedType: timetable.type,
+    changes: createSchedulePatch(timetable.schedule, schedule),
+    expectedRevision: timetable.revision
+  });
+  OccupancyIndex.indexTimetable({ ...timetable, schedule, revision });
+
+  auditLogger.logAction('conflict_resolved', {
+    resolution: suggestion.type,
+    suggestion: suggestion.title,
+    course: session.code,
+    day: session.day,
+    slot: session.slot,
+    source: 'conflicts_page'
+  }, {
+    user,
+    timetableId: timetable.id,
+    ...getChangedCells(timetable.schedule, schedule)
+  });
+
+  return { timetableId: timetable.id, revision, needsRepublish: Boolean(timetable.isPublished) };
 };
 
-// Calculate summary data from conflicts
-export const calculateSummary = (roomConflicts, facultyConflicts, overlappingCourses) => {
-  const allConflicts = [...roomConflicts, ...facultyConflicts, ...overlappingCourses];
-  const total = allConflicts.length;
-  const critical = allConflicts.filter(c => c.isCritical).length;
-  const minor = total - critical;
-  
-  // Count conflicts resolved today
-  const today = new Date().toDateString();
-  const resolvedToday = allConflicts.filter(c => {
-    return c.resolved && new Date(c.resolvedDate).toDateString() === today;
-  }).length;
-  
+/**
+ * Resolve every clash it can with its best-ranked fix
+ * Sessions in timetables that were never published are moved first. The clashes are found
+ * again after each fix, since one move can clear several of them.
+ * @param {string} semester - Semester to scan
+ * @param {Array} rooms - Rooms from fetchRooms
+ * @param {Object} user - Signed-in user, for the audit log
+ * @param {Array} skipIds - Clash IDs to leave alone (acknowledged ones)
+ * @returns {Promise<Object>} { resolved, failed: [{ clash, message }], republish: labels of the
+ *   published timetables changed, which need review and publishing again }
+ */
+export const autoResolveConflicts = async (semester, rooms, user, skipIds = []) => {
+  const attempted = new Set(skipIds);
+  const failed = [];
+  const republish = new Set();
+  let resolved = 0;
+  const batchSizes = await fetchBatchSizes(
+    OccupancyIndex.getTimetables().filter(timetable => timetable.semester === semester)
+  );
+
+  for (;;) {
+    const clash = findTimetableClashes(
+      OccupancyIndex.getTimetables().filter(timetable => timetable.semester === semester)
+    ).find(candidate => !attempted.has(candidate.id));
+    if (!clash) break;
+    attempted.add(clash.id);
+
+    const movable = [...clash.sessions].sort((a, b) => a.isPublished - b.isPublished);
+    const fix = movable
+      .map(session => ({ session, suggestion: getClashFixes(session, rooms, batchSizes)[0] }))
+      .find(option => option.suggestion);
+
+    if (!fix) {
+      failed.push({ clash, message: 'No free room or period clears this clash' });
+      continue;
+    }
+
+    try {
+      const { needsRepublish } = await applyClashFix(fix.session, fix.suggestion, user);
+      if (needsRepublish) republish.add(fix.session.label);
+      resolved++;
+    } catch (error) {
+      console.error('Error resolving clash:', error);
+      failed.push({ clash, message: error.message });
+    }
+  }
+
+  return { resolved, failed, republish: [...republish] };
+};
+
+/**
+ * Count open clashes and fixes made today
+ * @param {Array} clashes - Open clashes (acknowledged ones left out)
+ * @param {number} resolvedToday - Conflict resolutions logged today
+ * @returns {Object} { total, critical, minor, resolvedToday }
+ */
+export const calculateSummary = (clashes, resolvedToday = 0) => {
+  const critical = clashes.filter(clash => clash.isCritical).length;
   return {
-    total,
+    total: clashes.length,
     critical,
-    minor,
+    minor: clashes.length - critical,
     resolvedToday
   };
 };
 
-// Mark all conflicts as resolved
-export const markAllAsResolved = (roomConflicts, facultyConflicts, overlappingCourses) => {
-  const updateFn = (conflict) => ({
-    ...conflict, 
-    resolved: true, 
-    resolvedDate: new Date().toISOString()
-  });
-  
-  return {
-    roomConflicts: roomConflicts.map(updateFn),
-    facultyConflicts: facultyConflicts.map(updateFn),
-    overlappingCourses: overlappingCourses.map(updateFn)
-  };
-};
\ No newline at end of file
+/**
+ * Count the conflicts resolved today, in the builder or on this page
+ * @returns {Promise<number>} Logged resolutions since midnight
+ */
+export const countResolvedToday = async () => {
+  const midnight = new Date();
+  midnight.setHours(0, 0, 0, 0);
+  const logs = await auditLogger.searchLogs({ action: 'conflict_resolved', startDate: midnight });
+  return logs.length;
+};
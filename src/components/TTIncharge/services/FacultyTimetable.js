@@ -1,5 +1,6 @@
 // Import data from TimetableBuilder service
-import { facultyData, coursesData, roomsData, timeSlots, weekDays } from './TimetableBuilder';
+import { facultyData, coursesData, roomsData } from './TimetableBuilder';
+import { getTimeSlots, getWeekDays } from './TTBuilder/timeGrid';
 import { db, collection, query, where, onSnapshot, getDocs } from '../../../firebase/config';
 
 // Function to get hours from credits or weekly hours
@@ -11,6 +12,8 @@ export const calculateHoursFromString = (credits) => {
 // Create a timetable grid for a faculty based on their assigned courses
 export const createFacultyTimetableGrid = (facultyCourses) => {
   const grid = {};
+  const weekDays = getWeekDays();
+  const timeSlots = getTimeSlots();
   
   // Initialize empty grid
   weekDays.forEach(day => {
@@ -113,9 +116,9 @@ export const fetchFacultyTimetableFromDB = (teacherId, callback) => {
       const teacher = teachers.find(t => t.id === teacherId);
       // Return an empty grid for this teacher
       const grid = {};
-      weekDays.forEach(day => {
+      getWeekDays().forEach(day => {
         grid[day] = {};
-        timeSlots.forEach(slot => {
+        getTimeSlots().forEach(slot => {
           grid[day][slot] = null;
         });
       });
@@ -125,9 +128,9 @@ export const fetchFacultyTimetableFromDB = (teacherId, callback) => {
     const slots = snapshot.docs.map(doc => doc.data());
     // Build a grid: day -> time -> slotObj
     const grid = {};
-    weekDays.forEach(day => {
+    getWeekDays().forEach(day => {
       grid[day] = {};
-      timeSlots.forEach(slot => {
+      getTimeSlots().forEach(slot => {
         grid[day][slot] = null;
       });
     });
@@ -156,4 +159,4 @@ export const fetchFacultyListFromDB = (callback) => {
 };
 
 // Export the data so the component can use it directly
-export { facultyData, coursesData, roomsData, timeSlots, weekDays };
\ No newline at end of file
+export { facultyData, coursesData, roomsData };
\ No newline at end of file
@@ -1,4 +1,6 @@
-  import { roomsData, weekDays, timeSlots, coursesData } from './TimetableBuilder';
+  import { roomsData, coursesData } from './TimetableBuilder';
+import { getTimeSlots, getWeekDays } from './TTBuilder/timeGrid';
+import { isSlotWithinRange } from './TTBuilder/timeSlotParser';
 import { db, collection, onSnapshot } from '../../../firebase/config';
 
 // Department list derived from rooms
@@ -13,9 +15,9 @@ export const generateRoomAvailabilityData = () => {
   const roomsWithAvailability = roomsData.map(room => {
     // Generate mock availability data for each room
     const availability = {};
-    weekDays.forEach(day => {
+    getWeekDays().forEach(day => {
       availability[day] = {};
-      timeSlots.forEach(slot => {
+      getTimeSlots().forEach(slot => {
         // Random status: 0 = free, 1 = occupied, 2 = tentative
         const randStatus = Math.random();
         const status = randStatus > 0.7 ? 0 : randStatus > 0.2 ? 1 : 2;
@@ -66,9 +68,9 @@ export const fetchRoomAvailabilityFromDB = (callback) => {
       const slots = timetableSnap.docs.map(doc => doc.data());
       const roomsWithAvailability = rooms.map(room => {
         const availability = {};
-        weekDays.forEach(day => {
+        getWeekDays().forEach(day => {
           availability[day] = {};
-          timeSlots.forEach(slot => {
+          getTimeSlots().forEach(slot => {
             // Find a timetable slot for this room, day, and time
             const found = slots.find(s => s.roomID?.id === room.id && s.day === day && s.time === slot);
             if (found) {
@@ -112,11 +114,7 @@ export const filterRooms = (rooms, selectedDepartment, selectedRoomType) => {
 
 // Function to get visible time slots based on time range filter
 export const getVisibleTimeSlots = (allTimeSlots, timeRange) => {
-  return allTimeSlots.filter(slot => {
-    const slotStart = slot.split(' - ')[0];
-    const slotEnd = slot.split(' - ')[1];
-    return slotStart >= timeRange.start && slotEnd <= timeRange.end;
-  });
+  return allTimeSlots.filter(slot => isSlotWithinRange(slot, timeRange.start, timeRange.end));
 };
 
 // Function to get visible days based on view mode
@@ -1,9 +1,51 @@
 /**
  * Audit Logging and Monitoring System
  * Comprehensive logging for timetable operations and user actions
+ *
+ * Audit entries live in the Firestore `auditLogs` collection, one document per
+ * action, carrying the signed-in user, the affected timetable and a before/after
+ * payload. Writes go through the Firestore offline cache, so actions taken
+ * offline are uploaded when the connection returns. Reads (search, statistics,
+ * export) query the server and are therefore async.
  */
 
+import {
+  db, collection, addDoc, getDocs, query, where, orderBy, limit
+} from '../../../../firebase/config';
 import { CONFIG } from './constants.js';
+import { replaceUndefinedWithNull } from './utils.js';
+import { createSchedulePatch } from './patchHistory.js';
+import { getCollaborationSessionId } from './collaboration.js';
+
+const AUDIT_COLLECTION = 'auditLogs';
+
+// Where builds before the server audit trail kept their logs
+const LEGACY_AUDIT_STORAGE_KEY = 'timetable_audit_logs';
+
+const toAuditUser = (user) => (user ? {
+  id: user.id || user.uid || null,
+  name: user.name || user.displayName || user.email || 'Unknown',
+  email: user.email || null,
+  role: user.role || null
+} : null);
+
+const getUserLabel = (log) => log.user?.name || log.user?.email || 'unknown';
+
+/**
+ * Reduce two schedules to the cells that differ, for an audit payload
+ * @param {Object} beforeSchedule - Schedule before the action
+ * @param {Object} afterSchedule - Schedule after the action
+ * @returns {Object} { before, after } maps of day -> slot -> cell holding only changed cells
+ */
+export const getChangedCells = (beforeSchedule, afterSchedule) => {
+  const before = {};
+  const after = {};
+  createSchedulePatch(beforeSchedule, afterSchedule).forEach(change => {
+    before[change.day] = { ...(before[change.day] || {}), [change.slot]: change.before };
+    after[change.day] = { ...(after[change.day] || {}), [change.slot]: change.after };
+  });
+  return { before, after };
+};
 
 /**
  * Comprehensive logging and audit trail system
@@ -11,52 +53,54 @@ import { CONFIG } from './constants.js';
 export const auditLogger = {
   /**
    * Log timetable actions for audit trail
+   * @param {string} action - Action name
+   * @param {Object} details - Action details
+   * @param {Object} context - { user (from AuthContext), timetableId, before, after }
+   * @returns {Object} The entry being written
    */
-  logAction: (action, details) => {
+  logAction: (action, details = {}, { user = null, timetableId = null, before = null, after = null } = {}) => {
     const logEntry = {
       timestamp: new Date().toISOString(),
       action,
       details,
-      user: 'current_user', // Replace with actual user context
-      sessionId: window.sessionStorage.getItem('sessionId') || 'unknown',
+      user: toAuditUser(user),
+      timetableId: timetableId || details?.timetableId || null,
+      before,
+      after,
+      sessionId: getCollaborationSessionId(),
       userAgent: navigator.userAgent,
       url: window.location.href
     };
     
     console.log('AUDIT LOG:', logEntry);
     
-    // Store in local storage for now (in production, send to server)
-    try {
-      const existingLogs = JSON.parse(localStorage.getItem('timetable_audit_logs') || '[]');
-      existingLogs.push(logEntry);
-      
-      // Keep only last MAX_AUDIT_LOGS entries to prevent storage overflow
-      if (existingLogs.length > CONFIG.MAX_AUDIT_LOGS) {
-        existingLogs.splice(0, existingLogs.length - CONFIG.MAX_AUDIT_LOGS);
-      }
-      
-      localStorage.setItem('timetable_audit_logs', JSON.stringify(existingLogs));
-    } catch (error) {
-      console.error('Failed to store audit log:', error);
-    }
+    addDoc(collection(db, AUDIT_COLLECTION), replaceUndefinedWithNull(logEntry))
+      .catch(error => console.error('Failed to store audit log:', error));
     
     return logEntry;
   },
 
   /**
-   * Get audit logs for a specific date range
+   * Get audit logs for a specific date range, newest first
+   * At most CONFIG.MAX_AUDIT_LOGS entries are read.
+   * @param {string|Date} startDate - Optional start
+   * @param {string|Date} endDate - Optional end
+   * @returns {Promise<Array>} Log entries with their document IDs
    */
-  getLogs: (startDate, endDate) => {
+  getLogs: async (startDate, endDate) => {
     try {
-      const logs = JSON.parse(localStorage.getItem('timetable_audit_logs') || '[]');
-      if (!startDate && !endDate) return logs;
+      // ISO timestamps sort as strings, so the range and order need no composite index
+      const constraints = [];
+      if (startDate) constraints.push(where('timestamp', '>=', new Date(startDate).toISOString()));
+      if (endDate) constraints.push(where('timestamp', '<=', new Date(endDate).toISOString()));
       
-      return logs.filter(log => {
-        const logDate = new Date(log.timestamp);
-        if (startDate && logDate < new Date(startDate)) return false;
-        if (endDate && logDate > new Date(endDate)) return false;
-        return true;
-      });
+      const snapshot = await getDocs(query(
+        collection(db, AUDIT_COLLECTION),
+        ...constraints,
+        orderBy('timestamp', 'desc'),
+        limit(CONFIG.MAX_AUDIT_LOGS)
+      ));
+      return snapshot.docs.map(logDoc => ({ id: logDoc.id, ...logDoc.data() }));
     } catch (error) {
       console.error('Failed to retrieve audit logs:', error);
       return [];
@@ -64,12 +108,12 @@ export const auditLogger = {
   },
 
   /**
-   * Clear audit logs (admin only)
+   * Clear the audit logs older builds kept in this browser's localStorage
+   * The server audit trail cannot be cleared from the app.
    */
   clearLogs: () => {
     try {
-      localStorage.removeItem('timetable_audit_logs');
-      console.log('Audit logs cleared');
+      localStorage.removeItem(LEGACY_AUDIT_STORAGE_KEY);
     } catch (error) {
       console.error('Failed to clear audit logs:', error);
     }
@@ -77,15 +121,19 @@ export const auditLogger = {
 
   /**
    * Get audit log statistics
+   * @param {Object} criteria - Optional searchLogs criteria to narrow the logs counted
+   * @param {Array} matchingLogs - Optional logs already found with these criteria, to skip another read
+   * @returns {Promise<Object>} { totalLogs, actionTypes, userActions, timetables, dateRange, recentActivity }
    */
-  getStatistics: () => {
+  getStatistics: async (criteria = {}, matchingLogs = null) => {
     try {
-      const logs = JSON.parse(localStorage.getItem('timetable_audit_logs') || '[]');
+      const logs = matchingLogs || await auditLogger.searchLogs(criteria);
       
       const stats = {
         totalLogs: logs.length,
         actionTypes: {},
         userActions: {},
+        timetables: {},
         dateRange: null,
         recentActivity: []
       };
@@ -95,20 +143,24 @@ export const auditLogger = {
         stats.actionTypes[log.action] = (stats.actionTypes[log.action] || 0) + 1;
         
         // Count user actions
-        stats.userActions[log.user] = (stats.userActions[log.user] || 0) + 1;
+        stats.userActions[getUserLabel(log)] = (stats.userActions[getUserLabel(log)] || 0) + 1;
+        
+        // Count actions per timetable
+        if (log.timetableId) {
+          stats.timetables[log.timetableId] = (stats.timetables[log.timetableId] || 0) + 1;
+        }
       });
 
-      // Get date range
+      // Get date range (logs are newest first)
       if (logs.length > 0) {
-        const dates = logs.map(log => new Date(log.timestamp)).sort();
         stats.dateRange = {
-          earliest: dates[0].toISOString(),
-          latest: dates[dates.length - 1].toISOString()
+          earliest: logs[logs.length - 1].timestamp,
+          latest: logs[0].timestamp
         };
       }
 
       // Get recent activity (last 10 actions)
-      stats.recentActivity = logs.slice(-10).reverse();
+      stats.recentActivity = logs.slice(0, 10);
 
       return stats;
     } catch (error) {
@@ -119,9 +171,12 @@ export const auditLogger = {
 
   /**
    * Export audit logs to various formats
+   * @param {string} format - 'json', 'csv' or 'txt'
+   * @param {Object} criteria - Optional searchLogs criteria
+   * @returns {Promise<string>} Exported text
    */
-  exportLogs: (format = 'json', startDate = null, endDate = null) => {
-    const logs = auditLogger.getLogs(startDate, endDate);
+  exportLogs: async (format = 'json', criteria = {}) => {
+    const logs = await auditLogger.searchLogs(criteria);
     
     switch (format.toLowerCase()) {
       case 'csv':
@@ -140,18 +195,22 @@ export const auditLogger = {
   exportToCSV: (logs) => {
     if (logs.length === 0) return 'No logs to export';
     
-    const headers = ['timestamp', 'action', 'user', 'sessionId', 'details'];
+    const headers = ['timestamp', 'action', 'user', 'email', 'timetableId', 'sessionId', 'details', 'before', 'after'];
     const csvData = [headers.join(',')];
     
     logs.forEach(log => {
       const row = [
         log.timestamp,
         log.action,
-        log.user,
+        getUserLabel(log),
+        log.user?.email || '',
+        log.timetableId || '',
         log.sessionId,
-        JSON.stringify(log.details).replace(/"/g, '""') // Escape quotes
+        JSON.stringify(log.details || {}),
+        JSON.stringify(log.before ?? null),
+        JSON.stringify(log.after ?? null)
       ];
-      csvData.push(row.map(field => `"${field}"`).join(','));
+      csvData.push(row.map(field => `"${String(field ?? '').replace(/"/g, '""')}"`).join(','));
     });
     
     return csvData.join('\n');
@@ -164,40 +223,44 @@ export const auditLogger = {
     if (logs.length === 0) return 'No logs to export';
     
     return logs.map(log => {
-      return `[${log.timestamp}] ${log.action} by ${log.user} (Session: ${log.sessionId})\n` +
+      return `[${log.timestamp}] ${log.action} by ${getUserLabel(log)}` +
+             `${log.timetableId ? ` on ${log.timetableId}` : ''} (Session: ${log.sessionId})\n` +
              `Details: ${JSON.stringify(log.details, null, 2)}\n` +
+             (log.before || log.after ? `Before: ${JSON.stringify(log.before)}\nAfter: ${JSON.stringify(log.after)}\n` : '') +
              '---\n';
     }).join('\n');
   },
 
   /**
    * Search logs by criteria
+   * The date range is applied on the server, everything else on the fetched logs.
+   * @param {Object} criteria - { action, user (ID, email or name), sessionId, timetableId, startDate, endDate, searchText }
+   * @returns {Promise<Array>} Matching logs, newest first
    */
-  searchLogs: (criteria) => {
-    const logs = auditLogger.getLogs();
+  searchLogs: async (criteria = {}) => {
     const {
       action,
       user,
       sessionId,
+      timetableId,
       startDate,
       endDate,
       searchText
     } = criteria;
+    const logs = await auditLogger.getLogs(startDate, endDate);
     
     return logs.filter(log => {
       // Filter by action
       if (action && log.action !== action) return false;
       
       // Filter by user
-      if (user && log.user !== user) return false;
+      if (user && ![log.user?.id, log.user?.email, log.user?.name].includes(user)) return false;
       
       // Filter by session
       if (sessionId && log.sessionId !== sessionId) return false;
       
-      // Filter by date range
-      const logDate = new Date(log.timestamp);
-      if (startDate && logDate < new Date(startDate)) return false;
-      if (endDate && logDate > new Date(endDate)) return false;
+      // Filter by timetable
+      if (timetableId && log.timetableId !== timetableId) return false;
       
       // Filter by search text
       if (searchText) {
@@ -212,9 +275,10 @@ export const auditLogger = {
 
   /**
    * Monitor for suspicious activity
+   * @returns {Promise<Array>} Anomalies found in the recent server logs
    */
-  detectAnomalies: () => {
-    const logs = auditLogger.getLogs();
+  detectAnomalies: async () => {
+    const logs = await auditLogger.getLogs();
     const anomalies = [];
     const now = Date.now();
     const oneHour = 60 * 60 * 1000;
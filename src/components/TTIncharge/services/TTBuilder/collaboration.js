@@ -0,0 +1,269 @@
+/**
+ * Timetable Collaboration
+ * Presence and soft edit locks for timetables opened by several TT Incharges
+ *
+ * Each open builder page is one session. It writes a presence document under
+ * `timetables/{id}/presence` and renews it on a heartbeat; viewers whose
+ * heartbeat stops are dropped after CONFIG.PRESENCE_TIMEOUT_MS.
+ *
+ * Locks live under `timetables/{id}/locks`, one document per cell or per day.
+ * They are advisory: the builder refuses edits to cells another session holds,
+ * and a lock lapses after CONFIG.EDIT_LOCK_TTL_MS unless its holder renews it,
+ * so a closed tab never blocks anyone for long.
+ */
+
+import {
+  db, collection, doc, setDoc, deleteDoc, onSnapshot, runTransaction
+} from '../../../../firebase/config';
+import { CONFIG } from './constants.js';
+import { generateId } from './utils.js';
+import { toVersionAuthor } from './versionHistory.js';
+
+const TIMETABLES_COLLECTION = 'timetables';
+const PRESENCE_SUBCOLLECTION = 'presence';
+const LOCKS_SUBCOLLECTION = 'locks';
+
+export const LOCK_SCOPES = {
+  CELL: 'cell',
+  DAY: 'day'
+};
+
+// One session per page load; tabs of the same page share it
+const SESSION_ID = generateId('session');
+
+// Locks this session holds, by timetable ID, renewed on every heartbeat
+const heldLocks = new Map();
+
+/**
+ * ID of this page's collaboration session
+ * @returns {string} Session ID
+ */
+export const getCollaborationSessionId = () => SESSION_ID;
+
+/**
+ * Document ID of a lock target; slot labels are encoded since they may hold any character
+ * @param {Object} target - { day, slot } for a cell, { day } for a whole day
+ * @returns {string} Lock document ID
+ */
+const getLockId = ({ day, slot = null }) =>
+  slot ? `${LOCK_SCOPES.CELL}_${encodeURIComponent(day)}_${encodeURIComponent(slot)}` : `${LOCK_SCOPES.DAY}_${encodeURIComponent(day)}`;
+
+const getLockRef = (timetableId, target) =>
+  doc(db, TIMETABLES_COLLECTION, timetableId, LOCKS_SUBCOLLECTION, getLockId(target));
+
+const getHeldLocks = (timetableId) => {
+  if (!heldLocks.has(timetableId)) heldLocks.set(timetableId, new Map());
+  return heldLocks.get(timetableId);
+};
+
+const isLive = (lock, now = Date.now()) => lock && lock.expiresAt > now;
+
+/**
+ * Listen to a subcollection whose records lapse with time
+ * Records are filtered again every CONFIG.PRESENCE_HEARTBEAT_MS, so one whose
+ * holder stopped renewing it disappears even when nothing else is written.
+ * @param {Object} ref - Collection reference
+ * @param {Function} toRecords - Maps the documents and the current time to the records still live
+ * @param {Function} callback - Receives the live records whenever they change
+ * @param {string} label - What is listened to, for error messages
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeToExpiring = (ref, toRecords, callback, label) => {
+  let docs = [];
+  let lastKeys = null;
+  const emit = (force = false) => {
+    const records = toRecords(docs, Date.now());
+    const keys = records.map(record => record.id || record.sessionId).join('|');
+    if (force || keys !== lastKeys) {
+      lastKeys = keys;
+      callback(records);
+    }
+  };
+
+  const unsubscribe = onSnapshot(ref, (snapshot) => {
+    docs = snapshot.docs;
+    emit(true);
+  }, (error) => {
+    console.error(`Error listening to timetable ${label}:`, error);
+    docs = [];
+    emit(true);
+  });
+  const interval = setInterval(() => emit(), CONFIG.PRESENCE_HEARTBEAT_MS);
+
+  return () => {
+    clearInterval(interval);
+    unsubscribe();
+  };
+};
+
+/**
+ * Find a lock held by another session that covers a cell
+ * A day lock covers every cell of its day.
+ * @param {Array} locks - Active locks from subscribeToEditLocks
+ * @param {string} day - Day
+ * @param {string|null} slot - Slot, or null to check for any lock on the day
+ * @returns {Object|null} Blocking lock
+ */
+export const findBlockingLock = (locks, day, slot = null) =>
+  locks.find(lock => !lock.isMine && lock.day === day &&
+    (lock.scope === LOCK_SCOPES.DAY || slot === null || lock.slot === slot)) || null;
+
+/**
+ * Describe who holds a lock and what it covers, for messages
+ * @param {Object} lock - Lock record
+ * @returns {string} e.g. "Dr. Rao is editing Monday 9:00-9:55"
+ */
+export const describeEditLock = (lock) =>
+  `${lock.holder?.name || 'Someone'} is editing ${lock.scope === LOCK_SCOPES.DAY ? lock.day : `${lock.day} ${lock.slot}`}`;
+
+/**
+ * Take a soft lock on a cell or a day
+ * Fails if another session holds a live lock on the same target, or (for a
+ * cell) on its whole day.
+ * @param {string} timetableId - Timetable document ID
+ * @param {Object} target - { day, slot } for a cell, { day } for a whole day
+ * @param {Object} user - User from AuthContext
+ * @returns {Promise<Object>} { acquired, lock } where lock is the blocking lock when not acquired
+ */
+export const acquireEditLock = async (timetableId, target, user) => {
+  const lockRef = getLockRef(timetableId, target);
+  const dayLockRef = target.slot ? getLockRef(timetableId, { day: target.day }) : null;
+  const lock = {
+    scope: target.slot ? LOCK_SCOPES.CELL : LOCK_SCOPES.DAY,
+    day: target.day,
+    slot: target.slot || null,
+    sessionId: SESSION_ID,
+    holder: toVersionAuthor(user),
+    expiresAt: Date.now() + CONFIG.EDIT_LOCK_TTL_MS
+  };
+
+  const blocking = await runTransaction(db, async (transaction) => {
+    const snapshots = await Promise.all([lockRef, dayLockRef].filter(Boolean).map(ref => transaction.get(ref)));
+    const held = snapshots
+      .map(snapshot => (snapshot.exists() ? snapshot.data() : null))
+      .find(existing => isLive(existing) && existing.sessionId !== SESSION_ID);
+    if (held) return held;
+
+    transaction.set(lockRef, lock);
+    return null;
+  });
+
+  if (blocking) {
+    return { acquired: false, lock: blocking };
+  }
+
+  getHeldLocks(timetableId).set(getLockId(target), target);
+  return { acquired: true, lock };
+};
+
+/**
+ * Release a lock this session holds
+ * Locks taken over by another session after lapsing are left alone.
+ * @param {string} timetableId - Timetable document ID
+ * @param {Object} target - { day, slot } or { day }
+ * @returns {Promise<void>}
+ */
+export const releaseEditLock = async (timetableId, target) => {
+  getHeldLocks(timetableId).delete(getLockId(target));
+  const lockRef = getLockRef(timetableId, target);
+
+  await runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(lockRef);
+    if (snapshot.exists() && snapshot.data().sessionId === SESSION_ID) {
+      transaction.delete(lockRef);
+    }
+  });
+};
+
+/**
+ * Subscribe to the live locks of a timetable
+ * @param {string} timetableId - Timetable document ID
+ * @param {Function} callback - Receives lock records { id, scope, day, slot, holder, expiresAt, isMine }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToEditLocks = (timetableId, callback) => subscribeToExpiring(
+  collection(db, TIMETABLES_COLLECTION, timetableId, LOCKS_SUBCOLLECTION),
+  (docs, now) => docs
+    .map(lockDoc => ({ id: lockDoc.id, ...lockDoc.data() }))
+    .filter(lock => isLive(lock, now))
+    .map(lock => ({ ...lock, isMine: lock.sessionId === SESSION_ID })),
+  callback,
+  'locks'
+);
+
+/**
+ * Extend a lock this session still holds
+ * A lock that was released, or lapsed and was taken by another session, is
+ * not recreated; it is dropped from the locks this session renews.
+ * @param {string} timetableId - Timetable document ID
+ * @param {Object} target - { day, slot } or { day }
+ * @returns {Promise<void>}
+ */
+const renewEditLock = async (timetableId, target) => {
+  const lockRef = getLockRef(timetableId, target);
+  const renewed = await runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(lockRef);
+    if (!snapshot.exists() || snapshot.data().sessionId !== SESSION_ID) return false;
+
+    transaction.update(lockRef, { expiresAt: Date.now() + CONFIG.EDIT_LOCK_TTL_MS });
+    return true;
+  });
+
+  if (!renewed) {
+    getHeldLocks(timetableId).delete(getLockId(target));
+  }
+};
+
+/**
+ * Announce this session as a viewer of a timetable
+ * The presence document and any locks this session holds are renewed every
+ * CONFIG.PRESENCE_HEARTBEAT_MS until the returned function is called.
+ * @param {string} timetableId - Timetable document ID
+ * @param {Object} user - User from AuthContext
+ * @returns {Function} Leave function; removes presence and releases held locks
+ */
+export const joinTimetablePresence = (timetableId, user) => {
+  const presenceRef = doc(db, TIMETABLES_COLLECTION, timetableId, PRESENCE_SUBCOLLECTION, SESSION_ID);
+  const joinedAt = Date.now();
+
+  const heartbeat = () => {
+    const now = Date.now();
+    setDoc(presenceRef, {
+      sessionId: SESSION_ID,
+      user: toVersionAuthor(user),
+      joinedAt,
+      lastSeenAt: now
+    }).catch(error => console.error('Error updating presence:', error));
+
+    [...getHeldLocks(timetableId).values()].forEach((target) => {
+      renewEditLock(timetableId, target).catch(error => console.error('Error renewing edit lock:', error));
+    });
+  };
+
+  heartbeat();
+  const interval = setInterval(heartbeat, CONFIG.PRESENCE_HEARTBEAT_MS);
+
+  return () => {
+    clearInterval(interval);
+    deleteDoc(presenceRef).catch(error => console.error('Error leaving presence:', error));
+    [...getHeldLocks(timetableId).values()].forEach(target => {
+      releaseEditLock(timetableId, target).catch(error => console.error('Error releasing edit lock:', error));
+    });
+  };
+};
+
+/**
+ * Subscribe to the sessions viewing a timetable
+ * @param {string} timetableId - Timetable document ID
+ * @param {Function} callback - Receives presence records { sessionId, user, joinedAt, lastSeenAt, isMine }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToPresence = (timetableId, callback) => subscribeToExpiring(
+  collection(db, TIMETABLES_COLLECTION, timetableId, PRESENCE_SUBCOLLECTION),
+  (docs, now) => docs
+    .map(presenceDoc => presenceDoc.data())
+    .filter(presence => presence.lastSeenAt > now - CONFIG.PRESENCE_TIMEOUT_MS)
+    .map(presence => ({ ...presence, isMine: presence.sessionId === SESSION_ID })),
+  callback,
+  'presence'
+);
@@ -1,10 +1,15 @@
 /**
  * Conflict Detection and Resolution System
- * Advanced conflict detection with resolution suggestions
+ * Advanced conflict detection with ranked resolution suggestions
  */
 
-import { timeSlots } from './constants.js';
-import { deepCopy } from './utils.js';
+import { CONFIG, RESOLUTION_WEIGHTS } from './constants.js';
+import { isSlotAvailable, getWeekDays, getTimeSlots } from './timeGrid.js';
+import { timeSlotsOverlap } from './timeSlotParser.js';
+import {
+  getCellSessions, getCellSession, getSessionSpan, getSpanSlots, sessionsShareStudents,
+  addCourseToTimetable, deleteCourse
+} from './timetableOperations.js';
 
 /**
  * Extract faculty ID from course object with multiple possible structures
@@ -22,42 +27,64 @@ export const extractFacultyId = (course) => {
 };
 
 /**
- * Check if two time slots overlap based on their start times and durations
+ * Room and faculty clashes between parallel sessions of different sub-batches
+ * @param {Object} existingCourse - Session of another sub-batch in one of the target periods
+ * @param {string} newRoomId - Room of the course being placed
+ * @param {string} newFacultyId - Teacher of the course being placed
+ * @param {string} targetDay - Day the course is being placed on
+ * @param {string} targetSlot - Starting slot of the course being placed
+ * @param {string} slot - Period shared with the existing session
+ * @returns {Array} Conflicts (empty when the sessions can run side by side)
  */
-const checkTimeSlotOverlap = (slot1, slot2, duration1 = 1, duration2 = 1) => {
-  // Parse time slots (format: "HH:MM-HH:MM")
-  const parseTimeSlot = (slot) => {
-    const [start, end] = slot.split('-');
-    const [startHour, startMin] = start.split(':').map(Number);
-    const [endHour, endMin] = end.split(':').map(Number);
-    return {
-      start: startHour * 60 + startMin,
-      end: endHour * 60 + endMin
-    };
+const getParallelSessionConflicts = (existingCourse, newRoomId, newFacultyId, targetDay, targetSlot, slot) => {
+  const conflicts = [];
+  const conflictingCourse = {
+    code: existingCourse.code,
+    name: existingCourse.name,
+    subBatch: existingCourse.subBatch,
+    day: targetDay,
+    slot
   };
   
-  try {
-    const time1 = parseTimeSlot(slot1);
-    const time2 = parseTimeSlot(slot2);
-    
-    // Extend durations if courses are longer than the base slot
-    const duration1Minutes = (duration1 || 1) * (time1.end - time1.start);
-    const duration2Minutes = (duration2 || 1) * (time2.end - time2.start);
-    
-    const end1 = time1.start + duration1Minutes;
-    const end2 = time2.start + duration2Minutes;
-    
-    // Check for overlap: courses overlap if one starts before the other ends
-    return (time1.start < end2 && time2.start < end1);
-  } catch (error) {
-    console.warn('Error parsing time slots for overlap check:', error);
-    return false;
+  if (newRoomId && existingCourse.room === newRoomId) {
+    conflicts.push({
+      type: 'room',
+      severity: 'critical',
+      message: `Room ${newRoomId} is already used by sub-batch ${existingCourse.subBatch} for ${existingCourse.code} at ${slot} on ${targetDay}`,
+      conflictingCourse: { ...conflictingCourse, room: existingCourse.room },
+      day: targetDay,
+      slot: targetSlot,
+      suggestedActions: [
+        'Choose a different room for this sub-batch',
+        'Move to a different time slot'
+      ]
+    });
+  }
+  
+  const existingFacultyId = extractFacultyId(existingCourse);
+  if (newFacultyId && existingFacultyId === newFacultyId) {
+    const facultyName = existingCourse.teacherName || existingCourse.faculty?.name || `Faculty ID: ${existingFacultyId}`;
+    conflicts.push({
+      type: 'faculty',
+      severity: 'critical',
+      message: `${facultyName} is already teaching sub-batch ${existingCourse.subBatch} (${existingCourse.code}) at ${slot} on ${targetDay}`,
+      conflictingCourse: { ...conflictingCourse, faculty: facultyName },
+      day: targetDay,
+      slot: targetSlot,
+      suggestedActions: [
+        'Assign a different faculty member',
+        'Move to a different time slot'
+      ]
+    });
   }
+  
+  return conflicts;
 };
 
 /**
  * PRODUCTION-LEVEL CONFLICT DETECTION SYSTEM
  * This replaces the flawed checkConflicts function
+ * Sessions of different sub-batches of the batch are compatible and may share a cell.
  */
 export const checkConflictsProduction = (timetableData, targetDay, targetSlot, newCourse, selectedRoom) => {
   const conflicts = [];
@@ -66,93 +93,164 @@ export const checkConflictsProduction = (timetableData, targetDay, targetSlot, n
   const newFacultyId = extractFacultyId(newCourse);
   const newRoomId = selectedRoom?.id || selectedRoom?.number;
   
+  // Multi-period sessions must fit into consecutive periods without crossing a break
+  const span = getSessionSpan(newCourse);
+  const targetSlots = getSpanSlots(targetSlot, span);
+  const targetPeriods = targetSlots || [targetSlot];
+  if (!targetSlots) {
+    conflicts.push({
+      type: 'span',
+      severity: 'critical',
+      message: `${newCourse.code || 'This course'} needs ${span} consecutive periods from ${targetSlot} on ${targetDay}, which runs into a break or past the end of the day`,
+      day: targetDay,
+      slot: targetSlot,
+      suggestedActions: [
+        'Start the session earlier in the block',
+        'Move to a different time slot'
+      ]
+    });
+  }
+  
+  // Periods outside the institution grid (non-working days, after a half-day cut-off) cannot be used
+  const unavailableSlot = targetPeriods.find(slot => !isSlotAvailable(targetDay, slot));
+  if (unavailableSlot) {
+    conflicts.push({
+      type: 'availability',
+      severity: 'critical',
+      message: `${unavailableSlot} on ${targetDay} is not a teaching period in the institution time grid`,
+      day: targetDay,
+      slot: targetSlot,
+      suggestedActions: [
+        'Move to a working period',
+        'Update the time grid in settings'
+      ]
+    });
+  }
+  
   // Check all existing courses in the timetable for conflicts
   Object.keys(timetableData).forEach(day => {
     Object.keys(timetableData[day] || {}).forEach(slot => {
-      const existingCourse = timetableData[day][slot];
-      
-      // Skip empty slots or the target slot itself
-      if (!existingCourse || !existingCourse.code || (day === targetDay && slot === targetSlot)) {
-        return;
-      }
-      
-      // ROOM CONFLICT: Same room, same time slot, same day
-      if (newRoomId && existingCourse.room === newRoomId && day === targetDay && slot === targetSlot) {
-        conflicts.push({
-          type: 'room',
-          severity: 'critical',
-          message: `Room ${newRoomId} is already booked for ${existingCourse.code} (${existingCourse.name || 'Unknown Course'}) at ${slot} on ${day}`,
-          conflictingCourse: {
-            code: existingCourse.code,
-            name: existingCourse.name,
-            day: day,
-            slot: slot,
-            room: existingCourse.room
-          },
-          day: targetDay,
-          slot: targetSlot,
-          suggestedActions: [
-            'Choose a different room',
-            'Move to a different time slot',
-            'Reschedule the conflicting course'
-          ]
-        });
-      }
+      getCellSessions(timetableData[day][slot]).forEach(existingCourse => {
+        if (!existingCourse.code) return;
+        const sharesStudents = sessionsShareStudents(existingCourse, newCourse);
+        
+        // Skip the periods of the session being checked (placing it replaces them)
+        if (sharesStudents && day === targetDay &&
+            (slot === targetSlot || existingCourse.spanStart === targetSlot)) {
+          return;
+        }
+        
+        // PARALLEL SUB-BATCHES: another group of the batch may use the same periods,
+        // as long as it is in a different room with a different teacher
+        if (!sharesStudents) {
+          if (day === targetDay && targetPeriods.includes(slot)) {
+            conflicts.push(...getParallelSessionConflicts(existingCourse, newRoomId, newFacultyId, targetDay, targetSlot, slot));
+          }
+          return;
+        }
       
-      // FACULTY CONFLICT: Same faculty, same time slot, same day
-      const existingFacultyId = extractFacultyId(existingCourse);
-      if (newFacultyId && existingFacultyId && newFacultyId === existingFacultyId && 
-          day === targetDay && slot === targetSlot) {
-        const facultyName = existingCourse.teacher?.name || existingCourse.faculty?.name || `Faculty ID: ${existingFacultyId}`;
-        conflicts.push({
-          type: 'faculty',
-          severity: 'critical',
-          message: `${facultyName} is already teaching ${existingCourse.code} (${existingCourse.name || 'Unknown Course'}) at ${slot} on ${day}`,
-          conflictingCourse: {
-            code: existingCourse.code,
-            name: existingCourse.name,
-            day: day,
-            slot: slot,
-            faculty: facultyName
-          },
-          day: targetDay,
-          slot: targetSlot,
-          suggestedActions: [
-            'Assign a different faculty member',
-            'Move to a different time slot',
-            'Reschedule the conflicting course'
-          ]
-        });
-      }
+        // SPAN CONFLICT: a later period of the session is already taken by this batch
+        if (day === targetDay && span > 1 && targetSlots?.includes(slot)) {
+          conflicts.push({
+            type: 'span',
+            severity: 'critical',
+            message: `${newCourse.code || 'This course'} runs into ${existingCourse.code} (${existingCourse.name || 'Unknown Course'}) at ${slot} on ${day}`,
+            conflictingCourse: {
+              code: existingCourse.code,
+              name: existingCourse.name,
+              day: day,
+              slot: slot
+            },
+            day: targetDay,
+            slot: targetSlot,
+            suggestedActions: [
+              'Move to a free block of consecutive periods',
+              'Reschedule the conflicting course'
+            ]
+          });
+          return;
+        }
       
-      // ADVANCED: Check for overlapping time slots (for multi-hour courses)
-      const timeOverlap = checkTimeSlotOverlap(targetSlot, slot, newCourse.duration, existingCourse.duration);
-      if (timeOverlap && day === targetDay) {
-        // Room conflict due to time overlap
-        if (newRoomId && existingCourse.room === newRoomId) {
+        // ROOM CONFLICT: Same room, same time slot, same day
+        if (newRoomId && existingCourse.room === newRoomId && day === targetDay && slot === targetSlot) {
           conflicts.push({
-            type: 'room_overlap',
+            type: 'room',
             severity: 'critical',
-            message: `Room ${newRoomId} has overlapping time slots: ${targetSlot} overlaps with ${slot}`,
-            conflictingCourse: existingCourse,
+            message: `Room ${newRoomId} is already booked for ${existingCourse.code} (${existingCourse.name || 'Unknown Course'}) at ${slot} on ${day}`,
+            conflictingCourse: {
+              code: existingCourse.code,
+              name: existingCourse.name,
+              day: day,
+              slot: slot,
+              room: existingCourse.room
+            },
             day: targetDay,
-            slot: targetSlot
+            slot: targetSlot,
+            suggestedActions: [
+              'Choose a different room',
+              'Move to a different time slot',
+              'Reschedule the conflicting course'
+            ]
           });
         }
-        
-        // Faculty conflict due to time overlap
-        if (newFacultyId && existingFacultyId && newFacultyId === existingFacultyId) {
+      
+        // FACULTY CONFLICT: Same faculty, same time slot, same day
+        const existingFacultyId = extractFacultyId(existingCourse);
+        if (newFacultyId && existingFacultyId && newFacultyId === existingFacultyId && 
+            day === targetDay && slot === targetSlot) {
           const facultyName = existingCourse.teacher?.name || existingCourse.faculty?.name || `Faculty ID: ${existingFacultyId}`;
           conflicts.push({
-            type: 'faculty_overlap',
+            type: 'faculty',
             severity: 'critical',
-            message: `${facultyName} has overlapping teaching slots: ${targetSlot} overlaps with ${slot}`,
-            conflictingCourse: existingCourse,
+            message: `${facultyName} is already teaching ${existingCourse.code} (${existingCourse.name || 'Unknown Course'}) at ${slot} on ${day}`,
+            conflictingCourse: {
+              code: existingCourse.code,
+              name: existingCourse.name,
+              day: day,
+              slot: slot,
+              faculty: facultyName
+            },
             day: targetDay,
-            slot: targetSlot
+            slot: targetSlot,
+            suggestedActions: [
+              'Assign a different faculty member',
+              'Move to a different time slot',
+              'Reschedule the conflicting course'
+            ]
           });
         }
-      }
+      
+        // ADVANCED: Check the later periods of a multi-period session for overlaps
+        // (existing sessions store one cell per period, so each cell is compared on its own)
+        const timeOverlap = targetPeriods
+          .some(periodSlot => periodSlot !== targetSlot && timeSlotsOverlap(periodSlot, slot));
+        if (timeOverlap && day === targetDay) {
+          // Room conflict due to time overlap
+          if (newRoomId && existingCourse.room === newRoomId) {
+            conflicts.push({
+              type: 'room_overlap',
+              severity: 'critical',
+              message: `Room ${newRoomId} has overlapping time slots: ${targetSlot} overlaps with ${slot}`,
+              conflictingCourse: existingCourse,
+              day: targetDay,
+              slot: targetSlot
+            });
+          }
+        
+          // Faculty conflict due to time overlap
+          if (newFacultyId && existingFacultyId && newFacultyId === existingFacultyId) {
+            const facultyName = existingCourse.teacher?.name || existingCourse.faculty?.name || `Faculty ID: ${existingFacultyId}`;
+            conflicts.push({
+              type: 'faculty_overlap',
+              severity: 'critical',
+              message: `${facultyName} has overlapping teaching slots: ${targetSlot} overlaps with ${slot}`,
+              conflictingCourse: existingCourse,
+              day: targetDay,
+              slot: targetSlot
+            });
+          }
+        }
+      });
     });
   });
   
@@ -210,8 +308,10 @@ export const getAllTimetableConflicts = (timetableData) => {
   
   Object.keys(timetableData).forEach(day => {
     Object.keys(timetableData[day] || {}).forEach(slot => {
-      const course = timetableData[day][slot];
-      if (course && course.code) {
+      // Multi-period sessions are checked once, from their starting period
+      getCellSessions(timetableData[day][slot]).forEach(course => {
+        if (!course.code || course.isContinuation) return;
+        
         // Check conflicts for this course against all other courses
         const courseConflicts = checkConflictsProduction(
           timetableData, 
@@ -221,7 +321,7 @@ export const getAllTimetableConflicts = (timetableData) => {
           { id: course.room }
         );
         allConflicts.push(...courseConflicts);
-      }
+      });
     });
   });
   
@@ -293,229 +393,344 @@ export const filterConflictsAfterMove = (conflicts, sourceDay, sourceSlot) => {
 };
 
 /**
- * Conflict resolution suggestions system
+ * Conflict resolution engine
+ *
+ * Every alternative for the session a conflict was reported on is checked
+ * against this timetable and the cross-timetable occupancy index, then scored:
+ * - Room change: same period, another free room
+ * - Time move: another free period, keeping the room where it is free
+ * - Swap: trade periods with another session of the batch of the same length
+ *
+ * Scores weigh the teacher's load that day across all timetables, how well the
+ * room fits the batch (seats and room type), the period, and how much of the
+ * timetable the fix disturbs (RESOLUTION_WEIGHTS). Elective basket members are
+ * moved as a basket, so they get no suggestions here.
  */
-export const conflictResolver = {
-  /**
-   * Generate suggestions for resolving conflicts
-   */
-  generateSuggestions: (timetableData, conflictData, allRooms, allTeachers) => {
-    const suggestions = [];
-    
-    switch (conflictData.type) {
-      case 'room':
-        suggestions.push(...conflictResolver.getRoomConflictSuggestions(
-          timetableData, conflictData, allRooms
-        ));
-        break;
-      case 'faculty':
-        suggestions.push(...conflictResolver.getFacultyConflictSuggestions(
-          timetableData, conflictData, allTeachers
-        ));
-        break;
-    }
-    
-    return suggestions;
-  },
-  
-  /**
-   * Get suggestions for room conflicts
-   */
-  getRoomConflictSuggestions: (timetableData, conflict, allRooms) => {
-    const suggestions = [];
-    const { day, slot } = conflict;
-    
-    // Find alternative rooms
-    const availableRooms = allRooms.filter(room => {
-      const existingCourse = timetableData[day]?.[slot];
-      if (!existingCourse) return true;
-      
-      // Check if this room is free at this time
-      return !Object.keys(timetableData).some(d => 
-        Object.keys(timetableData[d] || {}).some(s => {
-          const course = timetableData[d][s];
-          return course && course.room === room.id && d === day && s === slot;
-        })
-      );
-    });
-    
-    availableRooms.forEach(room => {
-      suggestions.push({
-        type: 'room_change',
-        priority: 'high',
-        title: `Use Room ${room.number || room.id}`,
-        description: `Move course to ${room.number || room.id} (${room.type}, capacity: ${room.capacity})`,
-        action: {
-          type: 'change_room',
-          roomId: room.id,
-          day,
-          slot
-        },
-        estimatedEffort: 'Low'
-      });
-    });
-    
-    // Find alternative time slots
-    const alternativeSlots = conflictResolver.findAlternativeTimeSlots(
-      timetableData, day, slot, conflict.conflictingCourse
+
+const getRoomKey = (room) => room?.id || room?.number || null;
+
+const getSessionRoomId = (session) => session?.roomId || session?.roomNumber || session?.room || null;
+
+// The room a session sits in; rooms that are no longer listed keep their stored ID and name
+const findSessionRoom = (session, rooms) => {
+  const roomId = getSessionRoomId(session);
+  if (!roomId) return null;
+  return rooms.find(room => getRoomKey(room) === roomId) || { id: roomId, name: session.roomName };
+};
+
+const getRoomLabel = (room) => room ? (room.number || room.name || room.id) : 'no room';
+
+// Course block addCourseToTimetable rebuilds a placed session from
+const toCourseBlock = (session) => ({ ...session, id: session.courseId });
+
+/**
+ * Find the session a conflict was reported for
+ * Conflicts sit on the session's starting cell; in a parallel cell it is the
+ * session of the conflict's `subBatch` when one is given, otherwise the session
+ * other than the one named as conflicting.
+ */
+const findConflictSession = (timetableData, conflict) => {
+  const sessions = getCellSessions(timetableData?.[conflict.day]?.[conflict.slot])
+    .filter(session => session.code && !session.isContinuation);
+  if (conflict.subBatch !== undefined) {
+    return sessions.find(session => (session.subBatch || null) === (conflict.subBatch || null)) || null;
+  }
+  const other = conflict.conflictingCourse;
+  return sessions.find(session =>
+    session.code !== other?.code || (session.subBatch || null) !== (other?.subBatch || null)
+  ) || sessions[0] || null;
+};
+
+// Periods the teacher already teaches on a day, in this schedule and every other timetable
+const countTeacherDayLoad = (schedule, teacherId, day, context) => {
+  if (!teacherId) return 0;
+  const own = Object.values(schedule?.[day] || {}).reduce((count, cell) =>
+    count + getCellSessions(cell).filter(session => extractFacultyId(session) === teacherId).length, 0);
+  const elsewhere = context.occupancy ? context.occupancy.getTeacherDayLoad(teacherId, day, context.timetableId) : 0;
+  return own + elsewhere;
+};
+
+/**
+ * Check a placement against the hard constraints and score it
+ * @param {Object} schedule - Timetable without the session being placed
+ * @param {Object} session - Session to place
+ * @param {string} day - Target day
+ * @param {string} slot - Target starting slot
+ * @param {Object|null} room - Target room
+ * @param {Object} context - Engine context (rooms, occupancy, timetableId, batchSize, weights)
+ * @returns {Object|null} { score, reasons } (higher is better), or null if the placement is not feasible
+ */
+const evaluatePlacement = (schedule, session, day, slot, room, context) => {
+  const spanSlots = getSpanSlots(slot, getSessionSpan(session));
+  if (!spanSlots || !spanSlots.every(spanSlot => isSlotAvailable(day, spanSlot))) return null;
+
+  // The students must be free in every period
+  const studentsBusy = spanSlots.some(spanSlot =>
+    getCellSessions(schedule[day]?.[spanSlot]).some(existing => sessionsShareStudents(existing, session))
+  );
+  if (studentsBusy) return null;
+
+  // Nothing else in this timetable may clash with the session in its new place
+  const clashes = checkConflictsProduction(schedule, day, slot, session, room);
+  if (clashes.some(clash => clash.severity === 'critical')) return null;
+
+  // Nor in any other timetable
+  const teacherId = extractFacultyId(session);
+  const roomId = getRoomKey(room);
+  if (context.occupancy) {
+    const bookedElsewhere = spanSlots.some(spanSlot =>
+      (teacherId && context.occupancy.getTeacherBookings(teacherId, day, spanSlot, context.timetableId).length > 0) ||
+      (roomId && context.occupancy.getRoomBookings(roomId, day, spanSlot, context.timetableId).length > 0)
     );
-    
-    alternativeSlots.forEach(altSlot => {
-      suggestions.push({
-        type: 'time_change',
-        priority: 'medium',
-        title: `Move to ${altSlot.day} at ${altSlot.slot}`,
-        description: `Reschedule course to ${altSlot.day} ${altSlot.slot}`,
-        action: {
-          type: 'change_time',
-          newDay: altSlot.day,
-          newSlot: altSlot.slot,
-          originalDay: day,
-          originalSlot: slot
-        },
-        estimatedEffort: 'Medium'
-      });
+    if (bookedElsewhere) return null;
+  }
+
+  // Sub-batches fill only part of a room, so only whole-batch sessions are held to its capacity
+  const seats = session.subBatch ? 0 : context.batchSize;
+  if (room?.capacity && seats && room.capacity < seats) return null;
+
+  const { weights } = context;
+  const reasons = [];
+  let score = 0;
+
+  const load = countTeacherDayLoad(schedule, teacherId, day, context);
+  score -= load * weights.TEACHER_DAILY_LOAD;
+  if (teacherId) {
+    reasons.push(load === 0 ? 'Teacher is free all day' : `Teacher has ${load} other period${load !== 1 ? 's' : ''} that day`);
+  }
+
+  if (room?.capacity && seats) {
+    score -= (Math.max(0, room.capacity - seats) / room.capacity) * weights.ROOM_FIT;
+    reasons.push(`${room.capacity} seats for ${seats} students`);
+  }
+
+  const currentType = findSessionRoom(session, context.rooms)?.type;
+  if (currentType && room?.type && room.type !== currentType) {
+    score -= weights.ROOM_TYPE;
+    reasons.push(`${room.type} instead of ${currentType}`);
+  }
+
+  const slots = getTimeSlots();
+  score -= (slots.indexOf(slot) / slots.length) * weights.EARLY_SLOT;
+
+  return { score, reasons };
+};
+
+// Cells a fix empties and fills, for the ghost preview on the grid
+const getMovePreview = (moves) => {
+  const placed = new Set();
+  const preview = [];
+
+  moves.forEach(move => {
+    (getSpanSlots(move.to.slot, move.span) || [move.to.slot]).forEach(slot => {
+      placed.add(`${move.to.day}|${slot}`);
+      preview.push({ day: move.to.day, slot, kind: 'place', code: move.code, subBatch: move.from.subBatch, room: getRoomLabel(move.room) });
     });
-    
-    return suggestions;
-  },
-  
-  /**
-   * Get suggestions for faculty conflicts
-   */
-  getFacultyConflictSuggestions: (timetableData, conflict, allTeachers) => {
-    const suggestions = [];
-    const { day, slot, conflictingCourse } = conflict;
-    
-    // Find alternative teachers for the same course
-    const courseCode = conflictingCourse.code;
-    const availableTeachers = allTeachers.filter(teacher => {
-      // Check if teacher is available at this time
-      return !Object.keys(timetableData).some(d => 
-        Object.keys(timetableData[d] || {}).some(s => {
-          const course = timetableData[d][s];
-          const facultyId = extractFacultyId(course);
-          return course && facultyId === teacher.id && d === day && s === slot;
-        })
-      );
+  });
+
+  moves.forEach(move => {
+    (getSpanSlots(move.from.slot, move.span) || [move.from.slot]).forEach(slot => {
+      if (placed.has(`${move.from.day}|${slot}`)) return;
+      preview.push({ day: move.from.day, slot, kind: 'vacate', code: move.code, subBatch: move.from.subBatch });
     });
-    
-    availableTeachers.forEach(teacher => {
-      suggestions.push({
-        type: 'faculty_change',
-        priority: 'high',
-        title: `Assign ${teacher.name}`,
-        description: `Change instructor to ${teacher.name} (${teacher.department || 'N/A'})`,
-        action: {
-          type: 'change_faculty',
-          teacherId: teacher.id,
-          teacherName: teacher.name,
-          day,
-          slot,
-          courseCode
-        },
-        estimatedEffort: 'Medium'
-      });
+  });
+
+  return preview;
+};
+
+const toMove = (session, day, slot, to, room) => ({
+  code: session.code,
+  span: getSessionSpan(session),
+  from: { day, slot, subBatch: session.subBatch || null },
+  to,
+  room
+});
+
+const RESOLUTION_ACTIONS = {
+  room_change: 'change_room',
+  time_change: 'change_time',
+  swap: 'swap_sessions'
+};
+
+const createSuggestion = (type, title, description, moves, evaluation) => ({
+  id: `${type}:${moves.map(move => `${move.to.day}|${move.to.slot}|${getRoomKey(move.room) || ''}`).join(',')}`,
+  type,
+  title,
+  description,
+  score: Math.round(evaluation.score * 100) / 100,
+  reasons: evaluation.reasons,
+  action: { type: RESOLUTION_ACTIONS[type], moves },
+  preview: getMovePreview(moves)
+});
+
+const getRoomChanges = (base, target, context) => {
+  const { session, day, slot } = target;
+  const suggestions = [];
+
+  context.rooms.forEach(room => {
+    if (getRoomKey(room) === getSessionRoomId(session)) return;
+    const evaluation = evaluatePlacement(base, session, day, slot, room, context);
+    if (!evaluation) return;
+
+    evaluation.score -= context.weights.ROOM_CHANGE;
+    suggestions.push(createSuggestion(
+      'room_change',
+      `Use room ${getRoomLabel(room)}`,
+      `Keep ${session.code} on ${day} at ${slot} in ${getRoomLabel(room)}`,
+      [toMove(session, day, slot, { day, slot }, room)],
+      evaluation
+    ));
+  });
+
+  return suggestions;
+};
+
+const getTimeMoves = (base, target, context) => {
+  const { session, day, slot } = target;
+  const currentRoom = findSessionRoom(session, context.rooms);
+  const suggestions = [];
+
+  getWeekDays().forEach(newDay => {
+    getTimeSlots().forEach(newSlot => {
+      if (newDay === day && newSlot === slot) return;
+
+      // Keep the room when it is free there; otherwise take the best free room
+      let room = currentRoom;
+      let evaluation = evaluatePlacement(base, session, newDay, newSlot, currentRoom, context);
+      if (!evaluation) {
+        context.rooms.forEach(candidate => {
+          if (getRoomKey(candidate) === getRoomKey(currentRoom)) return;
+          const candidateEvaluation = evaluatePlacement(base, session, newDay, newSlot, candidate, context);
+          if (candidateEvaluation && (!evaluation || candidateEvaluation.score > evaluation.score)) {
+            room = candidate;
+            evaluation = { ...candidateEvaluation, score: candidateEvaluation.score - context.weights.ROOM_CHANGE };
+          }
+        });
+      }
+      if (!evaluation) return;
+
+      evaluation.score -= context.weights.TIME_MOVE + (newDay !== day ? context.weights.OTHER_DAY : 0);
+      suggestions.push(createSuggestion(
+        'time_change',
+        `Move to ${newDay} at ${newSlot}`,
+        `Move ${session.code} to ${newDay} ${newSlot} in ${getRoomLabel(room)}`,
+        [toMove(session, day, slot, { day: newDay, slot: newSlot }, room)],
+        evaluation
+      ));
     });
-    
-    // Find alternative time slots for faculty
-    const alternativeSlots = conflictResolver.findAlternativeTimeSlots(
-      timetableData, day, slot, conflictingCourse
-    );
-    
-    alternativeSlots.forEach(altSlot => {
-      suggestions.push({
-        type: 'time_change',
-        priority: 'medium',
-        title: `Move to ${altSlot.day} at ${altSlot.slot}`,
-        description: `Reschedule to avoid faculty conflict`,
-        action: {
-          type: 'change_time',
-          newDay: altSlot.day,
-          newSlot: altSlot.slot,
-          originalDay: day,
-          originalSlot: slot
-        },
-        estimatedEffort: 'High'
+  });
+
+  return suggestions;
+};
+
+const getSessionSwaps = (base, target, context) => {
+  const { session, day, slot } = target;
+  const span = getSessionSpan(session);
+  const sessionRoom = findSessionRoom(session, context.rooms);
+  const suggestions = [];
+
+  Object.keys(base).forEach(otherDay => {
+    Object.keys(base[otherDay] || {}).forEach(otherSlot => {
+      getCellSessions(base[otherDay][otherSlot]).forEach(other => {
+        if (!other.code || other.isContinuation || other.electiveGroup || other.code === session.code) return;
+        if (getSessionSpan(other) !== span || !sessionsShareStudents(other, session)) return;
+
+        // Each session takes the other's period and keeps its own room
+        const otherRoom = findSessionRoom(other, context.rooms);
+        const withoutBoth = deleteCourse(base, otherDay, otherSlot, other.subBatch || null);
+        const moved = evaluatePlacement(withoutBoth, session, otherDay, otherSlot, sessionRoom, context);
+        if (!moved) return;
+
+        const withSession = addCourseToTimetable(withoutBoth, otherDay, otherSlot, toCourseBlock(session), sessionRoom);
+        const displaced = evaluatePlacement(withSession, other, day, slot, otherRoom, context);
+        if (!displaced) return;
+
+        const sameDay = otherDay === day;
+        suggestions.push(createSuggestion(
+          'swap',
+          `Swap with ${other.code} on ${otherDay} at ${otherSlot}`,
+          `${session.code} moves to ${otherDay} ${otherSlot}; ${other.code} moves to ${day} ${slot}`,
+          [
+            toMove(session, day, slot, { day: otherDay, slot: otherSlot }, sessionRoom),
+            toMove(other, otherDay, otherSlot, { day, slot }, otherRoom)
+          ],
+          {
+            score: moved.score + displaced.score -
+              2 * (context.weights.TIME_MOVE + (sameDay ? 0 : context.weights.OTHER_DAY)) - context.weights.SWAP,
+            reasons: [...moved.reasons, `${other.code}: ${displaced.reasons[0] || 'fits'}`]
+          }
+        ));
       });
     });
-    
-    return suggestions;
-  },
-  
+  });
+
+  return suggestions;
+};
+
+export const conflictResolver = {
   /**
-   * Find alternative time slots
+   * Rank the fixes for a conflict
+   * @param {Object} timetableData - Current timetable data
+   * @param {Object} conflictData - Conflict from checkConflictsProduction/getAllTimetableConflicts,
+   *   or any { day, slot, subBatch } naming the session to move
+   * @param {Object} context - What the fixes are checked against
+   * @param {Array} context.rooms - Rooms from fetchRooms
+   * @param {Object} context.occupancy - OccupancyIndex (after ensureOccupancyIndex); omit to check this timetable only
+   * @param {string} context.timetableId - ID of the timetable being edited (ignored in the occupancy index)
+   * @param {number} context.batchSize - Number of students in the batch
+   * @param {Object} context.weights - Overrides for RESOLUTION_WEIGHTS
+   * @param {number} context.limit - Number of suggestions to return
+   * @returns {Array} Suggestions, best first: { id, type, title, description, score, reasons, action, preview }
    */
-  findAlternativeTimeSlots: (timetableData, currentDay, currentSlot, course) => {
-    const alternatives = [];
-    const maxSuggestions = 5;
-    
-    // Check all days and slots
-    Object.keys(timetableData).forEach(day => {
-      Object.keys(timetableData[day] || {}).forEach(slot => {
-        if (day === currentDay && slot === currentSlot) return;
-        
-        const existingCourse = timetableData[day][slot];
-        if (!existingCourse || !existingCourse.code) {
-          // This slot is free
-          alternatives.push({
-            day,
-            slot,
-            priority: day === currentDay ? 'high' : 'medium'
-          });
-        }
-      });
-    });
-    
-    // Sort by priority and return top suggestions
-    return alternatives
-      .sort((a, b) => {
-        if (a.priority === 'high' && b.priority !== 'high') return -1;
-        if (b.priority === 'high' && a.priority !== 'high') return 1;
-        return 0;
-      })
-      .slice(0, maxSuggestions);
+  generateSuggestions: (timetableData, conflictData, context = {}) => {
+    const session = findConflictSession(timetableData, conflictData);
+    if (!session || session.electiveGroup) return [];
+
+    const engineContext = {
+      rooms: context.rooms || [],
+      occupancy: context.occupancy || null,
+      timetableId: context.timetableId || null,
+      batchSize: context.batchSize || 0,
+      weights: { ...RESOLUTION_WEIGHTS, ...(context.weights || {}) }
+    };
+    const target = { session, day: conflictData.day, slot: conflictData.slot };
+    const base = deleteCourse(timetableData, target.day, target.slot, session.subBatch || null);
+
+    return [
+      ...getRoomChanges(base, target, engineContext),
+      ...getTimeMoves(base, target, engineContext),
+      ...getSessionSwaps(base, target, engineContext)
+    ]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, context.limit || CONFIG.MAX_RESOLUTION_SUGGESTIONS);
   },
-  
+
   /**
-   * Apply a suggestion to resolve conflict
+   * Apply a suggestion
+   * Every session in the fix is lifted out before any is placed, so a swap
+   * never sees the other session in its way.
+   * @param {Object} timetableData - Current timetable data
+   * @param {Object} suggestion - Suggestion from generateSuggestions
+   * @returns {Object} Updated timetable data, or the same object if a session
+   * the fix moves is no longer where it was
    */
   applySuggestion: (timetableData, suggestion) => {
-    const newTimetable = deepCopy(timetableData);
-    
-    switch (suggestion.action.type) {
-      case 'change_room':
-        const course = newTimetable[suggestion.action.day][suggestion.action.slot];
-        if (course) {
-          course.room = suggestion.action.roomId;
-        }
-        break;
-        
-      case 'change_time':
-        const courseToMove = newTimetable[suggestion.action.originalDay][suggestion.action.originalSlot];
-        if (courseToMove) {
-          // Remove from original slot
-          newTimetable[suggestion.action.originalDay][suggestion.action.originalSlot] = null;
-          // Add to new slot
-          newTimetable[suggestion.action.newDay][suggestion.action.newSlot] = courseToMove;
-        }
-        break;
-        
-      case 'change_faculty':
-        const courseToUpdate = newTimetable[suggestion.action.day][suggestion.action.slot];
-        if (courseToUpdate) {
-          courseToUpdate.teacher = {
-            id: suggestion.action.teacherId,
-            name: suggestion.action.teacherName
-          };
-          courseToUpdate.faculty = {
-            id: suggestion.action.teacherId,
-            name: suggestion.action.teacherName
-          };
-        }
-        break;
+    const moves = suggestion?.action?.moves || [];
+    const placements = moves.map(move => ({
+      move,
+      session: getCellSession(timetableData?.[move.from.day]?.[move.from.slot], move.from.subBatch)
+    }));
+    if (placements.some(({ move, session }) => !session || session.code !== move.code || session.isContinuation)) {
+      return timetableData;
     }
-    
-    return newTimetable;
+
+    const lifted = moves.reduce(
+      (schedule, move) => deleteCourse(schedule, move.from.day, move.from.slot, move.from.subBatch),
+      timetableData
+    );
+    return placements.reduce(
+      (schedule, { move, session }) => addCourseToTimetable(schedule, move.to.day, move.to.slot, toCourseBlock(session), move.room),
+      lifted
+    );
   }
 };
@@ -3,7 +3,9 @@
  * Detects teacher and room conflicts across all timetables in the database
  */
 
-import { db, collection, getDocs, query, where } from '../../../../firebase/config';
+import { db, collection, getDocs } from '../../../../firebase/config';
+import { getSpanSlots } from './timetableOperations.js';
+import { OccupancyIndex, ensureOccupancyIndex, toTimetableRecord } from './occupancyIndex.js';
 
 /**
  * Fetch all timetables from database
@@ -14,26 +16,52 @@ export const fetchAllTimetables = async () => {
     const timetablesRef = collection(db, 'timetables');
     const querySnapshot = await getDocs(timetablesRef);
     
-    const timetables = [];
-    querySnapshot.forEach((doc) => {
-      const data = doc.data();
-      timetables.push({
-        id: doc.id,
-        semester: data.semester,
-        branch: data.branch,
-        batch: data.batch,
-        type: data.type,
-        schedule: data.schedule || {}
-      });
-    });
-    
-    return timetables;
+    return querySnapshot.docs.map(toTimetableRecord);
   } catch (error) {
     console.error('Error fetching timetables:', error);
     return [];
   }
 };
 
+/**
+ * Build a teacher conflict from an occupancy entry
+ */
+const toTeacherConflict = (entry) => ({
+  timetableId: entry.timetableId,
+  semester: entry.semester,
+  branch: entry.branch,
+  batch: entry.batch,
+  type: entry.type,
+  day: entry.day,
+  timeSlot: entry.timeSlot,
+  teacherId: entry.teacherId,
+  teacherName: entry.teacherName,
+  teacherCode: entry.teacherCode,
+  courseCode: entry.courseCode,
+  courseName: entry.courseName,
+  roomNumber: entry.roomNumber
+});
+
+/**
+ * Build a room conflict from an occupancy entry
+ */
+const toRoomConflict = (entry) => ({
+  timetableId: entry.timetableId,
+  semester: entry.semester,
+  branch: entry.branch,
+  batch: entry.batch,
+  type: entry.type,
+  day: entry.day,
+  timeSlot: entry.timeSlot,
+  roomId: entry.roomId,
+  roomName: entry.roomName,
+  teacherId: entry.teacherId,
+  teacherName: entry.teacherName,
+  teacherCode: entry.teacherCode,
+  courseCode: entry.courseCode,
+  courseName: entry.courseName
+});
+
 /**
  * Check for teacher conflicts across all timetables
  * @param {string} teacherID - Teacher ID to check
@@ -43,47 +71,13 @@ export const fetchAllTimetables = async () => {
  * @returns {Promise<Array>} Array of conflict objects
  */
 export const checkTeacherConflicts = async (teacherID, day, timeSlot, excludeTimetableId = null) => {
-  const conflicts = [];
-  
   try {
-    const allTimetables = await fetchAllTimetables();
-    
-    for (const timetable of allTimetables) {
-      // Skip the current timetable being edited
-      if (timetable.id === excludeTimetableId) continue;
-      
-      const schedule = timetable.schedule;
-      if (!schedule || !schedule[day] || !schedule[day][timeSlot]) continue;
-      
-      const slotData = schedule[day][timeSlot];
-      if (!slotData) continue;
-      
-      // Check if teacher matches
-      const slotTeacherID = slotData.teacherId;
-      if (slotTeacherID === teacherID) {
-        conflicts.push({
-          type: 'teacher',
-          timetableId: timetable.id,
-          semester: timetable.semester,
-          branch: timetable.branch,
-          batch: timetable.batch,
-          type: timetable.type,
-          day: day,
-          timeSlot: timeSlot,
-          teacherId: slotTeacherID,
-          teacherName: slotData.teacherName,
-          teacherCode: slotData.teacherCode,
-          courseCode: slotData.courseCode,
-          courseName: slotData.courseName,
-          roomNumber: slotData.roomNumber
-        });
-      }
-    }
+    await ensureOccupancyIndex();
+    return OccupancyIndex.getTeacherBookings(teacherID, day, timeSlot, excludeTimetableId).map(toTeacherConflict);
   } catch (error) {
     console.error('Error checking teacher conflicts:', error);
+    return [];
   }
-  
-  return conflicts;
 };
 
 /**
@@ -95,64 +89,37 @@ export const checkTeacherConflicts = async (teacherID, day, timeSlot, excludeTim
  * @returns {Promise<Array>} Array of conflict objects
  */
 export const checkRoomConflicts = async (roomID, day, timeSlot, excludeTimetableId = null) => {
-  const conflicts = [];
-  
   try {
-    const allTimetables = await fetchAllTimetables();
-    
-    for (const timetable of allTimetables) {
-      // Skip the current timetable being edited
-      if (timetable.id === excludeTimetableId) continue;
-      
-      const schedule = timetable.schedule;
-      if (!schedule || !schedule[day] || !schedule[day][timeSlot]) continue;
-      
-      const slotData = schedule[day][timeSlot];
-      if (!slotData) continue;
-      
-      // Check if room matches
-      const slotRoomID = slotData.roomId || slotData.roomNumber;
-      if (slotRoomID === roomID) {
-        conflicts.push({
-          type: 'room',
-          timetableId: timetable.id,
-          semester: timetable.semester,
-          branch: timetable.branch,
-          batch: timetable.batch,
-          type: timetable.type,
-          day: day,
-          timeSlot: timeSlot,
-          roomId: slotRoomID,
-          roomName: slotData.roomName,
-          teacherId: slotData.teacherId,
-          teacherName: slotData.teacherName,
-          teacherCode: slotData.teacherCode,
-          courseCode: slotData.courseCode,
-          courseName: slotData.courseName
-        });
-      }
-    }
+    await ensureOccupancyIndex();
+    return OccupancyIndex.getRoomBookings(roomID, day, timeSlot, excludeTimetableId).map(toRoomConflict);
   } catch (error) {
     console.error('Error checking room conflicts:', error);
+    return [];
   }
-  
-  return conflicts;
 };
 
 /**
  * Check for both teacher and room conflicts
+ * Multi-period sessions are checked across every period they cover.
+ * Reads the live occupancy index, so no timetables are downloaded while the builder is open.
  * @param {string} teacherID - Teacher ID to check
  * @param {string} roomID - Room ID to check
  * @param {string} day - Day of the week
- * @param {string} timeSlot - Time slot
+ * @param {string} timeSlot - Starting time slot
  * @param {string} excludeTimetableId - Current timetable ID to exclude from check
+ * @param {number} span - Number of consecutive periods the session occupies
  * @returns {Promise<Object>} Object containing teacher and room conflicts
  */
-export const checkAllConflicts = async (teacherID, roomID, day, timeSlot, excludeTimetableId = null) => {
-  const [teacherConflicts, roomConflicts] = await Promise.all([
-    checkTeacherConflicts(teacherID, day, timeSlot, excludeTimetableId),
-    checkRoomConflicts(roomID, day, timeSlot, excludeTimetableId)
-  ]);
+export const checkAllConflicts = async (teacherID, roomID, day, timeSlot, excludeTimetableId = null, span = 1) => {
+  const sessionSlots = getSpanSlots(timeSlot, span) || [timeSlot];
+  await ensureOccupancyIndex();
+  
+  const teacherConflicts = teacherID
+    ? sessionSlots.flatMap(slot => OccupancyIndex.getTeacherBookings(teacherID, day, slot, excludeTimetableId)).map(toTeacherConflict)
+    : [];
+  const roomConflicts = roomID
+    ? sessionSlots.flatMap(slot => OccupancyIndex.getRoomBookings(roomID, day, slot, excludeTimetableId)).map(toRoomConflict)
+    : [];
   
   return {
     teacherConflicts,
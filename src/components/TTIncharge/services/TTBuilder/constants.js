@@ -104,6 +104,31 @@ export const timeSlots = [
 // Days of the week (reduced for better fit)
 export const weekDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
+// Default time grid used until an institution grid is loaded from Firestore `settings`
+// Times are 24-hour; period labels are derived from them and match `timeSlots` above
+export const DEFAULT_TIME_GRID = {
+  periods: [
+    { start: '07:00', end: '07:55' },
+    { start: '07:55', end: '08:50' },
+    { start: '08:50', end: '09:45' },
+    { start: '10:30', end: '11:25' },
+    { start: '11:25', end: '12:20' },
+    { start: '12:20', end: '13:15' },
+    { start: '13:15', end: '14:10' },
+    { start: '14:10', end: '15:05' },
+    { start: '15:05', end: '16:00' },
+    { start: '16:00', end: '17:00' }
+  ],
+  breaks: [
+    { label: 'Break', start: '09:45', end: '10:30' }
+  ],
+  workingDays: weekDays,
+  halfDays: {} // e.g. { Saturday: '12:20' } - no periods after this time
+};
+
+// Every day a grid may use, in calendar order
+export const allWeekDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
 // Available course colors
 export const courseColors = [
   'blue', 'indigo', 'purple', 'green', 'amber', 'rose', 'red', 'orange', 
@@ -147,5 +172,84 @@ export const CONFIG = {
   TIME_SLOT_DURATION: 55, // minutes
   ROOM_CAPACITY_MARGIN: 0.9, // 90% capacity utilization
   MAX_AUDIT_LOGS: 1000,
-  MAX_HISTORY_ENTRIES: 50
+  MAX_HISTORY_ENTRIES: 50,
+  MAX_PATCH_HISTORY_ENTRIES: 200, // patch entries hold only the changed cells
+  PRESENCE_HEARTBEAT_MS: 30000,
+  PRESENCE_TIMEOUT_MS: 90000, // viewers silent for longer are treated as gone
+  EDIT_LOCK_TTL_MS: 120000, // soft locks lapse unless the holder's heartbeat renews them
+  AUTOSAVE_DELAY_MS: 1500, // quiet time after the last edit before the builder saves
+  MAX_REPLAY_CONFLICT_RETRIES: 3, // times a replayed cell save re-reconciles after losing a revision race
+  MAX_RESOLUTION_SUGGESTIONS: 5, // ranked fixes offered for one conflict
+  MAX_ROOM_RECOMMENDATIONS: 3, // rooms offered when a session is dropped
+  MAX_SUBSTITUTE_SUGGESTIONS: 5 // teachers offered to cover one session of an absent teacher
+};
+
+// Autosave state of a builder tab
+export const SAVE_STATUS = {
+  SAVED: 'saved',
+  PENDING: 'pending',
+  SAVING: 'saving',
+  OFFLINE: 'offline',
+  ERROR: 'error'
+};
+
+// Soft-constraint weights for the automatic timetable generator
+export const GENERATOR_WEIGHTS = {
+  SAME_DAY_REPEAT: 10, // penalty per extra session of a course on one day
+  TEACHER_DAILY_LOAD: 3, // penalty per session a teacher already has that day
+  DAY_BALANCE: 1.5, // penalty per session the batch already has that day
+  COMPACT_DAY: 2, // reward for sitting next to an already placed session
+  EARLY_SLOT: 1, // penalty scaled by how late in the day the slot is
+  ROOM_FIT: 4, // penalty scaled by the fraction of empty seats
+  ROOM_STABILITY: 1 // reward for reusing the batch's first assigned room
+};
+
+// Scoring weights for ranking conflict fixes (room change, time move, swap)
+export const RESOLUTION_WEIGHTS = {
+  TEACHER_DAILY_LOAD: 3, // penalty per period the teacher already has that day, across all timetables
+  ROOM_FIT: 4, // penalty scaled by the fraction of empty seats
+  ROOM_TYPE: 5, // penalty for a room of a different type than the session's current one
+  EARLY_SLOT: 1, // penalty scaled by how late in the day the slot is
+  ROOM_CHANGE: 1, // cost of moving a session to another room
+  TIME_MOVE: 3, // cost of moving a session to another period
+  OTHER_DAY: 2, // extra cost when the move changes the day
+  SWAP: 4 // extra cost of moving a second session
+};
+
+// Scoring weights for ranking free rooms for a session
+export const ROOM_RECOMMENDER_WEIGHTS = {
+  ROOM_FIT: 4, // penalty scaled by the fraction of empty seats
+  NEAR_CAPACITY: 2, // penalty when the batch fills more than 80% of the seats
+  MISSING_FEATURE: 3, // penalty per required feature the room lacks
+  OWN_DEPARTMENT: 2, // reward for a room the department owns
+  BORROWED: 1, // penalty for a room another department lends in its free timings
+  DISTANCE: 1.5 // penalty per step away from the batch's previous room (floor, building)
+};
+
+// Weights for ranking teachers who could cover a session of an absent colleague
+export const SUBSTITUTE_WEIGHTS = {
+  EXPERTISE: 10, // reward when the teacher's expertise matches the course
+  TEACHES_COURSE: 5, // reward when the teacher already teaches the course to another batch
+  SPARE_PERIOD: 0.5, // reward per period left under the weekly limit (up to 10)
+  DAY_LOAD: 1, // penalty per period the teacher already has that day
+  WORKLOAD_WARNING: 3 // penalty per daily, consecutive-period or gap rule the cover would break
+};
+
+// Teaching load norms by designation, used until SuperAdmin saves its own in settings
+export const DEFAULT_WORKLOAD_POLICIES = [
+  { id: 'professor', designation: 'Professor', maxHoursPerWeek: 14, maxHoursPerDay: 4, maxConsecutivePeriods: 2, minGapMinutes: null },
+  { id: 'associate_professor', designation: 'Associate Professor', maxHoursPerWeek: 16, maxHoursPerDay: 4, maxConsecutivePeriods: 3, minGapMinutes: null },
+  { id: 'assistant_professor', designation: 'Assistant Professor', maxHoursPerWeek: 18, maxHoursPerDay: 5, maxConsecutivePeriods: 3, minGapMinutes: null }
+];
+
+// Day-shape rules for a student batch, used until the batch stores its own;
+// a limit set to null is not checked
+export const DEFAULT_DAY_SHAPE_RULES = {
+  maxPeriodsPerDay: 6,
+  maxIdlePeriods: 2, // free periods between a batch's first and last class, lunch excluded
+  lunchWindowStart: '12:00',
+  lunchWindowEnd: '14:00',
+  lunchMinutes: 45, // free time the batch must have inside the lunch window
+  maxSameCoursePeriodsPerDay: 2, // lectures of one course on a day; labs are not counted
+  noLabInLastPeriod: true
 };
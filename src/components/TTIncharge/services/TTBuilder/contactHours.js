@@ -0,0 +1,159 @@
+/**
+ * Contact Hours
+ * A course's weekly lecture, tutorial and practical periods (L-T-P). Courses
+ * store them as `lectureHours`, `tutorialHours` and `practicalHours`; older
+ * courses only have `weeklyHours`, written as '3L+1T+2P', '3-1-2' or a plain
+ * number of lectures. Credits are the last resort.
+ *
+ * Placed sessions count towards the component they were placed as (see
+ * getSessionComponent): tutorials only when placed as one, multi-period and
+ * sub-batch sessions as practicals, the rest as lectures.
+ */
+
+import { getCellSessions } from './timetableOperations.js';
+import { SESSION_COMPONENTS, getSessionComponent } from './roomRequirements.js';
+
+const COMPONENT_FIELDS = {
+  [SESSION_COMPONENTS.LECTURE]: 'lectureHours',
+  [SESSION_COMPONENTS.TUTORIAL]: 'tutorialHours',
+  [SESSION_COMPONENTS.PRACTICAL]: 'practicalHours'
+};
+
+const COMPONENT_SUFFIXES = {
+  [SESSION_COMPONENTS.LECTURE]: 'L',
+  [SESSION_COMPONENTS.TUTORIAL]: 'T',
+  [SESSION_COMPONENTS.PRACTICAL]: 'P'
+};
+
+const toHours = (value) => {
+  const hours = parseFloat(value);
+  return !isNaN(hours) && hours > 0 ? Math.round(hours) : 0;
+};
+
+const withTotal = ({ lecture = 0, tutorial = 0, practical = 0 }) => ({
+  lecture,
+  tutorial,
+  practical,
+  total: lecture + tutorial + practical
+});
+
+/**
+ * Read an L-T-P string
+ * Accepts '3L+1T+2P' (any order, spaces, lower case, missing parts), '3-1-2',
+ * '3/1/2' or '3 1 2' (L-T-P order; two numbers are L-T) and a plain number of lectures.
+ * @param {string|number} value - Weekly hours as stored
+ * @returns {Object|null} { lecture, tutorial, practical, total }, or null if unreadable
+ */
+export const parseContactHours = (value) => {
+  if (typeof value === 'number') {
+    return value > 0 ? withTotal({ lecture: toHours(value) }) : null;
+  }
+
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const suffixed = [...text.matchAll(/(\d+(?:\.\d+)?)\s*([LTP])(?![A-Za-z])/gi)];
+  if (suffixed.length > 0) {
+    const hours = {};
+    suffixed.forEach(([, amount, suffix]) => {
+      const component = Object.keys(COMPONENT_SUFFIXES).find(key => COMPONENT_SUFFIXES[key] === suffix.toUpperCase());
+      hours[component] = (hours[component] || 0) + toHours(amount);
+    });
+    return withTotal(hours);
+  }
+
+  const numbers = text.split(/\s*[-/\s]\s*/).filter(Boolean);
+  if (numbers.length >= 2 && numbers.length <= 3 && numbers.every(part => /^\d+(\.\d+)?$/.test(part))) {
+    const [lecture, tutorial, practical] = numbers.map(toHours);
+    return withTotal({ lecture, tutorial, practical });
+  }
+
+  return /^\d+(\.\d+)?$/.test(text) ? withTotal({ lecture: toHours(text) }) : null;
+};
+
+/**
+ * A course's weekly contact hours
+ * @param {Object} course - Course data
+ * @returns {Object} { lecture, tutorial, practical, total }
+ */
+export const getContactHours = (course) => {
+  if (!course) return withTotal({});
+
+  const explicit = withTotal(Object.fromEntries(
+    Object.entries(COMPONENT_FIELDS).map(([component, field]) => [component, toHours(course[field])])
+  ));
+  if (explicit.total > 0) return explicit;
+
+  const parsed = parseContactHours(course.weeklyHours);
+  if (parsed && parsed.total > 0) return parsed;
+
+  return withTotal({ lecture: toHours(course.credits) });
+};
+
+/**
+ * Write contact hours the way courses list them, e.g. '3L+1T+2P'
+ * @param {Object} hours - { lecture, tutorial, practical }
+ * @returns {string} L-T-P string ('' when there are no hours)
+ */
+export const formatContactHours = (hours) => {
+  const parts = Object.keys(COMPONENT_SUFFIXES)
+    .filter(component => toHours(hours?.[component]) > 0)
+    .map(component => `${toHours(hours[component])}${COMPONENT_SUFFIXES[component]}`);
+  return parts.join('+');
+};
+
+/**
+ * Periods of a course placed in a batch timetable, per component
+ * Sub-batch sessions run in parallel, so a component counts the periods every
+ * sub-batch has received: whole-batch periods plus the least any sub-batch got.
+ * @param {Object} timetableData - Batch timetable
+ * @param {string} courseCode - Course code
+ * @param {Array} subBatches - The batch's sub-batches; those with no session of a split component count as 0
+ * @returns {Object} { lecture, tutorial, practical, total }
+ */
+export const getScheduledContactHours = (timetableData, courseCode, subBatches = []) => {
+  const counts = Object.fromEntries(Object.values(SESSION_COMPONENTS).map(component => [
+    component, { whole: 0, bySubBatch: {} }
+  ]));
+
+  Object.values(timetableData || {}).forEach(daySchedule => {
+    Object.values(daySchedule || {}).forEach(cell => {
+      getCellSessions(cell).filter(session => session.code === courseCode).forEach(session => {
+        const count = counts[getSessionComponent(session)];
+        if (session.subBatch) {
+          count.bySubBatch[session.subBatch] = (count.bySubBatch[session.subBatch] || 0) + 1;
+        } else {
+          count.whole += 1;
+        }
+      });
+    });
+  });
+
+  return withTotal(Object.fromEntries(Object.entries(counts).map(([component, { whole, bySubBatch }]) => {
+    if (Object.keys(bySubBatch).length === 0) return [component, whole];
+    const groups = [...new Set([...subBatches, ...Object.keys(bySubBatch)])];
+    return [component, whole + Math.min(...groups.map(group => bySubBatch[group] || 0))];
+  })));
+};
+
+/**
+ * Placed versus required periods of a course in a batch timetable
+ * @param {Object} timetableData - Batch timetable
+ * @param {Object} course - Course data
+ * @param {Array} subBatches - The batch's sub-batches
+ * @returns {Object} { lecture, tutorial, practical, total } each { required, scheduled }, and isComplete
+ */
+export const getContactHoursProgress = (timetableData, course, subBatches = []) => {
+  const required = getContactHours(course);
+  const scheduled = getScheduledContactHours(timetableData, course?.code, subBatches);
+  const progress = Object.fromEntries(['lecture', 'tutorial', 'practical', 'total'].map(key => [
+    key, { required: required[key], scheduled: scheduled[key] }
+  ]));
+
+  return {
+    ...progress,
+    isComplete: Object.values(SESSION_COMPONENTS).every(component =>
+      progress[component].scheduled >= progress[component].required
+    )
+  };
+};
@@ -0,0 +1,69 @@
+/**
+ * Date Keys
+ * Calendar dates written as 'YYYY-MM-DD' keys in local time, and the weekday
+ * arithmetic the absence and semester calendar services share. Weeks run
+ * Monday to Sunday.
+ */
+
+import { getWeekDays } from './timeGrid.js';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Write a date as a 'YYYY-MM-DD' key in local time
+ * @param {Date|string} date - Date, or a key (returned as is)
+ * @returns {string} Date key
+ */
+export const toDateKey = (date) => {
+  if (typeof date === 'string') return date.slice(0, 10);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Read a 'YYYY-MM-DD' key as local midnight
+ * @param {string} dateKey - Date key
+ * @returns {Date|null} Date, or null if the key is unreadable
+ */
+export const parseDateKey = (dateKey) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateKey || ''));
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+/**
+ * Move a date key by a number of days
+ * @param {string} dateKey - Date key
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date key
+ */
+export const addDays = (dateKey, days) => {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+/**
+ * Day of the week a date falls on
+ * @param {string} dateKey - Date key
+ * @returns {string} Day name, e.g. 'Monday'
+ */
+export const getDayOfDate = (dateKey) => DAY_NAMES[parseDateKey(dateKey).getDay()];
+
+/**
+ * Monday of the week a date falls in
+ * @param {string} dateKey - Date key
+ * @returns {string} Date key of the Monday
+ */
+export const getWeekStart = (dateKey) => addDays(dateKey, -((parseDateKey(dateKey).getDay() + 6) % 7));
+
+/**
+ * Dates of the working days in the week a date falls in
+ * @param {string} dateKey - Any date of the week
+ * @returns {Object} { [day]: dateKey } for the days of the time grid
+ */
+export const getWeekDates = (dateKey) => {
+  const monday = getWeekStart(dateKey);
+  return Object.fromEntries(DAY_NAMES.map((day, index) => [day, addDays(monday, (index + 6) % 7)])
+    .filter(([day]) => getWeekDays().includes(day)));
+};
@@ -0,0 +1,259 @@
+/**
+ * Day-Shape Rules
+ * How a student batch's day may look, stored on each `batches` document as
+ * `dayShapeRules` (missing fields fall back to DEFAULT_DAY_SHAPE_RULES):
+ *
+ *   {
+ *     maxPeriodsPerDay: 6,
+ *     maxIdlePeriods: 2,
+ *     lunchWindowStart: '12:00', lunchWindowEnd: '14:00', lunchMinutes: 45,
+ *     maxSameCoursePeriodsPerDay: 2,
+ *     noLabInLastPeriod: true
+ *   }
+ *
+ * Violations are warnings. The TT Incharge can override a rule for one timetable;
+ * overridden rule IDs are kept on the timetable document as `dayShapeOverrides`.
+ */
+
+import { db, doc, updateDoc, onSnapshot, arrayUnion, arrayRemove } from '../../../../firebase/config';
+import { DEFAULT_DAY_SHAPE_RULES } from './constants.js';
+import { getWeekDays, getDaySlots, toMinutes } from './timeGrid.js';
+import { parseTimeSlot } from './timeSlotParser.js';
+import { getCellSessions, getSessionSpan } from './timetableOperations.js';
+
+const TIMETABLES_COLLECTION = 'timetables';
+
+export const DAY_SHAPE_RULES = {
+  MAX_PERIODS: 'max_periods_per_day',
+  IDLE_GAPS: 'idle_gaps',
+  LUNCH: 'lunch_window',
+  SAME_COURSE: 'same_course_per_day',
+  LAB_LAST_PERIOD: 'lab_last_period'
+};
+
+export const DAY_SHAPE_RULE_LABELS = {
+  [DAY_SHAPE_RULES.MAX_PERIODS]: 'Periods per day',
+  [DAY_SHAPE_RULES.IDLE_GAPS]: 'Idle gaps',
+  [DAY_SHAPE_RULES.LUNCH]: 'Lunch window',
+  [DAY_SHAPE_RULES.SAME_COURSE]: 'Same course per day',
+  [DAY_SHAPE_RULES.LAB_LAST_PERIOD]: 'Lab in last period'
+};
+
+// Undefined takes the default; null or an empty value turns the limit off
+const toLimit = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const limit = parseInt(value, 10);
+  return !isNaN(limit) && limit >= 0 ? limit : null;
+};
+
+/**
+ * Read the day-shape rules stored on a batch, filling in defaults
+ * @param {Object} rules - `dayShapeRules` field of the batch (may be missing)
+ * @returns {Object} Rules with every field set
+ */
+export const normalizeDayShapeRules = (rules = {}) => ({
+  maxPeriodsPerDay: toLimit(rules?.maxPeriodsPerDay, DEFAULT_DAY_SHAPE_RULES.maxPeriodsPerDay),
+  maxIdlePeriods: toLimit(rules?.maxIdlePeriods, DEFAULT_DAY_SHAPE_RULES.maxIdlePeriods),
+  lunchWindowStart: rules?.lunchWindowStart || DEFAULT_DAY_SHAPE_RULES.lunchWindowStart,
+  lunchWindowEnd: rules?.lunchWindowEnd || DEFAULT_DAY_SHAPE_RULES.lunchWindowEnd,
+  lunchMinutes: toLimit(rules?.lunchMinutes, DEFAULT_DAY_SHAPE_RULES.lunchMinutes),
+  maxSameCoursePeriodsPerDay: toLimit(rules?.maxSameCoursePeriodsPerDay, DEFAULT_DAY_SHAPE_RULES.maxSameCoursePeriodsPerDay),
+  noLabInLastPeriod: rules?.noLabInLastPeriod ?? DEFAULT_DAY_SHAPE_RULES.noLabInLastPeriod
+});
+
+/**
+ * Whether a session is a lab: a multi-period block, a sub-batch session or one held in a lab room
+ * @param {Object} session - Timetable entry
+ * @returns {boolean} True for lab sessions
+ */
+export const isLabSession = (session) => Boolean(session) && (
+  getSessionSpan(session) > 1 ||
+  Boolean(session.subBatch) ||
+  /lab/i.test(`${session.roomName || ''} ${session.roomType || ''}`)
+);
+
+// Minutes two ranges share
+const getOverlapMinutes = (start, end, rangeStart, rangeEnd) =>
+  Math.max(0, Math.min(end, rangeEnd) - Math.max(start, rangeStart));
+
+/**
+ * Check one day of a batch's timetable against its day-shape rules
+ * @param {Object} timetableData - Batch timetable
+ * @param {string} day - Day of the week
+ * @param {Object} rules - Normalised rules
+ * @returns {Array} Violations: { rule, day, key, limit, actual, slots, message }
+ */
+export const evaluateDayShape = (timetableData, day, rules) => {
+  const daySlots = getDaySlots(day);
+  const sessionsBySlot = Object.fromEntries(daySlots.map(slot => [slot, getCellSessions(timetableData?.[day]?.[slot])]));
+  const teachingSlots = daySlots.filter(slot => sessionsBySlot[slot].length > 0);
+  const violations = [];
+
+  if (teachingSlots.length === 0) return violations;
+
+  if (rules.maxPeriodsPerDay !== null && teachingSlots.length > rules.maxPeriodsPerDay) {
+    violations.push({
+      rule: DAY_SHAPE_RULES.MAX_PERIODS,
+      day,
+      key: null,
+      limit: rules.maxPeriodsPerDay,
+      actual: teachingSlots.length,
+      slots: teachingSlots,
+      message: `${teachingSlots.length} periods on ${day}; the batch limit is ${rules.maxPeriodsPerDay}`
+    });
+  }
+
+  // Lunch: the free minutes left inside the window, breaks in the grid included
+  const lunchStart = toMinutes(rules.lunchWindowStart);
+  const lunchEnd = toMinutes(rules.lunchWindowEnd);
+  const overlapsLunch = (slot) => {
+    const range = parseTimeSlot(slot);
+    return range && getOverlapMinutes(range.start, range.end, lunchStart, lunchEnd) > 0;
+  };
+
+  if (rules.lunchMinutes !== null && lunchEnd > lunchStart) {
+    const lunchSlots = teachingSlots.filter(overlapsLunch);
+    const taughtMinutes = lunchSlots.reduce((total, slot) => {
+      const range = parseTimeSlot(slot);
+      return total + getOverlapMinutes(range.start, range.end, lunchStart, lunchEnd);
+    }, 0);
+    const freeMinutes = lunchEnd - lunchStart - taughtMinutes;
+    if (freeMinutes < rules.lunchMinutes) {
+      violations.push({
+        rule: DAY_SHAPE_RULES.LUNCH,
+        day,
+        key: null,
+        limit: rules.lunchMinutes,
+        actual: freeMinutes,
+        slots: lunchSlots,
+        message: `Only ${freeMinutes} min free between ${rules.lunchWindowStart} and ${rules.lunchWindowEnd} on ${day}; lunch needs ${rules.lunchMinutes} min`
+      });
+    }
+  }
+
+  // Idle periods between the first and last class; one free period in the lunch window is lunch
+  if (rules.maxIdlePeriods !== null) {
+    const firstIndex = daySlots.indexOf(teachingSlots[0]);
+    const lastIndex = daySlots.indexOf(teachingSlots[teachingSlots.length - 1]);
+    const freeSlots = daySlots.slice(firstIndex, lastIndex + 1).filter(slot => sessionsBySlot[slot].length === 0);
+    const idleSlots = freeSlots.filter(slot => slot !== freeSlots.find(overlapsLunch));
+    if (idleSlots.length > rules.maxIdlePeriods) {
+      violations.push({
+        rule: DAY_SHAPE_RULES.IDLE_GAPS,
+        day,
+        key: null,
+        limit: rules.maxIdlePeriods,
+        actual: idleSlots.length,
+        slots: idleSlots,
+        message: `${idleSlots.length} idle periods between classes on ${day} (${idleSlots.join(', ')}); the batch limit is ${rules.maxIdlePeriods}`
+      });
+    }
+  }
+
+  // Lecture periods per course; labs are long by design and not counted
+  if (rules.maxSameCoursePeriodsPerDay !== null) {
+    const slotsByCourse = {};
+    teachingSlots.forEach(slot => {
+      sessionsBySlot[slot].filter(session => session.code && !isLabSession(session)).forEach(session => {
+        if (!slotsByCourse[session.code]) slotsByCourse[session.code] = new Set();
+        slotsByCourse[session.code].add(slot);
+      });
+    });
+    Object.entries(slotsByCourse).forEach(([code, slots]) => {
+      if (slots.size > rules.maxSameCoursePeriodsPerDay) {
+        violations.push({
+          rule: DAY_SHAPE_RULES.SAME_COURSE,
+          day,
+          key: code,
+          limit: rules.maxSameCoursePeriodsPerDay,
+          actual: slots.size,
+          slots: [...slots],
+          message: `${code} has ${slots.size} lecture periods on ${day}; the batch limit is ${rules.maxSameCoursePeriodsPerDay}`
+        });
+      }
+    });
+  }
+
+  if (rules.noLabInLastPeriod) {
+    const lastSlot = daySlots[daySlots.length - 1];
+    sessionsBySlot[lastSlot].filter(isLabSession).forEach(session => {
+      violations.push({
+        rule: DAY_SHAPE_RULES.LAB_LAST_PERIOD,
+        day,
+        key: session.code || null,
+        limit: null,
+        actual: null,
+        slots: [lastSlot],
+        message: `${session.code || 'A lab'} runs into the last period on ${day} (${lastSlot})`
+      });
+    });
+  }
+
+  return violations;
+};
+
+/**
+ * Check a batch's whole week, leaving out overridden rules
+ * @param {Object} timetableData - Batch timetable
+ * @param {Object} rules - Normalised rules
+ * @param {Array} overrides - Rule IDs the TT Incharge has overridden
+ * @returns {Array} Violations across all working days
+ */
+export const evaluateWeekShape = (timetableData, rules, overrides = []) =>
+  getWeekDays()
+    .flatMap(day => evaluateDayShape(timetableData, day, rules))
+    .filter(violation => !overrides.includes(violation.rule));
+
+/**
+ * Violations a change introduces or makes worse
+ * @param {Array} before - Violations before the change
+ * @param {Array} after - Violations after the change
+ * @returns {Array} Violations of `after` not already in `before` at the same size
+ */
+export const getNewDayShapeViolations = (before, after) =>
+  after.filter(violation => !before.some(existing =>
+    existing.rule === violation.rule &&
+    existing.day === violation.day &&
+    existing.key === violation.key &&
+    (violation.actual === null || (violation.rule === DAY_SHAPE_RULES.LUNCH
+      ? existing.actual <= violation.actual
+      : existing.actual >= violation.actual))
+  ));
+
+/**
+ * Override one day-shape rule for a timetable, or lift the override
+ * Only that rule is added or removed, so editors toggling different rules never undo each other.
+ * @param {string} timetableId - Timetable document ID
+ * @param {string} rule - DAY_SHAPE_RULES value
+ * @param {boolean} overridden - Whether the rule is overridden
+ * @returns {Promise<void>}
+ */
+export const saveDayShapeOverride = async (timetableId, rule, overridden) => {
+  try {
+    await updateDoc(doc(db, TIMETABLES_COLLECTION, timetableId), {
+      dayShapeOverrides: overridden ? arrayUnion(rule) : arrayRemove(rule)
+    });
+  } catch (error) {
+    console.error('Error saving day-shape override:', error);
+    if (error.code === 'not-found') {
+      throw new Error('Save the timetable before overriding its day-shape rules');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Listen to the day-shape rules overridden for a timetable
+ * @param {string} timetableId - Timetable document ID
+ * @param {Function} callback - Called with the overridden rule IDs
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToDayShapeOverrides = (timetableId, callback) => {
+  if (!timetableId) return () => {};
+
+  return onSnapshot(doc(db, TIMETABLES_COLLECTION, timetableId), (snapshot) => {
+    callback(snapshot.exists() ? snapshot.data().dayShapeOverrides || [] : []);
+  }, (error) => {
+    console.error('Error listening to day-shape overrides:', error);
+  });
+};
@@ -3,7 +3,7 @@
  * Handles all drag and drop functionality for timetable courses
  */
 
-import { updateTimetableOnDrop, deleteCourse } from './timetableOperations.js';
+import { updateTimetableOnDrop, deleteCourse, getCellSessions, sessionsShareStudents } from './timetableOperations.js';
 import { checkConflictsProduction } from './conflictDetection.js';
 import { filterConflictsAfterDeletion, filterConflictsAfterMove } from './conflictDetection.js';
 
@@ -17,10 +17,11 @@ export const dragDropOperations = {
    * @param {string} day - Day of the week
    * @param {string} slot - Time slot
    * @param {Array} conflicts - Current conflicts array
+   * @param {string} subBatch - Sub-batch whose session to remove from a parallel cell
    * @returns {Object} Updated timetable and conflicts
    */
-  deleteCourse: (timetableData, day, slot, conflicts) => {
-    const newTimetable = deleteCourse(timetableData, day, slot);
+  deleteCourse: (timetableData, day, slot, conflicts, subBatch = null) => {
+    const newTimetable = deleteCourse(timetableData, day, slot, subBatch);
     const newConflicts = filterConflictsAfterDeletion(Array.isArray(conflicts) ? conflicts : [], day, slot);
     return {
       timetable: newTimetable,
@@ -85,9 +86,10 @@ export const dragDropOperations = {
       };
     }
 
-    // Check if course already exists in target slot
-    const existingCourse = timetableData[day]?.[slot];
-    if (existingCourse && existingCourse.code) {
+    // Check if the same students already have a course in target slot (other sub-batches may share it)
+    const occupied = getCellSessions(timetableData[day]?.[slot])
+      .some(session => session.code && sessionsShareStudents(session, draggedCourse));
+    if (occupied) {
       return {
         isValid: false,
         message: 'Slot already occupied',
@@ -0,0 +1,177 @@
+/**
+ * Elective Baskets
+ * Courses sharing an `electiveGroup` form a basket
+ *
+ * Students take one course out of a basket, so every member runs in the same
+ * periods, each in its own room. A placed basket is a parallel cell whose
+ * sessions all carry the basket's `electiveGroup`.
+ */
+
+import { checkConflictsProduction } from './conflictDetection.js';
+import { addCourseToTimetable, getCellSessions, getSessionSpan, getSpanSlots } from './timetableOperations.js';
+
+const getRoomId = (room) => room?.id || room?.number || null;
+
+/**
+ * Group course blocks into elective baskets
+ * Each member course is taught by its first assigned teacher, and every member
+ * takes the longest duration in the basket so they share the same periods.
+ * @param {Array} courseGroups - Grouped course blocks (from groupCourseBlocks)
+ * @returns {Array} Baskets { id, name, electiveGroup, isBasket, duration, courses }, sorted by name
+ */
+export const getElectiveBaskets = (courseGroups = []) => {
+  const baskets = new Map();
+
+  courseGroups.forEach(course => {
+    const name = String(course.electiveGroup || '').trim();
+    if (!name || !course.blocks?.length) return;
+
+    if (!baskets.has(name)) baskets.set(name, []);
+    baskets.get(name).push({
+      ...course.blocks[0],
+      code: course.code,
+      title: course.title,
+      weeklyHours: course.weeklyHours,
+      duration: course.duration,
+      electiveGroup: name
+    });
+  });
+
+  return [...baskets.entries()]
+    .sort(([nameA], [nameB]) => nameA.localeCompare(nameB))
+    .map(([name, courses]) => {
+      const duration = Math.max(...courses.map(getSessionSpan));
+      return {
+        id: `basket-${name}`,
+        code: name,
+        name,
+        electiveGroup: name,
+        isBasket: true,
+        duration,
+        courses: courses.map(course => ({ ...course, duration }))
+      };
+    });
+};
+
+/**
+ * Get the basket a cell holds
+ * @param {Object|null} cell - Timetable cell
+ * @returns {string|null} Basket name when every session in the cell belongs to one basket
+ */
+export const getCellBasketName = (cell) => {
+  const sessions = getCellSessions(cell);
+  const name = sessions[0]?.electiveGroup;
+  return name && sessions.every(session => session.electiveGroup === name) ? name : null;
+};
+
+/**
+ * Rebuild a basket from a placed cell so it can be moved as one piece
+ * Members keep their rooms where they can.
+ * @param {Object|null} cell - Timetable cell holding a basket
+ * @returns {Object|null} Basket, or null if the cell holds no basket
+ */
+export const getBasketFromCell = (cell) => {
+  const name = getCellBasketName(cell);
+  if (!name) return null;
+
+  const courses = getCellSessions(cell).map(session => ({
+    ...session,
+    title: session.title || session.name,
+    duration: session.span,
+    preferredRoomId: session.roomId || session.room || null
+  }));
+
+  return {
+    id: `basket-${name}`,
+    code: name,
+    name,
+    electiveGroup: name,
+    isBasket: true,
+    duration: Math.max(...courses.map(getSessionSpan)),
+    courses
+  };
+};
+
+/**
+ * Give every member of a basket its own room
+ * Members keep a room they already hold, the first member prefers the selected
+ * room, and the rest take the first free room no other member is using.
+ * @param {Object} basket - Basket from getElectiveBaskets or getBasketFromCell
+ * @param {Array} rooms - Candidate rooms
+ * @param {Object} options - { preferredRoom, isRoomFree(room) }
+ * @returns {Array} Assignments { course, room }; room is null when none is left
+ */
+export const assignBasketRooms = (basket, rooms = [], { preferredRoom = null, isRoomFree = () => true } = {}) => {
+  const usedRoomIds = new Set();
+
+  return (basket?.courses || []).map((course, index) => {
+    const ownRoom = course.preferredRoomId
+      ? rooms.find(room => getRoomId(room) === course.preferredRoomId)
+      : null;
+    const candidates = [ownRoom, index === 0 ? preferredRoom : null, ...rooms].filter(Boolean);
+    const room = candidates.find(candidate =>
+      !usedRoomIds.has(getRoomId(candidate)) && isRoomFree(candidate)
+    ) || null;
+
+    if (room) usedRoomIds.add(getRoomId(room));
+    return { course, room };
+  });
+};
+
+/**
+ * Place a whole basket into a slot, checking every member course
+ * Members are placed one after another, so each is checked against the
+ * members already in the cell (different rooms and teachers are required).
+ * @param {Object} timetableData - Current timetable data
+ * @param {string} day - Day of the week
+ * @param {string} slot - Starting time slot
+ * @param {Array} assignments - Result of assignBasketRooms
+ * @returns {Object} { timetable, conflicts }
+ */
+export const addBasketToTimetable = (timetableData, day, slot, assignments = []) => {
+  let timetable = timetableData;
+  const conflicts = [];
+
+  assignments.forEach(({ course, room }) => {
+    if (!room) {
+      conflicts.push({
+        type: 'room',
+        severity: 'critical',
+        message: `No free room left for ${course.code} in elective basket ${course.electiveGroup}`,
+        day,
+        slot,
+        suggestedActions: [
+          'Free up a room in this period',
+          'Move the basket to a different time slot'
+        ]
+      });
+    }
+
+    conflicts.push(...checkConflictsProduction(timetable, day, slot, course, room));
+    // A member whose span does not fit is left out; the span conflict above reports it
+    const span = getSessionSpan(course);
+    if (span === 1 || getSpanSlots(slot, span)) {
+      timetable = addCourseToTimetable(timetable, day, slot, course, room);
+    }
+  });
+
+  // Slot-level problems (span, availability) are reported once, not per member
+  const seen = new Set();
+  return {
+    timetable,
+    conflicts: conflicts.filter(conflict => {
+      const key = `${conflict.type}-${conflict.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+  };
+};
+
+/**
+ * Get the slots a basket placed at `slot` would cover
+ * @param {Object} basket - Basket
+ * @param {string} slot - Starting time slot
+ * @returns {Array} Covered slots (just the starting slot if the span does not fit)
+ */
+export const getBasketSlots = (basket, slot) => getSpanSlots(slot, getSessionSpan(basket)) || [slot];
@@ -4,25 +4,33 @@
  */
 
 import { initializeEmptyTimetable } from './timetableOperations.js';
-import { replaceUndefinedWithNull } from './utils.js';
+import { replaceUndefinedWithNull, deepCopy, isSameCell } from './utils.js';
+import { createTimetableVersion } from './versionHistory.js';
+import { publishApprovedTimetable } from './timetableWorkflow.js';
+import { normalizeTeacherAvailability } from './teacherAvailability.js';
 
 /**
  * Fetch teachers from Firestore and build a mapping with names and codes
  * @param {Object} db - Firestore database instance
  * @param {Function} collection - Firestore collection function
  * @param {Function} getDocs - Firestore getDocs function
- * @returns {Promise<Object>} Map of teacher IDs to teacher info (name, teacherCode)
+ * @param {Function} onSource - Optional; receives { fromCache } telling whether the offline cache answered
+ * @returns {Promise<Object>} Map of teacher IDs to teacher info (name, teacherCode, availability, designation, workloadPolicyId)
  */
-export const fetchTeachersMap = async (db, collection, getDocs) => {
+export const fetchTeachersMap = async (db, collection, getDocs, onSource = null) => {
   try {
     const snap = await getDocs(collection(db, 'teachers'));
+    onSource?.({ fromCache: snap.metadata.fromCache });
     const map = {};
     snap.docs.forEach(doc => {
       const data = doc.data();
       const teacherId = data.id || doc.id;
       map[teacherId] = {
         name: data.name,
-        teacherCode: data.teacherCode || data.name // Fallback to name if teacherCode is not available
+        teacherCode: data.teacherCode || data.name, // Fallback to name if teacherCode is not available
+        availability: normalizeTeacherAvailability(data.availability),
+        designation: data.designation || '',
+        workloadPolicyId: data.workloadPolicyId || null
       };
     });
     return map;
@@ -41,9 +49,10 @@ export const fetchTeachersMap = async (db, collection, getDocs) => {
  * @param {Function} where - Firestore where function
  * @param {string} semester - Current semester
  * @param {string} departmentId - Department ID for filtering (optional)
+ * @param {Function} onSource - Optional; receives { fromCache } telling whether the offline cache answered
  * @returns {Promise<Array>} Array of course data
  */
-export const fetchCourses = async (db, collection, getDocs, query, where, semester, departmentId = null) => {
+export const fetchCourses = async (db, collection, getDocs, query, where, semester, departmentId = null, onSource = null) => {
   try {
     if (!semester) return [];
     
@@ -74,6 +83,7 @@ export const fetchCourses = async (db, collection, getDocs, query, where, semest
     }
     
     const snapshots = await Promise.all(queries);
+    onSource?.({ fromCache: snapshots.some(snapshot => snapshot.metadata.fromCache) });
     
     // Combine and deduplicate courses
     const allCourses = new Map();
@@ -113,11 +123,13 @@ export const fetchCourses = async (db, collection, getDocs, query, where, semest
  * @param {Object} db - Firestore database instance
  * @param {Function} collection - Firestore collection function
  * @param {Function} getDocs - Firestore getDocs function
+ * @param {Function} onSource - Optional; receives { fromCache } telling whether the offline cache answered
  * @returns {Promise<Array>} Array of room data
  */
-export const fetchRooms = async (db, collection, getDocs) => {
+export const fetchRooms = async (db, collection, getDocs, onSource = null) => {
   try {
     const snap = await getDocs(collection(db, 'rooms'));
+    onSource?.({ fromCache: snap.metadata.fromCache });
     return snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
   } catch (error) {
     console.error('Error fetching rooms:', error);
@@ -135,7 +147,7 @@ export const fetchRooms = async (db, collection, getDocs) => {
  * @param {string} params.selectedBranch - Selected branch
  * @param {string} params.selectedBatch - Selected batch
  * @param {string} params.selectedType - Selected type
- * @param {Function} params.callback - Callback function for data updates
+ * @param {Function} params.callback - Receives (schedule, { revision }) on every update
  * @returns {Function} Unsubscribe function
  */
 export const setupTimetableListener = ({
@@ -164,74 +176,205 @@ export const setupTimetableListener = ({
       const docData = docSnapshot.data();
       const scheduleData = docData.schedule || initializeEmptyTimetable();
       console.log('Loading existing timetable data:', scheduleData);
-      callback(scheduleData);
+      callback(scheduleData, { revision: docData.revision || 0 });
     } else {
       // Document doesn't exist, initialize with empty timetable
       console.log('Document does not exist, initializing empty timetable');
-      callback(initializeEmptyTimetable());
+      callback(initializeEmptyTimetable(), { revision: 0 });
     }
   }, (error) => {
     console.error('Error listening to timetable document:', error);
-    callback(initializeEmptyTimetable());
+    callback(initializeEmptyTimetable(), { revision: null });
   });
 };
 
+// Error code of a save refused because the stored revision moved on
+export const REVISION_CONFLICT = 'timetable/revision-conflict';
+
+/**
+ * Check whether an error is a refused stale save
+ * @param {Error} error - Error thrown by saveTimetableToFirestore
+ * @returns {boolean} True for revision conflicts
+ */
+export const isRevisionConflict = (error) => error?.code === REVISION_CONFLICT;
+
+const createRevisionConflict = (expectedRevision, stored) => {
+  const conflict = new Error('This timetable was changed by someone else since it was loaded');
+  conflict.code = REVISION_CONFLICT;
+  conflict.expectedRevision = expectedRevision;
+  conflict.revision = stored?.revision || 0;
+  conflict.schedule = stored?.schedule || initializeEmptyTimetable();
+  return conflict;
+};
+
 /**
  * Save timetable data to Firestore
+ * With `runTransaction` and `expectedRevision`, the write only goes through if
+ * the stored `revision` still equals the one the editor loaded; otherwise it
+ * throws a REVISION_CONFLICT error carrying the stored schedule and revision,
+ * so the caller can merge instead of overwriting someone else's work.
  * @param {Object} params - Parameters object
  * @param {Object} params.db - Firestore database instance
  * @param {Function} params.doc - Firestore doc function
  * @param {Function} params.setDoc - Firestore setDoc function
+ * @param {Function} params.runTransaction - Optional Firestore runTransaction function
  * @param {string} params.currentSemester - Current semester
  * @param {string} params.selectedBranch - Selected branch
  * @param {string} params.selectedBatch - Selected batch
  * @param {string} params.selectedType - Selected type
  * @param {Object} params.scheduleData - Timetable schedule data
- * @returns {Promise<void>}
+ * @param {number|null} params.expectedRevision - Revision the schedule was based on; null skips the check
+ * @param {Object} params.version - Optional { author, message, action }; when given, an immutable snapshot is stored too
+ * @returns {Promise<Object|undefined>} { revision } of the saved document
  */
 export const saveTimetableToFirestore = async ({
-  db, doc, setDoc,
+  db, doc, setDoc, runTransaction = null,
   currentSemester, selectedBranch, selectedBatch, selectedType,
-  scheduleData
+  scheduleData, expectedRevision = null, version = null
 }) => {
   if (!currentSemester || !selectedBranch || !selectedBatch || !selectedType || !scheduleData) {
-    return;
+    return undefined;
   }
   
   const timetableDocId = `${currentSemester}-${selectedBranch}-${selectedBatch}-${selectedType}`;
+  const timetableRef = doc(db, 'timetables', timetableDocId);
   const safeSchedule = replaceUndefinedWithNull(scheduleData);
+  const fields = {
+    semester: currentSemester,
+    branch: selectedBranch,
+    batch: selectedBatch,
+    type: selectedType,
+    schedule: safeSchedule
+  };
   
   console.log('Saving timetable to document:', timetableDocId);
-  console.log('Schedule data:', safeSchedule);
   
   try {
-    await setDoc(doc(db, 'timetables', timetableDocId), {
-      semester: currentSemester,
-      branch: selectedBranch,
-      batch: selectedBatch,
-      type: selectedType,
-      schedule: safeSchedule
-    }, { merge: true });
+    let revision;
+    if (runTransaction) {
+      revision = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(timetableRef);
+        const stored = snapshot.exists() ? snapshot.data() : null;
+        const currentRevision = stored?.revision || 0;
+        
+        if (expectedRevision !== null && expectedRevision !== undefined && currentRevision !== expectedRevision) {
+          throw createRevisionConflict(expectedRevision, stored);
+        }
+        
+        transaction.set(timetableRef, { ...fields, revision: currentRevision + 1 }, { merge: true });
+        return currentRevision + 1;
+      });
+    } else {
+      await setDoc(timetableRef, fields, { merge: true });
+    }
     console.log('Timetable saved successfully to:', timetableDocId);
+    
+    if (version) {
+      await createTimetableVersion(timetableDocId, safeSchedule, version);
+    }
+    return { revision };
+  } catch (error) {
+    if (!isRevisionConflict(error)) {
+      console.error('Error saving timetable to Firestore:', error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Save only the cells that changed, as `schedule.<day>.<slot>` field updates
+ * Runs in a transaction that bumps `revision`. If the revision moved on since
+ * `expectedRevision`, the save still goes through as long as none of the changed
+ * cells were touched in between (their stored value is still `before`), so edits
+ * on different cells never block each other; otherwise it throws REVISION_CONFLICT.
+ * @param {Object} params - Parameters object
+ * @param {Object} params.db - Firestore database instance
+ * @param {Function} params.doc - Firestore doc function
+ * @param {Function} params.runTransaction - Firestore runTransaction function
+ * @param {Function} params.FieldPath - Firestore FieldPath class (slot labels may contain dots)
+ * @param {string} params.currentSemester - Current semester
+ * @param {string} params.selectedBranch - Selected branch
+ * @param {string} params.selectedBatch - Selected batch
+ * @param {string} params.selectedType - Selected type
+ * @param {Array} params.changes - Cell changes { day, slot, before, after } (see createSchedulePatch)
+ * @param {number|null} params.expectedRevision - Revision the changes were based on
+ * @returns {Promise<Object>} { revision } of the saved document
+ */
+export const saveTimetableCells = async ({
+  db, doc, runTransaction, FieldPath,
+  currentSemester, selectedBranch, selectedBatch, selectedType,
+  changes, expectedRevision = null
+}) => {
+  const timetableDocId = `${currentSemester}-${selectedBranch}-${selectedBatch}-${selectedType}`;
+  const timetableRef = doc(db, 'timetables', timetableDocId);
+  
+  try {
+    const revision = await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(timetableRef);
+      const stored = snapshot.exists() ? snapshot.data() : null;
+      const currentRevision = stored?.revision || 0;
+      
+      if (expectedRevision !== null && currentRevision !== expectedRevision) {
+        const overwritten = changes.some(change =>
+          !isSameCell(stored?.schedule?.[change.day]?.[change.slot] ?? null, change.before));
+        if (overwritten) {
+          throw createRevisionConflict(expectedRevision, stored);
+        }
+      }
+      
+      if (!stored) {
+        const schedule = initializeEmptyTimetable();
+        changes.forEach(change => {
+          schedule[change.day] = { ...(schedule[change.day] || {}), [change.slot]: change.after };
+        });
+        transaction.set(timetableRef, {
+          semester: currentSemester,
+          branch: selectedBranch,
+          batch: selectedBatch,
+          type: selectedType,
+          schedule: replaceUndefinedWithNull(deepCopy(schedule)),
+          revision: 1
+        });
+        return 1;
+      }
+      
+      const fieldUpdates = changes.flatMap(change => [
+        new FieldPath('schedule', change.day, change.slot),
+        replaceUndefinedWithNull(deepCopy(change.after))
+      ]);
+      transaction.update(timetableRef, 'revision', currentRevision + 1, ...fieldUpdates);
+      return currentRevision + 1;
+    });
+    
+    return { revision };
   } catch (error) {
-    console.error('Error saving timetable to Firestore:', error);
+    if (!isRevisionConflict(error)) {
+      console.error('Error saving timetable cells to Firestore:', error);
+    }
+    throw error;
   }
 };
 
 /**
  * Publish timetable
+ * Publishing goes through the review workflow: only the approved version is published.
  * @param {Object} params - Parameters for publishing
- * @returns {Promise<void>}
+ * @param {string} params.currentSemester - Current semester
+ * @param {string} params.selectedBranch - Selected branch
+ * @param {string} params.selectedBatch - Selected batch
+ * @param {string} params.selectedType - Selected type
+ * @param {Object} params.user - User publishing the timetable
+ * @returns {Promise<Object>} Workflow state after publishing
  */
-export const publishTimetable = async (params) => {
-  // Implementation for publishing timetable
+export const publishTimetable = async ({
+  currentSemester, selectedBranch, selectedBatch, selectedType, user = null
+}) => {
+  const timetableDocId = `${currentSemester}-${selectedBranch}-${selectedBatch}-${selectedType}`;
+  
   try {
-    await saveTimetableToFirestore({
-      ...params,
-      published: true,
-      publishedAt: new Date().toISOString()
-    });
+    const state = await publishApprovedTimetable(timetableDocId, { user });
     console.log('Timetable published successfully');
+    return state;
   } catch (error) {
     console.error('Error publishing timetable:', error);
     throw error;
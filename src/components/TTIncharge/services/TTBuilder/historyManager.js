@@ -147,6 +147,7 @@ export const HISTORY_ACTIONS = {
   BATCH_CHANGE: 'batch_change',
   BULK_OPERATION: 'bulk_operation',
   IMPORT_DATA: 'import_data',
+  CLEAR_DAY: 'clear_day',
   CLEAR_ALL: 'clear_all'
 };
 
@@ -215,6 +216,8 @@ export const enhancedHistoryManager = {
         return `Bulk operation: ${metadata.description || 'multiple changes'} at ${timestamp}`;
       case HISTORY_ACTIONS.IMPORT_DATA:
         return `Imported timetable data at ${timestamp}`;
+      case HISTORY_ACTIONS.CLEAR_DAY:
+        return `Cleared ${metadata.day || 'day'} at ${timestamp}`;
       case HISTORY_ACTIONS.CLEAR_ALL:
         return `Cleared all timetable data at ${timestamp}`;
       default:
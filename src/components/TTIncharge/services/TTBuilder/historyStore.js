@@ -0,0 +1,49 @@
+/**
+ * Undo History Store
+ * Keeps each timetable's patch history in IndexedDB so undo and redo survive
+ * a reload. Records are keyed by timetable ID, so every tab showing the same
+ * timetable shares one history.
+ *
+ * Browsers without IndexedDB (or with it blocked) fall back to in-memory
+ * history: loads resolve to null and saves are skipped.
+ */
+
+import { LOCAL_STORES, runStoreRequest } from './localDatabase.js';
+
+/**
+ * Load the stored history of a timetable
+ * @param {string} timetableId - Timetable document ID
+ * @returns {Promise<Object|null>} { entries, index }, or null if none is stored
+ */
+export const loadPatchHistory = async (timetableId) => {
+  const stored = await runStoreRequest(LOCAL_STORES.UNDO_HISTORY, 'readonly', store => store.get(timetableId));
+  if (!stored || !Array.isArray(stored.entries)) return null;
+
+  return {
+    entries: stored.entries,
+    index: Math.min(stored.index ?? stored.entries.length - 1, stored.entries.length - 1)
+  };
+};
+
+/**
+ * Store the history of a timetable, replacing any earlier record
+ * @param {string} timetableId - Timetable document ID
+ * @param {Object} history - { entries, index }
+ * @returns {Promise<void>}
+ */
+export const savePatchHistory = async (timetableId, history) => {
+  await runStoreRequest(LOCAL_STORES.UNDO_HISTORY, 'readwrite', store => store.put({
+    entries: history.entries,
+    index: history.index,
+    updatedAt: Date.now()
+  }, timetableId));
+};
+
+/**
+ * Remove the stored history of a timetable
+ * @param {string} timetableId - Timetable document ID
+ * @returns {Promise<void>}
+ */
+export const clearPatchHistory = async (timetableId) => {
+  await runStoreRequest(LOCAL_STORES.UNDO_HISTORY, 'readwrite', store => store.delete(timetableId));
+};
@@ -14,12 +14,19 @@ import {
   filterCourses
 } from './timetableOperations.js';
 
+import {
+  getElectiveBaskets,
+  assignBasketRooms,
+  addBasketToTimetable
+} from './electiveBaskets.js';
+
 import {
   fetchTeachersMap,
   fetchCourses,
   fetchRooms,
   setupTimetableListener,
   saveTimetableToFirestore,
+  saveTimetableCells,
   publishTimetable
 } from './firestoreService.js';
 
@@ -61,10 +68,22 @@ import {
   HISTORY_ACTIONS
 } from './historyManager.js';
 
+import { patchHistory } from './patchHistory.js';
+
+import {
+  loadPatchHistory,
+  savePatchHistory,
+  clearPatchHistory
+} from './historyStore.js';
+
 import {
   dragDropOperations
 } from './dragDropOperations.js';
 
+import {
+  generateTimetable
+} from './timetableGenerator.js';
+
 import {
   getCompactTimeFormat,
   getAbbreviatedDay,
@@ -81,6 +100,42 @@ import {
   operationCache
 } from './performanceOptimizer.js';
 
+import { OccupancyIndex } from './occupancyIndex.js';
+
+import {
+  createTimetableVersion,
+  fetchTimetableVersions,
+  rollbackTimetableVersion
+} from './versionHistory.js';
+
+import { diffSchedules } from './scheduleDiff.js';
+
+import { mergeSchedules } from './scheduleMerge.js';
+
+import {
+  joinTimetablePresence,
+  subscribeToPresence,
+  acquireEditLock,
+  releaseEditLock,
+  subscribeToEditLocks
+} from './collaboration.js';
+
+import {
+  enqueuePendingOperation,
+  listPendingOperations,
+  subscribeToPendingOperations,
+  replayPendingOperations
+} from './pendingOperations.js';
+
+import {
+  submitTimetableForReview,
+  approveTimetable,
+  rejectTimetable,
+  publishApprovedTimetable,
+  addWorkflowComment,
+  fetchWorkflowHistory
+} from './timetableWorkflow.js';
+
 import {
   auditLogger,
   performanceLogger,
@@ -90,16 +145,39 @@ import {
 
 // Re-export all modules
 export * from './constants.js';
+export * from './timeGrid.js';
+export * from './timeSlotParser.js';
 export * from './timetableOperations.js';
+export * from './electiveBaskets.js';
 export * from './firestoreService.js';
+export * from './versionHistory.js';
+export * from './scheduleDiff.js';
+export * from './scheduleMerge.js';
+export * from './collaboration.js';
+export * from './pendingOperations.js';
+export * from './timetableWorkflow.js';
 export * from './conflictDetection.js';
 export * from './conflictDetectionService.js';
 export * from './validation.js';
+export * from './teacherAvailability.js';
+export * from './workloadPolicy.js';
+export * from './dayShapeRules.js';
+export * from './roomRequirements.js';
+export * from './roomRecommender.js';
+export * from './contactHours.js';
+export * from './dateKeys.js';
+export * from './teacherAbsence.js';
+export * from './semesterCalendar.js';
 export * from './tabManagement.js';
 export * from './historyManager.js';
+export * from './patchHistory.js';
+export * from './historyStore.js';
+export * from './localDatabase.js';
 export * from './dragDropOperations.js';
+export * from './timetableGenerator.js';
 export * from './utils.js';
 export * from './performanceOptimizer.js';
+export * from './occupancyIndex.js';
 export * from './auditLogger.js';
 
 /**
@@ -126,6 +204,13 @@ export const createTimetableServices = (config = {}) => {
       filterCourses
     },
 
+    // Elective baskets
+    baskets: {
+      getBaskets: getElectiveBaskets,
+      assignRooms: assignBasketRooms,
+      addToTimetable: addBasketToTimetable
+    },
+
     // Firebase services
     firebase: {
       fetchTeachers: fetchTeachersMap,
@@ -133,9 +218,46 @@ export const createTimetableServices = (config = {}) => {
       fetchRooms,
       setupListener: setupTimetableListener,
       save: saveTimetableToFirestore,
+      saveCells: saveTimetableCells,
       publish: publishTimetable
     },
 
+    // Version history
+    versions: {
+      create: createTimetableVersion,
+      fetch: fetchTimetableVersions,
+      rollback: rollbackTimetableVersion,
+      diff: diffSchedules
+    },
+
+    // Review workflow
+    workflow: {
+      submit: submitTimetableForReview,
+      approve: approveTimetable,
+      reject: rejectTimetable,
+      publish: publishApprovedTimetable,
+      comment: addWorkflowComment,
+      history: fetchWorkflowHistory
+    },
+
+    // Real-time collaboration
+    collaboration: {
+      join: joinTimetablePresence,
+      subscribePresence: subscribeToPresence,
+      lock: acquireEditLock,
+      unlock: releaseEditLock,
+      subscribeLocks: subscribeToEditLocks,
+      merge: mergeSchedules
+    },
+
+    // Offline write queue
+    offline: {
+      enqueue: enqueuePendingOperation,
+      list: listPendingOperations,
+      subscribe: subscribeToPendingOperations,
+      replay: replayPendingOperations
+    },
+
     // Conflict services
     conflicts: {
       check: checkConflictsProduction,
@@ -162,12 +284,26 @@ export const createTimetableServices = (config = {}) => {
     // History services
     history: enablePerformanceMonitoring ? enhancedHistoryManager : historyManager,
 
+    // Persistent patch-based undo/redo
+    undo: {
+      history: patchHistory,
+      load: loadPatchHistory,
+      save: savePatchHistory,
+      clear: clearPatchHistory
+    },
+
     // Drag and drop services
     dragDrop: dragDropOperations,
 
+    // Automatic generation
+    generator: {
+      generate: generateTimetable
+    },
+
     // Performance services (optional)
     performance: enablePerformanceMonitoring ? {
       index: TimetableIndex,
+      occupancy: OccupancyIndex,
       monitor: performanceMonitor,
       cache: cacheEnabled ? operationCache : null
     } : null,
@@ -0,0 +1,85 @@
+/**
+ * Local Builder Database
+ * The IndexedDB database the builder keeps on this device: undo history per
+ * timetable and the queue of writes made while offline.
+ *
+ * Browsers without IndexedDB (or with it blocked, also by another tab holding an
+ * older version open) get no database: requests resolve to null and callers fall
+ * back to keeping things in memory.
+ */
+
+const DB_NAME = 'timetable-builder';
+const DB_VERSION = 2;
+
+export const LOCAL_STORES = {
+  UNDO_HISTORY: 'undoHistory',
+  PENDING_OPERATIONS: 'pendingOperations'
+};
+
+let databasePromise = null;
+
+const openLocalDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      let blocked = false;
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(LOCAL_STORES.UNDO_HISTORY)) {
+          database.createObjectStore(LOCAL_STORES.UNDO_HISTORY);
+        }
+        // Auto-increment keys keep queued operations in the order they were made
+        if (!database.objectStoreNames.contains(LOCAL_STORES.PENDING_OPERATIONS)) {
+          database.createObjectStore(LOCAL_STORES.PENDING_OPERATIONS, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      // Another tab still has an older version open: give up now instead of waiting
+      // for it, and try again on the next request
+      request.onblocked = () => {
+        console.error('Local builder database is blocked by another open tab');
+        blocked = true;
+        databasePromise = null;
+        resolve(null);
+      };
+      request.onsuccess = () => {
+        const database = request.result;
+        if (blocked) {
+          database.close();
+          return;
+        }
+        // Let a newer version opened in another tab upgrade the database
+        database.onversionchange = () => {
+          database.close();
+          databasePromise = null;
+        };
+        resolve(database);
+      };
+      request.onerror = () => {
+        console.error('Error opening local builder database:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  return databasePromise;
+};
+
+/**
+ * Run one request against a local store
+ * @param {string} storeName - LOCAL_STORES value
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Request result, or null when IndexedDB is unavailable
+ */
+export const runStoreRequest = async (storeName, mode, operation) => {
+  const database = await openLocalDatabase();
+  if (!database) return null;
+
+  return new Promise((resolve, reject) => {
+    const request = operation(database.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
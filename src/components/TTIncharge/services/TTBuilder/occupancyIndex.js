@@ -0,0 +1,335 @@
+/**
+ * Cross-Timetable Occupancy Index
+ * Live index of teacher and room bookings across every stored timetable
+ *
+ * Extends the single-timetable `TimetableIndex` idea to the whole `timetables`
+ * collection. One `onSnapshot` listener keeps it current, so conflict checks
+ * read from memory instead of downloading the collection on every drop.
+ */
+
+import { db, collection, getDocs, onSnapshot } from '../../../../firebase/config';
+import { getCellSessions } from './timetableOperations.js';
+
+const TIMETABLES_COLLECTION = 'timetables';
+
+/**
+ * Convert a timetable document snapshot to the record used by the services
+ * @param {Object} docSnapshot - Firestore document snapshot
+ * @returns {Object} Timetable record with its schedule, workflow status and revision
+ */
+export const toTimetableRecord = (docSnapshot) => {
+  const data = docSnapshot.data();
+  return {
+    id: docSnapshot.id,
+    semester: data.semester,
+    branch: data.branch,
+    batch: data.batch,
+    type: data.type,
+    status: data.status,
+    revision: data.revision || 0,
+    schedule: data.schedule || {},
+    isPublished: Boolean(data.isPublished),
+    publishedSchedule: data.publishedSchedule || null
+  };
+};
+
+const getSlotKey = (day, slot) => `${day}-${slot}`;
+
+/**
+ * Build the occupancy entry for one scheduled session
+ */
+const createOccupancyEntry = (timetable, day, slot, slotData) => ({
+  timetableId: timetable.id,
+  semester: timetable.semester,
+  branch: timetable.branch,
+  batch: timetable.batch,
+  type: timetable.type,
+  day,
+  timeSlot: slot,
+  teacherId: slotData.teacherId || slotData.faculty?.id || null,
+  teacherName: slotData.teacherName,
+  teacherCode: slotData.teacherCode,
+  roomId: slotData.roomId || slotData.roomNumber || slotData.room || null,
+  roomName: slotData.roomName,
+  roomNumber: slotData.roomNumber,
+  courseCode: slotData.courseCode || slotData.code,
+  courseName: slotData.courseName || slotData.name || slotData.title,
+  subBatch: slotData.subBatch || null
+});
+
+// Add or remove an entry in an id -> (day-slot -> entries) index
+const addToIndex = (index, id, key, entry) => {
+  if (!id) return;
+  if (!index.has(id)) index.set(id, new Map());
+  const slots = index.get(id);
+  if (!slots.has(key)) slots.set(key, []);
+  slots.get(key).push(entry);
+};
+
+const removeFromIndex = (index, id, key, entry) => {
+  const slots = index.get(id);
+  const entries = slots?.get(key);
+  if (!entries) return;
+
+  const remaining = entries.filter(candidate => candidate !== entry);
+  if (remaining.length > 0) {
+    slots.set(key, remaining);
+  } else {
+    slots.delete(key);
+    if (slots.size === 0) index.delete(id);
+  }
+};
+
+/**
+ * Occupancy index across all timetables
+ */
+export const OccupancyIndex = {
+  // Index structures for constant-time lookups
+  timetables: new Map(), // timetableId -> timetable record
+  entries: new Map(), // timetableId -> occupancy entries from that timetable
+  slotIndex: new Map(), // day-slot -> occupancy entries
+  teacherIndex: new Map(), // teacherId -> Map(day-slot -> occupancy entries)
+  roomIndex: new Map(), // roomId -> Map(day-slot -> occupancy entries)
+  ready: false,
+
+  /**
+   * Rebuild the index from a full list of timetables
+   * @param {Array} timetables - Timetable records
+   */
+  buildIndexes: (timetables = []) => {
+    OccupancyIndex.clearIndexes();
+    timetables.forEach(timetable => OccupancyIndex.indexTimetable(timetable));
+    OccupancyIndex.ready = true;
+  },
+
+  /**
+   * Add (or replace) one timetable in the index
+   * @param {Object} timetable - Timetable record
+   */
+  indexTimetable: (timetable) => {
+    if (!timetable?.id) return;
+    OccupancyIndex.removeTimetable(timetable.id);
+
+    const timetableEntries = [];
+    Object.keys(timetable.schedule || {}).forEach(day => {
+      Object.keys(timetable.schedule[day] || {}).forEach(slot => {
+        const key = getSlotKey(day, slot);
+
+        // Parallel sub-batch cells contribute one entry per session
+        getCellSessions(timetable.schedule[day][slot]).forEach(slotData => {
+          const entry = createOccupancyEntry(timetable, day, slot, slotData);
+          timetableEntries.push(entry);
+
+          if (!OccupancyIndex.slotIndex.has(key)) OccupancyIndex.slotIndex.set(key, []);
+          OccupancyIndex.slotIndex.get(key).push(entry);
+          addToIndex(OccupancyIndex.teacherIndex, entry.teacherId, key, entry);
+          addToIndex(OccupancyIndex.roomIndex, entry.roomId, key, entry);
+        });
+      });
+    });
+
+    OccupancyIndex.timetables.set(timetable.id, timetable);
+    OccupancyIndex.entries.set(timetable.id, timetableEntries);
+  },
+
+  /**
+   * Remove one timetable from the index
+   * @param {string} timetableId - Timetable document ID
+   */
+  removeTimetable: (timetableId) => {
+    const timetableEntries = OccupancyIndex.entries.get(timetableId) || [];
+
+    timetableEntries.forEach(entry => {
+      const key = getSlotKey(entry.day, entry.timeSlot);
+      const remaining = (OccupancyIndex.slotIndex.get(key) || []).filter(candidate => candidate !== entry);
+      if (remaining.length > 0) {
+        OccupancyIndex.slotIndex.set(key, remaining);
+      } else {
+        OccupancyIndex.slotIndex.delete(key);
+      }
+      removeFromIndex(OccupancyIndex.teacherIndex, entry.teacherId, key, entry);
+      removeFromIndex(OccupancyIndex.roomIndex, entry.roomId, key, entry);
+    });
+
+    OccupancyIndex.timetables.delete(timetableId);
+    OccupancyIndex.entries.delete(timetableId);
+  },
+
+  /**
+   * Everything booked in a period across all timetables
+   * @param {string} day - Day of the week
+   * @param {string} slot - Time slot
+   * @returns {Object} { teachers, rooms, entries } for that period
+   */
+  getSlotOccupancy: (day, slot) => {
+    const entries = OccupancyIndex.slotIndex.get(getSlotKey(day, slot)) || [];
+    return {
+      teachers: [...new Set(entries.map(entry => entry.teacherId).filter(Boolean))],
+      rooms: [...new Set(entries.map(entry => entry.roomId).filter(Boolean))],
+      entries: [...entries]
+    };
+  },
+
+  /**
+   * Bookings of a teacher in a period
+   * @param {string} teacherId - Teacher ID
+   * @param {string} day - Day of the week
+   * @param {string} slot - Time slot
+   * @param {string} excludeTimetableId - Timetable to ignore (the one being edited)
+   * @returns {Array} Occupancy entries
+   */
+  getTeacherBookings: (teacherId, day, slot, excludeTimetableId = null) => {
+    const entries = OccupancyIndex.teacherIndex.get(teacherId)?.get(getSlotKey(day, slot)) || [];
+    return entries.filter(entry => entry.timetableId !== excludeTimetableId);
+  },
+
+  /**
+   * Bookings of a room in a period
+   * @param {string} roomId - Room ID or number
+   * @param {string} day - Day of the week
+   * @param {string} slot - Time slot
+   * @param {string} excludeTimetableId - Timetable to ignore (the one being edited)
+   * @returns {Array} Occupancy entries
+   */
+  getRoomBookings: (roomId, day, slot, excludeTimetableId = null) => {
+    const entries = OccupancyIndex.roomIndex.get(roomId)?.get(getSlotKey(day, slot)) || [];
+    return entries.filter(entry => entry.timetableId !== excludeTimetableId);
+  },
+
+  /**
+   * Number of periods a teacher is booked for on one day
+   * @param {string} teacherId - Teacher ID
+   * @param {string} day - Day of the week
+   * @param {string} excludeTimetableId - Timetable to ignore (the one being edited)
+   * @returns {number} Booked periods
+   */
+  getTeacherDayLoad: (teacherId, day, excludeTimetableId = null) => {
+    let load = 0;
+    OccupancyIndex.teacherIndex.get(teacherId)?.forEach((entries, key) => {
+      if (key.startsWith(`${day}-`)) {
+        load += entries.filter(entry => entry.timetableId !== excludeTimetableId).length;
+      }
+    });
+    return load;
+  },
+
+  /**
+   * Every period a teacher is booked for
+   * @param {string} teacherId - Teacher ID
+   * @param {string} excludeTimetableId - Timetable to ignore (the one being edited)
+   * @returns {Array} Occupancy entries
+   */
+  getTeacherEntries: (teacherId, excludeTimetableId = null) => {
+    const entries = [];
+    OccupancyIndex.teacherIndex.get(teacherId)?.forEach(slotEntries => {
+      entries.push(...slotEntries.filter(entry => entry.timetableId !== excludeTimetableId));
+    });
+    return entries;
+  },
+
+  /**
+   * Get all indexed timetables
+   * @returns {Array} Timetable records
+   */
+  getTimetables: () => [...OccupancyIndex.timetables.values()],
+
+  /**
+   * Get index statistics for monitoring
+   * @returns {Object} Index statistics
+   */
+  getIndexStats: () => ({
+    timetables: OccupancyIndex.timetables.size,
+    bookedSlots: OccupancyIndex.slotIndex.size,
+    uniqueTeachers: OccupancyIndex.teacherIndex.size,
+    uniqueRooms: OccupancyIndex.roomIndex.size,
+    ready: OccupancyIndex.ready
+  }),
+
+  /**
+   * Clear all indexes
+   */
+  clearIndexes: () => {
+    OccupancyIndex.timetables.clear();
+    OccupancyIndex.entries.clear();
+    OccupancyIndex.slotIndex.clear();
+    OccupancyIndex.teacherIndex.clear();
+    OccupancyIndex.roomIndex.clear();
+    OccupancyIndex.ready = false;
+  }
+};
+
+// Shared listener state: one onSnapshot for every subscriber
+let unsubscribeSnapshot = null;
+let readyPromise = null;
+const subscribers = new Set();
+
+/**
+ * Keep the occupancy index live while at least one subscriber is registered
+ * @param {Function} callback - Optional; called with the index after every update
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToOccupancyIndex = (callback = null) => {
+  const subscriber = { callback };
+  subscribers.add(subscriber);
+
+  if (!unsubscribeSnapshot) {
+    let resolveReady;
+    let initialSnapshot = true;
+    readyPromise = new Promise(resolve => { resolveReady = resolve; });
+
+    unsubscribeSnapshot = onSnapshot(collection(db, TIMETABLES_COLLECTION), (snapshot) => {
+      // The first snapshot replaces whatever a one-off load left behind
+      if (initialSnapshot) {
+        initialSnapshot = false;
+        OccupancyIndex.buildIndexes(snapshot.docs.map(toTimetableRecord));
+      } else {
+        snapshot.docChanges().forEach(change => {
+          if (change.type === 'removed') {
+            OccupancyIndex.removeTimetable(change.doc.id);
+          } else {
+            OccupancyIndex.indexTimetable(toTimetableRecord(change.doc));
+          }
+        });
+      }
+
+      resolveReady();
+      subscribers.forEach(({ callback: notify }) => notify && notify(OccupancyIndex));
+    }, (error) => {
+      console.error('Error listening to timetables for occupancy:', error);
+      resolveReady();
+    });
+  } else if (OccupancyIndex.ready && callback) {
+    callback(OccupancyIndex);
+  }
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0 && unsubscribeSnapshot) {
+      unsubscribeSnapshot();
+      unsubscribeSnapshot = null;
+      readyPromise = null;
+      OccupancyIndex.clearIndexes();
+    }
+  };
+};
+
+/**
+ * Make sure the index holds current data before it is queried
+ * Waits for the live listener when one is running; otherwise loads the collection once.
+ * @returns {Promise<Object>} The occupancy index
+ */
+export const ensureOccupancyIndex = async () => {
+  if (readyPromise) {
+    await readyPromise;
+    return OccupancyIndex;
+  }
+
+  try {
+    const snapshot = await getDocs(collection(db, TIMETABLES_COLLECTION));
+    OccupancyIndex.buildIndexes(snapshot.docs.map(toTimetableRecord));
+  } catch (error) {
+    console.error('Error loading timetables for occupancy:', error);
+  }
+
+  return OccupancyIndex;
+};
@@ -0,0 +1,203 @@
+/**
+ * Patch-based History for Undo/Redo
+ * Records each edit as a typed operation holding only the cells it changed
+ *
+ * An entry stores `{ day, slot, before, after }` for every touched cell, so its
+ * size follows the edit rather than the grid. Undo writes the `before` cells
+ * back and redo the `after` cells. A step is only replayed while the cells it
+ * touches still hold what the step left there; otherwise the schedule was
+ * changed elsewhere (another tab, a collaborator, a reload) and the step is stale.
+ */
+
+import { CONFIG } from './constants.js';
+import { deepCopy, isSameCell } from './utils.js';
+import { enhancedHistoryManager } from './historyManager.js';
+
+/**
+ * Create an empty history
+ * @returns {Object} { entries, index } where index points at the last applied entry
+ */
+export const createEmptyHistory = () => ({ entries: [], index: -1 });
+
+/**
+ * List the cells that differ between two schedules
+ * @param {Object} before - Schedule before the edit
+ * @param {Object} after - Schedule after the edit
+ * @returns {Array} Cell changes { day, slot, before, after }
+ */
+export const createSchedulePatch = (before = {}, after = {}) => {
+  const patch = [];
+  const days = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  days.forEach(day => {
+    const slots = new Set([...Object.keys(before?.[day] || {}), ...Object.keys(after?.[day] || {})]);
+    slots.forEach(slot => {
+      const oldCell = before?.[day]?.[slot] ?? null;
+      const newCell = after?.[day]?.[slot] ?? null;
+      if (!isSameCell(oldCell, newCell)) {
+        patch.push({ day, slot, before: deepCopy(oldCell), after: deepCopy(newCell) });
+      }
+    });
+  });
+
+  return patch;
+};
+
+/**
+ * Check that every cell of a patch still holds one side of it
+ * @param {Object} schedule - Current schedule
+ * @param {Array} patch - Cell changes
+ * @param {string} side - 'before' or 'after'
+ * @returns {boolean} True if the patch can be replayed from this side
+ */
+export const patchMatchesSchedule = (schedule, patch, side) =>
+  patch.every(change => isSameCell(schedule?.[change.day]?.[change.slot] ?? null, change[side]));
+
+/**
+ * Write one side of a patch into a schedule
+ * Only the days the patch touches are copied; the rest are shared with the input.
+ * @param {Object} schedule - Current schedule
+ * @param {Array} patch - Cell changes
+ * @param {string} side - 'before' (undo) or 'after' (redo)
+ * @returns {Object} New schedule
+ */
+export const applySchedulePatch = (schedule, patch, side) => {
+  const next = { ...(schedule || {}) };
+  const copiedDays = new Set();
+
+  patch.forEach(change => {
+    if (!copiedDays.has(change.day)) {
+      next[change.day] = { ...(next[change.day] || {}) };
+      copiedDays.add(change.day);
+    }
+    next[change.day][change.slot] = deepCopy(change[side]);
+  });
+
+  return next;
+};
+
+/**
+ * Patch history operations
+ * Entries are { id, type, metadata, patch, timestamp }; `type` is a HISTORY_ACTIONS value.
+ */
+export const patchHistory = {
+  /**
+   * Record an edit, dropping any redo steps after the current one
+   * @param {Object} history - { entries, index }
+   * @param {Object} before - Schedule before the edit
+   * @param {Object} after - Schedule after the edit
+   * @param {string} type - HISTORY_ACTIONS value
+   * @param {Object} metadata - Labels for the entry (courseCode, from, to, day, description)
+   * @returns {Object} Updated history (unchanged if the edit changed no cells)
+   */
+  record: (history, before, after, type, metadata = {}) => {
+    const patch = createSchedulePatch(before, after);
+    if (patch.length === 0) return history;
+
+    const timestamp = new Date().toISOString();
+    const entries = history.entries.slice(0, history.index + 1);
+    entries.push({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      metadata,
+      patch,
+      timestamp
+    });
+
+    if (entries.length > CONFIG.MAX_PATCH_HISTORY_ENTRIES) {
+      entries.splice(0, entries.length - CONFIG.MAX_PATCH_HISTORY_ENTRIES);
+    }
+
+    return { entries, index: entries.length - 1 };
+  },
+
+  /**
+   * Undo the current entry
+   * @param {Object} history - { entries, index }
+   * @param {Object} schedule - Current schedule
+   * @returns {Object|null} { schedule, history, entry }, { stale: true, entry } if the
+   *   cells changed since the entry was recorded, or null if there is nothing to undo
+   */
+  undo: (history, schedule) => {
+    if (!patchHistory.canUndo(history)) return null;
+
+    const entry = history.entries[history.index];
+    if (!patchMatchesSchedule(schedule, entry.patch, 'after')) {
+      return { stale: true, entry };
+    }
+
+    return {
+      schedule: applySchedulePatch(schedule, entry.patch, 'before'),
+      history: { ...history, index: history.index - 1 },
+      entry
+    };
+  },
+
+  /**
+   * Redo the entry after the current one
+   * @param {Object} history - { entries, index }
+   * @param {Object} schedule - Current schedule
+   * @returns {Object|null} Same shape as undo
+   */
+  redo: (history, schedule) => {
+    if (!patchHistory.canRedo(history)) return null;
+
+    const entry = history.entries[history.index + 1];
+    if (!patchMatchesSchedule(schedule, entry.patch, 'before')) {
+      return { stale: true, entry };
+    }
+
+    return {
+      schedule: applySchedulePatch(schedule, entry.patch, 'after'),
+      history: { ...history, index: history.index + 1 },
+      entry
+    };
+  },
+
+  /**
+   * Put a stored history in front of edits recorded before it finished loading
+   * The stored redo steps are dropped, as a new edit would drop them.
+   * @param {Object} stored - History read from storage
+   * @param {Object} current - History recorded since the timetable was opened
+   * @returns {Object} Merged history
+   */
+  merge: (stored, current) => {
+    const entries = [...stored.entries.slice(0, stored.index + 1), ...current.entries];
+    let index = stored.index + 1 + current.index;
+
+    if (entries.length > CONFIG.MAX_PATCH_HISTORY_ENTRIES) {
+      const overflow = entries.length - CONFIG.MAX_PATCH_HISTORY_ENTRIES;
+      entries.splice(0, overflow);
+      index = Math.max(index - overflow, -1);
+    }
+
+    return { entries, index };
+  },
+
+  canUndo: (history) => history.index >= 0,
+
+  canRedo: (history) => history.index < history.entries.length - 1,
+
+  /**
+   * Entry that the next undo would revert
+   * @param {Object} history - { entries, index }
+   * @returns {Object|null} History entry
+   */
+  getUndoEntry: (history) => history.entries[history.index] || null,
+
+  /**
+   * Entry that the next redo would apply
+   * @param {Object} history - { entries, index }
+   * @returns {Object|null} History entry
+   */
+  getRedoEntry: (history) => history.entries[history.index + 1] || null,
+
+  /**
+   * Human-readable label for an entry, using the enhanced history labels
+   * @param {Object} entry - History entry
+   * @returns {string} Description
+   */
+  describe: (entry) => enhancedHistoryManager.getActionDescription({
+    action: { type: entry.type, timestamp: entry.timestamp, metadata: entry.metadata || {} }
+  })
+};
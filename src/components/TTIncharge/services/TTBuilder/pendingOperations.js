@@ -0,0 +1,213 @@
+/**
+ * Pending Operations Queue
+ * Timetable writes made while offline, kept in IndexedDB and replayed in order
+ * once the connection is back
+ *
+ * Cell saves, publishes and version restores ("imports") that cannot reach
+ * Firestore are queued instead of failing. Replay runs them oldest first and
+ * stops at the first one that is still offline, so the order is never broken.
+ *
+ * The server may have moved on meanwhile. A queued cell save still applies its
+ * cells the server left alone; cells someone else changed keep the server's
+ * value and are listed in the reconciliation report, as are restores that
+ * replaced a newer server schedule and operations the server refused.
+ */
+
+import { db, doc, getDoc, runTransaction, FieldPath } from '../../../../firebase/config';
+import { LOCAL_STORES, runStoreRequest } from './localDatabase.js';
+import { saveTimetableCells, publishTimetable, isRevisionConflict } from './firestoreService.js';
+import { createTimetableVersion, rollbackTimetableVersion } from './versionHistory.js';
+import { isSameCell } from './utils.js';
+import { CONFIG } from './constants.js';
+
+export const PENDING_OPERATION_TYPES = {
+  SAVE_CELLS: 'save_cells',
+  PUBLISH: 'publish',
+  IMPORT: 'import'
+};
+
+const OPERATION_LABELS = {
+  [PENDING_OPERATION_TYPES.SAVE_CELLS]: 'Save',
+  [PENDING_OPERATION_TYPES.PUBLISH]: 'Publish',
+  [PENDING_OPERATION_TYPES.IMPORT]: 'Version restore'
+};
+
+const listeners = new Set();
+
+/**
+ * Check whether an error means Firestore could not be reached
+ * @param {Error} error - Error from a Firestore call
+ * @returns {boolean} True when the write should be queued
+ */
+export const isOfflineError = (error) =>
+  (typeof navigator !== 'undefined' && !navigator.onLine) || error?.code === 'unavailable';
+
+/**
+ * Label for an operation, for the pending count and the report
+ * @param {Object} operation - Queued operation
+ * @returns {string} e.g. "Save (3 cells) · 5-CSE-A-odd"
+ */
+export const describePendingOperation = (operation) => {
+  const cells = operation.type === PENDING_OPERATION_TYPES.SAVE_CELLS
+    ? ` (${operation.changes.length} cell${operation.changes.length !== 1 ? 's' : ''})`
+    : '';
+  return `${OPERATION_LABELS[operation.type] || operation.type}${cells} · ${operation.timetableId}`;
+};
+
+/**
+ * List queued operations, oldest first
+ * @returns {Promise<Array>} Operations
+ */
+export const listPendingOperations = async () =>
+  (await runStoreRequest(LOCAL_STORES.PENDING_OPERATIONS, 'readonly', store => store.getAll())) || [];
+
+const notifyListeners = async () => {
+  const operations = await listPendingOperations();
+  listeners.forEach(listener => listener(operations));
+};
+
+/**
+ * Queue an operation to run when the connection is back
+ * @param {Object} operation - { type, timetableId, target, ... } where target is
+ *   { currentSemester, selectedBranch, selectedBatch, selectedType } and the rest depends on the type:
+ *   SAVE_CELLS: { changes, baseRevision, version }, PUBLISH: { user }, IMPORT: { version, user, baseRevision }
+ * @returns {Promise<Object>} The queued operation with its ID
+ */
+export const enqueuePendingOperation = async (operation) => {
+  const record = { ...operation, queuedAt: Date.now() };
+  const id = await runStoreRequest(LOCAL_STORES.PENDING_OPERATIONS, 'readwrite', store => store.add(record));
+  if (id === null) {
+    throw new Error('This browser cannot keep offline changes');
+  }
+
+  await notifyListeners();
+  return { ...record, id };
+};
+
+const removePendingOperation = async (id) => {
+  await runStoreRequest(LOCAL_STORES.PENDING_OPERATIONS, 'readwrite', store => store.delete(id));
+};
+
+/**
+ * Subscribe to the queue
+ * @param {Function} callback - Receives the queued operations whenever they change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToPendingOperations = (callback) => {
+  listeners.add(callback);
+  listPendingOperations().then(callback).catch(error => console.error('Error reading offline queue:', error));
+  return () => listeners.delete(callback);
+};
+
+const replaySaveCells = async (operation, report) => {
+  const params = { db, doc, runTransaction, FieldPath, ...operation.target };
+
+  // Each conflict leaves the cells the server left alone to apply on its newer revision;
+  // someone may save again in between, so reconcile a bounded number of times
+  let changes = operation.changes;
+  let expectedRevision = operation.baseRevision;
+  for (let attempt = 0; changes.length > 0; attempt++) {
+    try {
+      await saveTimetableCells({ ...params, changes, expectedRevision });
+      break;
+    } catch (error) {
+      if (!isRevisionConflict(error) || attempt >= CONFIG.MAX_REPLAY_CONFLICT_RETRIES) throw error;
+
+      // Apply the cells the server left alone; cells it already holds our value for are done
+      const remaining = [];
+      changes.forEach(change => {
+        const stored = error.schedule?.[change.day]?.[change.slot] ?? null;
+        if (isSameCell(stored, change.before)) {
+          remaining.push(change);
+        } else if (!isSameCell(stored, change.after)) {
+          report.conflicts.push({
+            timetableId: operation.timetableId,
+            day: change.day,
+            slot: change.slot,
+            queued: change.after,
+            server: stored
+          });
+        }
+      });
+
+      changes = remaining;
+      expectedRevision = error.revision;
+    }
+  }
+
+  if (operation.version) {
+    const snapshot = await getDoc(doc(db, 'timetables', operation.timetableId));
+    await createTimetableVersion(operation.timetableId, snapshot.data()?.schedule || {}, operation.version);
+  }
+};
+
+const replayImport = async (operation, report) => {
+  const snapshot = await getDoc(doc(db, 'timetables', operation.timetableId));
+  const revision = snapshot.exists() ? snapshot.data().revision || 0 : 0;
+  if (operation.baseRevision !== null && operation.baseRevision !== undefined && revision !== operation.baseRevision) {
+    report.overwritten.push({ timetableId: operation.timetableId, label: describePendingOperation(operation) });
+  }
+
+  await rollbackTimetableVersion(operation.timetableId, operation.version, { author: operation.user });
+};
+
+const REPLAYERS = {
+  [PENDING_OPERATION_TYPES.SAVE_CELLS]: replaySaveCells,
+  [PENDING_OPERATION_TYPES.PUBLISH]: (operation) => publishTimetable({ ...operation.target, user: operation.user }),
+  [PENDING_OPERATION_TYPES.IMPORT]: replayImport
+};
+
+let activeReplay = null;
+
+const runReplay = async () => {
+  const report = { applied: [], conflicts: [], overwritten: [], failed: [], remaining: 0 };
+  const operations = await listPendingOperations();
+
+  for (let index = 0; index < operations.length; index++) {
+    const operation = operations[index];
+    try {
+      await REPLAYERS[operation.type](operation, report);
+      report.applied.push({ timetableId: operation.timetableId, label: describePendingOperation(operation) });
+    } catch (error) {
+      if (isOfflineError(error)) {
+        // Still offline: keep this and everything after it for the next attempt
+        report.remaining = operations.length - index;
+        break;
+      }
+      console.error('Error replaying offline operation:', error);
+      report.failed.push({
+        timetableId: operation.timetableId,
+        label: describePendingOperation(operation),
+        message: error.message
+      });
+    }
+    await removePendingOperation(operation.id);
+  }
+
+  await notifyListeners();
+  return report;
+};
+
+/**
+ * Replay the queue in order
+ * Concurrent calls share one replay.
+ * @returns {Promise<Object>} Reconciliation report
+ *   { applied, conflicts, overwritten, failed, remaining }
+ *   applied/overwritten/failed: { timetableId, label, message? }
+ *   conflicts: { timetableId, day, slot, queued, server } cells left with the server's value
+ *   remaining: operations still queued because the connection dropped again
+ */
+export const replayPendingOperations = () => {
+  if (!activeReplay) {
+    activeReplay = runReplay().finally(() => { activeReplay = null; });
+  }
+  return activeReplay;
+};
+
+/**
+ * Check whether a report needs the user's attention
+ * @param {Object} report - Report from replayPendingOperations
+ * @returns {boolean} True if something was not applied as queued
+ */
+export const reportNeedsReview = (report) =>
+  report.conflicts.length > 0 || report.overwritten.length > 0 || report.failed.length > 0;
@@ -4,6 +4,7 @@
  */
 
 import { extractFacultyId } from './conflictDetection.js';
+import { getCellSession, getCellSessions } from './timetableOperations.js';
 import { deepCopy } from './utils.js';
 
 /**
@@ -26,30 +27,32 @@ export const TimetableIndex = {
     
     Object.keys(timetableData).forEach(day => {
       Object.keys(timetableData[day] || {}).forEach(slot => {
-        const course = timetableData[day][slot];
-        if (!course || !course.code) return;
+        const cell = timetableData[day][slot];
+        if (!getCellSession(cell)?.code) return;
         
         const slotKey = `${day}-${slot}`;
         
-        // Index by slot
-        TimetableIndex.slotIndex.set(slotKey, course);
+        // Index by slot (the first session of a parallel sub-batch cell)
+        TimetableIndex.slotIndex.set(slotKey, getCellSession(cell));
         
-        // Index by room
-        if (course.room) {
-          if (!TimetableIndex.roomIndex.has(course.room)) {
-            TimetableIndex.roomIndex.set(course.room, new Set());
+        getCellSessions(cell).forEach(course => {
+          // Index by room
+          if (course.room) {
+            if (!TimetableIndex.roomIndex.has(course.room)) {
+              TimetableIndex.roomIndex.set(course.room, new Set());
+            }
+            TimetableIndex.roomIndex.get(course.room).add(slotKey);
           }
-          TimetableIndex.roomIndex.get(course.room).add(slotKey);
-        }
-        
-        // Index by faculty
-        const facultyId = extractFacultyId(course);
-        if (facultyId) {
-          if (!TimetableIndex.facultyIndex.has(facultyId)) {
-            TimetableIndex.facultyIndex.set(facultyId, new Set());
+          
+          // Index by faculty
+          const facultyId = extractFacultyId(course);
+          if (facultyId) {
+            if (!TimetableIndex.facultyIndex.has(facultyId)) {
+              TimetableIndex.facultyIndex.set(facultyId, new Set());
+            }
+            TimetableIndex.facultyIndex.get(facultyId).add(slotKey);
           }
-          TimetableIndex.facultyIndex.get(facultyId).add(slotKey);
-        }
+        });
       });
     });
   },
@@ -270,8 +273,7 @@ export const TimetableIndex = {
     // Count courses in original data
     Object.keys(timetableData).forEach(day => {
       Object.keys(timetableData[day] || {}).forEach(slot => {
-        const course = timetableData[day][slot];
-        if (course && course.code) {
+        if (getCellSession(timetableData[day][slot])?.code) {
           coursesInData++;
         }
       });
@@ -290,7 +292,7 @@ export const TimetableIndex = {
     // Check for orphaned index entries
     TimetableIndex.slotIndex.forEach((course, slotKey) => {
       const [day, slot] = slotKey.split('-');
-      const actualCourse = timetableData[day]?.[slot];
+      const actualCourse = getCellSession(timetableData[day]?.[slot]);
       
       if (!actualCourse || actualCourse.code !== course.code) {
         errors.push({
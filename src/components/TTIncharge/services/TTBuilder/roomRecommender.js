@@ -0,0 +1,260 @@
+/**
+ * Room Recommender
+ * Ranks the rooms a session could use in a period. A room must be free there
+ * (in this and every other timetable), seat the batch within
+ * CONFIG.ROOM_CAPACITY_MARGIN, be of the room type the course asks for and be
+ * open to the department: its own rooms, rooms nobody owns, and rooms whose
+ * owner allows other faculties in its `freeTimings`.
+ *
+ * Among those, rooms score better the fewer seats they waste, the more of the
+ * required equipment they have, when the department owns them and the closer
+ * they are to the room the batch was in before (ROOM_RECOMMENDER_WEIGHTS).
+ */
+
+import { CONFIG, ROOM_RECOMMENDER_WEIGHTS } from './constants.js';
+import { getWeekDays, getDaySlots } from './timeGrid.js';
+import { normalizeTimeSlot } from './timeSlotParser.js';
+import {
+  getCellSessions, setCellSession, getSessionSpan, getSpanSlots, sessionsShareStudents
+} from './timetableOperations.js';
+import { checkRoomRequirement } from './roomRequirements.js';
+
+const getRoomKey = (room) => room?.id || room?.number || null;
+
+const getSessionRoomId = (session) => session?.roomId || session?.roomNumber || session?.room || null;
+
+const getRoomLabel = (room) => room?.number || room?.name || room?.id || 'room';
+
+/**
+ * Read a room's free timings into one shape
+ * Room Management stores `{ monday: [slots] }`; Room Availability stores
+ * `[{ Monday: [slots] }]`. Both become lower-case days with grid-label slots.
+ * @param {Object|Array} freeTimings - `freeTimings` field of the room
+ * @returns {Object} { [day]: Set of slots }
+ */
+export const normalizeFreeTimings = (freeTimings) => {
+  const entries = Array.isArray(freeTimings)
+    ? freeTimings.flatMap(entry => Object.entries(entry || {}))
+    : Object.entries(freeTimings || {});
+
+  return entries.reduce((timings, [day, slots]) => {
+    const key = day.toLowerCase();
+    if (!timings[key]) timings[key] = new Set();
+    (slots || []).forEach(slot => timings[key].add(normalizeTimeSlot(slot) || slot));
+    return timings;
+  }, {});
+};
+
+/**
+ * Whether a department may use a room in some periods
+ * @param {Object} room - Room with `faculty` (or `department`), `allowOtherFaculties` and `freeTimings`
+ * @param {Array} departments - Names and IDs the department goes by
+ * @param {string} day - Day of the week
+ * @param {Array} slots - Periods the session covers
+ * @returns {Object} { allowed, owned, borrowed, owner }
+ */
+export const getRoomAccess = (room, departments, day, slots) => {
+  const owner = room?.department || room?.faculty || '';
+  if (!owner) {
+    return { allowed: true, owned: false, borrowed: false, owner };
+  }
+
+  const names = departments.filter(Boolean).map(name => String(name).toLowerCase());
+  if (names.includes(owner.toLowerCase())) {
+    return { allowed: true, owned: true, borrowed: false, owner };
+  }
+
+  const freeSlots = normalizeFreeTimings(room.freeTimings)[day.toLowerCase()];
+  const allowed = Boolean(room.allowOtherFaculties) && Boolean(freeSlots) &&
+    slots.every(slot => freeSlots.has(normalizeTimeSlot(slot) || slot));
+  return { allowed, owned: false, borrowed: allowed, owner };
+};
+
+/**
+ * How far apart two rooms are: 0 the same room, 1 the same floor,
+ * 2 another floor of the building, 3 another (or an unknown) building
+ * @param {Object} from - Room the batch was in
+ * @param {Object} to - Candidate room
+ * @returns {number} Distance in steps
+ */
+export const getRoomDistance = (from, to) => {
+  if (getRoomKey(from) === getRoomKey(to)) return 0;
+  if (!from?.building || from.building !== to?.building) return 3;
+  return String(from.floor ?? '') === String(to.floor ?? '') ? 1 : 2;
+};
+
+/**
+ * The room of the batch's last session before a period on the same day
+ * @param {Object} timetableData - Batch timetable
+ * @param {string} day - Day of the week
+ * @param {string} slot - Period the session starts in
+ * @param {Object} session - Session being placed (its sub-batch decides which sessions count)
+ * @param {Array} rooms - Known rooms
+ * @returns {Object|null} Room, or null if the batch has no earlier session with a room that day
+ */
+export const getPreviousRoom = (timetableData, day, slot, session, rooms) => {
+  const daySlots = getDaySlots(day);
+  const earlierSlots = daySlots.slice(0, Math.max(0, daySlots.indexOf(slot))).reverse();
+
+  for (const earlierSlot of earlierSlots) {
+    const previous = getCellSessions(timetableData?.[day]?.[earlierSlot])
+      .find(existing => getSessionRoomId(existing) && sessionsShareStudents(existing, session));
+    if (previous) {
+      return rooms.find(room => getRoomKey(room) === getSessionRoomId(previous)) || null;
+    }
+  }
+  return null;
+};
+
+// Whether a room is booked in any of the periods, here or in another timetable
+const isRoomBooked = (room, day, slots, context) => {
+  const roomId = getRoomKey(room);
+  return slots.some(slot =>
+    getCellSessions(context.timetableData?.[day]?.[slot]).some(existing => getSessionRoomId(existing) === roomId) ||
+    (context.occupancy && context.occupancy.getRoomBookings(roomId, day, slot, context.timetableId).length > 0)
+  );
+};
+
+/**
+ * Rank the rooms a session could use in a period
+ * @param {Object} session - Course block or entry (with `sessionRequirements` for requirement checks)
+ * @param {string} day - Day of the week
+ * @param {string} slot - Period the session starts in
+ * @param {Object} context - Recommender context
+ * @param {Object} context.timetableData - Batch timetable without the session
+ * @param {Array} context.rooms - Rooms from fetchRooms
+ * @param {number} context.batchSize - Students in the batch
+ * @param {Array} context.departments - Names and IDs of the batch's department
+ * @param {Object} context.occupancy - OccupancyIndex, for bookings in other timetables
+ * @param {string} context.timetableId - Timetable being edited (ignored in the occupancy index)
+ * @param {Object} context.weights - Overrides for ROOM_RECOMMENDER_WEIGHTS
+ * @returns {Array} { room, score, reasons }, best first
+ */
+export const recommendRooms = (session, day, slot, context) => {
+  const spanSlots = getSpanSlots(slot, getSessionSpan(session));
+  if (!spanSlots) return [];
+
+  const weights = { ...ROOM_RECOMMENDER_WEIGHTS, ...(context.weights || {}) };
+  const rooms = context.rooms || [];
+  const previousRoom = getPreviousRoom(context.timetableData, day, slot, session, rooms);
+  // Sub-batches fill only part of a room, so only whole-batch sessions are held to its capacity
+  const seats = session.subBatch ? 0 : context.batchSize || 0;
+  const recommendations = [];
+
+  rooms.forEach(room => {
+    if (room.active === false || isRoomBooked(room, day, spanSlots, context)) return;
+
+    if (seats && room.capacity && seats > Math.floor(room.capacity * CONFIG.ROOM_CAPACITY_MARGIN)) return;
+
+    const requirement = checkRoomRequirement(room, session);
+    if (!requirement.typeMatches) return;
+
+    const access = getRoomAccess(room, context.departments || [], day, spanSlots);
+    if (!access.allowed) return;
+
+    const reasons = [];
+    let score = 0;
+
+    if (seats && room.capacity) {
+      score -= (Math.max(0, room.capacity - seats) / room.capacity) * weights.ROOM_FIT;
+      if (seats > room.capacity * 0.8) score -= weights.NEAR_CAPACITY;
+      reasons.push(`${room.capacity} seats for ${seats} students`);
+    }
+
+    if (requirement.missingFeatures.length > 0) {
+      score -= requirement.missingFeatures.length * weights.MISSING_FEATURE;
+      reasons.push(`No ${requirement.missingFeatures.join(', ')}`);
+    } else if (requirement.requirement.features.length > 0) {
+      reasons.push('Has the required equipment');
+    }
+
+    if (access.owned) {
+      score += weights.OWN_DEPARTMENT;
+      reasons.push('Department room');
+    } else if (access.borrowed) {
+      score -= weights.BORROWED;
+      reasons.push(`Free timing lent by ${access.owner}`);
+    }
+
+    if (previousRoom) {
+      const distance = getRoomDistance(previousRoom, room);
+      score -= distance * weights.DISTANCE;
+      reasons.push(distance === 0
+        ? 'Same room as the previous class'
+        : `${['', 'Same floor as', 'Same building as', 'Away from'][distance]} ${getRoomLabel(previousRoom)}`);
+    }
+
+    recommendations.push({ room, score: Math.round(score * 100) / 100, reasons });
+  });
+
+  return recommendations.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Put a placed session in another room, in every period it covers
+ * @param {Object} timetableData - Batch timetable
+ * @param {string} day - Day of the week
+ * @param {string} slot - Period the session starts in
+ * @param {Object} session - The placed session
+ * @param {Object} room - New room
+ * @returns {Object} Updated timetable
+ */
+export const setSessionRoom = (timetableData, day, slot, session, room) => {
+  const roomId = getRoomKey(room) || '';
+  const roomFields = {
+    roomId,
+    roomNumber: roomId,
+    roomName: room?.name || room?.type || '',
+    room: roomId
+  };
+  const spanSlots = getSpanSlots(slot, getSessionSpan(session)) || [slot];
+
+  return {
+    ...timetableData,
+    [day]: spanSlots.reduce((daySchedule, spanSlot) => {
+      const placed = getCellSessions(daySchedule[spanSlot])
+        .find(existing => existing.code === session.code && sessionsShareStudents(existing, session));
+      return placed
+        ? { ...daySchedule, [spanSlot]: setCellSession(daySchedule[spanSlot], { ...placed, ...roomFields }) }
+        : daySchedule;
+    }, { ...(timetableData[day] || {}) })
+  };
+};
+
+/**
+ * Sessions of the timetable that have no room yet (starting cells only)
+ * @param {Object} timetableData - Batch timetable
+ * @returns {Array} { day, slot, session }
+ */
+export const getRoomlessSessions = (timetableData) =>
+  getWeekDays().flatMap(day => getDaySlots(day).flatMap(slot =>
+    getCellSessions(timetableData?.[day]?.[slot])
+      .filter(session => session.code && !session.isContinuation && !getSessionRoomId(session))
+      .map(session => ({ day, slot, session }))
+  ));
+
+/**
+ * Give every room-less session its best free room
+ * Sessions are taken in week order; rooms handed out earlier count as booked.
+ * @param {Object} timetableData - Batch timetable
+ * @param {Object} context - Recommender context (see recommendRooms), timetableData aside
+ * @param {Function} getSessionDetails - Optional; adds course fields (e.g. requirements) to a placed session
+ * @returns {Object} { timetable, assigned: [{ day, slot, code, room }], unassigned: [{ day, slot, code }] }
+ */
+export const assignRoomlessSessions = (timetableData, context, getSessionDetails = session => session) => {
+  let timetable = timetableData;
+  const assigned = [];
+  const unassigned = [];
+
+  getRoomlessSessions(timetableData).forEach(({ day, slot, session }) => {
+    const [best] = recommendRooms(getSessionDetails(session), day, slot, { ...context, timetableData: timetable });
+    if (!best) {
+      unassigned.push({ day, slot, code: session.code });
+      return;
+    }
+    timetable = setSessionRoom(timetable, day, slot, session, best.room);
+    assigned.push({ day, slot, code: session.code, room: best.room });
+  });
+
+  return { timetable, assigned, unassigned };
+};
@@ -0,0 +1,102 @@
+/**
+ * Room Requirements
+ * Courses declare what each L/T/P component needs from its room as
+ * `sessionRequirements` on the course document:
+ *
+ *   {
+ *     lecture:   { roomType: '', features: ['Projector'] },
+ *     tutorial:  { roomType: '', features: [] },
+ *     practical: { roomType: 'Electronics Lab', features: ['Oscilloscopes'] }
+ *   }
+ *
+ * Room types and features are the ones rooms carry from Room Management
+ * (`type`, `features`). A wrong room type blocks a placement; missing
+ * features only warn.
+ */
+
+import { getSessionSpan } from './timetableOperations.js';
+
+export const SESSION_COMPONENTS = {
+  LECTURE: 'lecture',
+  TUTORIAL: 'tutorial',
+  PRACTICAL: 'practical'
+};
+
+export const SESSION_COMPONENT_LABELS = {
+  [SESSION_COMPONENTS.LECTURE]: 'Lecture',
+  [SESSION_COMPONENTS.TUTORIAL]: 'Tutorial',
+  [SESSION_COMPONENTS.PRACTICAL]: 'Practical'
+};
+
+const normalizeRequirement = (requirement) => ({
+  roomType: requirement?.roomType || '',
+  features: Array.isArray(requirement?.features) ? requirement.features : []
+});
+
+/**
+ * Read the session requirements stored on a course, filling in defaults
+ * @param {Object} requirements - `sessionRequirements` field of the course (may be missing)
+ * @returns {Object} { lecture, tutorial, practical }, each { roomType, features }
+ */
+export const normalizeSessionRequirements = (requirements) =>
+  Object.fromEntries(Object.values(SESSION_COMPONENTS).map(component => [
+    component,
+    normalizeRequirement(requirements?.[component])
+  ]));
+
+/**
+ * Check whether a course declares any room requirement
+ * @param {Object} requirements - Session requirements (normalised or stored)
+ * @returns {boolean} True if any component asks for a room type or feature
+ */
+export const hasSessionRequirements = (requirements) =>
+  Object.values(normalizeSessionRequirements(requirements))
+    .some(requirement => requirement.roomType || requirement.features.length > 0);
+
+/**
+ * Which L/T/P component a session is
+ * An explicit `component` wins; otherwise multi-period and sub-batch sessions are
+ * practicals and the rest lectures.
+ * @param {Object} session - Course block or timetable entry
+ * @returns {string} A SESSION_COMPONENTS value
+ */
+export const getSessionComponent = (session) => {
+  if (Object.values(SESSION_COMPONENTS).includes(session?.component)) {
+    return session.component;
+  }
+  return getSessionSpan(session) > 1 || session?.subBatch
+    ? SESSION_COMPONENTS.PRACTICAL
+    : SESSION_COMPONENTS.LECTURE;
+};
+
+/**
+ * Check a room against what a session needs
+ * @param {Object} room - Room with `type` and `features`
+ * @param {Object} session - Course block or entry carrying `sessionRequirements`
+ * @returns {Object} { component, requirement, typeMatches, missingFeatures, isCompatible }
+ */
+export const checkRoomRequirement = (room, session) => {
+  const component = getSessionComponent(session);
+  const requirement = normalizeSessionRequirements(session?.sessionRequirements)[component];
+  const roomFeatures = room?.features || room?.facilities || [];
+  const typeMatches = !requirement.roomType ||
+    String(room?.type || '').toLowerCase() === requirement.roomType.toLowerCase();
+  const missingFeatures = requirement.features.filter(feature => !roomFeatures.includes(feature));
+
+  return {
+    component,
+    requirement,
+    typeMatches,
+    missingFeatures,
+    isCompatible: typeMatches && missingFeatures.length === 0
+  };
+};
+
+/**
+ * Rooms that meet a session's requirements
+ * @param {Array} rooms - Rooms to choose from
+ * @param {Object} session - Course block or entry carrying `sessionRequirements`
+ * @returns {Array} Compatible rooms, in the given order
+ */
+export const getCompatibleRooms = (rooms, session) =>
+  rooms.filter(room => checkRoomRequirement(room, session).isCompatible);
@@ -0,0 +1,133 @@
+/**
+ * Schedule Diff
+ * Cell-level comparison of two timetable schedules
+ *
+ * A session is identified by its course code and sub-batch. Placements of the
+ * same session that exist in both schedules are matched first; leftovers are
+ * paired into moves, and anything still unmatched was added or removed.
+ */
+
+import { getCellSessions } from './timetableOperations.js';
+
+const getSessionKey = (session) => `${session.code || session.courseCode || ''}|${session.subBatch || ''}`;
+
+const getRoomLabel = (session) => session.roomNumber || session.roomName || session.room || session.roomId || '';
+const getTeacherLabel = (session) => session.teacherName || session.teacher || session.teacherId || '';
+
+/**
+ * List the sessions that start in each cell of a schedule
+ * Continuation cells of multi-period sessions are skipped so a session counts once.
+ * @param {Object} schedule - Timetable schedule
+ * @returns {Map} Session key -> placements { day, slot, session }
+ */
+const collectPlacements = (schedule = {}) => {
+  const placements = new Map();
+
+  Object.keys(schedule || {}).forEach(day => {
+    Object.keys(schedule[day] || {}).forEach(slot => {
+      getCellSessions(schedule[day][slot]).forEach(session => {
+        if (session.isContinuation || !(session.code || session.courseCode)) return;
+
+        const key = getSessionKey(session);
+        if (!placements.has(key)) placements.set(key, []);
+        placements.get(key).push({ day, slot, session });
+      });
+    });
+  });
+
+  return placements;
+};
+
+/**
+ * One-line label for a cell, e.g. "CS301 · LH-2 / CS302 [B1] (cont.)"
+ * @param {Object|null} cell - Schedule cell
+ * @returns {string} Label, or 'Empty'
+ */
+export const describeScheduleCell = (cell) => {
+  const sessions = getCellSessions(cell);
+  if (sessions.length === 0) return 'Empty';
+
+  return sessions.map(session => {
+    const code = session.code || session.courseCode || '?';
+    const subBatch = session.subBatch ? ` [${session.subBatch}]` : '';
+    const room = getRoomLabel(session);
+    const continuation = session.isContinuation ? ' (cont.)' : '';
+    return `${code}${subBatch}${room ? ` · ${room}` : ''}${continuation}`;
+  }).join(' / ');
+};
+
+const describeChange = (before, after) => {
+  const changes = [];
+  if (getRoomLabel(before) !== getRoomLabel(after)) {
+    changes.push({ field: 'room', from: getRoomLabel(before), to: getRoomLabel(after) });
+  }
+  if (getTeacherLabel(before) !== getTeacherLabel(after)) {
+    changes.push({ field: 'teacher', from: getTeacherLabel(before), to: getTeacherLabel(after) });
+  }
+  if ((before.span || 1) !== (after.span || 1)) {
+    changes.push({ field: 'span', from: before.span || 1, to: after.span || 1 });
+  }
+  return changes;
+};
+
+/**
+ * Compare two schedules cell by cell
+ * @param {Object} fromSchedule - Older schedule
+ * @param {Object} toSchedule - Newer schedule
+ * @returns {Object} { added, removed, moved, changed, total }
+ *   added/removed: { day, slot, session }
+ *   moved: { session, from: { day, slot }, to: { day, slot } }
+ *   changed: { day, slot, session, changes: [{ field, from, to }] } (same cell, different room, teacher or length)
+ */
+export const diffSchedules = (fromSchedule, toSchedule) => {
+  const before = collectPlacements(fromSchedule);
+  const after = collectPlacements(toSchedule);
+  const diff = { added: [], removed: [], moved: [], changed: [] };
+
+  new Set([...before.keys(), ...after.keys()]).forEach(key => {
+    const oldPlacements = [...(before.get(key) || [])];
+    const newPlacements = [...(after.get(key) || [])];
+
+    // Placements in the same cell are unchanged apart from room, teacher or length
+    for (let i = oldPlacements.length - 1; i >= 0; i--) {
+      const old = oldPlacements[i];
+      const matchIndex = newPlacements.findIndex(placement => placement.day === old.day && placement.slot === old.slot);
+      if (matchIndex === -1) continue;
+
+      const [match] = newPlacements.splice(matchIndex, 1);
+      oldPlacements.splice(i, 1);
+
+      const changes = describeChange(old.session, match.session);
+      if (changes.length > 0) {
+        diff.changed.push({ day: match.day, slot: match.slot, session: match.session, changes });
+      }
+    }
+
+    // Remaining placements of the same session pair up as moves
+    while (oldPlacements.length > 0 && newPlacements.length > 0) {
+      const old = oldPlacements.shift();
+      const placement = newPlacements.shift();
+      diff.moved.push({
+        session: placement.session,
+        from: { day: old.day, slot: old.slot },
+        to: { day: placement.day, slot: placement.slot }
+      });
+    }
+
+    diff.removed.push(...oldPlacements);
+    diff.added.push(...newPlacements);
+  });
+
+  return {
+    ...diff,
+    total: diff.added.length + diff.removed.length + diff.moved.length + diff.changed.length
+  };
+};
+
+/**
+ * Count the sessions placed in a schedule
+ * @param {Object} schedule - Timetable schedule
+ * @returns {number} Number of sessions (multi-period sessions count once)
+ */
+export const countScheduledSessions = (schedule) =>
+  [...collectPlacements(schedule).values()].reduce((total, placements) => total + placements.length, 0);
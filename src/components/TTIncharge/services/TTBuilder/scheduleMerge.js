@@ -0,0 +1,65 @@
+/**
+ * Schedule Merge
+ * Three-way, cell-level merge of timetable schedules
+ *
+ * `base` is the schedule both sides started from (the last stored schedule the
+ * builder applied), `local` holds this browser's edits and `remote` the schedule
+ * now stored. A cell changed on one side only takes that side's value; a cell
+ * both sides changed differently is a conflict and keeps the preferred side.
+ */
+
+import { isSameCell } from './utils.js';
+
+export const MERGE_PREFERENCE = {
+  LOCAL: 'local',
+  REMOTE: 'remote'
+};
+
+/**
+ * Merge remote changes into a local schedule
+ * @param {Object} base - Common ancestor schedule
+ * @param {Object} local - Schedule with this browser's edits
+ * @param {Object} remote - Latest stored schedule
+ * @param {Object} options - { prefer: MERGE_PREFERENCE value for conflicting cells }
+ * @returns {Object} { schedule, remoteCells, conflicts }
+ *   remoteCells: { day, slot } cells taken from remote that differ from local
+ *   conflicts: { day, slot, base, local, remote } cells both sides changed differently
+ */
+export const mergeSchedules = (base, local, remote, { prefer = MERGE_PREFERENCE.LOCAL } = {}) => {
+  const schedule = {};
+  const remoteCells = [];
+  const conflicts = [];
+  const days = new Set([...Object.keys(base || {}), ...Object.keys(local || {}), ...Object.keys(remote || {})]);
+
+  days.forEach(day => {
+    schedule[day] = {};
+    const slots = new Set([
+      ...Object.keys(base?.[day] || {}),
+      ...Object.keys(local?.[day] || {}),
+      ...Object.keys(remote?.[day] || {})
+    ]);
+
+    slots.forEach(slot => {
+      const baseCell = base?.[day]?.[slot] ?? null;
+      const localCell = local?.[day]?.[slot] ?? null;
+      const remoteCell = remote?.[day]?.[slot] ?? null;
+      const localChanged = !isSameCell(baseCell, localCell);
+      const remoteChanged = !isSameCell(baseCell, remoteCell);
+
+      let value = localCell;
+      if (remoteChanged && !localChanged) {
+        value = remoteCell;
+      } else if (remoteChanged && localChanged && !isSameCell(localCell, remoteCell)) {
+        conflicts.push({ day, slot, base: baseCell, local: localCell, remote: remoteCell });
+        value = prefer === MERGE_PREFERENCE.REMOTE ? remoteCell : localCell;
+      }
+
+      if (value !== localCell && !isSameCell(value, localCell)) {
+        remoteCells.push({ day, slot });
+      }
+      schedule[day][slot] = value;
+    });
+  });
+
+  return { schedule, remoteCells, conflicts };
+};
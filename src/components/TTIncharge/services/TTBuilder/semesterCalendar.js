@@ -0,0 +1,243 @@
+/**
+ * Semester Calendar
+ * Real dates behind a semester's weekly timetable. Each `semesters` document may
+ * carry a `calendar` (dates written 'YYYY-MM-DD'):
+ *
+ *   {
+ *     startDate: '2026-07-27', endDate: '2026-11-27',
+ *     holidays: [{ date: '2026-10-20', name: 'Dussehra' }],
+ *     examBlocks: [{ name: 'Mid-semester exams', startDate: '2026-09-14', endDate: '2026-09-19' }],
+ *     midSemesterBreak: { startDate: '2026-10-05', endDate: '2026-10-10' }
+ *   }
+ *
+ * Weeks run Monday to Sunday and are numbered from the week the semester starts.
+ * A teaching day is a working day of the time grid inside the semester that is no
+ * holiday, exam day or break day.
+ */
+
+import { getWeekDays, getDaySlots } from './timeGrid.js';
+import { getCellSessions } from './timetableOperations.js';
+import { parseDateKey, addDays, getDayOfDate, getWeekStart } from './dateKeys.js';
+
+// Weeks assumed when a semester has no dates yet
+export const DEFAULT_SEMESTER_WEEKS = 16;
+
+export const CLOSURE_TYPES = {
+  HOLIDAY: 'holiday',
+  EXAM: 'exam',
+  BREAK: 'break'
+};
+
+const toRange = (range) => parseDateKey(range?.startDate) && parseDateKey(range?.endDate)
+  ? { startDate: range.startDate, endDate: range.endDate }
+  : null;
+
+const inRange = (dateKey, range) => Boolean(range) && range.startDate <= dateKey && dateKey <= range.endDate;
+
+/**
+ * Read the calendar stored on a semester, dropping unreadable dates
+ * @param {Object} calendar - `calendar` field of the semester (may be missing)
+ * @returns {Object} { startDate, endDate, holidays, examBlocks, midSemesterBreak }
+ */
+export const normalizeSemesterCalendar = (calendar) => ({
+  startDate: parseDateKey(calendar?.startDate) ? calendar.startDate : null,
+  endDate: parseDateKey(calendar?.endDate) ? calendar.endDate : null,
+  holidays: (Array.isArray(calendar?.holidays) ? calendar.holidays : [])
+    .filter(holiday => parseDateKey(holiday?.date))
+    .map(holiday => ({ date: holiday.date, name: String(holiday.name || '').trim() }))
+    .sort((a, b) => a.date.localeCompare(b.date)),
+  examBlocks: (Array.isArray(calendar?.examBlocks) ? calendar.examBlocks : [])
+    .filter(block => toRange(block))
+    .map(block => ({ name: String(block.name || '').trim(), ...toRange(block) }))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate)),
+  midSemesterBreak: toRange(calendar?.midSemesterBreak)
+});
+
+/**
+ * Whether a calendar has the dates the week and day counts need
+ * @param {Object} calendar - Normalised calendar
+ * @returns {boolean} True if the start and end dates are set
+ */
+export const hasSemesterDates = (calendar) => Boolean(calendar?.startDate && calendar?.endDate && calendar.startDate <= calendar.endDate);
+
+/**
+ * Check a calendar before saving
+ * @param {Object} calendar - Calendar as edited
+ * @returns {Array} Error messages; empty when valid
+ */
+export const validateSemesterCalendar = (calendar = {}) => {
+  const errors = [];
+  const { startDate, endDate } = calendar;
+
+  if (!startDate && !endDate) return errors;
+  if (!parseDateKey(startDate) || !parseDateKey(endDate)) {
+    errors.push('Enter both the first and the last day of the semester');
+    return errors;
+  }
+  if (startDate > endDate) {
+    errors.push('The semester cannot end before it starts');
+    return errors;
+  }
+
+  const outside = (date) => date < startDate || date > endDate;
+  (calendar.holidays || []).forEach(holiday => {
+    if (!parseDateKey(holiday.date)) {
+      errors.push(`${holiday.name || 'A holiday'} needs a date`);
+    } else if (outside(holiday.date)) {
+      errors.push(`${holiday.name || holiday.date} falls outside the semester`);
+    }
+  });
+  (calendar.examBlocks || []).forEach(block => {
+    if (!toRange(block) || block.startDate > block.endDate) {
+      errors.push(`${block.name || 'An exam block'} needs a start date on or before its end date`);
+    } else if (outside(block.startDate) || outside(block.endDate)) {
+      errors.push(`${block.name || 'An exam block'} runs outside the semester`);
+    }
+  });
+  const midBreak = calendar.midSemesterBreak;
+  if (midBreak && (midBreak.startDate || midBreak.endDate)) {
+    if (!toRange(midBreak) || midBreak.startDate > midBreak.endDate) {
+      errors.push('The mid-semester break needs a start date on or before its end date');
+    } else if (outside(midBreak.startDate) || outside(midBreak.endDate)) {
+      errors.push('The mid-semester break runs outside the semester');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Why no classes are held on a date
+ * @param {Object} calendar - Normalised calendar
+ * @param {string} dateKey - Date key
+ * @returns {Object|null} { type, label } with a CLOSURE_TYPES type, or null on a teaching day
+ */
+export const getDateClosure = (calendar, dateKey) => {
+  const holiday = calendar.holidays.find(item => item.date === dateKey);
+  if (holiday) return { type: CLOSURE_TYPES.HOLIDAY, label: holiday.name || 'Holiday' };
+
+  const exams = calendar.examBlocks.find(block => inRange(dateKey, block));
+  if (exams) return { type: CLOSURE_TYPES.EXAM, label: exams.name || 'Exams' };
+
+  if (inRange(dateKey, calendar.midSemesterBreak)) {
+    return { type: CLOSURE_TYPES.BREAK, label: 'Mid-semester break' };
+  }
+  return null;
+};
+
+/**
+ * Whether classes are held on a date
+ * @param {Object} calendar - Normalised calendar
+ * @param {string} dateKey - Date key
+ * @returns {boolean} True on a working day of the time grid inside the semester with no closure
+ */
+export const isTeachingDay = (calendar, dateKey) =>
+  hasSemesterDates(calendar) &&
+  calendar.startDate <= dateKey && dateKey <= calendar.endDate &&
+  getWeekDays().includes(getDayOfDate(dateKey)) &&
+  !getDateClosure(calendar, dateKey);
+
+/**
+ * The weeks of a semester
+ * @param {Object} calendar - Normalised calendar
+ * @returns {Array} { number, startDate, endDate, days: [{ day, date, inSemester, closure }], teachingDays },
+ *   dates limited to the working days of the time grid; empty without semester dates
+ */
+export const getSemesterWeeks = (calendar) => {
+  if (!hasSemesterDates(calendar)) return [];
+
+  const weeks = [];
+  for (let monday = getWeekStart(calendar.startDate); monday <= calendar.endDate; monday = addDays(monday, 7)) {
+    const days = Array.from({ length: 7 }, (_, offset) => addDays(monday, offset))
+      .map(date => ({ day: getDayOfDate(date), date }))
+      .filter(({ day }) => getWeekDays().includes(day))
+      .map(({ day, date }) => ({
+        day,
+        date,
+        inSemester: calendar.startDate <= date && date <= calendar.endDate,
+        closure: getDateClosure(calendar, date)
+      }));
+    const semesterDays = days.filter(day => day.inSemester);
+
+    weeks.push({
+      number: weeks.length + 1,
+      startDate: semesterDays[0]?.date || monday,
+      endDate: semesterDays[semesterDays.length - 1]?.date || monday,
+      days,
+      teachingDays: semesterDays.filter(day => !day.closure).length
+    });
+  }
+  return weeks;
+};
+
+/**
+ * Number of the semester week a date falls in
+ * @param {Object} calendar - Normalised calendar
+ * @param {string} dateKey - Date key
+ * @returns {number|null} Week number, or null outside the semester
+ */
+export const getWeekNumberForDate = (calendar, dateKey) => {
+  if (!hasSemesterDates(calendar) || dateKey < calendar.startDate || dateKey > calendar.endDate) return null;
+  const days = Math.round((parseDateKey(getWeekStart(dateKey)) - parseDateKey(getWeekStart(calendar.startDate))) / 86400000);
+  return Math.floor(days / 7) + 1;
+};
+
+/**
+ * Label a week with its dates, e.g. 'Week 5 (12–17 Aug)' or 'Week 1 (29 Jul–3 Aug)'
+ * @param {Object} week - Week from getSemesterWeeks
+ * @returns {string} Label
+ */
+export const formatWeekLabel = (week) => {
+  const start = parseDateKey(week.startDate);
+  const end = parseDateKey(week.endDate);
+  const month = (date) => date.toLocaleDateString(undefined, { month: 'short' });
+
+  const range = week.startDate === week.endDate
+    ? `${end.getDate()} ${month(end)}`
+    : start.getMonth() === end.getMonth()
+      ? `${start.getDate()}–${end.getDate()} ${month(end)}`
+      : `${start.getDate()} ${month(start)}–${end.getDate()} ${month(end)}`;
+  return `Week ${week.number} (${range})`;
+};
+
+/**
+ * Teaching days in the semester for each working day of the week
+ * @param {Object} calendar - Normalised calendar
+ * @returns {Object} { [day]: count }
+ */
+export const countTeachingDays = (calendar) => {
+  const counts = Object.fromEntries(getWeekDays().map(day => [day, 0]));
+  getSemesterWeeks(calendar).forEach(week => {
+    week.days.forEach(({ day, inSemester, closure }) => {
+      if (inSemester && !closure) counts[day] += 1;
+    });
+  });
+  return counts;
+};
+
+/**
+ * Classes each course gets over the semester
+ * A course meets on the weekdays the timetable places it; every teaching day of
+ * such a weekday holds its periods there (a multi-period session counts each period).
+ * @param {Object} calendar - Normalised calendar
+ * @param {Object} schedule - Weekly timetable (day -> slot -> cell)
+ * @returns {Object} { [code]: { days: { [day]: { periods, teachingDays } }, totalPeriods } }
+ */
+export const getCourseTeachingDays = (calendar, schedule) => {
+  const teachingDays = countTeachingDays(calendar);
+  const courses = {};
+
+  getWeekDays().forEach(day => {
+    getDaySlots(day).forEach(slot => {
+      const codes = new Set(getCellSessions(schedule?.[day]?.[slot]).map(session => session.code).filter(Boolean));
+      codes.forEach(code => {
+        if (!courses[code]) courses[code] = { days: {}, totalPeriods: 0 };
+        if (!courses[code].days[day]) courses[code].days[day] = { periods: 0, teachingDays: teachingDays[day] };
+        courses[code].days[day].periods += 1;
+        courses[code].totalPeriods += teachingDays[day];
+      });
+    });
+  });
+
+  return courses;
+};
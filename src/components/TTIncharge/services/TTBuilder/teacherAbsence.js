@@ -0,0 +1,235 @@
+/**
+ * Teacher Absences and Substitutions
+ * A teacher on leave is recorded as an absence for a date range
+ * ({ teacherId, startDate, endDate }, dates written 'YYYY-MM-DD'). Every session
+ * the teacher has in a published timetable on those dates needs cover. The cover
+ * is a substitution: a dated override of one session that leaves the published
+ * timetable itself untouched.
+ *
+ *   { date, day, slot, slots, timetableId, batch, courseCode, subBatch,
+ *     teacherId, teacherName, substituteId, substituteName, absenceId }
+ *
+ * Substitutes come from the absent teacher's department. They must be free in
+ * every period of the session, not on leave themselves and under their weekly
+ * limit (workload policy, else `maxHours`). Expertise matching the course ranks
+ * first, then spare load and a light day (SUBSTITUTE_WEIGHTS).
+ */
+
+import { SUBSTITUTE_WEIGHTS } from './constants.js';
+import { getWeekDays, getDaySlots } from './timeGrid.js';
+import { parseDateKey, addDays, getDayOfDate, getWeekStart } from './dateKeys.js';
+import { getCellSessions, getSessionSpan, getSpanSlots } from './timetableOperations.js';
+import { extractFacultyId } from './conflictDetection.js';
+import { getAvailabilityKey } from './teacherAvailability.js';
+import {
+  WORKLOAD_RULES, getTeacherWorkloadPolicy, evaluateWorkload, getNewWorkloadViolations
+} from './workloadPolicy.js';
+
+// Longest absence expanded into dates, so a mistyped year cannot run away
+const MAX_ABSENCE_DAYS = 366;
+
+/**
+ * Working days an absence covers
+ * @param {Object} absence - { startDate, endDate }
+ * @returns {Array} { date, day } for each date on a working day of the time grid
+ */
+export const getAbsenceDates = (absence) => {
+  if (!parseDateKey(absence?.startDate) || !parseDateKey(absence?.endDate)) return [];
+
+  const dates = [];
+  for (let date = absence.startDate, count = 0; date <= absence.endDate && count < MAX_ABSENCE_DAYS; date = addDays(date, 1), count++) {
+    const day = getDayOfDate(date);
+    if (getWeekDays().includes(day)) dates.push({ date, day });
+  }
+  return dates;
+};
+
+/**
+ * Whether a teacher is on leave on a date
+ * @param {Array} absences - Recorded absences
+ * @param {string} teacherId - Teacher ID
+ * @param {string} dateKey - Date key
+ * @returns {boolean} True if an absence covers the date
+ */
+export const isTeacherAbsent = (absences, teacherId, dateKey) =>
+  absences.some(absence => absence.teacherId === teacherId && absence.startDate <= dateKey && dateKey <= absence.endDate);
+
+/**
+ * ID of the substitution for one session on one date
+ * @param {Object} session - { timetableId, date, slot, subBatch }
+ * @returns {string} Document ID (one override per session and date)
+ */
+export const getSubstitutionKey = ({ timetableId, date, slot, subBatch }) =>
+  [timetableId, date, slot, subBatch || 'all'].join('_').replace(/[^\w:-]/g, '_');
+
+/**
+ * Sessions an absent teacher has in the published timetables
+ * @param {Array} timetables - Published timetables (workflow states with `publishedSchedule`)
+ * @param {Object} absence - { teacherId, startDate, endDate }
+ * @returns {Array} { key, date, day, slot, slots, timetableId, semester, branch, batch, session }, in date order
+ */
+export const getAffectedSessions = (timetables, absence) =>
+  getAbsenceDates(absence).flatMap(({ date, day }) =>
+    getDaySlots(day).flatMap(slot => timetables.flatMap(timetable =>
+      getCellSessions(timetable.publishedSchedule?.[day]?.[slot])
+        .filter(session => session.code && !session.isContinuation && extractFacultyId(session) === absence.teacherId)
+        .map(session => ({
+          key: getSubstitutionKey({ timetableId: timetable.id, date, slot, subBatch: session.subBatch }),
+          date,
+          day,
+          slot,
+          slots: getSpanSlots(slot, getSessionSpan(session)) || [slot],
+          timetableId: timetable.id,
+          semester: timetable.semester,
+          branch: timetable.branch,
+          batch: timetable.batch,
+          session
+        }))
+    ))
+  );
+
+/**
+ * Periods every teacher has in the published timetables
+ * @param {Array} timetables - Published timetables
+ * @returns {Object} { [teacherId]: [{ day, slot, code }] }, continuation periods included
+ */
+export const getPublishedPeriods = (timetables) => {
+  const periods = {};
+  timetables.forEach(timetable => {
+    Object.entries(timetable.publishedSchedule || {}).forEach(([day, daySchedule]) => {
+      Object.entries(daySchedule || {}).forEach(([slot, cell]) => {
+        getCellSessions(cell).forEach(session => {
+          const teacherId = extractFacultyId(session);
+          if (!teacherId) return;
+          if (!periods[teacherId]) periods[teacherId] = [];
+          periods[teacherId].push({ day, slot, code: session.code });
+        });
+      });
+    });
+  });
+  return periods;
+};
+
+/**
+ * Expertise of a teacher that fits a course
+ * An area fits when it names the course code or appears in the course title (or the title in it).
+ * @param {Object} teacher - { expertise: [areas] }
+ * @param {Object} session - Session with `code` and `name` (or `title`)
+ * @returns {string|null} The matching area, or null
+ */
+export const getMatchingExpertise = (teacher, session) => {
+  const code = String(session?.code || '').toLowerCase();
+  const title = String(session?.name || session?.title || '').toLowerCase();
+
+  return (teacher?.expertise || []).find(area => {
+    const text = String(area || '').trim().toLowerCase();
+    return text && (text === code || (title && (title.includes(text) || text.includes(title))));
+  }) || null;
+};
+
+/**
+ * Rank the teachers who could cover an affected session
+ * @param {Object} affected - Session from getAffectedSessions
+ * @param {Array} teachers - The department's teachers ({ id, name, expertise, designation, maxHours, availability })
+ * @param {Object} context - Ranking context
+ * @param {Object} context.periods - getPublishedPeriods result
+ * @param {Array} context.absences - Every recorded absence (teachers on leave cannot cover)
+ * @param {Array} context.substitutions - Recorded substitutions (covers already taken count as busy and as load)
+ * @param {Array} context.policies - Workload policies
+ * @param {Object} context.weights - Overrides for SUBSTITUTE_WEIGHTS
+ * @returns {Array} { teacher, score, expertise, reasons }, best first
+ */
+export const rankSubstitutes = (affected, teachers, context) => {
+  const weights = { ...SUBSTITUTE_WEIGHTS, ...(context.weights || {}) };
+  const absentId = extractFacultyId(affected.session);
+  const weekStart = getWeekStart(affected.date);
+  const ranked = [];
+
+  teachers.forEach(teacher => {
+    if (!teacher?.id || teacher.id === absentId || teacher.active === false) return;
+    if (isTeacherAbsent(context.absences || [], teacher.id, affected.date)) return;
+
+    const published = context.periods?.[teacher.id] || [];
+    const covers = (context.substitutions || []).filter(substitution =>
+      substitution.substituteId === teacher.id && substitution.id !== affected.key
+    );
+
+    const isBusy = affected.slots.some(slot =>
+      published.some(period => period.day === affected.day && period.slot === slot) ||
+      covers.some(cover => cover.date === affected.date && (cover.slots || [cover.slot]).includes(slot)) ||
+      teacher.availability?.unavailableSlots?.includes(getAvailabilityKey(affected.day, slot))
+    );
+    if (isBusy) return;
+
+    // The week's load: published periods plus covers already taken that week
+    const weekPeriods = [
+      ...published,
+      ...covers.filter(cover => getWeekStart(cover.date) === weekStart)
+        .flatMap(cover => (cover.slots || [cover.slot]).map(slot => ({ day: cover.day, slot })))
+    ];
+    const policy = getTeacherWorkloadPolicy(teacher, context.policies);
+    const before = evaluateWorkload(weekPeriods, policy);
+    const after = evaluateWorkload([...weekPeriods, ...affected.slots.map(slot => ({ day: affected.day, slot }))], policy);
+
+    const weeklyLimit = policy?.maxHoursPerWeek ?? (parseInt(teacher.maxHours, 10) || null);
+    const spare = weeklyLimit === null ? null : weeklyLimit - after.totalHours;
+    if (spare !== null && spare < 0) return;
+
+    const reasons = [];
+    let score = 0;
+
+    const expertise = getMatchingExpertise(teacher, affected.session);
+    if (expertise) {
+      score += weights.EXPERTISE;
+      reasons.push(`Expertise: ${expertise}`);
+    }
+
+    if (published.some(period => period.code === affected.session.code)) {
+      score += weights.TEACHES_COURSE;
+      reasons.push(`Teaches ${affected.session.code}`);
+    }
+
+    if (spare !== null) {
+      score += Math.min(spare, 10) * weights.SPARE_PERIOD;
+      reasons.push(`${spare} period${spare !== 1 ? 's' : ''} spare this week after the cover`);
+    }
+
+    const dayLoad = before.dailyHours[affected.day] || 0;
+    score -= dayLoad * weights.DAY_LOAD;
+    reasons.push(dayLoad > 0 ? `${dayLoad} period${dayLoad !== 1 ? 's' : ''} on ${affected.day}` : `Free all ${affected.day}`);
+
+    getNewWorkloadViolations(before, after)
+      .filter(violation => violation.rule !== WORKLOAD_RULES.WEEKLY_HOURS)
+      .forEach(violation => {
+        score -= weights.WORKLOAD_WARNING;
+        reasons.push(violation.message);
+      });
+
+    ranked.push({ teacher, score: Math.round(score * 100) / 100, expertise, reasons });
+  });
+
+  return ranked.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Substitutions in the week a date falls in
+ * @param {Array} substitutions - Recorded substitutions
+ * @param {string} dateKey - Any date of the week
+ * @returns {Array} Substitutions dated that week
+ */
+export const getWeekSubstitutions = (substitutions, dateKey) => {
+  const weekStart = getWeekStart(dateKey);
+  return substitutions.filter(substitution => getWeekStart(substitution.date) === weekStart);
+};
+
+/**
+ * Substitutions that cover a period of the timetable grid
+ * @param {Array} substitutions - Substitutions (usually one week's)
+ * @param {string} day - Day of the week
+ * @param {string} slot - Time slot
+ * @returns {Array} Substitutions whose session runs in that period
+ */
+export const getPeriodSubstitutions = (substitutions, day, slot) =>
+  substitutions.filter(substitution =>
+    substitution.day === day && (substitution.slots || [substitution.slot]).includes(slot)
+  );
@@ -0,0 +1,101 @@
+/**
+ * Teacher Availability
+ * Each `teachers` document may carry an `availability` object:
+ *
+ *   {
+ *     unavailableSlots: ['Monday-07:00-07:55', ...], // periods the teacher cannot take
+ *     preferredSlots: ['Tuesday-10:30-11:25', ...],  // periods the teacher would rather take
+ *     maxDaysPerWeek: 4,                             // null for no limit
+ *     preferredDayOff: 'Friday'                      // null for none
+ *   }
+ *
+ * Periods are keyed `${day}-${slot}`. Unavailable periods block a placement;
+ * the rest are preferences and only warn.
+ */
+
+import { getCellSessions } from './timetableOperations.js';
+import { getWeekDays } from './timeGrid.js';
+import { extractFacultyId } from './conflictDetection.js';
+
+export const EMPTY_TEACHER_AVAILABILITY = {
+  unavailableSlots: [],
+  preferredSlots: [],
+  maxDaysPerWeek: null,
+  preferredDayOff: null
+};
+
+// How a period looks to a teacher, for shading the grid while dragging
+export const AVAILABILITY_STATUS = {
+  UNAVAILABLE: 'unavailable',
+  DAY_OFF: 'day_off',
+  PREFERRED: 'preferred'
+};
+
+/**
+ * Key of a period in the availability lists
+ * @param {string} day - Day of the week
+ * @param {string} slot - Time slot
+ * @returns {string} `${day}-${slot}`
+ */
+export const getAvailabilityKey = (day, slot) => `${day}-${slot}`;
+
+/**
+ * Read the availability stored on a teacher document, filling in defaults
+ * @param {Object} availability - `availability` field of the document (may be missing)
+ * @returns {Object} { unavailableSlots, preferredSlots, maxDaysPerWeek, preferredDayOff }
+ */
+export const normalizeTeacherAvailability = (availability) => {
+  const maxDays = parseInt(availability?.maxDaysPerWeek, 10);
+  return {
+    unavailableSlots: Array.isArray(availability?.unavailableSlots) ? availability.unavailableSlots : [],
+    preferredSlots: Array.isArray(availability?.preferredSlots) ? availability.preferredSlots : [],
+    maxDaysPerWeek: !isNaN(maxDays) && maxDays > 0 ? maxDays : null,
+    preferredDayOff: availability?.preferredDayOff || null
+  };
+};
+
+/**
+ * Check whether a teacher has set any availability
+ * @param {Object} availability - Normalised availability
+ * @returns {boolean} True if anything would be checked
+ */
+export const hasTeacherAvailability = (availability) => Boolean(availability) && (
+  availability.unavailableSlots.length > 0 ||
+  availability.preferredSlots.length > 0 ||
+  availability.maxDaysPerWeek !== null ||
+  availability.preferredDayOff !== null
+);
+
+/**
+ * How a period looks to a teacher
+ * @param {Object} availability - Normalised availability
+ * @param {string} day - Day of the week
+ * @param {string} slot - Time slot
+ * @returns {string|null} An AVAILABILITY_STATUS value, or null for an ordinary period
+ */
+export const getTeacherSlotStatus = (availability, day, slot) => {
+  if (!availability) return null;
+
+  const key = getAvailabilityKey(day, slot);
+  if (availability.unavailableSlots.includes(key)) return AVAILABILITY_STATUS.UNAVAILABLE;
+  if (availability.preferredDayOff === day) return AVAILABILITY_STATUS.DAY_OFF;
+  if (availability.preferredSlots.includes(key)) return AVAILABILITY_STATUS.PREFERRED;
+  return null;
+};
+
+/**
+ * Days a teacher already teaches on
+ * Counts this timetable and, when an occupancy index is given, every other one.
+ * @param {Object} timetableData - Timetable being edited
+ * @param {string} teacherId - Teacher ID
+ * @param {Object} occupancy - Optional OccupancyIndex
+ * @param {string} timetableId - ID of the timetable being edited, left out of the index lookup
+ * @returns {Array} Day names
+ */
+export const getTeachingDays = (timetableData, teacherId, occupancy = null, timetableId = null) =>
+  getWeekDays().filter(day =>
+    Object.values(timetableData?.[day] || {}).some(cell =>
+      getCellSessions(cell).some(session => extractFacultyId(session) === teacherId)
+    ) ||
+    (occupancy ? occupancy.getTeacherDayLoad(teacherId, day, timetableId) > 0 : false)
+  );
@@ -0,0 +1,196 @@
+/**
+ * Time Grid
+ * Institution-configurable periods, breaks, working days and half-days
+ */
+
+import { DEFAULT_TIME_GRID, allWeekDays } from './constants.js';
+
+/**
+ * Convert a 24-hour "HH:MM" time to minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes, or NaN if the time is invalid
+ */
+export const toMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+  if (!match) return NaN;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return NaN;
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Build the slot label used as the schedule key for a period
+ * Labels keep the existing "7:00-7:55" / "1:15-2:10" style so stored timetables still match
+ * @param {Object} period - Period with 24-hour start and end
+ * @returns {string} Slot label
+ */
+export const formatPeriodLabel = (period) => {
+  const format = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const displayHour = hours > 12 ? hours - 12 : hours;
+    return `${displayHour}:${String(minutes).padStart(2, '0')}`;
+  };
+
+  return `${format(period.start)}-${format(period.end)}`;
+};
+
+/**
+ * Fill in defaults, order periods and derive slot labels for a stored grid
+ * @param {Object} grid - Grid definition as stored in Firestore
+ * @returns {Object} Normalised grid with `timeSlots` labels
+ */
+export const normalizeTimeGrid = (grid = {}) => {
+  const source = grid || {};
+  const validTime = (time) => !isNaN(toMinutes(time));
+
+  const periods = (Array.isArray(source.periods) && source.periods.length > 0 ? source.periods : DEFAULT_TIME_GRID.periods)
+    .filter(period => validTime(period?.start) && validTime(period?.end))
+    .map(period => ({ start: period.start, end: period.end, label: formatPeriodLabel(period) }))
+    .sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+
+  const breaks = (Array.isArray(source.breaks) ? source.breaks : DEFAULT_TIME_GRID.breaks)
+    .filter(gap => validTime(gap?.start) && validTime(gap?.end))
+    .map(gap => ({ label: gap.label || 'Break', start: gap.start, end: gap.end }));
+
+  const requestedDays = Array.isArray(source.workingDays) && source.workingDays.length > 0
+    ? source.workingDays
+    : DEFAULT_TIME_GRID.workingDays;
+  const workingDays = allWeekDays.filter(day => requestedDays.includes(day));
+
+  const halfDays = {};
+  Object.entries(source.halfDays || {}).forEach(([day, endTime]) => {
+    if (workingDays.includes(day) && validTime(endTime)) {
+      halfDays[day] = endTime;
+    }
+  });
+
+  return {
+    periods,
+    breaks,
+    workingDays,
+    halfDays,
+    timeSlots: periods.map(period => period.label)
+  };
+};
+
+/**
+ * Check a grid definition before it is saved
+ * @param {Object} grid - Grid definition
+ * @returns {Array} Error messages (empty when valid)
+ */
+export const validateTimeGrid = (grid = {}) => {
+  const errors = [];
+  const periods = Array.isArray(grid.periods) ? grid.periods : [];
+  const breaks = Array.isArray(grid.breaks) ? grid.breaks : [];
+
+  if (periods.length === 0) {
+    errors.push('At least one period is required');
+  }
+  if (!Array.isArray(grid.workingDays) || grid.workingDays.length === 0) {
+    errors.push('At least one working day is required');
+  }
+
+  const ranges = [];
+  periods.forEach((period, index) => {
+    const start = toMinutes(period.start);
+    const end = toMinutes(period.end);
+    if (isNaN(start) || isNaN(end)) {
+      errors.push(`Period ${index + 1} needs a start and end time in HH:MM format`);
+    } else if (end <= start) {
+      errors.push(`Period ${index + 1} must end after it starts`);
+    } else {
+      ranges.push({ name: `Period ${index + 1}`, start, end });
+    }
+  });
+
+  breaks.forEach((gap, index) => {
+    const start = toMinutes(gap.start);
+    const end = toMinutes(gap.end);
+    const name = gap.label || `Break ${index + 1}`;
+    if (isNaN(start) || isNaN(end)) {
+      errors.push(`${name} needs a start and end time in HH:MM format`);
+    } else if (end <= start) {
+      errors.push(`${name} must end after it starts`);
+    } else {
+      ranges.push({ name, start, end });
+    }
+  });
+
+  // Periods and breaks may touch but must not overlap
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  for (let index = 1; index < sorted.length; index++) {
+    if (sorted[index].start < sorted[index - 1].end) {
+      errors.push(`${sorted[index - 1].name} overlaps ${sorted[index].name}`);
+    }
+  }
+
+  Object.entries(grid.halfDays || {}).forEach(([day, endTime]) => {
+    if (isNaN(toMinutes(endTime))) {
+      errors.push(`Half-day end time for ${day} must be in HH:MM format`);
+    }
+  });
+
+  return errors;
+};
+
+// Grid the services work against; replaced once the institution grid is loaded
+let activeGrid = normalizeTimeGrid(DEFAULT_TIME_GRID);
+
+/**
+ * Replace the grid used by the timetable services
+ * @param {Object} grid - Grid definition (normalised or as stored)
+ * @returns {Object} Normalised active grid
+ */
+export const setActiveTimeGrid = (grid) => {
+  activeGrid = normalizeTimeGrid(grid);
+  return activeGrid;
+};
+
+/**
+ * Get the grid used by the timetable services
+ * @returns {Object} Normalised active grid
+ */
+export const getActiveTimeGrid = () => activeGrid;
+
+/**
+ * Get the period labels of the active grid
+ * @returns {Array} Ordered slot labels
+ */
+export const getTimeSlots = () => activeGrid.timeSlots;
+
+/**
+ * Get the working days of the active grid
+ * @returns {Array} Ordered day names
+ */
+export const getWeekDays = () => activeGrid.workingDays;
+
+/**
+ * Get the periods that can be scheduled on a day, honouring half-days
+ * @param {string} day - Day of the week
+ * @param {Object} grid - Normalised grid (defaults to the active grid)
+ * @returns {Array} Slot labels available on that day
+ */
+export const getDaySlots = (day, grid = activeGrid) => {
+  if (!grid.workingDays.includes(day)) return [];
+
+  const cutoff = grid.halfDays[day];
+  if (!cutoff) return grid.timeSlots;
+
+  return grid.periods
+    .filter(period => toMinutes(period.end) <= toMinutes(cutoff))
+    .map(period => period.label);
+};
+
+/**
+ * Check whether a period can be scheduled on a day
+ * @param {string} day - Day of the week
+ * @param {string} slot - Slot label
+ * @param {Object} grid - Normalised grid (defaults to the active grid)
+ * @returns {boolean} True if the slot is a working period on that day
+ */
+export const isSlotAvailable = (day, slot, grid = activeGrid) => {
+  return getDaySlots(day, grid).includes(slot);
+};
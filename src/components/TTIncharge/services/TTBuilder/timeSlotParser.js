@@ -0,0 +1,285 @@
+/**
+ * Time Slot Parser
+ * Canonical parsing, formatting and comparison of time slot strings
+ *
+ * Slots appear in several legacy formats ("7:00-7:55", "08:00 - 09:00", "8:00-9:00",
+ * "1:15-2:10"). Hours written without a leading zero or AM/PM are ambiguous on a
+ * 12-hour clock, so they are resolved against the configured time grid.
+ */
+
+import { getActiveTimeGrid, getTimeSlots, toMinutes } from './timeGrid.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const HALF_DAY = 12 * 60;
+
+/**
+ * Parse one side of a slot string
+ * @param {string} text - Time such as "7:00", "08:00", "1:15 PM" or "13:15"
+ * @returns {Object|null} { hours, minutes, meridiem, is24Hour } or null if unreadable
+ */
+const parseClockTime = (text) => {
+  const match = /^(\d{1,2})(?:[:.](\d{2}))?(?:\s*([ap])\.?\s*m\.?)?$/i.exec(String(text || '').trim());
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (hours > 23 || minutes > 59) return null;
+
+  const meridiem = match[3] ? match[3].toUpperCase() : null;
+  if (meridiem && (hours === 0 || hours > 12)) return null;
+
+  return {
+    hours,
+    minutes,
+    meridiem,
+    // A leading zero ("08:00"), hour 0 or hours past 12 only make sense on a 24-hour clock
+    is24Hour: !meridiem && ((match[1].length === 2 && match[1].startsWith('0')) || hours === 0 || hours > 12)
+  };
+};
+
+/**
+ * Get the teaching day of a grid in minutes since midnight
+ * @param {Object} grid - Normalised grid
+ * @returns {Object} { start, end }
+ */
+const getGridWindow = (grid) => {
+  const starts = grid.periods.map(period => toMinutes(period.start));
+  const ends = grid.periods.map(period => toMinutes(period.end));
+  return {
+    start: starts.length > 0 ? Math.min(...starts) : 8 * 60,
+    end: ends.length > 0 ? Math.max(...ends) : 18 * 60
+  };
+};
+
+/**
+ * Distance in minutes from a time to the grid's teaching day (0 when inside it)
+ */
+const distanceToWindow = (minutes, window) => {
+  if (minutes < window.start) return window.start - minutes;
+  if (minutes >= window.end) return minutes - window.end + 1;
+  return 0;
+};
+
+/**
+ * Convert a parsed clock time to minutes, choosing AM or PM for ambiguous hours
+ * @param {Object} time - Result of parseClockTime
+ * @param {Object} window - Grid teaching day { start, end }
+ * @returns {number} Minutes since midnight
+ */
+const resolveStartMinutes = (time, window) => {
+  const { hours, minutes, meridiem, is24Hour } = time;
+
+  if (meridiem) return (hours % 12 + (meridiem === 'P' ? 12 : 0)) * 60 + minutes;
+  if (is24Hour || hours === 12) return hours * 60 + minutes;
+
+  // "1:15" could be 01:15 or 13:15: take whichever falls in (or nearest to) the teaching day
+  const morning = hours * 60 + minutes;
+  const afternoon = morning + HALF_DAY;
+  return distanceToWindow(afternoon, window) < distanceToWindow(morning, window) ? afternoon : morning;
+};
+
+/**
+ * Convert the end of a slot to minutes; ambiguous hours take the first reading after the start
+ * @param {Object} time - Result of parseClockTime
+ * @param {number} start - Slot start in minutes
+ * @returns {number} Minutes since midnight
+ */
+const resolveEndMinutes = (time, start) => {
+  const { hours, minutes, meridiem, is24Hour } = time;
+
+  if (meridiem) return (hours % 12 + (meridiem === 'P' ? 12 : 0)) * 60 + minutes;
+  if (is24Hour) return hours * 60 + minutes;
+
+  const readings = [(hours % 12) * 60 + minutes, (hours % 12) * 60 + minutes + HALF_DAY];
+  return readings.find(reading => reading > start) ?? readings[0];
+};
+
+/**
+ * Parse a time slot string into a minute range
+ * @param {string} slot - Slot in any supported format
+ * @param {Object} grid - Normalised grid used to settle AM/PM (defaults to the active grid)
+ * @returns {Object|null} { start, end } in minutes since midnight, or null if unreadable
+ */
+export const parseTimeSlot = (slot, grid = getActiveTimeGrid()) => {
+  if (typeof slot !== 'string' || !slot.trim()) return null;
+
+  // Grid labels are authoritative
+  const trimmed = slot.trim();
+  const period = grid.periods.find(candidate => candidate.label === trimmed);
+  if (period) {
+    return { start: toMinutes(period.start), end: toMinutes(period.end) };
+  }
+
+  const parts = trimmed.split(/\s*[-–—]\s*|\s+to\s+/i);
+  if (parts.length !== 2) return null;
+
+  const startTime = parseClockTime(parts[0]);
+  const endTime = parseClockTime(parts[1]);
+  if (!startTime || !endTime) return null;
+
+  // "11:00-12:00 PM" style: a meridiem on the end carries over to the start when it fits
+  if (!startTime.meridiem && !startTime.is24Hour && endTime.meridiem && startTime.hours !== 12) {
+    const carried = resolveStartMinutes({ ...startTime, meridiem: endTime.meridiem }, getGridWindow(grid));
+    const end = resolveEndMinutes(endTime, carried);
+    if (carried < end) return { start: carried, end };
+  }
+
+  const start = resolveStartMinutes(startTime, getGridWindow(grid));
+  const end = resolveEndMinutes(endTime, start);
+  if (end <= start || end > MINUTES_PER_DAY) return null;
+
+  return { start, end };
+};
+
+/**
+ * Format minutes since midnight
+ * @param {number} minutes - Minutes since midnight
+ * @param {string} format - '24h' ("13:15"), '12h' ("1:15 PM") or 'label' ("1:15", the grid label style)
+ * @returns {string} Formatted time
+ */
+export const formatMinutes = (minutes, format = '24h') => {
+  const hours = Math.floor(minutes / 60) % 24;
+  const paddedMinutes = String(minutes % 60).padStart(2, '0');
+
+  if (format === '12h') {
+    const displayHour = hours % 12 === 0 ? 12 : hours % 12;
+    return `${displayHour}:${paddedMinutes} ${hours >= 12 ? 'PM' : 'AM'}`;
+  }
+  if (format === 'label') {
+    return `${hours > 12 ? hours - 12 : hours}:${paddedMinutes}`;
+  }
+  return `${String(hours).padStart(2, '0')}:${paddedMinutes}`;
+};
+
+/**
+ * Format a slot consistently
+ * @param {string} slot - Slot in any supported format
+ * @param {string} format - 'label' ("1:15-2:10"), '24h' ("13:15-14:10"), '12h' ("1:15 PM - 2:10 PM") or 'compact' ("1:15")
+ * @param {Object} grid - Normalised grid (defaults to the active grid)
+ * @returns {string} Formatted slot, or the input unchanged if it cannot be parsed
+ */
+export const formatTimeSlot = (slot, format = 'label', grid = getActiveTimeGrid()) => {
+  const range = parseTimeSlot(slot, grid);
+  if (!range) return slot || '';
+
+  switch (format) {
+    case 'compact':
+      return formatMinutes(range.start, 'label');
+    case '12h':
+      return `${formatMinutes(range.start, '12h')} - ${formatMinutes(range.end, '12h')}`;
+    case '24h':
+      return `${formatMinutes(range.start)}-${formatMinutes(range.end)}`;
+    default:
+      return `${formatMinutes(range.start, 'label')}-${formatMinutes(range.end, 'label')}`;
+  }
+};
+
+/**
+ * Map a slot in any legacy format to the grid label for the same period
+ * @param {string} slot - Slot in any supported format
+ * @param {Object} grid - Normalised grid (defaults to the active grid)
+ * @returns {string|null} Grid label, a label-style slot when no period matches, or null if unreadable
+ */
+export const normalizeTimeSlot = (slot, grid = getActiveTimeGrid()) => {
+  const range = parseTimeSlot(slot, grid);
+  if (!range) return null;
+
+  const period = grid.periods.find(candidate =>
+    toMinutes(candidate.start) === range.start && toMinutes(candidate.end) === range.end
+  );
+  return period ? period.label : formatTimeSlot(slot, 'label', grid);
+};
+
+/**
+ * Get the length of a slot
+ * @param {string} slot - Slot in any supported format
+ * @returns {number} Duration in minutes (0 if unreadable)
+ */
+export const getSlotDuration = (slot) => {
+  const range = parseTimeSlot(slot);
+  return range ? range.end - range.start : 0;
+};
+
+/**
+ * Compare two slots by start then end time, for sorting
+ * Unreadable slots sort last.
+ */
+export const compareTimeSlots = (slot1, slot2) => {
+  const range1 = parseTimeSlot(slot1);
+  const range2 = parseTimeSlot(slot2);
+  if (!range1 || !range2) return (range1 ? 0 : 1) - (range2 ? 0 : 1);
+
+  return range1.start - range2.start || range1.end - range2.end;
+};
+
+/**
+ * Sort slots chronologically
+ * @param {Array} slots - Slots in any supported format
+ * @returns {Array} New sorted array
+ */
+export const sortTimeSlots = (slots = []) => [...slots].sort(compareTimeSlots);
+
+/**
+ * Check if two slots overlap, optionally extending each by a number of periods
+ * @param {string} slot1 - First slot
+ * @param {string} slot2 - Second slot
+ * @param {number} duration1 - Periods covered from the start of the first slot
+ * @param {number} duration2 - Periods covered from the start of the second slot
+ * @returns {boolean} True if the slots overlap
+ */
+export const timeSlotsOverlap = (slot1, slot2, duration1 = 1, duration2 = 1) => {
+  const range1 = parseTimeSlot(slot1);
+  const range2 = parseTimeSlot(slot2);
+  if (!range1 || !range2) return false;
+
+  const end1 = range1.start + (duration1 || 1) * (range1.end - range1.start);
+  const end2 = range2.start + (duration2 || 1) * (range2.end - range2.start);
+
+  return range1.start < end2 && range2.start < end1;
+};
+
+/**
+ * Check if the second slot starts exactly when the first ends (no break between them)
+ */
+export const areSlotsConsecutive = (slot1, slot2) => {
+  const range1 = parseTimeSlot(slot1);
+  const range2 = parseTimeSlot(slot2);
+  return Boolean(range1 && range2 && range1.end === range2.start);
+};
+
+/**
+ * Check if a slot lies within a time window
+ * @param {string} slot - Slot in any supported format
+ * @param {string} rangeStart - Window start ("HH:MM", 24-hour)
+ * @param {string} rangeEnd - Window end ("HH:MM", 24-hour)
+ * @returns {boolean} True if the whole slot is inside the window
+ */
+export const isSlotWithinRange = (slot, rangeStart, rangeEnd) => {
+  const range = parseTimeSlot(slot);
+  if (!range) return false;
+
+  const windowStart = isNaN(toMinutes(rangeStart)) ? 0 : toMinutes(rangeStart);
+  const windowEnd = isNaN(toMinutes(rangeEnd)) ? MINUTES_PER_DAY : toMinutes(rangeEnd);
+  return range.start >= windowStart && range.end <= windowEnd;
+};
+
+/**
+ * Get the periods immediately before and after a slot
+ * Periods separated by a break of at least `breakMinutes` are not adjacent.
+ * @param {string} slot - Slot in any supported format
+ * @param {number} breakMinutes - Smallest gap that separates two periods
+ * @param {Array} slots - Candidate slots (defaults to the active grid)
+ * @returns {Array} Adjacent slots in chronological order
+ */
+export const getAdjacentTimeSlots = (slot, breakMinutes = 1, slots = getTimeSlots()) => {
+  const range = parseTimeSlot(slot);
+  if (!range) return [];
+
+  return sortTimeSlots(slots).filter(candidate => {
+    const other = parseTimeSlot(candidate);
+    if (!other || (other.start === range.start && other.end === range.end)) return false;
+
+    const gap = other.start >= range.end ? other.start - range.end : range.start - other.end;
+    return gap >= 0 && gap < breakMinutes;
+  });
+};
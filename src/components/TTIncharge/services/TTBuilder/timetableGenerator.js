@@ -0,0 +1,408 @@
+/**
+ * Automatic Timetable Generator
+ * Constraint-solving placement of a batch's courses into the weekly grid
+ */
+
+import { GENERATOR_WEIGHTS } from './constants.js';
+import { getWeekDays, getTimeSlots, isSlotAvailable } from './timeGrid.js';
+import { initializeEmptyTimetable, addCourseToTimetable, getCellSessions, getSessionSpan, getSpanSlots } from './timetableOperations.js';
+import { getAvailabilityKey } from './teacherAvailability.js';
+import { getContactHours } from './contactHours.js';
+
+/**
+ * Build a lookup key for a day/slot pair
+ * @param {string} day - Day of the week
+ * @param {string} slot - Time slot
+ * @returns {string} Occupancy key
+ */
+const slotKey = (day, slot) => `${day}|${slot}`;
+
+/**
+ * Work out how many weekly periods a course needs
+ * Accepts explicit L/T/P fields, legacy "3L+1T+2P" / "3-1-2" strings, plain numbers and credits
+ * @param {Object} course - Raw course data
+ * @returns {number} Required periods per week
+ */
+export const getRequiredWeeklyPeriods = (course) => getContactHours(course).total;
+
+/**
+ * Build teacher and room occupancy from timetables already stored in Firestore
+ * @param {Array} timetables - Timetable records (fetchAllTimetables or OccupancyIndex.getTimetables)
+ * @param {string} excludeTimetableId - Timetable being generated (ignored)
+ * @returns {Object} Occupancy maps keyed by teacher and room ID
+ */
+export const buildOccupancyFromTimetables = (timetables = [], excludeTimetableId = null) => {
+  const teachers = new Map();
+  const rooms = new Map();
+
+  const mark = (map, id, key) => {
+    if (!id) return;
+    if (!map.has(id)) map.set(id, new Set());
+    map.get(id).add(key);
+  };
+
+  timetables.forEach(timetable => {
+    if (!timetable || timetable.id === excludeTimetableId) return;
+
+    Object.keys(timetable.schedule || {}).forEach(day => {
+      Object.keys(timetable.schedule[day] || {}).forEach(slot => {
+        const key = slotKey(day, slot);
+        getCellSessions(timetable.schedule[day][slot]).forEach(entry => {
+          mark(teachers, entry.teacherId || entry.faculty?.id, key);
+          mark(rooms, entry.roomId || entry.roomNumber || entry.room, key);
+        });
+      });
+    });
+  });
+
+  return { teachers, rooms };
+};
+
+/**
+ * Pick the teacher for a course, preferring whoever is least booked elsewhere
+ * @param {Object} course - Raw course data
+ * @param {Object} occupancy - Occupancy maps
+ * @returns {string|null} Teacher ID
+ */
+const chooseTeacher = (course, occupancy) => {
+  const candidates = Array.isArray(course.facultyList)
+    ? course.facultyList
+    : course.facultyList ? [course.facultyList] : [];
+
+  if (candidates.length === 0) return null;
+
+  return [...candidates].sort((a, b) =>
+    (occupancy.teachers.get(a)?.size || 0) - (occupancy.teachers.get(b)?.size || 0)
+  )[0];
+};
+
+/**
+ * Courses a batch takes: those of its semester owned by its branch, plus common courses
+ * Every batch of a branch and semester shares its courses.
+ * @param {Array} courses - Raw course data from fetchCourses
+ * @param {Object} batch - { semester, departments: names and IDs the branch goes by }
+ * @returns {Array} The batch's courses
+ */
+export const getBatchCourses = (courses = [], { semester, departments = [] }) => {
+  const names = departments.filter(Boolean).map(name => String(name).toLowerCase());
+  return courses.filter(course =>
+    course.semester === semester &&
+    (course.isCommonCourse || names.includes(String(course.department || '').toLowerCase()))
+  );
+};
+
+/**
+ * Expand courses into the individual weekly sessions that need a slot
+ * Courses with a multi-hour duration become blocks of consecutive periods,
+ * with any remainder placed as single periods
+ * @param {Array} courses - Raw course data from fetchCourses
+ * @param {Object} teacherMap - Map of teacher IDs to teacher info
+ * @param {Object} occupancy - Occupancy maps
+ * @returns {Object} Sessions to place and courses that cannot be scheduled
+ */
+export const expandCourseSessions = (courses = [], teacherMap = {}, occupancy = { teachers: new Map(), rooms: new Map() }) => {
+  const sessions = [];
+  const skipped = [];
+
+  courses.forEach(course => {
+    const periods = getRequiredWeeklyPeriods(course);
+    const teacherId = chooseTeacher(course, occupancy);
+
+    if (periods === 0) {
+      skipped.push({ course, reason: 'No weekly hours defined' });
+      return;
+    }
+    if (!teacherId) {
+      skipped.push({ course, reason: 'No faculty assigned' });
+      return;
+    }
+
+    const teacherInfo = teacherMap[teacherId] || { name: teacherId, teacherCode: teacherId };
+    const block = {
+      id: `${course.code}-${teacherId}`,
+      code: course.code,
+      title: course.title || course.name,
+      weeklyHours: course.weeklyHours,
+      duration: course.duration || '',
+      teacherId,
+      teacherName: teacherInfo.name,
+      teacherCode: teacherInfo.teacherCode
+    };
+
+    const span = Math.min(getSessionSpan(course), periods);
+    const blockCount = Math.floor(periods / span);
+    const total = blockCount + (periods % span);
+    for (let index = 0; index < total; index++) {
+      sessions.push({ course: block, index, total, span: index < blockCount ? span : 1 });
+    }
+  });
+
+  return { sessions, skipped };
+};
+
+/**
+ * Score a feasible placement (higher is better)
+ * @param {Object} state - Current generator state
+ * @param {Object} session - Session being placed
+ * @param {string} day - Candidate day
+ * @param {number} slotIndex - Candidate slot index
+ * @param {Object} room - Candidate room
+ * @returns {number} Placement score
+ */
+const scorePlacement = (state, session, day, slotIndex, room) => {
+  const { weights, slots, batchSize } = state;
+  const code = session.course.code;
+  let score = 0;
+
+  // Spread a course across the week rather than stacking it on one day
+  const sameCourseToday = state.courseDayCount.get(`${code}|${day}`) || 0;
+  score -= sameCourseToday * weights.SAME_DAY_REPEAT;
+
+  // Keep each teacher's day from piling up in this batch
+  const teacherToday = state.teacherDayCount.get(`${session.course.teacherId}|${day}`) || 0;
+  score -= teacherToday * weights.TEACHER_DAILY_LOAD;
+
+  // Balance the batch's load across the working week
+  const daySchedule = state.schedule[day] || {};
+  const batchToday = Object.values(daySchedule).filter(Boolean).length;
+  score -= batchToday * weights.DAY_BALANCE;
+
+  // Prefer compact days: reward slots adjacent to something already placed
+  const previous = slots[slotIndex - 1];
+  const next = slots[slotIndex + (session.span || 1)];
+  if ((previous && daySchedule[previous]) || (next && daySchedule[next])) {
+    score += weights.COMPACT_DAY;
+  }
+
+  // Mild preference for earlier periods
+  score -= (slotIndex / slots.length) * weights.EARLY_SLOT;
+
+  // Room fit: penalise wasted seats, relative to the batch
+  if (room && batchSize && room.capacity) {
+    const waste = Math.max(0, room.capacity - batchSize) / room.capacity;
+    score -= waste * weights.ROOM_FIT;
+  }
+
+  // Stay in the batch's usual room where possible
+  if (room && state.preferredRoomId && (room.id === state.preferredRoomId)) {
+    score += weights.ROOM_STABILITY;
+  }
+
+  return score;
+};
+
+/**
+ * Find every feasible (day, slot, room) for a session under the hard constraints
+ * @param {Object} state - Current generator state
+ * @param {Object} session - Session being placed
+ * @returns {Array} Feasible candidates with scores
+ */
+const findCandidates = (state, session) => {
+  const candidates = [];
+  const { teacherId } = session.course;
+  const teacherBusy = state.occupancy.teachers.get(teacherId);
+  const teacherUnavailable = state.teacherMap[teacherId]?.availability?.unavailableSlots || [];
+
+  state.days.forEach(day => {
+    state.slots.forEach((slot, slotIndex) => {
+      // Hard: multi-period sessions need consecutive periods that do not cross a break
+      const spanSlots = getSpanSlots(slot, session.span, state.slots);
+      if (!spanSlots) return;
+
+      // Hard: half-days and non-working periods of the institution grid stay empty
+      if (!spanSlots.every(spanSlot => isSlotAvailable(day, spanSlot))) return;
+
+      const keys = spanSlots.map(spanSlot => slotKey(day, spanSlot));
+
+      // Hard: the batch can only attend one class at a time
+      if (spanSlots.some(spanSlot => state.schedule[day]?.[spanSlot])) return;
+
+      // Hard: the teacher cannot be in two places at once
+      if (keys.some(key => teacherBusy?.has(key))) return;
+
+      // Hard: periods the teacher has marked unavailable
+      if (spanSlots.some(spanSlot => teacherUnavailable.includes(getAvailabilityKey(day, spanSlot)))) return;
+
+      // Hard: per-course daily cap
+      const sameCourseToday = state.courseDayCount.get(`${session.course.code}|${day}`) || 0;
+      if (sameCourseToday >= state.maxSessionsPerDay) return;
+
+      state.rooms.forEach(room => {
+        const roomId = room.id || room.number;
+
+        // Hard: room must be free and large enough
+        const roomBusy = state.occupancy.rooms.get(roomId);
+        if (keys.some(key => roomBusy?.has(key))) return;
+        if (state.batchSize && room.capacity && room.capacity < state.batchSize) return;
+
+        candidates.push({
+          day,
+          slot,
+          room,
+          score: scorePlacement(state, session, day, slotIndex, room)
+        });
+      });
+
+      // Rooms are optional: if none are configured the session is placed room-less
+      if (state.rooms.length === 0) {
+        candidates.push({
+          day,
+          slot,
+          room: null,
+          score: scorePlacement(state, session, day, slotIndex, null)
+        });
+      }
+    });
+  });
+
+  return candidates;
+};
+
+/**
+ * Commit a placement to the generator state
+ * @param {Object} state - Current generator state
+ * @param {Object} session - Session being placed
+ * @param {Object} candidate - Chosen candidate
+ */
+const commitPlacement = (state, session, candidate) => {
+  const { day, slot, room } = candidate;
+  const keys = getSpanSlots(slot, session.span, state.slots).map(spanSlot => slotKey(day, spanSlot));
+  const roomId = room?.id || room?.number;
+  const { teacherId, code } = session.course;
+
+  state.schedule = addCourseToTimetable(
+    state.schedule, day, slot, { ...session.course, span: session.span }, room
+  );
+
+  if (!state.occupancy.teachers.has(teacherId)) state.occupancy.teachers.set(teacherId, new Set());
+  keys.forEach(key => state.occupancy.teachers.get(teacherId).add(key));
+
+  if (roomId) {
+    if (!state.occupancy.rooms.has(roomId)) state.occupancy.rooms.set(roomId, new Set());
+    keys.forEach(key => state.occupancy.rooms.get(roomId).add(key));
+  }
+
+  const courseDayKey = `${code}|${day}`;
+  state.courseDayCount.set(courseDayKey, (state.courseDayCount.get(courseDayKey) || 0) + 1);
+
+  const teacherDayKey = `${teacherId}|${day}`;
+  state.teacherDayCount.set(teacherDayKey, (state.teacherDayCount.get(teacherDayKey) || 0) + 1);
+
+  if (!state.preferredRoomId && roomId) {
+    state.preferredRoomId = roomId;
+  }
+
+  state.totalScore += candidate.score;
+};
+
+/**
+ * Generate a full weekly schedule for one batch
+ *
+ * Hard constraints (never violated): one class per batch per slot, no teacher or
+ * room double-booking against this or any other stored timetable, the teachers'
+ * unavailable periods, room capacity,
+ * the institution grid's working periods, and a per-course daily cap. Soft constraints are scored: spreading a course across
+ * the week, teacher daily load, balanced days, compact days, early slots, room fit
+ * and room stability.
+ *
+ * Sessions are placed most-constrained-first: after every placement the remaining
+ * session with the fewest feasible candidates is placed next at its best-scoring option.
+ *
+ * @param {Object} params - Generator parameters
+ * @param {Array} params.courses - Raw course data from fetchCourses
+ * @param {Array} params.rooms - Rooms from fetchRooms
+ * @param {Array} params.existingTimetables - Timetable records (fetchAllTimetables or OccupancyIndex.getTimetables)
+ * @param {Object} params.teacherMap - Map of teacher IDs to teacher info
+ * @param {string} params.excludeTimetableId - ID of the timetable being generated
+ * @param {number} params.batchSize - Number of students in the batch
+ * @param {Object} params.options - Optional overrides (days, slots, weights, maxSessionsPerDay)
+ * @returns {Object} Generated schedule with placements, unplaced sessions and statistics
+ */
+export const generateTimetable = ({
+  courses = [],
+  rooms = [],
+  existingTimetables = [],
+  teacherMap = {},
+  excludeTimetableId = null,
+  batchSize = 0,
+  options = {}
+}) => {
+  const {
+    days = getWeekDays(),
+    slots = getTimeSlots(),
+    weights = {},
+    maxSessionsPerDay = 2
+  } = options;
+
+  const occupancy = buildOccupancyFromTimetables(existingTimetables, excludeTimetableId);
+  const { sessions, skipped } = expandCourseSessions(courses, teacherMap, occupancy);
+
+  const state = {
+    days,
+    slots,
+    rooms,
+    teacherMap,
+    batchSize,
+    maxSessionsPerDay,
+    weights: { ...GENERATOR_WEIGHTS, ...weights },
+    occupancy,
+    schedule: initializeEmptyTimetable(),
+    courseDayCount: new Map(),
+    teacherDayCount: new Map(),
+    preferredRoomId: null,
+    totalScore: 0
+  };
+
+  const placements = [];
+  const unplaced = [];
+  let remaining = [...sessions];
+
+  while (remaining.length > 0) {
+    // Most-constrained session first
+    let chosen = null;
+    remaining.forEach((session, position) => {
+      const candidates = findCandidates(state, session);
+      if (!chosen || candidates.length < chosen.candidates.length) {
+        chosen = { session, position, candidates };
+      }
+    });
+
+    remaining = remaining.filter((_, position) => position !== chosen.position);
+
+    if (chosen.candidates.length === 0) {
+      unplaced.push({
+        course: chosen.session.course,
+        span: chosen.session.span,
+        reason: 'No slot satisfies teacher, room and batch availability'
+      });
+      continue;
+    }
+
+    const best = chosen.candidates.reduce((top, candidate) =>
+      candidate.score > top.score ? candidate : top
+    );
+    commitPlacement(state, chosen.session, best);
+    placements.push({
+      course: chosen.session.course,
+      span: chosen.session.span,
+      day: best.day,
+      slot: best.slot,
+      room: best.room,
+      score: best.score
+    });
+  }
+
+  return {
+    schedule: state.schedule,
+    placements,
+    unplaced,
+    skipped,
+    stats: {
+      requiredSessions: sessions.length,
+      placedSessions: placements.length,
+      unplacedSessions: unplaced.length,
+      skippedCourses: skipped.length,
+      score: Math.round(state.totalScore * 100) / 100
+    }
+  };
+};
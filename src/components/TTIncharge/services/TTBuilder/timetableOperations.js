@@ -3,32 +3,237 @@
  * Basic CRUD operations for timetable management
  */
 
-import { weekDays, timeSlots } from './constants.js';
+import { getWeekDays, getTimeSlots } from './timeGrid.js';
+import { areSlotsConsecutive } from './timeSlotParser.js';
 import { deepCopy } from './utils.js';
 
 /**
- * Initialize empty timetable structure with all days and time slots
+ * Initialize empty timetable structure with all days and time slots of the active grid
  * @returns {Object} Empty timetable data structure
  */
 export const initializeEmptyTimetable = () => {
   const initialData = {};
-  weekDays.forEach(day => {
+  getWeekDays().forEach(day => {
     initialData[day] = {};
-    timeSlots.forEach(slot => {
+    getTimeSlots().forEach(slot => {
       initialData[day][slot] = null;
     });
   });
   return initialData;
 };
 
+/**
+ * Number of consecutive periods a session occupies
+ * Placed entries carry `span`; course blocks carry `duration` in hours
+ * @param {Object} course - Course block or timetable entry
+ * @returns {number} Periods covered (at least 1)
+ */
+export const getSessionSpan = (course) => {
+  const span = parseInt(course?.span ?? course?.duration, 10);
+  return !isNaN(span) && span > 1 ? span : 1;
+};
+
+/**
+ * Get the consecutive time slots a session starting at `slot` would cover
+ * @param {string} slot - Starting time slot
+ * @param {number} span - Number of periods
+ * @param {Array} slots - Ordered time slots (defaults to the active grid)
+ * @returns {Array|null} Covered slots, or null if the session runs past the
+ * end of the day or across a break (a slot that does not start where the previous one ends)
+ */
+export const getSpanSlots = (slot, span = 1, slots = getTimeSlots()) => {
+  const startIndex = slots.indexOf(slot);
+  if (startIndex === -1 || startIndex + span > slots.length) {
+    return null;
+  }
+
+  const spanSlots = slots.slice(startIndex, startIndex + span);
+  for (let index = 1; index < spanSlots.length; index++) {
+    if (!areSlotsConsecutive(spanSlots[index - 1], spanSlots[index])) {
+      return null;
+    }
+  }
+
+  return spanSlots;
+};
+
+/**
+ * Check if a cell holds parallel sub-batch sessions
+ * A cell is either empty, a single session (a plain entry, as before) or
+ * `{ sessions: [...] }` when two or more sub-batches share the period
+ * @param {Object|null} cell - Timetable cell
+ * @returns {boolean} True for a parallel cell
+ */
+export const isParallelCell = (cell) => Boolean(cell && Array.isArray(cell.sessions));
+
+/**
+ * Get the sessions held in a cell
+ * @param {Object|null} cell - Timetable cell
+ * @returns {Array} Sessions (empty for an empty cell)
+ */
+export const getCellSessions = (cell) => {
+  if (!cell) return [];
+  return isParallelCell(cell) ? cell.sessions.filter(Boolean) : [cell];
+};
+
+/**
+ * Check if two sessions are attended by the same students
+ * Sessions for different sub-batches (A1, A2) of a batch do not share students,
+ * and neither do different courses of one elective basket; a whole-batch
+ * session shares students with every other session.
+ * @param {Object} session1 - First session or course block
+ * @param {Object} session2 - Second session or course block
+ * @returns {boolean} True if the sessions cannot run side by side
+ */
+export const sessionsShareStudents = (session1, session2) => {
+  if (session1?.electiveGroup && session1.electiveGroup === session2?.electiveGroup) {
+    return session1.code === session2.code;
+  }
+  return !session1?.subBatch || !session2?.subBatch || session1.subBatch === session2.subBatch;
+};
+
+/**
+ * Get one session from a cell
+ * @param {Object|null} cell - Timetable cell
+ * @param {string} subBatch - Sub-batch to look for; without one the first session is returned
+ * @returns {Object|null} Session or null
+ */
+export const getCellSession = (cell, subBatch = null) => {
+  const sessions = getCellSessions(cell);
+  if (!subBatch) return sessions[0] || null;
+  return sessions.find(session => session.subBatch === subBatch) || null;
+};
+
+// Store a list of sessions in the smallest cell shape that holds them
+const toCell = (sessions) => {
+  if (sessions.length === 0) return null;
+  if (sessions.length === 1) return sessions[0];
+  return {
+    sessions: [...sessions].sort((a, b) => String(a.subBatch || '').localeCompare(String(b.subBatch || '')))
+  };
+};
+
+/**
+ * Put a session into a cell, replacing any session attended by the same students
+ * @param {Object|null} cell - Current cell
+ * @param {Object} session - Session to add
+ * @returns {Object} Updated cell
+ */
+export const setCellSession = (cell, session) => toCell([
+  ...getCellSessions(cell).filter(existing => !sessionsShareStudents(existing, session)),
+  session
+]);
+
+/**
+ * Remove the session of one sub-batch from a cell
+ * @param {Object|null} cell - Current cell
+ * @param {string} subBatch - Sub-batch to remove; without one, whole-batch sessions are removed
+ * @returns {Object|null} Updated cell
+ */
+export const removeCellSession = (cell, subBatch = null) => toCell(
+  getCellSessions(cell).filter(session => (session.subBatch || null) !== (subBatch || null))
+);
+
+/**
+ * Get the sub-batches a batch can be split into for parallel sessions (lab groups)
+ * @param {Object|string} batch - Batch record (may list its own `subBatches`) or batch name
+ * @param {number} count - Number of groups to offer when the batch does not list any
+ * @returns {Array} Sub-batch names, e.g. ['A1', 'A2']
+ */
+export const getSubBatchOptions = (batch, count = 2) => {
+  if (Array.isArray(batch?.subBatches) && batch.subBatches.length > 0) {
+    return batch.subBatches;
+  }
+  const name = typeof batch === 'string' ? batch : batch?.name;
+  return name ? Array.from({ length: count }, (_, index) => `${name}${index + 1}`) : [];
+};
+
+/**
+ * Find the slot where the session occupying a cell starts
+ * @param {Object} timetableData - Current timetable data
+ * @param {string} day - Day of the week
+ * @param {string} slot - Any slot covered by the session
+ * @param {string} subBatch - Sub-batch of the session in a parallel cell
+ * @returns {string} Starting slot of the session
+ */
+export const getSessionStartSlot = (timetableData, day, slot, subBatch = null) => {
+  const entry = getCellSession(timetableData?.[day]?.[slot], subBatch);
+  return entry?.isContinuation && entry.spanStart ? entry.spanStart : slot;
+};
+
+/**
+ * Get every slot covered by the session occupying a cell
+ * @param {Object} timetableData - Current timetable data
+ * @param {string} day - Day of the week
+ * @param {string} slot - Any slot covered by the session
+ * @param {string} subBatch - Sub-batch of the session in a parallel cell
+ * @returns {Array} Covered slots, starting slot first (empty if the cell is empty)
+ */
+export const getSessionSlots = (timetableData, day, slot, subBatch = null) => {
+  const startSlot = getSessionStartSlot(timetableData, day, slot, subBatch);
+  const daySchedule = timetableData?.[day] || {};
+  const startEntry = getCellSession(daySchedule[startSlot], subBatch);
+  if (!startEntry) {
+    return getCellSession(daySchedule[slot], subBatch) ? [slot] : [];
+  }
+
+  // Follow the same sub-batch through the continuation cells
+  const sessionSubBatch = startEntry.subBatch || null;
+  const timeSlots = getTimeSlots();
+  const sessionSlots = [startSlot];
+  for (let index = timeSlots.indexOf(startSlot) + 1; index > 0 && index < timeSlots.length; index++) {
+    const entry = getCellSession(daySchedule[timeSlots[index]], sessionSubBatch);
+    if (!entry?.isContinuation || entry.spanStart !== startSlot || (entry.subBatch || null) !== sessionSubBatch) break;
+    sessionSlots.push(timeSlots[index]);
+  }
+
+  return sessionSlots;
+};
+
+// Slots of a session that can be drawn as one merged cell (parallel cells always stand alone)
+const getMergedSlots = (timetableData, day, slot) => {
+  const sessionSlots = getSessionSlots(timetableData, day, slot);
+  const parallelIndex = sessionSlots.findIndex(sessionSlot => isParallelCell(timetableData[day][sessionSlot]));
+  return parallelIndex === -1 ? sessionSlots : sessionSlots.slice(0, parallelIndex);
+};
+
+/**
+ * Describe how a grid cell should be rendered when sessions are merged
+ * @param {Object} timetableData - Current timetable data
+ * @param {string} day - Day of the week
+ * @param {string} slot - Time slot
+ * @returns {Object} { hidden, rowSpan } - hidden cells are covered by the session above
+ */
+export const getCellLayout = (timetableData, day, slot) => {
+  const entry = timetableData?.[day]?.[slot];
+  if (!entry || isParallelCell(entry)) {
+    return { hidden: false, rowSpan: 1 };
+  }
+
+  if (entry.isContinuation) {
+    const startEntry = timetableData[day][entry.spanStart];
+    const covered = startEntry && !isParallelCell(startEntry) && !startEntry.isContinuation &&
+      startEntry.code === entry.code && getMergedSlots(timetableData, day, entry.spanStart).includes(slot);
+    return { hidden: Boolean(covered), rowSpan: 1 };
+  }
+
+  return { hidden: false, rowSpan: Math.max(getMergedSlots(timetableData, day, slot).length, 1) };
+};
+
 /**
  * Add course to timetable
+ * Multi-period courses fill the starting cell plus continuation cells for the
+ * following periods; a span that would cross a break or run past the end of
+ * the day is rejected, as `validateDrop` does, rather than shortened.
+ * A course with a `subBatch` joins the sessions of other sub-batches already in
+ * those cells; otherwise it replaces whatever the cells held.
  * @param {Object} timetableData - Current timetable data
  * @param {string} day - Day of the week
  * @param {string} slot - Time slot
  * @param {Object} course - Course to add
  * @param {Object} room - Room assignment
  * @returns {Object} Updated timetable data
+ * @throws {Error} If a multi-period course does not fit from this slot
  */
 export const addCourseToTimetable = (timetableData, day, slot, course, room) => {
   const newTimetable = deepCopy(timetableData);
@@ -37,12 +242,14 @@ export const addCourseToTimetable = (timetableData, day, slot, course, room) =>
     newTimetable[day] = {};
   }
   
-  if (!newTimetable[day][slot]) {
-    newTimetable[day][slot] = [];
+  const span = getSessionSpan(course);
+  const spanSlots = getSpanSlots(slot, span) || (span === 1 ? [slot] : null);
+  if (!spanSlots) {
+    throw new Error(`${course.code} needs ${span} consecutive periods from ${slot} on ${day}, which runs into a break or past the end of the day`);
   }
   
   // Updated format to match specification
-  newTimetable[day][slot] = {
+  const entry = {
     teacherCode: course.teacherCode,
     teacherId: course.teacherId,
     teacherName: course.teacherName,
@@ -63,24 +270,49 @@ export const addCourseToTimetable = (timetableData, day, slot, course, room) =>
       id: course.teacherId,
       name: course.teacherName,
       code: course.teacherCode
-    }
+    },
+    ...(course.subBatch ? { subBatch: course.subBatch } : {}),
+    ...(course.electiveGroup ? { electiveGroup: course.electiveGroup } : {}),
+    ...(course.component ? { component: course.component } : {}),
+    span: spanSlots.length,
+    spanStart: slot
   };
   
+  newTimetable[day][slot] = setCellSession(newTimetable[day][slot], entry);
+  
+  // Continuation cells keep the full entry so per-cell lookups still see the teacher and room
+  spanSlots.slice(1).forEach(continuationSlot => {
+    newTimetable[day][continuationSlot] = setCellSession(newTimetable[day][continuationSlot], {
+      ...entry,
+      timeSlot: continuationSlot,
+      isContinuation: true
+    });
+  });
+  
   return newTimetable;
 };
 
 /**
  * Delete course from timetable
+ * Removes every period of a multi-period session, whichever of its cells is given
  * @param {Object} timetableData - Current timetable data
  * @param {string} day - Day of the week
  * @param {string} slot - Time slot
+ * @param {string} subBatch - Sub-batch whose session to remove; without one every session in the cell is removed
  * @returns {Object} Updated timetable data
  */
-export const deleteCourse = (timetableData, day, slot) => {
+export const deleteCourse = (timetableData, day, slot, subBatch = null) => {
   const newTimetable = deepCopy(timetableData);
+  const cell = newTimetable[day]?.[slot];
   
-  if (newTimetable[day] && newTimetable[day][slot]) {
-    newTimetable[day][slot] = null;
+  if (cell) {
+    const sessions = subBatch ? [getCellSession(cell, subBatch)].filter(Boolean) : getCellSessions(cell);
+    sessions.forEach(session => {
+      const sessionSubBatch = session.subBatch || null;
+      getSessionSlots(newTimetable, day, slot, sessionSubBatch).forEach(sessionSlot => {
+        newTimetable[day][sessionSlot] = removeCellSession(newTimetable[day][sessionSlot], sessionSubBatch);
+      });
+    });
   }
   
   return newTimetable;
@@ -93,7 +325,7 @@ export const deleteCourse = (timetableData, day, slot) => {
  * @param {string} slot - Target slot
  * @param {Object} course - Course being dropped
  * @param {Object} room - Room assignment
- * @param {Object} dragSourceInfo - Information about drag source
+ * @param {Object} dragSourceInfo - Information about drag source ({ day, slot, subBatch })
  * @returns {Object} Updated timetable data
  */
 export const updateTimetableOnDrop = (timetableData, day, slot, course, room, dragSourceInfo) => {
@@ -101,7 +333,7 @@ export const updateTimetableOnDrop = (timetableData, day, slot, course, room, dr
   
   // Remove course from source location if it was moved
   if (dragSourceInfo && dragSourceInfo.day && dragSourceInfo.slot) {
-    newTimetable = deleteCourse(newTimetable, dragSourceInfo.day, dragSourceInfo.slot);
+    newTimetable = deleteCourse(newTimetable, dragSourceInfo.day, dragSourceInfo.slot, dragSourceInfo.subBatch || null);
   }
   
   // Add course to new location
@@ -145,7 +377,9 @@ export const mapCoursesToBlocks = (allCourses, teacherMap, courseColors) => {
           teacherCode: teacherInfo.teacherCode,
           color,
           id: `${course.code}-${teacherId}`,
-          duration: course.duration || ''
+          duration: course.duration || '',
+          electiveGroup: course.electiveGroup || '',
+          sessionRequirements: course.sessionRequirements || null
         });
       });
     } else if (course.facultyList) {
@@ -159,7 +393,9 @@ export const mapCoursesToBlocks = (allCourses, teacherMap, courseColors) => {
         teacherCode: teacherInfo.teacherCode,
         color,
         id: `${course.code}-${course.facultyList}`,
-        duration: course.duration || ''
+        duration: course.duration || '',
+        electiveGroup: course.electiveGroup || '',
+        sessionRequirements: course.sessionRequirements || null
       });
     }
   });
@@ -187,6 +423,8 @@ export const groupCourseBlocks = (allCourses, teacherMap, courseColors) => {
       title: course.title,
       weeklyHours: course.weeklyHours,
       duration: course.duration || '',
+      electiveGroup: course.electiveGroup || '',
+      sessionRequirements: course.sessionRequirements || null,
       blocks: Array.isArray(course.facultyList)
         ? course.facultyList.map(teacherId => {
             const teacherInfo = teacherMap[teacherId] || { name: teacherId, teacherCode: teacherId };
@@ -0,0 +1,331 @@
+/**
+ * Timetable Review Workflow
+ * Draft → in review → approved → published lifecycle of a timetable document
+ *
+ * The TT Incharge submits a snapshot of the schedule for review; the HOD comments,
+ * approves or rejects it. Publishing copies the approved snapshot into
+ * `publishedSchedule`, which is the only schedule read-only viewers see, so edits
+ * made after submission never leak out unreviewed. Every state change and comment
+ * is kept in the `workflow` subcollection with who did it and when.
+ */
+
+import {
+  db, collection, doc, getDoc, getDocs, query, where, orderBy, onSnapshot, serverTimestamp, writeBatch
+} from '../../../../firebase/config';
+import { createTimetableVersion, fetchTimetableVersion, toVersionAuthor, VERSION_ACTIONS } from './versionHistory.js';
+
+const TIMETABLES_COLLECTION = 'timetables';
+const WORKFLOW_SUBCOLLECTION = 'workflow';
+
+export const TIMETABLE_STATUS = {
+  DRAFT: 'draft',
+  IN_REVIEW: 'in_review',
+  APPROVED: 'approved',
+  PUBLISHED: 'published'
+};
+
+export const TIMETABLE_STATUS_LABELS = {
+  [TIMETABLE_STATUS.DRAFT]: 'Draft',
+  [TIMETABLE_STATUS.IN_REVIEW]: 'In Review',
+  [TIMETABLE_STATUS.APPROVED]: 'Approved',
+  [TIMETABLE_STATUS.PUBLISHED]: 'Published'
+};
+
+export const WORKFLOW_ACTIONS = {
+  SUBMIT: 'submit',
+  APPROVE: 'approve',
+  REJECT: 'reject',
+  PUBLISH: 'publish',
+  COMMENT: 'comment'
+};
+
+// Allowed transitions: which statuses an action starts from, where it leads and who may take it
+const TRANSITIONS = {
+  [WORKFLOW_ACTIONS.SUBMIT]: {
+    from: [TIMETABLE_STATUS.DRAFT, TIMETABLE_STATUS.APPROVED, TIMETABLE_STATUS.PUBLISHED],
+    to: TIMETABLE_STATUS.IN_REVIEW,
+    roles: ['tt_incharge']
+  },
+  [WORKFLOW_ACTIONS.APPROVE]: {
+    from: [TIMETABLE_STATUS.IN_REVIEW],
+    to: TIMETABLE_STATUS.APPROVED,
+    roles: ['hod']
+  },
+  [WORKFLOW_ACTIONS.REJECT]: {
+    from: [TIMETABLE_STATUS.IN_REVIEW],
+    to: TIMETABLE_STATUS.DRAFT,
+    roles: ['hod'],
+    requiresComment: true
+  },
+  [WORKFLOW_ACTIONS.PUBLISH]: {
+    from: [TIMETABLE_STATUS.APPROVED],
+    to: TIMETABLE_STATUS.PUBLISHED,
+    roles: ['hod', 'tt_incharge']
+  },
+  [WORKFLOW_ACTIONS.COMMENT]: {
+    from: Object.values(TIMETABLE_STATUS),
+    to: null,
+    roles: ['hod', 'tt_incharge'],
+    requiresComment: true
+  }
+};
+
+/**
+ * Get the lifecycle status of a timetable document
+ * Documents saved before the workflow existed have no status and count as drafts.
+ * @param {Object} timetable - Timetable document data
+ * @returns {string} One of TIMETABLE_STATUS
+ */
+export const getTimetableStatus = (timetable) => timetable?.status || TIMETABLE_STATUS.DRAFT;
+
+/**
+ * Check whether a user may take an action on a timetable in a given status
+ * @param {string} status - Current status
+ * @param {string} action - One of WORKFLOW_ACTIONS
+ * @param {Object|null} user - Signed-in user (superadmins may take any action)
+ * @returns {boolean} True if the action is allowed
+ */
+export const canPerformWorkflowAction = (status, action, user) => {
+  const transition = TRANSITIONS[action];
+  if (!transition || !transition.from.includes(status || TIMETABLE_STATUS.DRAFT)) return false;
+  return user?.role === 'superadmin' || transition.roles.includes(user?.role);
+};
+
+const toWorkflowState = (timetableId, data = {}) => ({
+  id: timetableId,
+  semester: data.semester,
+  branch: data.branch,
+  batch: data.batch,
+  type: data.type,
+  status: getTimetableStatus(data),
+  reviewVersionId: data.reviewVersionId || null,
+  approvedVersionId: data.approvedVersionId || null,
+  publishedVersionId: data.publishedVersionId || null,
+  reviewComment: data.reviewComment || '',
+  statusUpdatedBy: data.statusUpdatedBy || null,
+  statusUpdatedAt: data.statusUpdatedAt?.toDate?.() || null,
+  isPublished: Boolean(data.isPublished),
+  publishedSchedule: data.publishedSchedule || null,
+  publishedAt: data.publishedAt?.toDate?.() || null,
+  publishedBy: data.publishedBy || null
+});
+
+/**
+ * Apply an action: validate it against the current status, then update the
+ * document and append the workflow event in one batch
+ * @param {string} timetableId - Timetable document ID
+ * @param {string} action - One of WORKFLOW_ACTIONS
+ * @param {Object} options - { user, comment, versionId, fields (extra document fields) }
+ * @returns {Promise<Object>} Workflow state after the action
+ */
+const applyWorkflowAction = async (timetableId, action, { user = null, comment = '', versionId = null, fields = {} } = {}) => {
+  const timetableRef = doc(db, TIMETABLES_COLLECTION, timetableId);
+  const snapshot = await getDoc(timetableRef);
+  if (!snapshot.exists()) {
+    throw new Error('Timetable not found. Save it before starting the review.');
+  }
+
+  const fromStatus = getTimetableStatus(snapshot.data());
+  const transition = TRANSITIONS[action];
+  if (!canPerformWorkflowAction(fromStatus, action, user)) {
+    throw new Error(`Cannot ${action} a timetable that is ${TIMETABLE_STATUS_LABELS[fromStatus].toLowerCase()} as ${user?.role || 'an unknown role'}`);
+  }
+
+  const trimmedComment = (comment || '').trim();
+  if (transition.requiresComment && !trimmedComment) {
+    throw new Error('A comment is required');
+  }
+
+  const actor = { ...toVersionAuthor(user), role: user?.role || null };
+  const toStatus = transition.to || fromStatus;
+  const batch = writeBatch(db);
+
+  batch.update(timetableRef, {
+    ...fields,
+    ...(transition.to ? {
+      status: toStatus,
+      statusUpdatedBy: actor,
+      statusUpdatedAt: serverTimestamp()
+    } : {}),
+    ...(trimmedComment && user?.role !== 'tt_incharge' ? { reviewComment: trimmedComment } : {})
+  });
+  batch.set(doc(collection(timetableRef, WORKFLOW_SUBCOLLECTION)), {
+    action,
+    fromStatus,
+    toStatus,
+    comment: trimmedComment,
+    versionId,
+    actor,
+    createdAt: serverTimestamp()
+  });
+  await batch.commit();
+
+  return toWorkflowState(timetableId, { ...snapshot.data(), ...fields, status: toStatus });
+};
+
+/**
+ * Submit the current schedule for HOD review
+ * A version is stored so the HOD reviews exactly what was submitted.
+ * @param {string} timetableId - Timetable document ID
+ * @param {Object} schedule - Schedule being submitted
+ * @param {Object} options - { user, comment }
+ * @returns {Promise<Object>} Workflow state
+ */
+export const submitTimetableForReview = async (timetableId, schedule, { user = null, comment = '' } = {}) => {
+  const snapshot = await getDoc(doc(db, TIMETABLES_COLLECTION, timetableId));
+  if (!snapshot.exists()) {
+    throw new Error('Timetable not found. Save it before starting the review.');
+  }
+  if (!canPerformWorkflowAction(getTimetableStatus(snapshot.data()), WORKFLOW_ACTIONS.SUBMIT, user)) {
+    throw new Error('This timetable cannot be submitted for review right now');
+  }
+
+  const versionId = await createTimetableVersion(timetableId, schedule, {
+    author: user,
+    message: comment || 'Submitted for review',
+    action: VERSION_ACTIONS.SUBMIT
+  });
+
+  return applyWorkflowAction(timetableId, WORKFLOW_ACTIONS.SUBMIT, {
+    user,
+    comment,
+    versionId,
+    fields: { reviewVersionId: versionId, reviewComment: '' }
+  });
+};
+
+/**
+ * Approve the submitted version
+ * @param {string} timetableId - Timetable document ID
+ * @param {Object} options - { user, comment }
+ * @returns {Promise<Object>} Workflow state
+ */
+export const approveTimetable = async (timetableId, { user = null, comment = '' } = {}) => {
+  const snapshot = await getDoc(doc(db, TIMETABLES_COLLECTION, timetableId));
+  const reviewVersionId = snapshot.data()?.reviewVersionId || null;
+
+  return applyWorkflowAction(timetableId, WORKFLOW_ACTIONS.APPROVE, {
+    user,
+    comment,
+    versionId: reviewVersionId,
+    fields: { approvedVersionId: reviewVersionId }
+  });
+};
+
+/**
+ * Send the submitted version back to the TT Incharge
+ * @param {string} timetableId - Timetable document ID
+ * @param {Object} options - { user, comment } (comment required)
+ * @returns {Promise<Object>} Workflow state
+ */
+export const rejectTimetable = async (timetableId, { user = null, comment = '' } = {}) => {
+  const snapshot = await getDoc(doc(db, TIMETABLES_COLLECTION, timetableId));
+
+  return applyWorkflowAction(timetableId, WORKFLOW_ACTIONS.REJECT, {
+    user,
+    comment,
+    versionId: snapshot.data()?.reviewVersionId || null
+  });
+};
+
+/**
+ * Publish the approved version for read-only viewers
+ * @param {string} timetableId - Timetable document ID
+ * @param {Object} options - { user }
+ * @returns {Promise<Object>} Workflow state
+ */
+export const publishApprovedTimetable = async (timetableId, { user = null } = {}) => {
+  const snapshot = await getDoc(doc(db, TIMETABLES_COLLECTION, timetableId));
+  const approvedVersionId = snapshot.data()?.approvedVersionId;
+  if (!approvedVersionId) {
+    throw new Error('Only an approved timetable can be published');
+  }
+
+  const approvedVersion = await fetchTimetableVersion(timetableId, approvedVersionId);
+  if (!approvedVersion) {
+    throw new Error('The approved version could not be found');
+  }
+
+  const publishedVersionId = await createTimetableVersion(timetableId, approvedVersion.schedule, {
+    author: user,
+    message: 'Published approved version',
+    action: VERSION_ACTIONS.PUBLISH
+  });
+
+  return applyWorkflowAction(timetableId, WORKFLOW_ACTIONS.PUBLISH, {
+    user,
+    versionId: publishedVersionId,
+    fields: {
+      isPublished: true,
+      publishedSchedule: approvedVersion.schedule,
+      publishedVersionId,
+      publishedAt: serverTimestamp(),
+      publishedBy: toVersionAuthor(user)
+    }
+  });
+};
+
+/**
+ * Add a review comment without changing the status
+ * @param {string} timetableId - Timetable document ID
+ * @param {Object} options - { user, comment }
+ * @returns {Promise<Object>} Workflow state
+ */
+export const addWorkflowComment = (timetableId, { user = null, comment = '' } = {}) =>
+  applyWorkflowAction(timetableId, WORKFLOW_ACTIONS.COMMENT, { user, comment });
+
+/**
+ * Fetch the workflow history of a timetable, newest first
+ * @param {string} timetableId - Timetable document ID
+ * @returns {Promise<Array>} Events { id, action, fromStatus, toStatus, comment, versionId, actor, createdAt }
+ */
+export const fetchWorkflowHistory = async (timetableId) => {
+  const snapshot = await getDocs(query(
+    collection(db, TIMETABLES_COLLECTION, timetableId, WORKFLOW_SUBCOLLECTION),
+    orderBy('createdAt', 'desc')
+  ));
+  return snapshot.docs.map(eventDoc => ({
+    id: eventDoc.id,
+    ...eventDoc.data(),
+    createdAt: eventDoc.data().createdAt?.toDate?.() || new Date()
+  }));
+};
+
+/**
+ * Listen to the workflow state of one timetable
+ * @param {string} timetableId - Timetable document ID
+ * @param {Function} callback - Called with the workflow state (null if the document does not exist)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTimetableWorkflow = (timetableId, callback) => {
+  if (!timetableId) return () => {};
+
+  return onSnapshot(doc(db, TIMETABLES_COLLECTION, timetableId), (snapshot) => {
+    callback(snapshot.exists() ? toWorkflowState(snapshot.id, snapshot.data()) : null);
+  }, (error) => {
+    console.error('Error listening to timetable workflow:', error);
+  });
+};
+
+/**
+ * Listen to timetables waiting on the HOD (in review or approved but not yet published)
+ * @param {Function} callback - Called with workflow states
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToReviewQueue = (callback) => onSnapshot(
+  query(collection(db, TIMETABLES_COLLECTION), where('status', 'in', [TIMETABLE_STATUS.IN_REVIEW, TIMETABLE_STATUS.APPROVED])),
+  (snapshot) => callback(snapshot.docs.map(timetableDoc => toWorkflowState(timetableDoc.id, timetableDoc.data()))),
+  (error) => console.error('Error listening to the review queue:', error)
+);
+
+/**
+ * Listen to timetables that have a published version
+ * A timetable stays visible here while a newer revision is under review.
+ * @param {Function} callback - Called with workflow states (publishedSchedule holds what viewers see)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToPublishedTimetables = (callback) => onSnapshot(
+  query(collection(db, TIMETABLES_COLLECTION), where('isPublished', '==', true)),
+  (snapshot) => callback(snapshot.docs.map(timetableDoc => toWorkflowState(timetableDoc.id, timetableDoc.data()))),
+  (error) => console.error('Error listening to published timetables:', error)
+);
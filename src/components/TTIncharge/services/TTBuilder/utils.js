@@ -4,6 +4,7 @@
  */
 
 import { colorClassMap, dayAbbreviations, timeSlots } from './constants.js';
+import { formatTimeSlot, parseTimeSlot } from './timeSlotParser.js';
 
 /**
  * Deep copy utility function
@@ -41,6 +42,29 @@ export const replaceUndefinedWithNull = (obj) => {
   return obj;
 };
 
+/**
+ * Compare two timetable cells by content
+ * Key order and null/undefined fields are ignored, since Firestore returns maps
+ * in its own key order and saves replace undefined with null.
+ * @param {*} a - First cell
+ * @param {*} b - Second cell
+ * @returns {boolean} True if both cells hold the same sessions
+ */
+export const isSameCell = (a, b) => toComparableCell(a) === toComparableCell(b);
+
+const toComparableCell = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return `[${value.map(toComparableCell).join(',')}]`;
+  if (typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== null && value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${toComparableCell(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
 /**
  * Get course color class based on course color
  * @param {string} color - Course color
@@ -58,8 +82,7 @@ export const getCourseColorClass = (color) => {
 export const getCompactTimeFormat = (timeSlot) => {
   if (!timeSlot) return '';
   
-  const [start] = timeSlot.split('-');
-  return start;
+  return formatTimeSlot(timeSlot, 'compact');
 };
 
 /**
@@ -137,29 +160,7 @@ export const getCompactCourseDisplay = (course, isCompact = false) => {
 export const formatTime = (timeSlot, format = '24h') => {
   if (!timeSlot) return '';
   
-  try {
-    const [start, end] = timeSlot.split('-');
-    
-    if (format === 'compact') {
-      return start;
-    }
-    
-    if (format === '12h') {
-      const formatTo12h = (time) => {
-        const [hour, minute] = time.split(':').map(Number);
-        const period = hour >= 12 ? 'PM' : 'AM';
-        const displayHour = hour === 0 ? 12 : hour > 12 ? hour - 12 : hour;
-        return `${displayHour}:${minute.toString().padStart(2, '0')} ${period}`;
-      };
-      
-      return `${formatTo12h(start)} - ${formatTo12h(end)}`;
-    }
-    
-    return timeSlot; // Default 24h format
-  } catch (error) {
-    console.warn('Error formatting time:', error);
-    return timeSlot;
-  }
+  return formatTimeSlot(timeSlot, format);
 };
 
 /**
@@ -169,21 +170,10 @@ export const formatTime = (timeSlot, format = '24h') => {
  * @returns {number} Duration in minutes
  */
 export const calculateDuration = (startSlot, endSlot) => {
-  try {
-    const parseTime = (timeStr) => {
-      const [time] = timeStr.split('-');
-      const [hour, minute] = time.split(':').map(Number);
-      return hour * 60 + minute;
-    };
-    
-    const startMinutes = parseTime(startSlot);
-    const endMinutes = parseTime(endSlot);
-    
-    return endMinutes - startMinutes;
-  } catch (error) {
-    console.warn('Error calculating duration:', error);
-    return 0;
-  }
+  const start = parseTimeSlot(startSlot);
+  const end = parseTimeSlot(endSlot);
+  
+  return start && end ? end.start - start.start : 0;
 };
 
 /**
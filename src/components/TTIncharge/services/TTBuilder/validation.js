@@ -3,8 +3,20 @@
  * Validates room capacity, facilities, and scheduling requirements
  */
 
-import { CONFIG, timeSlots } from './constants.js';
+import { CONFIG } from './constants.js';
+import { getTimeSlots } from './timeGrid.js';
+import { getAdjacentTimeSlots } from './timeSlotParser.js';
 import { extractFacultyId } from './conflictDetection.js';
+import {
+  getCellSessions, sessionsShareStudents, addCourseToTimetable, getSessionSpan, getSpanSlots
+} from './timetableOperations.js';
+import { getAvailabilityKey, hasTeacherAvailability } from './teacherAvailability.js';
+import { evaluateWorkload, getTeacherPeriods } from './workloadPolicy.js';
+import {
+  normalizeDayShapeRules, evaluateDayShape, getNewDayShapeViolations, DAY_SHAPE_RULE_LABELS
+} from './dayShapeRules.js';
+import { checkRoomRequirement, SESSION_COMPONENT_LABELS } from './roomRequirements.js';
+import { getContactHours } from './contactHours.js';
 
 /**
  * Batch and resource validation system
@@ -59,7 +71,9 @@ export const resourceValidator = {
    * Validate if room facilities match course requirements
    */
   validateRoomFacilities: (room, courseRequirements) => {
-    if (!room || !room.facilities) {
+    // Rooms from Room Management list their equipment as `features`
+    const roomFeatures = room?.features || room?.facilities;
+    if (!room || !Array.isArray(roomFeatures)) {
       return {
         isValid: false,
         message: 'Room facilities information not available'
@@ -74,7 +88,7 @@ export const resourceValidator = {
     }
     
     const missingFacilities = courseRequirements.filter(
-      requirement => !room.facilities.includes(requirement)
+      requirement => !roomFeatures.includes(requirement)
     );
     
     if (missingFacilities.length > 0) {
@@ -97,36 +111,77 @@ export const resourceValidator = {
     };
   },
   
+  /**
+   * Validate a room against the session's L/T/P requirements
+   * A room of the wrong type is critical; missing features only warn. Sessions
+   * placed as an explicit component with no room type named fall back to the
+   * general type compatibility table.
+   * @param {Object} room - Target room
+   * @param {Object} course - Course block carrying `sessionRequirements` (and optionally `component`)
+   * @returns {Array} Conflicts and warnings
+   */
+  validateRoomRequirements: (room, course) => {
+    const issues = [];
+    const roomLabel = room.number || room.id;
+    const { component, requirement, typeMatches, missingFeatures } = checkRoomRequirement(room, course);
+    const sessionLabel = `${course.code} ${SESSION_COMPONENT_LABELS[component].toLowerCase()}`;
+    
+    if (!typeMatches) {
+      issues.push({
+        type: 'room_type_mismatch',
+        severity: 'critical',
+        message: `${sessionLabel} needs a ${requirement.roomType}; room ${roomLabel} is a ${room.type || 'room of unknown type'}`,
+        suggestedActions: [`Choose a ${requirement.roomType}`]
+      });
+    } else if (!requirement.roomType && course.component && room.type && !courseValidator.isRoomTypeCompatible(component, room.type)) {
+      issues.push({
+        type: 'room_type_mismatch',
+        severity: 'warning',
+        message: `Room ${roomLabel} (${room.type}) may not be suitable for a ${SESSION_COMPONENT_LABELS[component].toLowerCase()}`
+      });
+    }
+    
+    if (missingFeatures.length > 0) {
+      issues.push({
+        type: 'room_facilities',
+        ...resourceValidator.validateRoomFacilities(room, requirement.features)
+      });
+    }
+    
+    return issues;
+  },
+  
   /**
    * Validate batch scheduling conflicts
+   * Sessions of different sub-batches (A1, A2) run in parallel and do not conflict.
    */
-  validateBatchConflicts: (timetableData, targetDay, targetSlot, batchId, courseCode) => {
+  validateBatchConflicts: (timetableData, targetDay, targetSlot, batchId, courseCode, subBatch = null) => {
     const conflicts = [];
     
-    // Check if the same batch has another class at the same time
+    // Check if the same batch (or sub-batch) has another class at the same time
     Object.keys(timetableData).forEach(day => {
       Object.keys(timetableData[day] || {}).forEach(slot => {
-        const existingCourse = timetableData[day][slot];
-        
-        if (existingCourse && 
-            existingCourse.batchId === batchId && 
-            day === targetDay && 
-            slot === targetSlot &&
-            existingCourse.code !== courseCode) {
-          conflicts.push({
-            type: 'batch_conflict',
-            severity: 'critical',
-            message: `Batch ${batchId} already has ${existingCourse.code} scheduled at ${slot} on ${day}`,
-            conflictingCourse: existingCourse,
-            day: targetDay,
-            slot: targetSlot,
-            suggestedActions: [
-              'Choose a different time slot',
-              'Move the conflicting course',
-              'Split the batch if possible'
-            ]
-          });
-        }
+        getCellSessions(timetableData[day][slot]).forEach(existingCourse => {
+          if (existingCourse.batchId === batchId && 
+              day === targetDay && 
+              slot === targetSlot &&
+              existingCourse.code !== courseCode &&
+              sessionsShareStudents(existingCourse, { subBatch })) {
+            conflicts.push({
+              type: 'batch_conflict',
+              severity: 'critical',
+              message: `${subBatch ? `Sub-batch ${subBatch}` : `Batch ${batchId}`} already has ${existingCourse.code} scheduled at ${slot} on ${day}`,
+              conflictingCourse: existingCourse,
+              day: targetDay,
+              slot: targetSlot,
+              suggestedActions: [
+                'Choose a different time slot',
+                'Move the conflicting course',
+                'Split the batch if possible'
+              ]
+            });
+          }
+        });
       });
     });
     
@@ -140,12 +195,12 @@ export const resourceValidator = {
     const warnings = [];
     const timeSlotDuration = CONFIG.TIME_SLOT_DURATION;
     
-    // Check adjacent time slots for the same batch/room
-    const adjacentSlots = resourceValidator.getAdjacentSlots(targetSlot);
+    // Periods separated by less than the minimum break count as back-to-back
+    const adjacentSlots = getAdjacentTimeSlots(targetSlot, minimumBreakMinutes);
     
     adjacentSlots.forEach(adjSlot => {
-      const adjCourse = timetableData[targetDay]?.[adjSlot];
-      if (adjCourse && adjCourse.code) {
+      const adjCourse = getCellSessions(timetableData[targetDay]?.[adjSlot]).find(session => session.code);
+      if (adjCourse) {
         // Check if it's back-to-back classes for same batch or in same room
         warnings.push({
           type: 'break_time',
@@ -164,20 +219,50 @@ export const resourceValidator = {
   },
   
   /**
-   * Get adjacent time slots
+   * Validate the batch's day-shape rules for a placement
+   * Only violations the placement introduces or worsens are returned, so an
+   * already crowded day does not warn on every drop.
+   * @param {Object} timetableData - Timetable before the placement
+   * @param {string} day - Target day
+   * @param {string} slot - Target slot
+   * @param {Object} course - Course being placed
+   * @param {Object} room - Target room
+   * @param {Object} batchInfo - { dayShapeRules, dayShapeOverrides }
+   * @returns {Array} Warnings, each carrying its `rule` so it can be overridden
    */
-  getAdjacentSlots: (currentSlot) => {
-    const currentIndex = timeSlots.indexOf(currentSlot);
-    const adjacent = [];
-    
-    if (currentIndex > 0) {
-      adjacent.push(timeSlots[currentIndex - 1]);
+  validateDayShape: (timetableData, day, slot, course, room, batchInfo = {}) => {
+    // A span that does not fit is reported as a span conflict; there is no day to judge
+    const span = getSessionSpan(course);
+    if (span > 1 && !getSpanSlots(slot, span)) {
+      return [];
     }
-    if (currentIndex < timeSlots.length - 1) {
-      adjacent.push(timeSlots[currentIndex + 1]);
-    }
-    
-    return adjacent;
+
+    const rules = normalizeDayShapeRules(batchInfo.dayShapeRules);
+    const overrides = batchInfo.dayShapeOverrides || [];
+    const before = evaluateDayShape(timetableData, day, rules);
+    const after = evaluateDayShape(addCourseToTimetable(timetableData, day, slot, course, room), day, rules);
+    
+    return getNewDayShapeViolations(before, after)
+      .filter(violation => !overrides.includes(violation.rule))
+      .map(violation => ({
+        type: 'day_shape',
+        severity: 'warning',
+        rule: violation.rule,
+        day,
+        slot,
+        message: `${DAY_SHAPE_RULE_LABELS[violation.rule]}: ${violation.message}`,
+        suggestedActions: [
+          'Move the session to another day',
+          'Override the rule for this timetable if the shape is intended'
+        ]
+      }));
+  },
+  
+  /**
+   * Get the periods directly before and after a slot (not separated by a break)
+   */
+  getAdjacentSlots: (currentSlot) => {
+    return getAdjacentTimeSlots(currentSlot);
   },
   
   /**
@@ -187,8 +272,10 @@ export const resourceValidator = {
     const validations = {
       roomCapacity: { isValid: true },
       roomFacilities: { isValid: true },
+      roomRequirements: [],
       batchConflicts: [],
       breakTimes: [],
+      dayShape: [],
       overall: { isValid: true, conflicts: [], warnings: [] }
     };
     
@@ -216,10 +303,23 @@ export const resourceValidator = {
       }
     }
     
+    // Validate room type and equipment for the session's L/T/P component
+    if (room && course) {
+      validations.roomRequirements = resourceValidator.validateRoomRequirements(room, course);
+      validations.roomRequirements.forEach(issue => {
+        if (issue.severity === 'critical') {
+          validations.overall.isValid = false;
+          validations.overall.conflicts.push(issue);
+        } else {
+          validations.overall.warnings.push(issue);
+        }
+      });
+    }
+    
     // Validate batch conflicts
     if (batchInfo?.id) {
       validations.batchConflicts = resourceValidator.validateBatchConflicts(
-        timetableData, day, slot, batchInfo.id, course?.code
+        timetableData, day, slot, batchInfo.id, course?.code, course?.subBatch || null
       );
       if (validations.batchConflicts.length > 0) {
         validations.overall.isValid = false;
@@ -233,6 +333,12 @@ export const resourceValidator = {
       validations.overall.warnings.push(...validations.breakTimes);
     }
     
+    // Validate the batch's day shape
+    if (course) {
+      validations.dayShape = resourceValidator.validateDayShape(timetableData, day, slot, course, room, batchInfo || {});
+      validations.overall.warnings.push(...validations.dayShape);
+    }
+    
     return validations;
   }
 };
@@ -253,6 +359,7 @@ export const courseValidator = {
     
     // Check course duration vs available time
     if (course.duration && course.duration > 1) {
+      const timeSlots = getTimeSlots();
       const currentSlotIndex = timeSlots.indexOf(slot);
       const requiredSlots = course.duration;
       
@@ -289,10 +396,10 @@ export const courseValidator = {
    */
   isRoomTypeCompatible: (courseType, roomType) => {
     const compatibility = {
-      'lecture': ['Lecture Hall', 'Classroom', 'Auditorium'],
+      'lecture': ['Lecture Hall', 'Classroom', 'Auditorium', 'Seminar Hall'],
       'practical': ['Electronics Lab', 'Electrical Lab', 'Mechanical Lab', 'Civil Lab', 'Footwear Lab', 'Agriculture Lab', 'Laboratory', 'Workshop'],
-      'tutorial': ['Classroom', 'Tutorial Room', 'Seminar Room'],
-      'seminar': ['Seminar Room', 'Conference Room', 'Classroom']
+      'tutorial': ['Classroom', 'Tutorial Room', 'Seminar Room', 'Seminar Hall'],
+      'seminar': ['Seminar Room', 'Seminar Hall', 'Conference Room', 'Classroom']
     };
     
     const compatibleRoomTypes = compatibility[courseType?.toLowerCase()] || [];
@@ -303,27 +410,12 @@ export const courseValidator = {
    * Validate weekly hour distribution
    */
   validateWeeklyHours: (course, scheduledHours) => {
-    if (!course.weeklyHours) {
+    // Contact hours from the course's L/T/P fields or its weekly hours string
+    const requiredHours = getContactHours(course).total;
+    if (requiredHours === 0) {
       return { isValid: true, message: 'No weekly hour constraints' };
     }
     
-    // Parse weekly hours (format: "3L+1T+2P")
-    const parseWeeklyHours = (weeklyHours) => {
-      const parts = weeklyHours.split('+');
-      let totalHours = 0;
-      
-      parts.forEach(part => {
-        const match = part.match(/(\d+)([LTP])/);
-        if (match) {
-          totalHours += parseInt(match[1]);
-        }
-      });
-      
-      return totalHours;
-    };
-    
-    const requiredHours = parseWeeklyHours(course.weeklyHours);
-    
     if (scheduledHours < requiredHours) {
       return {
         isValid: false,
@@ -365,13 +457,12 @@ export const facultyValidator = {
     
     Object.keys(timetableData).forEach(day => {
       Object.keys(timetableData[day] || {}).forEach(slot => {
-        const course = timetableData[day][slot];
-        const courseFacultyId = extractFacultyId(course);
-        
-        if (course && courseFacultyId === facultyId) {
-          totalHours += course.duration || 1;
-          scheduledSlots.push({ day, slot, course: course.code });
-        }
+        getCellSessions(timetableData[day][slot]).forEach(course => {
+          if (extractFacultyId(course) === facultyId) {
+            totalHours += course.duration || 1;
+            scheduledSlots.push({ day, slot, course: course.code });
+          }
+        });
       });
     });
     
@@ -383,20 +474,26 @@ export const facultyValidator = {
   },
   
   /**
-   * Validate faculty workload limits
+   * Validate faculty workload against the teacher's workload policy
+   * @param {Object} timetableData - Timetable being edited
+   * @param {string} facultyId - Teacher ID
+   * @param {Object} policy - Policy from getTeacherWorkloadPolicy (null only counts)
+   * @param {Array} otherPeriods - The teacher's { day, slot } periods in other timetables
+   * @returns {Object} { isValid, severity, message, workload, violations }
    */
-  validateFacultyWorkload: (timetableData, facultyId, maxHoursPerWeek = 20) => {
-    const workload = facultyValidator.calculateFacultyWorkload(timetableData, facultyId);
+  validateFacultyWorkload: (timetableData, facultyId, policy = null, otherPeriods = []) => {
+    const workload = evaluateWorkload([...getTeacherPeriods(timetableData, facultyId), ...otherPeriods], policy);
     
-    if (workload.totalHours > maxHoursPerWeek) {
+    if (workload.violations.length > 0) {
       return {
         isValid: false,
         severity: 'warning',
-        message: `Faculty workload (${workload.totalHours} hours) exceeds recommended maximum (${maxHoursPerWeek} hours)`,
+        message: workload.violations.map(violation => violation.message).join('; '),
         workload,
+        violations: workload.violations,
         suggestedActions: [
           'Redistribute some courses to other faculty',
-          'Reduce session durations',
+          'Spread the sessions over more days',
           'Review workload distribution'
         ]
       };
@@ -404,42 +501,85 @@ export const facultyValidator = {
     
     return {
       isValid: true,
-      message: `Faculty workload (${workload.totalHours} hours) is within acceptable limits`,
-      workload
+      message: `Faculty workload (${workload.totalHours} hours) is within the policy limits`,
+      workload,
+      violations: []
     };
   },
   
   /**
-   * Check for faculty availability conflicts
+   * Check a placement against the teacher's stored availability
+   * Unavailable periods are critical. The preferred day off, periods outside the
+   * preferred ones and a new teaching day past maxDaysPerWeek are warnings.
+   * @param {Object} faculty - { name, availability } (availability from normalizeTeacherAvailability)
+   * @param {string} day - Day of the week
+   * @param {Array} slots - Periods the session covers
+   * @param {Array} teachingDays - Days the teacher already teaches on (getTeachingDays)
+   * @returns {Array} Conflicts { type, severity, message, day, slot, suggestedActions }
    */
-  validateFacultyAvailability: (faculty, day, slot) => {
-    if (!faculty.availability || !Array.isArray(faculty.availability)) {
-      return {
-        isValid: true,
-        message: 'No specific availability constraints'
-      };
+  validateFacultyAvailability: (faculty, day, slots, teachingDays = []) => {
+    const availability = faculty?.availability;
+    if (!hasTeacherAvailability(availability)) {
+      return [];
     }
     
-    const slotKey = `${day}-${slot}`;
-    const isAvailable = faculty.availability.includes(slotKey) || 
-                       faculty.availableSlots?.includes(slotKey);
+    const name = faculty.name || 'The teacher';
+    const conflicts = [];
     
-    if (!isAvailable) {
-      return {
-        isValid: false,
+    const unavailable = slots.filter(slot => availability.unavailableSlots.includes(getAvailabilityKey(day, slot)));
+    if (unavailable.length > 0) {
+      conflicts.push({
+        type: 'faculty_unavailable',
         severity: 'critical',
-        message: `Faculty ${faculty.name} is not available at ${slot} on ${day}`,
+        message: `${name} is not available at ${unavailable.join(', ')} on ${day}`,
+        day,
+        slot: unavailable[0],
         suggestedActions: [
           'Choose a different time slot',
           'Assign a different faculty member',
           'Update faculty availability'
         ]
-      };
+      });
     }
     
-    return {
-      isValid: true,
-      message: 'Faculty is available at the requested time'
-    };
+    if (availability.preferredDayOff === day) {
+      conflicts.push({
+        type: 'faculty_day_off',
+        severity: 'warning',
+        message: `${day} is ${name}'s preferred day off`,
+        day,
+        slot: slots[0],
+        suggestedActions: ['Choose a different day']
+      });
+    }
+    
+    if (availability.preferredSlots.length > 0 &&
+        !slots.every(slot => availability.preferredSlots.includes(getAvailabilityKey(day, slot)))) {
+      conflicts.push({
+        type: 'faculty_preference',
+        severity: 'warning',
+        message: `${name} prefers other periods than ${slots.join(', ')} on ${day}`,
+        day,
+        slot: slots[0],
+        suggestedActions: ['Choose one of the preferred periods']
+      });
+    }
+    
+    if (availability.maxDaysPerWeek !== null && !teachingDays.includes(day) &&
+        teachingDays.length >= availability.maxDaysPerWeek) {
+      conflicts.push({
+        type: 'faculty_max_days',
+        severity: 'warning',
+        message: `${name} already teaches on ${teachingDays.length} days (at most ${availability.maxDaysPerWeek} a week); ${day} would be another`,
+        day,
+        slot: slots[0],
+        suggestedActions: [
+          `Schedule on one of ${teachingDays.join(', ')}`,
+          'Assign a different faculty member'
+        ]
+      });
+    }
+    
+    return conflicts;
   }
 };
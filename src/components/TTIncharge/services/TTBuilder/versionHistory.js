@@ -0,0 +1,128 @@
+/**
+ * Timetable Version History
+ * Immutable snapshots of a timetable's schedule, stored per save and publish
+ *
+ * Snapshots live in the `versions` subcollection of the timetable document and
+ * are only ever added, never edited. A rollback writes the old schedule back to
+ * the timetable and records the restore as a new version, so it can be undone too.
+ */
+
+import {
+  db, collection, doc, getDoc, getDocs, addDoc, updateDoc, query, orderBy, serverTimestamp, increment
+} from '../../../../firebase/config';
+import { replaceUndefinedWithNull } from './utils.js';
+import { countScheduledSessions } from './scheduleDiff.js';
+
+const TIMETABLES_COLLECTION = 'timetables';
+const VERSIONS_SUBCOLLECTION = 'versions';
+
+export const VERSION_ACTIONS = {
+  SAVE: 'save',
+  SUBMIT: 'submit',
+  PUBLISH: 'publish',
+  ROLLBACK: 'rollback'
+};
+
+const getVersionsCollection = (timetableId) =>
+  collection(db, TIMETABLES_COLLECTION, timetableId, VERSIONS_SUBCOLLECTION);
+
+/**
+ * Reduce a signed-in user to the fields stored on a version
+ * @param {Object|null} user - User from AuthContext
+ * @returns {Object} { id, name, email }
+ */
+export const toVersionAuthor = (user) => ({
+  id: user?.id || user?.uid || null,
+  name: user?.name || user?.displayName || user?.email || 'Unknown',
+  email: user?.email || null
+});
+
+/**
+ * Convert a version document snapshot to the record used by the builder
+ * @param {Object} docSnapshot - Firestore document snapshot
+ * @returns {Object} Version record
+ */
+const toVersionRecord = (docSnapshot) => {
+  const data = docSnapshot.data();
+  return {
+    id: docSnapshot.id,
+    ...data,
+    // Pending server timestamps read back as null until the write is acknowledged
+    createdAt: data.createdAt?.toDate?.() || new Date()
+  };
+};
+
+/**
+ * Store an immutable snapshot of a schedule
+ * @param {string} timetableId - Timetable document ID
+ * @param {Object} schedule - Schedule to snapshot
+ * @param {Object} options - { author (user), message, action }
+ * @returns {Promise<string>} ID of the new version
+ */
+export const createTimetableVersion = async (timetableId, schedule, { author = null, message = '', action = VERSION_ACTIONS.SAVE } = {}) => {
+  const versionRef = await addDoc(getVersionsCollection(timetableId), {
+    schedule: replaceUndefinedWithNull(schedule || {}),
+    author: toVersionAuthor(author),
+    message: message.trim(),
+    action,
+    sessionCount: countScheduledSessions(schedule),
+    createdAt: serverTimestamp()
+  });
+  return versionRef.id;
+};
+
+/**
+ * Fetch every version of a timetable, newest first
+ * @param {string} timetableId - Timetable document ID
+ * @returns {Promise<Array>} Version records
+ */
+export const fetchTimetableVersions = async (timetableId) => {
+  const snapshot = await getDocs(query(getVersionsCollection(timetableId), orderBy('createdAt', 'desc')));
+  return snapshot.docs.map(toVersionRecord);
+};
+
+/**
+ * Fetch one version of a timetable
+ * @param {string} timetableId - Timetable document ID
+ * @param {string} versionId - Version ID
+ * @returns {Promise<Object|null>} Version record, or null if it does not exist
+ */
+export const fetchTimetableVersion = async (timetableId, versionId) => {
+  const snapshot = await getDoc(doc(db, TIMETABLES_COLLECTION, timetableId, VERSIONS_SUBCOLLECTION, versionId));
+  return snapshot.exists() ? toVersionRecord(snapshot) : null;
+};
+
+/**
+ * Restore a timetable to an earlier version
+ * The current schedule is snapshotted first so nothing is lost by the restore.
+ * @param {string} timetableId - Timetable document ID
+ * @param {Object} version - Version record to restore
+ * @param {Object} options - { author (user) }
+ * @returns {Promise<Object>} The restored schedule
+ */
+export const rollbackTimetableVersion = async (timetableId, version, { author = null } = {}) => {
+  const timetableRef = doc(db, TIMETABLES_COLLECTION, timetableId);
+  const current = await getDoc(timetableRef);
+  const restoredAt = version.createdAt instanceof Date ? version.createdAt.toLocaleString() : version.id;
+
+  if (current.exists() && current.data().schedule) {
+    await createTimetableVersion(timetableId, current.data().schedule, {
+      author,
+      message: `Before rollback to version from ${restoredAt}`,
+      action: VERSION_ACTIONS.SAVE
+    });
+  }
+
+  // updateDoc replaces the schedule map outright; a merge would keep cells the old version did not have.
+  // Bumping the revision makes open editors merge the restore instead of saving over it.
+  const schedule = replaceUndefinedWithNull(version.schedule || {});
+  await updateDoc(timetableRef, { schedule, revision: increment(1), updatedAt: serverTimestamp() });
+
+  await createTimetableVersion(timetableId, schedule, {
+    author,
+    message: `Rolled back to version from ${restoredAt}`,
+    action: VERSION_ACTIONS.ROLLBACK
+  });
+
+  return schedule;
+};
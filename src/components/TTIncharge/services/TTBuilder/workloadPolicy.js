@@ -0,0 +1,192 @@
+/**
+ * Faculty Workload Policies
+ * Teaching load norms per designation, stored in the `settings` collection and
+ * assigned to teachers by their `designation` (or an explicit `workloadPolicyId`):
+ *
+ *   { id, designation, maxHoursPerWeek, maxHoursPerDay, maxConsecutivePeriods, minGapMinutes }
+ *
+ * A limit left empty is not checked. Hours are counted in periods, across every
+ * timetable the teacher appears in. Back-to-back periods form a block limited by
+ * maxConsecutivePeriods; between two blocks on a day the teacher needs at least
+ * minGapMinutes free.
+ */
+
+import { DEFAULT_WORKLOAD_POLICIES } from './constants.js';
+import { getWeekDays } from './timeGrid.js';
+import { parseTimeSlot, areSlotsConsecutive } from './timeSlotParser.js';
+import { getCellSessions } from './timetableOperations.js';
+import { extractFacultyId } from './conflictDetection.js';
+
+export const WORKLOAD_RULES = {
+  WEEKLY_HOURS: 'weekly_hours',
+  DAILY_HOURS: 'daily_hours',
+  CONSECUTIVE_PERIODS: 'consecutive_periods',
+  MIN_GAP: 'min_gap'
+};
+
+const toLimit = (value) => {
+  const limit = parseInt(value, 10);
+  return !isNaN(limit) && limit > 0 ? limit : null;
+};
+
+/**
+ * Fill in a stored policy, turning empty limits into null
+ * @param {Object} policy - Policy as stored or edited
+ * @returns {Object} { id, designation, maxHoursPerWeek, maxHoursPerDay, maxConsecutivePeriods, minGapMinutes }
+ */
+export const normalizeWorkloadPolicy = (policy = {}) => ({
+  id: policy.id || String(policy.designation || '').trim().toLowerCase().replace(/\s+/g, '_'),
+  designation: String(policy.designation || '').trim(),
+  maxHoursPerWeek: toLimit(policy.maxHoursPerWeek),
+  maxHoursPerDay: toLimit(policy.maxHoursPerDay),
+  maxConsecutivePeriods: toLimit(policy.maxConsecutivePeriods),
+  minGapMinutes: toLimit(policy.minGapMinutes)
+});
+
+/**
+ * Find the policy that applies to a teacher
+ * An explicit `workloadPolicyId` wins over the one for the teacher's designation.
+ * @param {Object} teacher - { designation, workloadPolicyId }
+ * @param {Array} policies - Normalised policies
+ * @returns {Object|null} Policy, or null if none applies
+ */
+export const getTeacherWorkloadPolicy = (teacher, policies = DEFAULT_WORKLOAD_POLICIES) => {
+  if (!teacher) return null;
+
+  const designation = String(teacher.designation || '').trim().toLowerCase();
+  return policies.find(policy => teacher.workloadPolicyId && policy.id === teacher.workloadPolicyId) ||
+    policies.find(policy => designation && policy.designation.toLowerCase() === designation) ||
+    null;
+};
+
+/**
+ * Periods a teacher has in one timetable
+ * @param {Object} timetableData - Timetable schedule
+ * @param {string} teacherId - Teacher ID
+ * @returns {Array} { day, slot } for every period, continuation periods included
+ */
+export const getTeacherPeriods = (timetableData, teacherId) => {
+  const periods = [];
+  Object.keys(timetableData || {}).forEach(day => {
+    Object.keys(timetableData[day] || {}).forEach(slot => {
+      if (getCellSessions(timetableData[day][slot]).some(session => extractFacultyId(session) === teacherId)) {
+        periods.push({ day, slot });
+      }
+    });
+  });
+  return periods;
+};
+
+// Split a day's periods into blocks of back-to-back periods
+const getTeachingBlocks = (slots) => {
+  const blocks = [];
+  slots.forEach(slot => {
+    const block = blocks[blocks.length - 1];
+    if (block && areSlotsConsecutive(block[block.length - 1], slot)) {
+      block.push(slot);
+    } else {
+      blocks.push([slot]);
+    }
+  });
+  return blocks;
+};
+
+/**
+ * Check a teacher's periods against a workload policy
+ * @param {Array} periods - { day, slot } periods, from any number of timetables (duplicates count once)
+ * @param {Object} policy - Normalised policy, or null to only count
+ * @returns {Object} { totalHours, dailyHours, violations: [{ rule, day, limit, actual, message }] };
+ *   gap violations also carry the `slots` on either side
+ */
+export const evaluateWorkload = (periods = [], policy = null) => {
+  const slotsByDay = {};
+  periods.forEach(({ day, slot }) => {
+    if (!slotsByDay[day]) slotsByDay[day] = new Set();
+    slotsByDay[day].add(slot);
+  });
+
+  const weekDays = getWeekDays();
+  const days = Object.keys(slotsByDay).sort((a, b) => weekDays.indexOf(a) - weekDays.indexOf(b));
+  const dailyHours = Object.fromEntries(days.map(day => [day, slotsByDay[day].size]));
+  const totalHours = Object.values(dailyHours).reduce((sum, hours) => sum + hours, 0);
+  const violations = [];
+
+  if (!policy) {
+    return { totalHours, dailyHours, violations };
+  }
+
+  const label = policy.designation || 'this policy';
+
+  if (policy.maxHoursPerWeek !== null && totalHours > policy.maxHoursPerWeek) {
+    violations.push({
+      rule: WORKLOAD_RULES.WEEKLY_HOURS,
+      day: null,
+      limit: policy.maxHoursPerWeek,
+      actual: totalHours,
+      message: `${totalHours} periods a week; the ${label} limit is ${policy.maxHoursPerWeek}`
+    });
+  }
+
+  days.forEach(day => {
+    if (policy.maxHoursPerDay !== null && dailyHours[day] > policy.maxHoursPerDay) {
+      violations.push({
+        rule: WORKLOAD_RULES.DAILY_HOURS,
+        day,
+        limit: policy.maxHoursPerDay,
+        actual: dailyHours[day],
+        message: `${dailyHours[day]} periods on ${day}; the ${label} limit is ${policy.maxHoursPerDay} a day`
+      });
+    }
+
+    const slots = [...slotsByDay[day]]
+      .filter(slot => parseTimeSlot(slot))
+      .sort((a, b) => parseTimeSlot(a).start - parseTimeSlot(b).start);
+    const blocks = getTeachingBlocks(slots);
+
+    const longest = blocks.reduce((top, block) => block.length > top.length ? block : top, []);
+    if (policy.maxConsecutivePeriods !== null && longest.length > policy.maxConsecutivePeriods) {
+      violations.push({
+        rule: WORKLOAD_RULES.CONSECUTIVE_PERIODS,
+        day,
+        limit: policy.maxConsecutivePeriods,
+        actual: longest.length,
+        message: `${longest.length} periods in a row on ${day} (${longest[0]} to ${longest[longest.length - 1]}); the ${label} limit is ${policy.maxConsecutivePeriods}`
+      });
+    }
+
+    if (policy.minGapMinutes !== null) {
+      for (let index = 1; index < blocks.length; index++) {
+        const before = blocks[index - 1][blocks[index - 1].length - 1];
+        const after = blocks[index][0];
+        const gap = parseTimeSlot(after).start - parseTimeSlot(before).end;
+        if (gap < policy.minGapMinutes) {
+          violations.push({
+            rule: WORKLOAD_RULES.MIN_GAP,
+            day,
+            limit: policy.minGapMinutes,
+            actual: gap,
+            slots: [before, after],
+            message: `Only ${gap} min free between ${before} and ${after} on ${day}; the ${label} minimum is ${policy.minGapMinutes} min`
+          });
+        }
+      }
+    }
+  });
+
+  return { totalHours, dailyHours, violations };
+};
+
+/**
+ * Violations a change introduces or makes worse
+ * @param {Object} before - evaluateWorkload result before the change
+ * @param {Object} after - evaluateWorkload result after the change
+ * @returns {Array} Violations of `after` not already in `before` at the same size
+ */
+export const getNewWorkloadViolations = (before, after) =>
+  after.violations.filter(violation => !before.violations.some(existing =>
+    existing.rule === violation.rule &&
+    existing.day === violation.day &&
+    (violation.rule === WORKLOAD_RULES.MIN_GAP
+      ? existing.slots.join() === violation.slots.join()
+      : existing.actual >= violation.actual)
+  ));
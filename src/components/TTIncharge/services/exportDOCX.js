@@ -1,9 +1,8 @@
 import { Document, Packer, Paragraph, Table, TableCell, TableRow, WidthType, AlignmentType, BorderStyle, TextRun } from 'docx';
 import { saveAs } from 'file-saver';
-import { timeSlots, weekDays } from './TTBuilder/constants';
-
-const DAYS = weekDays;
-const TIME_SLOTS = timeSlots;
+import { getTimeSlots, getWeekDays } from './TTBuilder/timeGrid';
+import { getCellLayout, getCellSessions } from './TTBuilder/timetableOperations';
+import { getCellBasketName } from './TTBuilder/electiveBaskets';
 
 const createTimetableTable = (timetableInfo) => {
   const { semester, branch, batch, type, data } = timetableInfo;
@@ -16,7 +15,7 @@ const createTimetableTable = (timetableInfo) => {
         shading: { fill: '4F46E5' }, // Indigo color
         width: { size: 15, type: WidthType.PERCENTAGE }
       }),
-      ...DAYS.map(day => new TableCell({
+      ...getWeekDays().map(day => new TableCell({
         children: [new Paragraph({ text: day, bold: true, alignment: AlignmentType.CENTER })],
         shading: { fill: '4F46E5' },
         width: { size: 14, type: WidthType.PERCENTAGE }
@@ -25,7 +24,7 @@ const createTimetableTable = (timetableInfo) => {
   });
   
   // Create data rows
-  const dataRows = TIME_SLOTS.map(timeSlot => {
+  const dataRows = getTimeSlots().map(timeSlot => {
     const cells = [
       new TableCell({
         children: [new Paragraph({ text: timeSlot, bold: true, alignment: AlignmentType.CENTER })],
@@ -33,30 +32,53 @@ const createTimetableTable = (timetableInfo) => {
       })
     ];
     
-    DAYS.forEach(day => {
-      const slotData = data[day]?.[timeSlot];
+    getWeekDays().forEach(day => {
+      // Multi-period sessions are merged into one cell spanning their rows
+      const { hidden, rowSpan } = getCellLayout(data, day, timeSlot);
+      if (hidden) return;
       
       let content = [];
-      const courseName = slotData?.name || slotData?.courseName || '';
-      const teacherName = slotData?.teacherName || slotData?.teacher || '';
-      const roomInfo = slotData?.roomNumber || slotData?.roomName || slotData?.room || '';
+      const basketName = getCellBasketName(data[day]?.[timeSlot]);
       
-      if (slotData && (courseName || teacherName || roomInfo)) {
-        if (courseName) {
-          content.push(new TextRun({ text: courseName, bold: true }));
-          content.push(new TextRun({ text: '\n', break: 1 }));
-        }
-        if (teacherName) {
-          content.push(new TextRun({ text: teacherName }));
-          content.push(new TextRun({ text: '\n', break: 1 }));
-        }
-        if (roomInfo) {
-          content.push(new TextRun({ text: roomInfo, italics: true }));
-        }
+      // An elective basket is one labelled cell with a line per member course
+      if (basketName) {
+        content.push(new TextRun({ text: `${basketName} (Elective)`, bold: true }));
+        getCellSessions(data[day][timeSlot]).forEach(slotData => {
+          const line = [
+            slotData.name || slotData.courseName || '',
+            slotData.teacherName || slotData.teacher || '',
+            slotData.roomNumber || slotData.roomName || slotData.room || ''
+          ].filter(Boolean).join(' - ');
+          content.push(new TextRun({ text: line, break: 1 }));
+        });
+      } else {
+        // Parallel sub-batch sessions are listed one after another, each tagged with its group
+        getCellSessions(data[day]?.[timeSlot]).forEach(slotData => {
+          const courseName = slotData.name || slotData.courseName || '';
+          const teacherName = slotData.teacherName || slotData.teacher || '';
+          const roomInfo = slotData.roomNumber || slotData.roomName || slotData.room || '';
+          if (!courseName && !teacherName && !roomInfo) return;
+        
+          if (content.length > 0) {
+            content.push(new TextRun({ text: '\n', break: 2 }));
+          }
+          if (courseName) {
+            content.push(new TextRun({ text: slotData.subBatch ? `[${slotData.subBatch}] ${courseName}` : courseName, bold: true }));
+            content.push(new TextRun({ text: '\n', break: 1 }));
+          }
+          if (teacherName) {
+            content.push(new TextRun({ text: teacherName }));
+            content.push(new TextRun({ text: '\n', break: 1 }));
+          }
+          if (roomInfo) {
+            content.push(new TextRun({ text: roomInfo, italics: true }));
+          }
+        });
       }
       
       cells.push(new TableCell({
-        children: [new Paragraph({ children: content.length > 0 ? content : [new TextRun('')], alignment: AlignmentType.CENTER })]
+        children: [new Paragraph({ children: content.length > 0 ? content : [new TextRun('')], alignment: AlignmentType.CENTER })],
+        rowSpan
       }));
     });
     
@@ -1,9 +1,30 @@
 import * as XLSX from 'xlsx';
 import { saveAs } from 'file-saver';
-import { timeSlots, weekDays } from './TTBuilder/constants';
+import { getTimeSlots, getWeekDays } from './TTBuilder/timeGrid';
+import { getCellLayout, getCellSessions } from './TTBuilder/timetableOperations';
+import { getCellBasketName } from './TTBuilder/electiveBaskets';
 
-const DAYS = weekDays;
-const TIME_SLOTS = timeSlots;
+// First sheet row holding time slot data (after title, subtitle, spacer and header)
+const FIRST_DATA_ROW = 4;
+
+// Merge ranges for multi-period sessions so each one reads as a single block
+const getSessionMerges = (data) => {
+  const merges = [];
+  
+  getTimeSlots().forEach((timeSlot, slotIndex) => {
+    getWeekDays().forEach((day, dayIndex) => {
+      const { hidden, rowSpan } = getCellLayout(data, day, timeSlot);
+      if (!hidden && rowSpan > 1) {
+        merges.push({
+          s: { r: FIRST_DATA_ROW + slotIndex, c: dayIndex + 1 },
+          e: { r: FIRST_DATA_ROW + slotIndex + rowSpan - 1, c: dayIndex + 1 }
+        });
+      }
+    });
+  });
+  
+  return merges;
+};
 
 const createTimetableSheet = (timetableInfo) => {
   const { semester, branch, batch, type, data } = timetableInfo;
@@ -13,28 +34,37 @@ const createTimetableSheet = (timetableInfo) => {
     [`Timetable - ${semester} - ${branch} - ${batch}`],
     [`Type: ${type} | Generated: ${new Date().toLocaleDateString()}`],
     [], // Empty row for spacing
-    ['Time', ...DAYS]
+    ['Time', ...getWeekDays()]
   ];
   
   // Add data rows
-  TIME_SLOTS.forEach(timeSlot => {
+  getTimeSlots().forEach(timeSlot => {
     const row = [timeSlot];
     
-    DAYS.forEach(day => {
-      const slotData = data[day]?.[timeSlot];
-      
-      let cellContent = '';
-      const courseName = slotData?.name || slotData?.courseName || '';
-      const teacherName = slotData?.teacherName || slotData?.teacher || '';
-      const roomInfo = slotData?.roomNumber || slotData?.roomName || slotData?.room || '';
+    getWeekDays().forEach(day => {
+      // Cells covered by a multi-period session stay empty and are merged later
+      if (getCellLayout(data, day, timeSlot).hidden) {
+        row.push('');
+        return;
+      }
       
-      if (slotData && (courseName || teacherName || roomInfo)) {
+      // Parallel sub-batch sessions are listed one after another, each tagged with its group;
+      // an elective basket gets one label and a line per member course
+      const basketName = getCellBasketName(data[day]?.[timeSlot]);
+      const sessionContent = getCellSessions(data[day]?.[timeSlot]).map(slotData => {
         const parts = [];
-        if (courseName) parts.push(courseName);
+        const courseName = slotData.name || slotData.courseName || '';
+        const teacherName = slotData.teacherName || slotData.teacher || '';
+        const roomInfo = slotData.roomNumber || slotData.roomName || slotData.room || '';
+        
+        if (courseName) parts.push(slotData.subBatch ? `[${slotData.subBatch}] ${courseName}` : courseName);
         if (teacherName) parts.push(teacherName);
         if (roomInfo) parts.push(roomInfo);
-        cellContent = parts.join('\n');
-      }
+        return parts.join(basketName ? ' - ' : '\n');
+      }).filter(Boolean);
+      const cellContent = basketName
+        ? [`${basketName} (Elective)`, ...sessionContent].join('\n')
+        : sessionContent.join('\n\n');
       
       row.push(cellContent);
     });
@@ -54,13 +84,14 @@ export const exportToExcel = async (timetableInfo) => {
   // Set column widths
   worksheet['!cols'] = [
     { wch: 15 }, // Time column
-    ...DAYS.map(() => ({ wch: 20 })) // Day columns
+    ...getWeekDays().map(() => ({ wch: 20 })) // Day columns
   ];
   
-  // Merge cells for title
+  // Merge cells for title and multi-period sessions
   worksheet['!merges'] = [
-    { s: { r: 0, c: 0 }, e: { r: 0, c: 6 } }, // Title row
-    { s: { r: 1, c: 0 }, e: { r: 1, c: 6 } }  // Subtitle row
+    { s: { r: 0, c: 0 }, e: { r: 0, c: getWeekDays().length } }, // Title row
+    { s: { r: 1, c: 0 }, e: { r: 1, c: getWeekDays().length } }, // Subtitle row
+    ...getSessionMerges(timetableInfo.data)
   ];
   
   // Apply styles to header row (row index 3)
@@ -94,13 +125,14 @@ export const exportMultipleToExcel = async (timetables) => {
     // Set column widths
     worksheet['!cols'] = [
       { wch: 15 }, // Time column
-      ...DAYS.map(() => ({ wch: 20 })) // Day columns
+      ...getWeekDays().map(() => ({ wch: 20 })) // Day columns
     ];
     
-    // Merge cells for title
+    // Merge cells for title and multi-period sessions
     worksheet['!merges'] = [
-      { s: { r: 0, c: 0 }, e: { r: 0, c: 6 } }, // Title row
-      { s: { r: 1, c: 0 }, e: { r: 1, c: 6 } }  // Subtitle row
+      { s: { r: 0, c: 0 }, e: { r: 0, c: getWeekDays().length } }, // Title row
+      { s: { r: 1, c: 0 }, e: { r: 1, c: getWeekDays().length } }, // Subtitle row
+      ...getSessionMerges(timetableInfo.data)
     ];
     
     // Apply styles to header row
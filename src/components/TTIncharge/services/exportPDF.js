@@ -1,9 +1,56 @@
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
-import { timeSlots, weekDays } from './TTBuilder/constants';
+import { getTimeSlots, getWeekDays } from './TTBuilder/timeGrid';
+import { getCellLayout, getCellSessions } from './TTBuilder/timetableOperations';
+import { getCellBasketName } from './TTBuilder/electiveBaskets';
 
-const DAYS = weekDays;
-const TIME_SLOTS = timeSlots;
+// Course, teacher and room lines for one session; sub-batch sessions are prefixed with their group
+const getSessionLines = (session) => {
+  const lines = [
+    session.name || session.courseName || '',
+    session.teacherName || session.teacher || '',
+    session.roomNumber || session.roomName || session.room || ''
+  ].filter(Boolean);
+  if (lines.length > 0 && session.subBatch) {
+    lines[0] = `[${session.subBatch}] ${lines[0]}`;
+  }
+  return lines;
+};
+
+// Build table rows; multi-period sessions become one cell spanning their rows
+const createTableData = (data) => {
+  const tableData = [];
+  
+  getTimeSlots().forEach((timeSlot) => {
+    const row = [timeSlot];
+    
+    getWeekDays().forEach((day) => {
+      const { hidden, rowSpan } = getCellLayout(data, day, timeSlot);
+      if (hidden) return; // covered by the session cell above
+      
+      // Parallel sub-batch sessions are listed one after another in the cell;
+      // an elective basket is one labelled cell with a line per member course
+      const slotData = data[day]?.[timeSlot];
+      const basketName = getCellBasketName(slotData);
+      const cellContent = basketName
+        ? [`${basketName} (Elective)`, ...getCellSessions(slotData).map(session => getSessionLines(session).join(' - '))].join('\n')
+        : getCellSessions(slotData)
+          .map(session => getSessionLines(session).join('\n'))
+          .filter(Boolean)
+          .join('\n\n');
+      
+      if (cellContent) {
+        row.push(rowSpan > 1 ? { content: cellContent, rowSpan } : cellContent);
+      } else {
+        row.push('');
+      }
+    });
+    
+    tableData.push(row);
+  });
+  
+  return tableData;
+};
 
 export const exportToPDF = async (timetableInfo) => {
   const { semester, branch, batch, type, data } = timetableInfo;
@@ -21,33 +68,12 @@ export const exportToPDF = async (timetableInfo) => {
   doc.text(`Generated on: ${new Date().toLocaleDateString()}`, 14, 27);
   
   // Prepare table data
-  const tableData = [];
-  
-  TIME_SLOTS.forEach((timeSlot) => {
-    const row = [timeSlot];
-    
-    DAYS.forEach((day) => {
-      const slotData = data[day]?.[timeSlot];
-      
-      if (slotData && (slotData.name || slotData.courseName || slotData.teacherName || slotData.teacher || slotData.roomNumber || slotData.roomName)) {
-        const cellContent = [
-          slotData.name || slotData.courseName || '',
-          slotData.teacherName || slotData.teacher || '',
-          slotData.roomNumber || slotData.roomName || slotData.room || ''
-        ].filter(Boolean).join('\n');
-        row.push(cellContent);
-      } else {
-        row.push('');
-      }
-    });
-    
-    tableData.push(row);
-  });
+  const tableData = createTableData(data);
   
   // Generate table
   autoTable(doc, {
     startY: 32,
-    head: [['Time', ...DAYS]],
+    head: [['Time', ...getWeekDays()]],
     body: tableData,
     theme: 'grid',
     styles: {
@@ -93,33 +119,12 @@ export const exportMultipleToPDF = async (timetables) => {
     doc.text(`Type: ${type}`, 14, 22);
     
     // Prepare table data
-    const tableData = [];
-    
-    TIME_SLOTS.forEach((timeSlot) => {
-      const row = [timeSlot];
-      
-      DAYS.forEach((day) => {
-        const slotData = data[day]?.[timeSlot];
-        
-        if (slotData && (slotData.name || slotData.courseName || slotData.teacherName || slotData.teacher || slotData.roomNumber || slotData.roomName)) {
-          const cellContent = [
-            slotData.name || slotData.courseName || '',
-            slotData.teacherName || slotData.teacher || '',
-            slotData.roomNumber || slotData.roomName || slotData.room || ''
-          ].filter(Boolean).join('\n');
-          row.push(cellContent);
-        } else {
-          row.push('');
-        }
-      });
-      
-      tableData.push(row);
-    });
+    const tableData = createTableData(data);
     
     // Generate table
     autoTable(doc, {
       startY: 27,
-      head: [['Time', ...DAYS]],
+      head: [['Time', ...getWeekDays()]],
       body: tableData,
       theme: 'grid',
       styles: {
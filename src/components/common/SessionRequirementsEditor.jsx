@@ -0,0 +1,71 @@
+import React from 'react';
+import { roomTypes, featureOptions } from '../SuperAdmin/services/RoomManagement';
+import {
+  SESSION_COMPONENTS,
+  SESSION_COMPONENT_LABELS,
+  normalizeSessionRequirements
+} from '../TTIncharge/services/TTBuilder/roomRequirements';
+
+/**
+ * Session Requirements Editor
+ * Room type and equipment a course needs for each of its L/T/P components
+ */
+const SessionRequirementsEditor = ({ value, onChange }) => {
+  const requirements = normalizeSessionRequirements(value);
+
+  const updateComponent = (component, changes) => {
+    onChange({
+      ...requirements,
+      [component]: { ...requirements[component], ...changes }
+    });
+  };
+
+  const toggleFeature = (component, feature) => {
+    const { features } = requirements[component];
+    updateComponent(component, {
+      features: features.includes(feature)
+        ? features.filter(item => item !== feature)
+        : [...features, feature]
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      {Object.values(SESSION_COMPONENTS).map(component => (
+        <div key={component} className="border border-gray-200 rounded-lg p-3">
+          <div className="flex items-center justify-between gap-3 mb-2">
+            <span className="text-sm font-medium text-gray-700">{SESSION_COMPONENT_LABELS[component]}</span>
+            <select
+              value={requirements[component].roomType}
+              onChange={(e) => updateComponent(component, { roomType: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">Any room type</option>
+              {roomTypes.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {featureOptions.map(feature => (
+              <button
+                key={feature.id}
+                type="button"
+                onClick={() => toggleFeature(component, feature.id)}
+                className={`text-xs px-2 py-0.5 rounded-full border ${
+                  requirements[component].features.includes(feature.id)
+                    ? 'bg-blue-100 text-blue-800 border-blue-300'
+                    : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                {feature.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SessionRequirementsEditor;
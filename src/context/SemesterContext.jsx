@@ -6,6 +6,7 @@ import {
   storeSelectedSemester,
   getSelectedSemesterFromStorage 
 } from '../services/SemesterService.js';
+import { normalizeSemesterCalendar } from '../components/TTIncharge/services/TTBuilder/semesterCalendar.js';
 
 // Create the semester context
 const SemesterContext = createContext();
@@ -24,6 +25,7 @@ export const SemesterProvider = ({ children }) => {
   const [selectedSemester, setSelectedSemester] = useState('');
   const [availableSemesters, setAvailableSemesters] = useState([]);
   const [activeSemesters, setActiveSemesters] = useState([]);
+  const [semesterRecords, setSemesterRecords] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -43,6 +45,7 @@ export const SemesterProvider = ({ children }) => {
         
         setAvailableSemesters(semesterNames);
         setActiveSemesters(activeSems);
+        setSemesterRecords(semestersData);
         
         // Try to use the stored semester if it exists and is valid
         const storedSemester = getSelectedSemesterFromStorage();
@@ -75,6 +78,7 @@ export const SemesterProvider = ({ children }) => {
         const defaultSemesters = getDefaultSemesters();
         setAvailableSemesters(defaultSemesters);
         setActiveSemesters([]);
+        setSemesterRecords([]);
         setSelectedSemester(defaultSemesters[0]);
         storeSelectedSemester(defaultSemesters[0]);
       }
@@ -86,6 +90,7 @@ export const SemesterProvider = ({ children }) => {
       const defaultSemesters = getDefaultSemesters();
       setAvailableSemesters(defaultSemesters);
       setActiveSemesters([]);
+      setSemesterRecords([]);
       setSelectedSemester(defaultSemesters[0]);
       storeSelectedSemester(defaultSemesters[0]);
     } finally {
@@ -131,6 +136,11 @@ export const SemesterProvider = ({ children }) => {
     return activeSemesters.some(sem => sem.name === semesterName);
   };
 
+  // Function to get a semester's calendar (dates, holidays, exams, break)
+  const getSemesterCalendar = (semesterName) => {
+    return semesterRecords.find(sem => sem.name === semesterName)?.calendar || normalizeSemesterCalendar(null);
+  };
+
   // Context value
   const value = {
     selectedSemester,
@@ -142,7 +152,8 @@ export const SemesterProvider = ({ children }) => {
     selectSemester,
     refreshSemesters,
     getActiveSemesterNames,
-    isSemesterActive
+    isSemesterActive,
+    getSemesterCalendar
   };
 
   return (
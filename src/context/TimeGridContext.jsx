@@ -0,0 +1,70 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { TimeGridContext } from '../hooks/useTimeGrid.js';
+import { fetchTimeGrid, resolveTimeGridScope } from '../services/TimeGridService.js';
+import {
+  normalizeTimeGrid,
+  setActiveTimeGrid,
+  getDaySlots,
+  isSlotAvailable
+} from '../components/TTIncharge/services/TTBuilder/timeGrid.js';
+import { DEFAULT_TIME_GRID } from '../components/TTIncharge/services/TTBuilder/constants.js';
+
+// Time grid provider component
+export const TimeGridProvider = ({ user, children }) => {
+  const [grid, setGrid] = useState(() => normalizeTimeGrid(DEFAULT_TIME_GRID));
+  const [source, setSource] = useState('builtin');
+  const [scope, setScope] = useState({ collegeId: null, departmentId: null });
+  const [loading, setLoading] = useState(true);
+
+  // Load the grid for the signed-in user's department (or the institution default)
+  const loadTimeGrid = useCallback(async () => {
+    try {
+      setLoading(true);
+
+      const resolvedScope = await resolveTimeGridScope(user);
+      const { source: gridSource, ...loadedGrid } = await fetchTimeGrid(resolvedScope);
+
+      // Keep the timetable services on the same grid as the screens
+      setActiveTimeGrid(loadedGrid);
+      setGrid(loadedGrid);
+      setSource(gridSource);
+      setScope(resolvedScope);
+    } catch (err) {
+      console.error('Error loading time grid:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  // Reload whenever a different user signs in
+  useEffect(() => {
+    loadTimeGrid();
+  }, [loadTimeGrid]);
+
+  // Stable lookups so screens can list them as effect dependencies
+  const getGridDaySlots = useCallback((day) => getDaySlots(day, grid), [grid]);
+  const isGridSlotAvailable = useCallback((day, slot) => isSlotAvailable(day, slot, grid), [grid]);
+
+  // Context value
+  const value = {
+    grid,
+    timeSlots: grid.timeSlots,
+    weekDays: grid.workingDays,
+    breaks: grid.breaks,
+    halfDays: grid.halfDays,
+    source,
+    scope,
+    loading,
+    getDaySlots: getGridDaySlots,
+    isSlotAvailable: isGridSlotAvailable,
+    refreshTimeGrid: loadTimeGrid
+  };
+
+  return (
+    <TimeGridContext.Provider value={value}>
+      {children}
+    </TimeGridContext.Provider>
+  );
+};
+
+export default TimeGridProvider;
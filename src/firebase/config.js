@@ -10,7 +10,9 @@ import {
     onAuthStateChanged
 } from 'firebase/auth';
 import {
-    getFirestore,
+    initializeFirestore,
+    persistentLocalCache,
+    persistentMultipleTabManager,
     collection,
     doc,
     setDoc,
@@ -28,7 +30,10 @@ import {
     serverTimestamp,
     arrayRemove,
     arrayUnion,
-    writeBatch
+    writeBatch,
+    runTransaction,
+    increment,
+    FieldPath
 } from 'firebase/firestore';
 
 // Firebase configuration using environment variables
@@ -45,7 +50,11 @@ const firebaseConfig = {
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
-const db = getFirestore(app);
+// Keep Firestore data in IndexedDB so the app can read cached documents while
+// offline; the tab manager lets several open tabs share the one cache
+const db = initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
 
 // Export the Firebase services
 export {
@@ -74,7 +83,10 @@ export {
     serverTimestamp,
     arrayRemove,
     arrayUnion,
-    writeBatch
+    writeBatch,
+    runTransaction,
+    increment,
+    FieldPath
 };
 
 // Helper function to generate unique IDs (similar to Appwrite's ID.unique())
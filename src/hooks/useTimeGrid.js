@@ -0,0 +1,16 @@
+import { createContext, useContext } from 'react';
+
+// Time grid context; TimeGridProvider supplies its value
+export const TimeGridContext = createContext();
+
+/**
+ * Hook to read the active time grid
+ * @returns {Object} Grid, its slots and days, and lookups from TimeGridProvider
+ */
+export const useTimeGrid = () => {
+  const context = useContext(TimeGridContext);
+  if (!context) {
+    throw new Error('useTimeGrid must be used within a TimeGridProvider');
+  }
+  return context;
+};
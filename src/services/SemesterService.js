@@ -9,6 +9,9 @@ import {
   limit 
 } from '../firebase/config.js';
 
+// Import the calendar helpers shared with the timetable viewers
+import { normalizeSemesterCalendar } from '../components/TTIncharge/services/TTBuilder/semesterCalendar.js';
+
 // Collection references
 const SEMESTERS_COLLECTION = 'semesters';
 const SETTINGS_COLLECTION = 'settings';
@@ -147,7 +150,8 @@ export const getAllSemesters = async () => {
     return semesterSnapshot.docs.map(doc => ({
       id: doc.id,
       name: doc.data().name,
-      status: doc.data().status || 'inactive'
+      status: doc.data().status || 'inactive',
+      calendar: normalizeSemesterCalendar(doc.data().calendar)
     }));
   } catch (error) {
     console.error('Error fetching all semesters:', error);
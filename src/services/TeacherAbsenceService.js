@@ -0,0 +1,210 @@
+// Import Firebase configuration
+import {
+  db,
+  collection,
+  doc,
+  getDocs,
+  addDoc,
+  setDoc,
+  deleteDoc,
+  query,
+  where,
+  onSnapshot,
+  writeBatch,
+  serverTimestamp
+} from '../firebase/config.js';
+
+// Import absence helpers shared with the timetable services
+import { normalizeTeacherAvailability } from '../components/TTIncharge/services/TTBuilder/teacherAvailability.js';
+import { parseDateKey } from '../components/TTIncharge/services/TTBuilder/dateKeys.js';
+import { toVersionAuthor } from '../components/TTIncharge/services/TTBuilder/versionHistory.js';
+
+// Collection references
+const TEACHERS_COLLECTION = 'teachers';
+const ABSENCES_COLLECTION = 'teacherAbsences';
+const SUBSTITUTIONS_COLLECTION = 'substitutions';
+
+/**
+ * Global service to record teacher absences and the substitutions covering them
+ *
+ * Absences live in `teacherAbsences` ({ teacherId, department, startDate, endDate, reason }).
+ * Each covered session is one document in `substitutions`, keyed by
+ * getSubstitutionKey so a session has at most one cover per date.
+ */
+
+const byDateThenSlot = (a, b) => (a.date || a.startDate).localeCompare(b.date || b.startDate) ||
+  String(a.slot || '').localeCompare(String(b.slot || ''));
+
+/**
+ * Get the teachers of a department with what substitute ranking needs
+ * @param {string} department - Department the teachers belong to
+ * @returns {Promise<Array>} { id, name, department, designation, workloadPolicyId, maxHours, expertise, availability, active }
+ */
+export const fetchDepartmentTeachers = async (department) => {
+  if (!department) return [];
+
+  try {
+    const snapshot = await getDocs(query(collection(db, TEACHERS_COLLECTION), where('department', '==', department)));
+    return snapshot.docs.map(teacherDoc => {
+      const data = teacherDoc.data();
+      return {
+        id: data.id || teacherDoc.id,
+        name: data.name || 'Unknown Faculty',
+        department: data.department,
+        designation: data.designation || '',
+        workloadPolicyId: data.workloadPolicyId || null,
+        maxHours: data.maxHours || null,
+        expertise: Array.isArray(data.expertise) ? data.expertise : [],
+        availability: normalizeTeacherAvailability(data.availability),
+        active: data.active !== false
+      };
+    });
+  } catch (error) {
+    console.error('Error fetching department teachers:', error);
+    return [];
+  }
+};
+
+/**
+ * Keep a department's absences live
+ * @param {string} department - Department
+ * @param {Function} callback - Called with absences, earliest first
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTeacherAbsences = (department, callback) => onSnapshot(
+  query(collection(db, ABSENCES_COLLECTION), where('department', '==', department)),
+  (snapshot) => callback(snapshot.docs.map(absenceDoc => ({ id: absenceDoc.id, ...absenceDoc.data() })).sort(byDateThenSlot)),
+  (error) => console.error('Error listening to teacher absences:', error)
+);
+
+/**
+ * Keep substitutions live
+ * @param {Function} callback - Called with substitutions, in date order
+ * @param {Object} filter - Optional { field, value }, e.g. { field: 'timetableId', value: id }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSubstitutions = (callback, filter = null) => onSnapshot(
+  filter
+    ? query(collection(db, SUBSTITUTIONS_COLLECTION), where(filter.field, '==', filter.value))
+    : collection(db, SUBSTITUTIONS_COLLECTION),
+  (snapshot) => callback(snapshot.docs.map(substitutionDoc => ({ id: substitutionDoc.id, ...substitutionDoc.data() })).sort(byDateThenSlot)),
+  (error) => console.error('Error listening to substitutions:', error)
+);
+
+/**
+ * Check an absence before saving
+ * @param {Object} absence - { teacherId, startDate, endDate }
+ * @returns {Array} Error messages; empty when valid
+ */
+export const validateTeacherAbsence = (absence = {}) => {
+  const errors = [];
+  if (!absence.teacherId) errors.push('Choose the teacher on leave');
+  if (!parseDateKey(absence.startDate) || !parseDateKey(absence.endDate)) {
+    errors.push('Enter the first and last day of the leave');
+  } else if (absence.startDate > absence.endDate) {
+    errors.push('The leave cannot end before it starts');
+  }
+  return errors;
+};
+
+/**
+ * Record a teacher absence
+ * @param {Object} absence - { teacherId, teacherName, department, startDate, endDate, reason }
+ * @param {Object} user - Who records it
+ * @returns {Promise<Object>} Saved absence with its ID
+ */
+export const saveTeacherAbsence = async (absence, user = null) => {
+  const errors = validateTeacherAbsence(absence);
+  if (errors.length > 0) {
+    throw new Error(errors.join('. '));
+  }
+
+  try {
+    const record = {
+      teacherId: absence.teacherId,
+      teacherName: absence.teacherName || '',
+      department: absence.department || '',
+      startDate: absence.startDate,
+      endDate: absence.endDate,
+      reason: String(absence.reason || '').trim(),
+      createdBy: toVersionAuthor(user)
+    };
+    const absenceRef = await addDoc(collection(db, ABSENCES_COLLECTION), { ...record, createdAt: serverTimestamp() });
+    return { id: absenceRef.id, ...record };
+  } catch (error) {
+    console.error('Error saving teacher absence:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an absence and the substitutions recorded for it
+ * @param {string} absenceId - Absence document ID
+ * @returns {Promise<void>}
+ */
+export const deleteTeacherAbsence = async (absenceId) => {
+  try {
+    const covers = await getDocs(query(collection(db, SUBSTITUTIONS_COLLECTION), where('absenceId', '==', absenceId)));
+    const batch = writeBatch(db);
+    covers.docs.forEach(coverDoc => batch.delete(coverDoc.ref));
+    batch.delete(doc(db, ABSENCES_COLLECTION, absenceId));
+    await batch.commit();
+  } catch (error) {
+    console.error('Error deleting teacher absence:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record who covers an affected session; replaces an earlier cover of the same session and date
+ * @param {Object} affected - Session from getAffectedSessions
+ * @param {Object} substitute - Teacher covering it ({ id, name })
+ * @param {Object} absence - Absence the session falls in
+ * @param {Object} user - Who records it
+ * @returns {Promise<Object>} Saved substitution
+ */
+export const saveSubstitution = async (affected, substitute, absence, user = null) => {
+  try {
+    const { session } = affected;
+    const record = {
+      absenceId: absence.id,
+      department: absence.department || '',
+      date: affected.date,
+      day: affected.day,
+      slot: affected.slot,
+      slots: affected.slots,
+      timetableId: affected.timetableId,
+      semester: affected.semester || '',
+      branch: affected.branch || '',
+      batch: affected.batch || '',
+      courseCode: session.code,
+      courseName: session.name || session.title || '',
+      subBatch: session.subBatch || null,
+      roomNumber: session.roomNumber || session.room || '',
+      teacherId: absence.teacherId,
+      teacherName: absence.teacherName || session.teacherName || '',
+      substituteId: substitute.id,
+      substituteName: substitute.name || '',
+      createdBy: toVersionAuthor(user)
+    };
+    await setDoc(doc(db, SUBSTITUTIONS_COLLECTION, affected.key), { ...record, createdAt: serverTimestamp() });
+    return { id: affected.key, ...record };
+  } catch (error) {
+    console.error('Error saving substitution:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove the cover of a session
+ * @param {string} substitutionId - Substitution document ID
+ * @returns {Promise<void>}
+ */
+export const removeSubstitution = async (substitutionId) => {
+  try {
+    await deleteDoc(doc(db, SUBSTITUTIONS_COLLECTION, substitutionId));
+  } catch (error) {
+    console.error('Error removing substitution:', error);
+    throw error;
+  }
+};
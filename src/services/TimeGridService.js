@@ -0,0 +1,164 @@
+// Import Firebase configuration
+import {
+  db,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  serverTimestamp
+} from '../firebase/config.js';
+
+// Import time grid helpers shared with the timetable services
+import {
+  normalizeTimeGrid,
+  validateTimeGrid
+} from '../components/TTIncharge/services/TTBuilder/timeGrid.js';
+import { DEFAULT_TIME_GRID } from '../components/TTIncharge/services/TTBuilder/constants.js';
+
+// Collection references
+const SETTINGS_COLLECTION = 'settings';
+const DEPARTMENTS_COLLECTION = 'departments';
+
+/**
+ * Global service to load and save the institution time grid
+ *
+ * Grids live in the `settings` collection with `type: 'timeGrid'` and are looked up
+ * from the most specific scope down: department, then college, then the institution default.
+ */
+
+/**
+ * Get the settings document ID for a grid scope
+ * @param {Object} scope - { collegeId, departmentId }; empty for the institution default
+ * @returns {string} Settings document ID
+ */
+export const getTimeGridDocId = ({ collegeId = null, departmentId = null } = {}) => {
+  if (departmentId) return `timeGrid_department_${departmentId}`;
+  if (collegeId) return `timeGrid_college_${collegeId}`;
+  return 'timeGrid_default';
+};
+
+/**
+ * Get the grid stored for exactly one scope, without falling back
+ * @param {Object} scope - { collegeId, departmentId }
+ * @returns {Promise<Object|null>} Stored grid definition or null
+ */
+export const fetchTimeGridDefinition = async (scope = {}) => {
+  try {
+    const gridSnap = await getDoc(doc(db, SETTINGS_COLLECTION, getTimeGridDocId(scope)));
+    return gridSnap.exists() ? gridSnap.data() : null;
+  } catch (error) {
+    console.error('Error fetching time grid definition:', error);
+    return null;
+  }
+};
+
+/**
+ * Get the grid that applies to a department or college
+ * @param {Object} scope - { collegeId, departmentId }
+ * @returns {Promise<Object>} Normalised grid with a `source` of 'department', 'college', 'default' or 'builtin'
+ */
+export const fetchTimeGrid = async ({ collegeId = null, departmentId = null } = {}) => {
+  const candidates = [
+    departmentId && { scope: { departmentId }, source: 'department' },
+    collegeId && { scope: { collegeId }, source: 'college' },
+    { scope: {}, source: 'default' }
+  ].filter(Boolean);
+
+  for (const candidate of candidates) {
+    const definition = await fetchTimeGridDefinition(candidate.scope);
+    if (definition) {
+      return { ...normalizeTimeGrid(definition), source: candidate.source };
+    }
+  }
+
+  return { ...normalizeTimeGrid(DEFAULT_TIME_GRID), source: 'builtin' };
+};
+
+/**
+ * Work out which grid scope applies to a signed-in user
+ * @param {Object} user - User from AuthContext
+ * @returns {Promise<Object>} { collegeId, departmentId }
+ */
+export const resolveTimeGridScope = async (user) => {
+  const departmentId = user?.department || null;
+  if (!departmentId) {
+    return { collegeId: null, departmentId: null };
+  }
+
+  try {
+    const departmentSnap = await getDoc(doc(db, DEPARTMENTS_COLLECTION, departmentId));
+    const departmentData = departmentSnap.exists() ? departmentSnap.data() : {};
+    return {
+      collegeId: departmentData.collegeId || departmentData.college || null,
+      departmentId
+    };
+  } catch (error) {
+    console.error('Error resolving time grid scope:', error);
+    return { collegeId: null, departmentId };
+  }
+};
+
+/**
+ * Get departments that can carry their own grid
+ * @returns {Promise<Array>} Array of { id, name }
+ */
+export const fetchDepartmentOptions = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, DEPARTMENTS_COLLECTION));
+    return snapshot.docs
+      .map(departmentDoc => ({ id: departmentDoc.id, name: departmentDoc.data().name || departmentDoc.id }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error fetching department options:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a grid for a scope
+ * @param {Object} grid - { periods, breaks, workingDays, halfDays }
+ * @param {Object} scope - { collegeId, departmentId }; empty for the institution default
+ * @returns {Promise<Object>} Normalised saved grid
+ */
+export const saveTimeGrid = async (grid, scope = {}) => {
+  const errors = validateTimeGrid(grid);
+  if (errors.length > 0) {
+    throw new Error(errors.join('. '));
+  }
+
+  try {
+    const { periods, breaks, workingDays, halfDays } = normalizeTimeGrid(grid);
+
+    await setDoc(doc(db, SETTINGS_COLLECTION, getTimeGridDocId(scope)), {
+      type: 'timeGrid',
+      collegeId: scope.collegeId || null,
+      departmentId: scope.departmentId || null,
+      periods: periods.map(({ start, end }) => ({ start, end })),
+      breaks,
+      workingDays,
+      halfDays,
+      updatedAt: serverTimestamp()
+    });
+
+    return normalizeTimeGrid(grid);
+  } catch (error) {
+    console.error('Error saving time grid:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove the grid stored for a scope so it inherits from the next scope up
+ * @param {Object} scope - { collegeId, departmentId }
+ * @returns {Promise<void>}
+ */
+export const deleteTimeGrid = async (scope = {}) => {
+  try {
+    await deleteDoc(doc(db, SETTINGS_COLLECTION, getTimeGridDocId(scope)));
+  } catch (error) {
+    console.error('Error deleting time grid:', error);
+    throw error;
+  }
+};
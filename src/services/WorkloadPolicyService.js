@@ -0,0 +1,87 @@
+// Import Firebase configuration
+import {
+  db,
+  doc,
+  getDoc,
+  setDoc,
+  serverTimestamp
+} from '../firebase/config.js';
+
+// Import workload helpers shared with the timetable services
+import { normalizeWorkloadPolicy } from '../components/TTIncharge/services/TTBuilder/workloadPolicy.js';
+import { DEFAULT_WORKLOAD_POLICIES } from '../components/TTIncharge/services/TTBuilder/constants.js';
+
+// Collection references
+const SETTINGS_COLLECTION = 'settings';
+const WORKLOAD_POLICIES_DOC_ID = 'workloadPolicies';
+
+/**
+ * Global service to load and save the faculty workload policies
+ *
+ * The institution keeps one list of policies in `settings/workloadPolicies`
+ * (`type: 'workloadPolicies'`). Teachers pick theirs up by designation.
+ */
+
+/**
+ * Get the workload policies
+ * @returns {Promise<Array>} Normalised policies; the built-in defaults if none are saved
+ */
+export const fetchWorkloadPolicies = async () => {
+  try {
+    const policiesSnap = await getDoc(doc(db, SETTINGS_COLLECTION, WORKLOAD_POLICIES_DOC_ID));
+    const policies = policiesSnap.exists() ? policiesSnap.data().policies : null;
+    return (Array.isArray(policies) ? policies : DEFAULT_WORKLOAD_POLICIES).map(normalizeWorkloadPolicy);
+  } catch (error) {
+    console.error('Error fetching workload policies:', error);
+    return DEFAULT_WORKLOAD_POLICIES.map(normalizeWorkloadPolicy);
+  }
+};
+
+/**
+ * Check policies before saving
+ * @param {Array} policies - Policies as edited
+ * @returns {Array} Error messages; empty when valid
+ */
+export const validateWorkloadPolicies = (policies = []) => {
+  const errors = [];
+  const designations = new Set();
+
+  policies.forEach((policy, index) => {
+    const designation = String(policy.designation || '').trim();
+    if (!designation) {
+      errors.push(`Policy ${index + 1} needs a designation`);
+    } else if (designations.has(designation.toLowerCase())) {
+      errors.push(`${designation} has more than one policy`);
+    }
+    designations.add(designation.toLowerCase());
+  });
+
+  return errors;
+};
+
+/**
+ * Save the workload policies
+ * @param {Array} policies - Policies as edited
+ * @returns {Promise<Array>} Normalised saved policies
+ */
+export const saveWorkloadPolicies = async (policies) => {
+  const errors = validateWorkloadPolicies(policies);
+  if (errors.length > 0) {
+    throw new Error(errors.join('. '));
+  }
+
+  try {
+    const normalized = policies.map(normalizeWorkloadPolicy);
+
+    await setDoc(doc(db, SETTINGS_COLLECTION, WORKLOAD_POLICIES_DOC_ID), {
+      type: 'workloadPolicies',
+      policies: normalized,
+      updatedAt: serverTimestamp()
+    });
+
+    return normalized;
+  } catch (error) {
+    console.error('Error saving workload policies:', error);
+    throw error;
+  }
+};